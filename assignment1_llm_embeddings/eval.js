@@ -0,0 +1,138 @@
+// Eval CLI: run a golden question set and report retrieval and answer metrics
+//
+// Usage: node assignment1_llm_embeddings/eval.js [--set file.jsonl] [--k n]
+//          [--strategy fixed|sentence|token|heading] [--chunk-size n] [--chunk-overlap n]
+//          [--search-type similarity|mmr|hybrid] [--vector-weight n] [--keyword-weight n]
+//          [--mmr-lambda n] [--min-score n] [--no-rerank] [--no-answers]
+//          [--collection name] [--output results.json]
+//
+// Runs fully offline with RAG_PROVIDER=fake. Write each run with --output
+// and compare the aggregates across chunking and retrieval configs.
+import { config } from 'dotenv';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { createEmbeddings, createChatModel, resolveProviderConfig } from './utils/providers.js';
+import { getVectorStore, createRetriever } from './utils/chromaClient.js';
+import { buildMemoryIndexes } from './utils/ingestion.js';
+import { DEFAULT_CHUNKING } from './utils/chunking.js';
+import { loadBM25Index } from './utils/bm25.js';
+import { LexicalOverlapReranker } from './utils/reranking.js';
+import { loadEvalSet, evaluate } from './utils/evaluation.js';
+
+// Get the directory name of the current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+config();
+
+const { values } = parseArgs({
+  options: {
+    set: { type: 'string', default: path.join(__dirname, 'evals', 'golden.jsonl') },
+    k: { type: 'string', default: '5' },
+    strategy: { type: 'string', default: DEFAULT_CHUNKING.strategy },
+    'chunk-size': { type: 'string', default: String(DEFAULT_CHUNKING.chunkSize) },
+    'chunk-overlap': { type: 'string', default: String(DEFAULT_CHUNKING.chunkOverlap) },
+    'search-type': { type: 'string', default: 'hybrid' },
+    'vector-weight': { type: 'string', default: '1' },
+    'keyword-weight': { type: 'string', default: '1' },
+    'mmr-lambda': { type: 'string', default: '0.5' },
+    // No threshold by default so retrieval metrics see the full top k
+    'min-score': { type: 'string', default: '0' },
+    'no-rerank': { type: 'boolean', default: false },
+    'no-answers': { type: 'boolean', default: false },
+    collection: { type: 'string' },
+    output: { type: 'string' }
+  }
+});
+
+const format = value => (value === null ? '  n/a' : value.toFixed(3));
+
+/**
+ * The provider and model a model kind resolves to (RAG_PROVIDER,
+ * RAG_CHAT_PROVIDER, RAG_EMBEDDING_MODEL, ...), as recorded with the results
+ * @param {'embeddings'|'chat'} kind - Model kind
+ * @returns {Object} { provider, model } (model is null for the provider's default)
+ */
+function providerSettings(kind) {
+  const { provider, model } = resolveProviderConfig(kind);
+  return { provider, model: model ?? null };
+}
+
+async function runEval() {
+  const questions = await loadEvalSet(values.set);
+  const k = Number(values.k);
+  const settings = {
+    set: path.relative(process.cwd(), path.resolve(values.set)),
+    k,
+    embeddings: providerSettings('embeddings'),
+    chat: values['no-answers'] ? null : providerSettings('chat'),
+    collection: values.collection ?? null,
+    chunking: values.collection ? null : {
+      strategy: values.strategy,
+      chunkSize: Number(values['chunk-size']),
+      chunkOverlap: Number(values['chunk-overlap'])
+    },
+    searchType: values['search-type'],
+    weights: { vector: Number(values['vector-weight']), keyword: Number(values['keyword-weight']) },
+    lambda: Number(values['mmr-lambda']),
+    reranker: values['no-rerank'] ? null : 'lexical-overlap',
+    minScore: values['no-rerank'] ? null : Number(values['min-score'])
+  };
+  console.log(`📋 Evaluating ${questions.length} question(s) from ${settings.set}`);
+  console.log(JSON.stringify(settings));
+
+  let indexes;
+  if (values.collection) {
+    indexes = {
+      vectorStore: await getVectorStore(values.collection),
+      keywordIndex: await loadBM25Index(path.join(__dirname, '.rag-index'), values.collection)
+    };
+  } else {
+    const embeddings = createEmbeddings();
+    indexes = await buildMemoryIndexes(embeddings, path.join(__dirname, 'documents'), settings.chunking);
+  }
+
+  const retriever = createRetriever(indexes.vectorStore, k, {
+    searchType: settings.searchType,
+    keywordIndex: indexes.keywordIndex,
+    weights: settings.weights,
+    lambda: settings.lambda,
+    reranker: values['no-rerank'] ? undefined : new LexicalOverlapReranker(),
+    minScore: settings.minScore
+  });
+  // Answer metrics are deterministic only at temperature 0
+  const llm = values['no-answers'] ? undefined : createChatModel({ temperature: 0 });
+
+  console.log('\nid            recall   mrr     ndcg    faithful answerF1 citations');
+  const report = await evaluate({
+    questions,
+    retriever,
+    llm,
+    k,
+    onResult: result => console.log(
+      `${String(result.id).padEnd(14)}${format(result.recall ?? null)}   ${format(result.mrr ?? null)}   ` +
+      `${format(result.ndcg ?? null)}   ${format(result.faithfulness ?? null)}    ` +
+      `${format(result.answerF1 ?? null)}    ${format(result.citationValidity ?? null)}`
+    )
+  });
+
+  const { aggregate } = report;
+  console.log(
+    `\n📊 recall@${k} ${format(aggregate.recall)} | MRR ${format(aggregate.mrr)} | nDCG@${k} ${format(aggregate.ndcg)} | ` +
+    `faithfulness ${format(aggregate.faithfulness)} | answer F1 ${format(aggregate.answerF1)} | ` +
+    `valid citations ${format(aggregate.citationValidity)}`
+  );
+
+  if (values.output) {
+    await fs.writeFile(values.output, JSON.stringify({ settings, ...report }, null, 2));
+    console.log(`Results written to ${values.output}`);
+  }
+}
+
+runEval().catch(error => {
+  console.error('Evaluation failed:', error);
+  process.exitCode = 1;
+});
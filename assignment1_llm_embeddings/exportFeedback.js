@@ -0,0 +1,69 @@
+// Export CLI: turn thumbs-down answers into golden eval set cases
+//
+// Usage: node assignment1_llm_embeddings/exportFeedback.js [--feedback file.jsonl ...]
+//          [--output evals/feedback.jsonl] [--incomplete evals/feedback-incomplete.jsonl]
+//
+// Reads the feedback recorded by index.js --feedback and the chat servers
+// (every data/feedback.jsonl by default). Each user's latest vote counts.
+// Answers voted down with a correction become cases in --output, ready for
+// `eval.js --set`. Those without one go to --incomplete: add a
+// "referenceAnswer" or "expectedSources" before moving them into a set.
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { FeedbackStore, feedbackToEvalCases } from './utils/feedback.js';
+
+// Get the directory name of the current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Where index.js and the chat servers record feedback by default
+const DEFAULT_FEEDBACK_FILES = [
+  path.join(__dirname, 'data', 'feedback.jsonl'),
+  path.join(__dirname, '..', 'assignment3_streaming_chat', 'data', 'feedback.jsonl'),
+  path.join(__dirname, '..', 'assignment4_rag_chat', 'data', 'feedback.jsonl')
+];
+
+const { values } = parseArgs({
+  options: {
+    feedback: { type: 'string', multiple: true },
+    output: { type: 'string', default: path.join(__dirname, 'evals', 'feedback.jsonl') },
+    incomplete: { type: 'string', default: path.join(__dirname, 'evals', 'feedback-incomplete.jsonl') }
+  }
+});
+
+const toJsonl = entries => entries.map(entry => JSON.stringify(entry) + '\n').join('');
+
+async function writeJsonl(filePath, entries) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, toJsonl(entries));
+  console.log(`Wrote ${entries.length} case(s) to ${path.relative(process.cwd(), path.resolve(filePath))}`);
+}
+
+async function exportFeedback() {
+  const files = values.feedback ?? DEFAULT_FEEDBACK_FILES;
+  const records = [];
+  for (const file of files) {
+    const fileRecords = await new FeedbackStore(file).list();
+    if (fileRecords.length > 0) {
+      console.log(`📥 ${fileRecords.length} feedback record(s) from ${path.relative(process.cwd(), path.resolve(file))}`);
+    }
+    records.push(...fileRecords);
+  }
+  // Files are read one after another; order the votes by time across them
+  records.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+
+  const { cases, incomplete } = feedbackToEvalCases(records);
+  console.log(`👎 ${cases.length + incomplete.length} answer(s) voted down, ${cases.length} with a correction`);
+
+  await writeJsonl(values.output, cases);
+  if (incomplete.length > 0) {
+    await writeJsonl(values.incomplete, incomplete);
+  }
+}
+
+exportFeedback().catch(error => {
+  console.error('Feedback export failed:', error.message);
+  process.exit(1);
+});
@@ -1,12 +1,22 @@
 // RAG Demo with LangChain and OpenAI
 import { config } from 'dotenv';
-import { DirectoryLoader } from 'langchain/document_loaders/fs/directory';
-import { TextLoader } from 'langchain/document_loaders/fs/text';
-import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
-import { OpenAIEmbeddings, ChatOpenAI } from "@langchain/openai";
-import { MemoryVectorStore } from "langchain/vectorstores/memory";
 import path from 'path'; // Import path module
 import { fileURLToPath } from 'url'; // Import fileURLToPath
+import { parseArgs } from 'util';
+import { randomUUID } from 'crypto';
+import readline from 'readline';
+import { createEmbeddings, createChatModel, resolveProviderConfig } from './utils/providers.js';
+import { getVectorStore, createRetriever } from './utils/chromaClient.js';
+import { buildMemoryIndexes } from './utils/ingestion.js';
+import { supportedExtensions } from './utils/loaders.js';
+import { CHUNKING_STRATEGIES } from './utils/chunking.js';
+import { loadBM25Index } from './utils/bm25.js';
+import { LexicalOverlapReranker, NO_RELEVANT_CONTEXT } from './utils/reranking.js';
+import { validateFilter } from './utils/filters.js';
+import { generateCitedAnswer } from './utils/citations.js';
+import { DocumentLibrary } from './utils/documentLibrary.js';
+import { DocumentWatcher, describeUpdate } from './utils/documentWatcher.js';
+import { FeedbackStore } from './utils/feedback.js';
 
 // Get the directory name of the current module
 const __filename = fileURLToPath(import.meta.url);
@@ -15,63 +25,94 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 config();
 
-// Verify we have an OpenAI API key
-if (!process.env.OPENAI_API_KEY) {
-  console.error('Error: OPENAI_API_KEY is not set in the environment variables.');
-  console.error('Please make sure you have a .env file with your OpenAI API key.');
-  process.exit(1);
-}
+// --collection <name> queries a collection built by ingest.js instead of
+// rebuilding an in-memory store from documents/ on every run.
+// --strategy picks the chunking strategy for the in-memory store.
+// --search-type picks hybrid (default), similarity or mmr candidates;
+// --vector-weight / --keyword-weight set the hybrid search fusion weights;
+// --min-score drops chunks the reranker scores below that relevance (0..1);
+// --no-rerank skips the lexical-overlap reranker, and with it that cut-off;
+// --filter '<json>' scopes retrieval by chunk metadata, e.g. '{"folder":"team-a"}'.
+// --watch keeps running: changes to documents/ are re-indexed (only the
+// affected files) and the demo questions are asked again.
+// --feedback asks for a thumbs up/down and a comment after each answer and
+// appends them to data/feedback.jsonl (see `npm run export-feedback`).
+const { values: cliOptions } = parseArgs({
+  options: {
+    collection: { type: 'string' },
+    strategy: { type: 'string', default: 'heading' },
+    'search-type': { type: 'string', default: 'hybrid' },
+    'vector-weight': { type: 'string', default: '1' },
+    'keyword-weight': { type: 'string', default: '1' },
+    'mmr-lambda': { type: 'string', default: '0.5' },
+    'min-score': { type: 'string', default: '0.2' },
+    'no-rerank': { type: 'boolean', default: false },
+    filter: { type: 'string' },
+    watch: { type: 'boolean', default: false },
+    feedback: { type: 'boolean', default: false }
+  }
+});
+
+const documentsPath = path.join(__dirname, 'documents');
+// Chunking for the in-memory store (an ingested collection keeps its own)
+const demoChunking = { strategy: cliOptions.strategy, chunkSize: 500, chunkOverlap: 100 };
+
+const feedbackStore = cliOptions.feedback
+  ? new FeedbackStore(process.env.FEEDBACK_PATH || path.join(__dirname, 'data', 'feedback.jsonl'))
+  : null;
+let prompt = null; // readline interface, opened on the first feedback question
+let answers = null; // its lines; the iterator buffers lines typed (or piped) ahead
 
 // Main function to demonstrate RAG
 async function runRAGDemo() {
   console.log('🚀 Starting RAG Demo with LangChain and OpenAI');
   
   try {
-    // Initialize models with explicit configuration
-    const embeddings = new OpenAIEmbeddings({
-      modelName: "text-embedding-ada-002",
+    // Initialize models through the provider registry (RAG_PROVIDER selects
+    // openai, openai-compatible or fake)
+    const embeddings = createEmbeddings({
+      model: 'text-embedding-ada-002',
       stripNewLines: true
     });
     
-    const llm = new ChatOpenAI({
-      modelName: 'gpt-3.5-turbo',
+    const llm = createChatModel({
+      model: 'gpt-3.5-turbo',
       temperature: 0.2
     });
     
-    // Step 1: Load documents
-    console.log('\n📚 Loading documents...');
-    // Construct the absolute path to the documents directory
-    const documentsPath = path.join(__dirname, 'documents'); 
-    console.log(`Looking for documents in: ${documentsPath}`); // Add logging
-    const loader = new DirectoryLoader(documentsPath, {
-      '.txt': (path) => new TextLoader(path)
-    });
-    
-    const docs = await loader.load();
-    console.log(`Loaded ${docs.length} documents.`);
-    
-    // Step 2: Split documents into chunks
-    console.log('\n✂️ Splitting documents into chunks...');
-    const textSplitter = new RecursiveCharacterTextSplitter({
-      chunkSize: 500,
-      chunkOverlap: 100
-    });
-    
-    const splitDocs = await textSplitter.splitDocuments(docs);
-    console.log(`Created ${splitDocs.length} chunks.`);
-    
-    // Check document validity
-    for (let i = 0; i < splitDocs.length; i++) {
-      if (typeof splitDocs[i].pageContent !== 'string') {
-        console.error(`Document at index ${i} has invalid pageContent type: ${typeof splitDocs[i].pageContent}`);
-        splitDocs[i].pageContent = String(splitDocs[i].pageContent || '');
-      }
+    const filter = cliOptions.filter ? JSON.parse(cliOptions.filter) : undefined;
+    if (filter) {
+      validateFilter(filter);
+      console.log(`\n🔎 Restricting retrieval to chunks matching ${JSON.stringify(filter)}`);
+    }
+
+    let indexes;
+    if (cliOptions.collection) {
+      console.log(`\n🗄️ Using persistent Chroma collection "${cliOptions.collection}"...`);
+      indexes = {
+        vectorStore: await getVectorStore(cliOptions.collection),
+        // Keyword index written next to the manifest by ingest.js
+        keywordIndex: await loadBM25Index(path.join(__dirname, '.rag-index'), cliOptions.collection)
+      };
+    } else {
+      indexes = await buildDemoIndexes(embeddings);
     }
     
-    // Step 3: Create vector store
-    console.log('\n🧠 Creating in-memory vector store...');
-    const vectorStore = await MemoryVectorStore.fromDocuments(splitDocs, embeddings);
-    console.log('Vector store created successfully.');
+    // Over-fetch candidates, rerank them, then keep the best two that
+    // clear the relevance threshold
+    const retriever = createRetriever(indexes.vectorStore, 2, {
+      searchType: cliOptions['search-type'],
+      fetchK: 8,
+      keywordIndex: indexes.keywordIndex,
+      weights: {
+        vector: Number(cliOptions['vector-weight']),
+        keyword: Number(cliOptions['keyword-weight'])
+      },
+      lambda: Number(cliOptions['mmr-lambda']),
+      reranker: cliOptions['no-rerank'] ? undefined : new LexicalOverlapReranker(),
+      minScore: Number(cliOptions['min-score']),
+      filter
+    });
     
     // Handle queries directly without complex chains
     const queries = [
@@ -80,8 +121,31 @@ async function runRAGDemo() {
       'How does embedding generation work in RAG systems?'
     ];
     
-    for (const query of queries) {
-      await processQuery(query, vectorStore, llm);
+    // Recorded with each piece of feedback, so a bad answer can be traced
+    // back to the settings that produced it
+    const { provider, model } = resolveProviderConfig('chat', { model: 'gpt-3.5-turbo' });
+    const feedbackConfig = {
+      provider,
+      model,
+      collection: cliOptions.collection ?? null,
+      chunking: cliOptions.collection ? null : demoChunking,
+      retrieval: retriever.settings()
+    };
+    
+    const askQuestions = async () => {
+      for (const query of queries) {
+        const answered = await processQuery(query, retriever, llm);
+        if (answered && feedbackStore) {
+          await askForFeedback(answered, feedbackConfig);
+        }
+      }
+    };
+    await askQuestions();
+
+    if (cliOptions.watch) {
+      watchDocuments({ retriever, ...indexes }, askQuestions);
+    } else {
+      prompt?.close();
     }
     
   } catch (error) {
@@ -89,43 +153,136 @@ async function runRAGDemo() {
   }
 }
 
-// Process a single query using the vector store
-async function processQuery(query, vectorStore, llm) {
+// Load, split and embed documents/ into an in-memory vector store and a
+// BM25 keyword index
+async function buildDemoIndexes(embeddings) {
+  console.log('\n📚 Loading documents...');
+  console.log(`Looking for documents in: ${documentsPath}`); // Add logging
+  console.log(`Supported formats: ${supportedExtensions().join(', ')}`);
+  console.log(`Chunking strategy: ${cliOptions.strategy} (available: ${CHUNKING_STRATEGIES.join(', ')})`);
+  
+  const indexes = await buildMemoryIndexes(embeddings, documentsPath, demoChunking);
+  
+  if (indexes.unsupported.length > 0) {
+    console.warn(`⚠️ Skipped ${indexes.unsupported.length} unsupported file(s): ${indexes.unsupported.join(', ')}`);
+  }
+  console.log(`Loaded ${indexes.documents.length} documents.`);
+  console.log(`Created ${indexes.chunks.length} chunks.`);
+  console.log('🧠 In-memory vector store created successfully.');
+  console.log(`Keyword index built over ${indexes.keywordIndex.size} chunks.`);
+  
+  return indexes;
+}
+
+// Watch documents/ and swap re-indexed files into the running retriever.
+// Each update is logged as JSON lines, then `onUpdate` runs.
+function watchDocuments(knowledgeBase, onUpdate) {
+  const library = new DocumentLibrary({
+    documentsDir: documentsPath,
+    knowledgeBase,
+    collectionName: cliOptions.collection,
+    indexDir: path.join(__dirname, '.rag-index'),
+    chunking: demoChunking
+  });
+  const watcher = new DocumentWatcher({ library }).start();
+  let running = Promise.resolve();
+  watcher.on('update', summary => {
+    console.log(`\n🔄 Documents changed: ${describeUpdate(summary)}`);
+    running = running.then(onUpdate);
+  });
+  console.log(`\n👀 Watching ${documentsPath} for changes (Ctrl+C to stop)...`);
+}
+
+// Process a single query using the retrieval pipeline. Returns
+// { question, answer, chunkIds } for feedback, or undefined on errors.
+async function processQuery(query, retriever, llm) {
   console.log(`\n❓ Question: ${query}`);
   console.log('Retrieving relevant documents...');
   
   try {
-    // Get similar documents
-    const relevantDocs = await vectorStore.similaritySearch(query, 2);
-    console.log(`Found ${relevantDocs.length} relevant documents.`);
+    // Get relevant documents (candidates -> rerank -> threshold)
+    const { status, results } = await retriever.retrieve(query);
+    if (status === NO_RELEVANT_CONTEXT) {
+      console.log('\n🔍 Answer:');
+      console.log('No relevant context found in the documents for this question.');
+      return { question: query, answer: 'No relevant context found in the documents for this question.', chunkIds: [] };
+    }
     
-    // Extract context
-    const context = relevantDocs.map((doc, i) => {
-      return `Document ${i+1}:\n${doc.pageContent}`;
-    }).join('\n\n');
+    const relevantDocs = results.map(result => result.document);
+    console.log(`Found ${relevantDocs.length} relevant documents.`);
+    results.forEach(({ id, score, scores }) => {
+      const perRetriever = Object.entries(scores)
+        .map(([name, value]) => `${name} ${value.toFixed(3)}`)
+        .join(', ');
+      console.log(`  ${id}: score ${score.toFixed(3)} (${perRetriever})`);
+    });
     
-    // Generate response
+    // Generate a cited answer and check its citations against the
+    // retrieved chunks
     console.log('Generating answer using context...');
-    const prompt = `
-      Answer the question based on the following context:
-      
-      ${context}
-      
-      Question: ${query}
-      
-      When answering, make sure to cite your source as [Document X] where X is the document number.
-    `;
-    
-    const response = await llm.invoke(prompt);
+    const { answer, citations, invalidCitations } = await generateCitedAnswer(llm, query, relevantDocs);
     console.log('\n🔍 Answer:');
-    console.log(response.content);
+    console.log(answer);
     
+    if (citations.length > 0) {
+      console.log('\n📎 Sources:');
+      citations.forEach(citation => {
+        const section = citation.sectionPath ? ` > ${citation.sectionPath}` : '';
+        console.log(`  [${citation.number}] ${citation.relativePath}${section} (chunk ${citation.chunkIndex}, chars ${citation.startOffset}-${citation.endOffset})`);
+      });
+    } else {
+      console.log('\n⚠️ The answer cites no sources.');
+    }
+    if (invalidCitations.length > 0) {
+      console.warn(`⚠️ Answer cites sources that were not retrieved: ${invalidCitations.map(n => `[${n}]`).join(', ')}`);
+    }
+    
+    return { question: query, answer, chunkIds: results.map(result => result.id) };
   } catch (error) {
     console.error('Error processing query:', error);
   }
 }
 
+// Ask whether an answer helped and record the vote with everything needed
+// to turn it into an eval case later. Enter skips the answer.
+async function askForFeedback({ question, answer, chunkIds }, config) {
+  const reply = (await ask('\n👍/👎 Was this answer helpful? [y/n, Enter to skip] ')).toLowerCase();
+  if (reply !== 'y' && reply !== 'n') return;
+  
+  const comment = await ask('Comment (optional): ');
+  const correction = reply === 'n'
+    ? await ask('What should the answer have said? (optional): ')
+    : '';
+  await feedbackStore.add({
+    type: 'answer',
+    vote: reply === 'y' ? 'up' : 'down',
+    user: process.env.USER || 'cli',
+    app: 'cli',
+    answerId: randomUUID(),
+    question,
+    query: question,
+    answer,
+    chunkIds,
+    persona: null,
+    config,
+    comment: comment || null,
+    correction: correction || null
+  });
+  console.log(`📝 Feedback saved to ${feedbackStore.filePath}`);
+}
+
+// Print a question and read one line of input ('' once stdin has ended)
+async function ask(question) {
+  if (!prompt) {
+    prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    answers = prompt[Symbol.asyncIterator]();
+  }
+  process.stdout.write(question);
+  const { value = '' } = await answers.next();
+  return value.trim();
+}
+
 // Run the demo
 runRAGDemo()
-  .then(() => console.log('\nRAG demo completed.'))
+  .then(() => cliOptions.watch || console.log('\nRAG demo completed.'))
   .catch(error => console.error('Fatal error in RAG demo:', error));
@@ -0,0 +1,100 @@
+// Ingest CLI: load documents/ into a persistent Chroma collection
+//
+// Usage: node assignment1_llm_embeddings/ingest.js [--collection name] [--dir path]
+//          [--strategy fixed|sentence|token|heading] [--chunk-size n] [--chunk-overlap n] [--force]
+//
+// --chunk-size is a positive integer and --chunk-overlap a smaller
+// non-negative one; anything else exits with a usage error before indexing.
+//
+// Re-runs only embed new or changed files and remove chunks of deleted
+// files, so running it over an unchanged corpus costs nothing.
+import { config } from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { getVectorStore, DEFAULT_COLLECTION } from './utils/chromaClient.js';
+import { ingestDirectory } from './utils/ingestion.js';
+
+// Get the directory name of the current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+config();
+
+const { values } = parseArgs({
+  options: {
+    collection: { type: 'string', default: DEFAULT_COLLECTION },
+    dir: { type: 'string', default: path.join(__dirname, 'documents') },
+    'index-dir': { type: 'string', default: path.join(__dirname, '.rag-index') },
+    // Chunking defaults to the collection's previous settings
+    strategy: { type: 'string' },
+    'chunk-size': { type: 'string' },
+    'chunk-overlap': { type: 'string' },
+    force: { type: 'boolean', default: false }
+  }
+});
+
+const USAGE = 'Usage: node assignment1_llm_embeddings/ingest.js [--collection name] [--dir path]\n' +
+  '         [--strategy fixed|sentence|token|heading] [--chunk-size n] [--chunk-overlap n] [--force]';
+
+function usageError(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+/**
+ * Read a whole-number option. A NaN saved with the chunking settings would
+ * force a full re-index on every later run, so bad values stop here.
+ * @param {string} name - Option name
+ * @param {number} min - Smallest allowed value
+ * @returns {number|undefined} The value, or undefined if not given
+ */
+function integerOption(name, min) {
+  const value = values[name];
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isInteger(number) || number < min) {
+    usageError(`--${name} must be a ${min > 0 ? 'positive' : 'non-negative'} integer, got "${value}".`);
+  }
+  return number;
+}
+
+const chunkSize = integerOption('chunk-size', 1);
+const chunkOverlap = integerOption('chunk-overlap', 0);
+if (chunkSize !== undefined && chunkOverlap !== undefined && chunkOverlap >= chunkSize) {
+  usageError(`--chunk-overlap (${chunkOverlap}) must be smaller than --chunk-size (${chunkSize}).`);
+}
+
+async function runIngest() {
+  const documentsDir = path.resolve(values.dir);
+  console.log(`📚 Ingesting ${documentsDir} into collection "${values.collection}"`);
+
+  const vectorStore = await getVectorStore(values.collection);
+  const summary = await ingestDirectory({
+    vectorStore,
+    documentsDir,
+    collectionName: values.collection,
+    indexDir: path.resolve(values['index-dir']),
+    chunking: {
+      strategy: values.strategy,
+      chunkSize,
+      chunkOverlap
+    },
+    force: values.force
+  });
+
+  console.log(`Chunking: ${summary.settings.strategy} (size ${summary.settings.chunkSize}, overlap ${summary.settings.chunkOverlap})`);
+  console.log(`Embeddings: ${summary.settings.embeddings.provider} (${summary.settings.embeddings.model ?? 'default model'})`);
+  console.log(
+    `\n✅ Done: ${summary.added.length} added, ${summary.changed.length} changed, ` +
+    `${summary.deleted.length} deleted, ${summary.unchanged.length} unchanged, ` +
+    `${summary.unsupported.length} unsupported ` +
+    `(${summary.chunksAdded} chunks embedded, ${summary.chunksRemoved} removed).`
+  );
+}
+
+runIngest().catch(error => {
+  console.error('Ingestion failed:', error);
+  process.exitCode = 1;
+});
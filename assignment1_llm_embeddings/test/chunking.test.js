@@ -0,0 +1,112 @@
+// chunking.test.js - Chunking strategies, offsets and chunk ids
+//
+// Run: npm test (node --test)
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document } from '@langchain/core/documents';
+import { splitDocuments, assignChunkIds, countTokens } from '../utils/chunking.js';
+
+const SENTENCES = Array.from({ length: 30 }, (_, i) => `Sentence number ${i + 1} talks about vector search.`).join(' ');
+const LONG_WORD = 'x'.repeat(250);
+
+const MARKDOWN = [
+  'Intro text before any heading.',
+  '',
+  '# Vector DBs',
+  '',
+  'Vector databases store embeddings.',
+  '',
+  '## Indexing',
+  '',
+  'HNSW graphs make search fast.',
+  '',
+  '```bash',
+  '# not a heading, just a shell comment',
+  'echo index',
+  '```',
+  '',
+  '# Retrieval',
+  '',
+  'Retrieval finds the nearest chunks.'
+].join('\n');
+
+const source = (text, metadata = {}) => [new Document({ pageContent: text, metadata: { source: 'doc.md', ...metadata } })];
+
+// The chunk text without the section path heading-aware chunks start with
+const body = chunk => chunk.metadata.sectionPath
+  ? chunk.pageContent.slice(chunk.metadata.sectionPath.length + 2)
+  : chunk.pageContent;
+
+describe('splitDocuments', () => {
+  for (const strategy of ['fixed', 'sentence', 'heading']) {
+    test(`${strategy} chunks point back into the source text and fit the chunk size`, async () => {
+      const text = `${MARKDOWN}\n\n${SENTENCES}`;
+      const chunks = await splitDocuments(source(text), { strategy, chunkSize: 120, chunkOverlap: 30 });
+
+      assert.ok(chunks.length > 1);
+      for (const chunk of chunks) {
+        assert.equal(text.slice(chunk.metadata.startOffset, chunk.metadata.endOffset), body(chunk));
+        assert.ok(body(chunk).length <= 120, `${body(chunk).length} characters`);
+        assert.equal(chunk.metadata.source, 'doc.md');
+      }
+    });
+  }
+
+  test('token chunks are measured in tokens', async () => {
+    const chunks = await splitDocuments(source(SENTENCES), { strategy: 'token', chunkSize: 40, chunkOverlap: 8 });
+
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.equal(SENTENCES.slice(chunk.metadata.startOffset, chunk.metadata.endOffset), chunk.pageContent);
+      assert.ok(countTokens(chunk.pageContent) <= 40, `${countTokens(chunk.pageContent)} tokens`);
+    }
+  });
+
+  test('consecutive chunks overlap', async () => {
+    const chunks = await splitDocuments(source(SENTENCES), { strategy: 'sentence', chunkSize: 200, chunkOverlap: 60 });
+
+    for (let i = 1; i < chunks.length; i++) {
+      assert.ok(chunks[i].metadata.startOffset < chunks[i - 1].metadata.endOffset);
+      assert.ok(chunks[i].metadata.startOffset > chunks[i - 1].metadata.startOffset);
+    }
+  });
+
+  test('a sentence or word longer than the chunk size is split', async () => {
+    const text = `Short one. ${LONG_WORD} Another short one.`;
+    const measures = { sentence: chunk => chunk.length, token: countTokens };
+    for (const [strategy, measure] of Object.entries(measures)) {
+      const chunks = await splitDocuments(source(text), { strategy, chunkSize: 50, chunkOverlap: 0 });
+
+      assert.ok(chunks.map(chunk => chunk.pageContent).join('').includes(LONG_WORD), strategy);
+      assert.ok(chunks.every(chunk => measure(chunk.pageContent) <= 50), strategy);
+    }
+  });
+
+  test('heading chunks carry their section path once, and fenced lines are not headings', async () => {
+    const chunks = await splitDocuments(source(MARKDOWN), { strategy: 'heading', chunkSize: 500 });
+
+    assert.deepEqual(chunks.map(chunk => chunk.metadata.sectionPath), [undefined, 'Vector DBs', 'Vector DBs > Indexing', 'Retrieval']);
+    assert.equal(chunks[0].pageContent, 'Intro text before any heading.');
+    assert.equal(chunks[1].pageContent, 'Vector DBs\n\nVector databases store embeddings.');
+    assert.ok(chunks[2].pageContent.includes('# not a heading, just a shell comment'));
+    assert.ok(chunks.every(chunk => !body(chunk).startsWith('#')));
+  });
+
+  test('an unknown strategy is rejected', async () => {
+    await assert.rejects(splitDocuments(source('text'), { strategy: 'paragraph' }), /Unknown chunking strategy "paragraph"/);
+  });
+});
+
+test('assignChunkIds numbers the chunks of each file', async () => {
+  const chunks = [
+    ...await splitDocuments(source(SENTENCES, { relativePath: 'a.md' }), { strategy: 'sentence', chunkSize: 200, chunkOverlap: 0 }),
+    ...await splitDocuments(source('One sentence.', { relativePath: 'b.md' }), { strategy: 'sentence' })
+  ];
+  const ids = assignChunkIds(chunks);
+
+  assert.equal(ids[0], 'a.md::0');
+  assert.equal(ids[1], 'a.md::1');
+  assert.equal(ids[ids.length - 1], 'b.md::0');
+  assert.equal(new Set(ids).size, ids.length);
+  assert.deepEqual(chunks.map(chunk => chunk.metadata.chunkId), ids);
+});
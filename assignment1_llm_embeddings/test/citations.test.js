@@ -0,0 +1,66 @@
+// citations.test.js - Citation markers in answers, resolved against the sources
+//
+// Run: npm test (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document } from '@langchain/core/documents';
+import { parseCitationMarkers, resolveCitations, buildCitationPrompt } from '../utils/citations.js';
+
+const DOCUMENTS = [
+  new Document({
+    pageContent: 'RAG grounds answers in retrieved text.',
+    metadata: { chunkId: 'guides/rag.md::0', relativePath: 'guides/rag.md', chunkIndex: 0, startOffset: 0, endOffset: 38, sectionPath: 'RAG' }
+  }),
+  new Document({
+    pageContent: 'Chunks are embedded before they are stored.',
+    metadata: { source: '/docs/notes.txt', chunkIndex: 2 }
+  })
+];
+
+test('parseCitationMarkers finds single, grouped and "Document n" markers', () => {
+  const text = 'One [1]. Both [1, 2]. Named [Document 2]. Mixed [1, Document 3]. Not a marker [x].';
+  const markers = parseCitationMarkers(text);
+
+  assert.deepEqual(markers.map(marker => marker.numbers), [[1], [1, 2], [2], [1, 3]]);
+  assert.equal(text.slice(markers[1].start, markers[1].end), '[1, 2]');
+});
+
+test('resolveCitations lists the cited sources in order of first mention', () => {
+  const result = resolveCitations('Chunks are embedded [2]. RAG grounds answers [1][2].', DOCUMENTS);
+
+  assert.deepEqual(result.citations.map(citation => citation.number), [2, 1]);
+  assert.deepEqual(result.invalidCitations, []);
+  assert.equal(result.sources.length, 2);
+  assert.ok(result.markers.every(marker => marker.valid));
+
+  const [first, second] = result.sources;
+  assert.equal(first.chunkId, 'guides/rag.md::0');
+  assert.equal(first.filename, 'rag.md');
+  assert.equal(first.sectionPath, 'RAG');
+  assert.equal(first.endOffset, 38);
+  assert.equal(second.chunkId, '/docs/notes.txt::2');
+  assert.equal(second.filename, 'notes.txt');
+});
+
+test('numbers with no matching source are reported as invalid', () => {
+  const result = resolveCitations('Made up [3]. Partly made up [1, 0].', DOCUMENTS);
+
+  assert.deepEqual(result.citations.map(citation => citation.number), [1]);
+  assert.deepEqual(result.invalidCitations.sort(), [0, 3]);
+  assert.deepEqual(result.markers.map(marker => marker.valid), [false, false]);
+});
+
+test('an answer without markers cites nothing', () => {
+  const result = resolveCitations('I could not find that in the sources.', DOCUMENTS);
+
+  assert.deepEqual(result.citations, []);
+  assert.deepEqual(result.markers, []);
+});
+
+test('the prompt numbers the sources the way the markers refer to them', () => {
+  const prompt = buildCitationPrompt('How does RAG work?', DOCUMENTS);
+
+  assert.ok(prompt.includes('How does RAG work?'));
+  assert.ok(prompt.includes('[1] rag.md:\nRAG grounds answers in retrieved text.'));
+  assert.ok(prompt.includes('[2] notes.txt:\nChunks are embedded before they are stored.'));
+});
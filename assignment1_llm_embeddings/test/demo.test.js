@@ -0,0 +1,30 @@
+// demo.test.js - The RAG demo CLI, run offline end to end
+//
+// Run: npm test (node --test)
+// Starts index.js with RAG_PROVIDER=fake over the bundled documents/, so no
+// API key or Chroma server is needed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEMO = path.join(__dirname, '..', 'index.js');
+
+async function runDemo(...args) {
+  return promisify(execFile)(process.execPath, [DEMO, ...args], {
+    env: { ...process.env, RAG_PROVIDER: 'fake' }
+  });
+}
+
+for (const searchType of ['hybrid', 'similarity']) {
+  test(`--no-rerank with ${searchType} search still finds context for every question`, async () => {
+    const { stdout: output, stderr } = await runDemo('--no-rerank', '--search-type', searchType);
+
+    assert.equal(output.match(/❓ Question:/g).length, 3);
+    assert.doesNotMatch(output, /No relevant context found/);
+    assert.doesNotMatch(stderr, /Error in RAG demo/);
+  });
+}
@@ -0,0 +1,65 @@
+// eval.test.js - The golden question set, run offline end to end
+//
+// Run: npm test (node --test)
+// Starts eval.js with RAG_PROVIDER=fake (hashing embeddings and an
+// extractive chat model), so no API key or Chroma server is needed.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const EVAL = path.join(__dirname, '..', 'eval.js');
+const GOLDEN = path.join(__dirname, '..', 'evals', 'golden.jsonl');
+
+async function runEval(args = [], env = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rag-eval-'));
+  const output = path.join(dir, 'results.json');
+  try {
+    await promisify(execFile)(process.execPath, [EVAL, '--output', output, ...args], {
+      env: { ...process.env, RAG_PROVIDER: 'fake', ...env }
+    });
+    return JSON.parse(await fs.readFile(output, 'utf-8'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+test('the fake provider answers the golden set with every expected source retrieved', async () => {
+  const questionCount = (await fs.readFile(GOLDEN, 'utf-8')).trim().split('\n').length;
+  const { settings, aggregate, questions } = await runEval();
+
+  assert.deepEqual(settings.embeddings, { provider: 'fake', model: null });
+  assert.deepEqual(settings.chat, { provider: 'fake', model: null });
+  assert.equal(aggregate.questions, questionCount);
+  assert.equal(questions.length, questionCount);
+  assert.equal(aggregate.recall, 1);
+  assert.equal(aggregate.citationValidity, 1);
+  for (const metric of ['mrr', 'ndcg', 'faithfulness', 'answerF1']) {
+    assert.ok(aggregate[metric] > 0 && aggregate[metric] <= 1, `${metric} is ${aggregate[metric]}`);
+  }
+  for (const question of questions) {
+    assert.ok(question.retrieved.length > 0 && question.retrieved.length <= settings.k);
+    assert.match(question.answer, /\[\d+\]/);
+    assert.deepEqual(question.invalidCitations, []);
+  }
+});
+
+test('the retrieval options and providers are recorded with the results', async () => {
+  const { settings, questions } = await runEval(
+    ['--k', '2', '--strategy', 'sentence', '--search-type', 'similarity', '--no-answers'],
+    { RAG_EMBEDDINGS_PROVIDER: 'fake', RAG_PROVIDER: 'openai', RAG_EMBEDDING_MODEL: 'hashing-v2' }
+  );
+
+  assert.equal(settings.k, 2);
+  assert.equal(settings.chunking.strategy, 'sentence');
+  assert.equal(settings.searchType, 'similarity');
+  // The providers actually used, not just RAG_PROVIDER
+  assert.deepEqual(settings.embeddings, { provider: 'fake', model: 'hashing-v2' });
+  assert.equal(settings.chat, null);
+  assert.ok(questions.every(question => question.retrieved.length <= 2));
+});
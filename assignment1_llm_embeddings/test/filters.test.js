@@ -0,0 +1,109 @@
+// filters.test.js - Metadata filter expressions and their Chroma translation
+//
+// Run: npm test (node --test)
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Document } from '@langchain/core/documents';
+import { validateFilter, matchesFilter, createFilterPredicate, toChromaWhere } from '../utils/filters.js';
+
+const metadata = {
+  folder: 'team-a',
+  format: 'markdown',
+  relativePath: 'team-a/guide.md',
+  wordCount: 420,
+  modifiedAt: '2026-07-15T09:00:00.000Z'
+};
+
+describe('matchesFilter', () => {
+  test('equality, membership and ranges', () => {
+    assert.equal(matchesFilter(metadata, { folder: 'team-a' }), true);
+    assert.equal(matchesFilter(metadata, { folder: 'team-b' }), false);
+    assert.equal(matchesFilter(metadata, { format: { $in: ['markdown', 'html'] } }), true);
+    assert.equal(matchesFilter(metadata, { format: { $nin: ['markdown'] } }), false);
+    assert.equal(matchesFilter(metadata, { wordCount: { $gte: 100, $lt: 1000 } }), true);
+    assert.equal(matchesFilter(metadata, { wordCount: { $gt: 420 } }), false);
+    assert.equal(matchesFilter(metadata, { folder: { $ne: 'team-b' } }), true);
+  });
+
+  test('dates compare as dates, whether ISO strings or Date objects', () => {
+    assert.equal(matchesFilter(metadata, { modifiedAt: { $gte: '2026-07-01' } }), true);
+    assert.equal(matchesFilter(metadata, { modifiedAt: { $lt: new Date('2026-07-01') } }), false);
+  });
+
+  test('a missing field fails range conditions', () => {
+    assert.equal(matchesFilter(metadata, { pageCount: { $gte: 0 } }), false);
+    assert.equal(matchesFilter(metadata, { pageCount: { $lt: 10 } }), false);
+  });
+
+  test('prefixes and composition', () => {
+    assert.equal(matchesFilter(metadata, { relativePath: { $prefix: 'team-a/' } }), true);
+    assert.equal(matchesFilter(metadata, { $or: [{ folder: 'team-b' }, { format: 'markdown' }] }), true);
+    assert.equal(matchesFilter(metadata, { $and: [{ folder: 'team-a' }, { format: 'html' }] }), false);
+  });
+
+  test('createFilterPredicate tests document metadata', () => {
+    const predicate = createFilterPredicate({ folder: 'team-a' });
+    assert.equal(predicate(new Document({ pageContent: 'x', metadata })), true);
+    assert.equal(predicate(new Document({ pageContent: 'x', metadata: { folder: 'team-b' } })), false);
+  });
+});
+
+describe('validateFilter', () => {
+  test('rejects malformed filters', () => {
+    assert.throws(() => validateFilter(null), /Filter must be an object/);
+    assert.throws(() => validateFilter(['team-a']), /Filter must be an object/);
+    assert.throws(() => validateFilter({ $not: [{ folder: 'team-a' }] }), /Unknown logical operator "\$not"/);
+    assert.throws(() => validateFilter({ $or: [] }), /\$or expects a non-empty array/);
+    assert.throws(() => validateFilter({ folder: { $like: 'team' } }), /Unknown operator "\$like" on "folder"/);
+    assert.throws(() => validateFilter({ format: { $in: 'markdown' } }), /\$in on "format" expects an array/);
+    assert.throws(() => validateFilter({ $and: [{ folder: { $regex: 'a' } }] }), /Unknown operator/);
+  });
+
+  test('accepts every documented form', () => {
+    validateFilter({
+      $and: [
+        { folder: 'team-a' },
+        { format: { $in: ['markdown', 'html'] } },
+        { wordCount: { $gte: 100, $lt: 1000 } },
+        { modifiedAt: new Date('2026-07-01') },
+        { $or: [{ relativePath: { $prefix: 'team-a/' } }, { folder: { $ne: 'team-b' } }] }
+      ]
+    });
+  });
+});
+
+describe('toChromaWhere', () => {
+  test('a single condition is passed as is, several as $and', () => {
+    assert.deepEqual(toChromaWhere({ folder: 'team-a' }), { folder: { $eq: 'team-a' } });
+    assert.deepEqual(toChromaWhere({ folder: 'team-a', wordCount: { $gte: 100, $lt: 1000 } }), {
+      $and: [{ folder: { $eq: 'team-a' } }, { wordCount: { $gte: 100 } }, { wordCount: { $lt: 1000 } }]
+    });
+  });
+
+  test('dates become epoch milliseconds', () => {
+    assert.deepEqual(toChromaWhere({ modifiedAt: { $gte: '2026-07-01' } }), {
+      modifiedAt: { $gte: Date.parse('2026-07-01') }
+    });
+  });
+
+  test('conditions Chroma cannot evaluate are left out', () => {
+    assert.equal(toChromaWhere({ relativePath: { $prefix: 'team-a/' } }), undefined);
+    assert.equal(toChromaWhere({ folder: { $gt: 'team' } }), undefined);
+    assert.deepEqual(toChromaWhere({ relativePath: { $prefix: 'team-a/' }, format: { $in: ['markdown'] } }), {
+      format: { $in: ['markdown'] }
+    });
+  });
+
+  test('an $or is kept only if every branch can be pushed down', () => {
+    assert.deepEqual(toChromaWhere({ $or: [{ folder: 'team-a' }, { folder: 'team-b' }] }), {
+      $or: [{ folder: { $eq: 'team-a' } }, { folder: { $eq: 'team-b' } }]
+    });
+    assert.equal(toChromaWhere({ $or: [{ folder: 'team-a' }, { relativePath: { $prefix: 'x/' } }] }), undefined);
+  });
+
+  test('$and clauses are flattened', () => {
+    assert.deepEqual(toChromaWhere({ $and: [{ folder: 'team-a' }, { relativePath: { $prefix: 'x/' } }, { format: 'html' }] }), {
+      $and: [{ folder: { $eq: 'team-a' } }, { format: { $eq: 'html' } }]
+    });
+  });
+});
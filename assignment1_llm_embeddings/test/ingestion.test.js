@@ -0,0 +1,146 @@
+// ingestion.test.js - Incremental ingestion driven by the manifest diff
+//
+// Run: npm test (node --test)
+// Ingests a temporary documents directory into an in-memory store with the
+// fake (hashing) embeddings, so only changed files get re-embedded.
+import { describe, test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { diffManifest, loadManifest } from '../utils/indexManifest.js';
+import { ingestDirectory, EditableMemoryVectorStore } from '../utils/ingestion.js';
+import { loadBM25Index } from '../utils/bm25.js';
+import { FakeEmbeddings } from '../utils/fakeModels.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const INGEST = path.join(__dirname, '..', 'ingest.js');
+const quiet = { log() {}, warn() {} };
+const FAKE = { provider: 'fake', model: null };
+
+test('diffManifest sorts files into added, changed, unchanged and deleted', () => {
+  const manifest = { files: { 'a.md': { hash: '1' }, 'b.md': { hash: '2' }, 'c.md': { hash: '3' } } };
+
+  assert.deepEqual(diffManifest(manifest, { 'a.md': '1', 'b.md': 'changed', 'd.md': '4' }), {
+    added: ['d.md'],
+    changed: ['b.md'],
+    unchanged: ['a.md'],
+    deleted: ['c.md']
+  });
+  assert.deepEqual(diffManifest({ files: {} }, {}), { added: [], changed: [], unchanged: [], deleted: [] });
+});
+
+describe('ingestDirectory', () => {
+  let root;
+  let documentsDir;
+  let indexDir;
+  let vectorStore;
+
+  const ingest = (options = {}) => ingestDirectory({
+    vectorStore,
+    documentsDir,
+    indexDir,
+    collectionName: 'docs',
+    embedding: FAKE,
+    logger: quiet,
+    ...options
+  });
+  const storedPaths = () => [...new Set(vectorStore.memoryVectors.map(vector => vector.metadata.relativePath))].sort();
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'rag-ingest-'));
+    documentsDir = path.join(root, 'documents');
+    indexDir = path.join(root, 'index');
+    await fs.mkdir(path.join(documentsDir, 'team-a'), { recursive: true });
+    await fs.writeFile(path.join(documentsDir, 'intro.md'), '# Intro\n\nRetrieval-augmented generation.\n');
+    await fs.writeFile(path.join(documentsDir, 'team-a', 'notes.txt'), 'Team A keeps its notes here.\n');
+    vectorStore = new EditableMemoryVectorStore(new FakeEmbeddings());
+  });
+
+  afterEach(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('indexes new files, then only what changed', async () => {
+    const first = await ingest();
+    assert.deepEqual(first.added.sort(), ['intro.md', 'team-a/notes.txt']);
+    assert.deepEqual(storedPaths(), ['intro.md', 'team-a/notes.txt']);
+
+    await fs.writeFile(path.join(documentsDir, 'intro.md'), '# Intro\n\nRAG, revised.\n');
+    await fs.rm(path.join(documentsDir, 'team-a', 'notes.txt'));
+    await fs.writeFile(path.join(documentsDir, 'new.txt'), 'A new file.\n');
+    const second = await ingest();
+
+    assert.deepEqual(second.added, ['new.txt']);
+    assert.deepEqual(second.changed, ['intro.md']);
+    assert.deepEqual(second.deleted, ['team-a/notes.txt']);
+    assert.deepEqual(second.unchanged, []);
+    assert.deepEqual(storedPaths(), ['intro.md', 'new.txt']);
+    assert.ok(vectorStore.memoryVectors.some(vector => vector.content.includes('RAG, revised.')));
+    assert.ok(!vectorStore.memoryVectors.some(vector => vector.content.includes('Retrieval-augmented')));
+
+    const manifest = await loadManifest(indexDir, 'docs');
+    assert.deepEqual(Object.keys(manifest.files).sort(), ['intro.md', 'new.txt']);
+    const keywordIndex = await loadBM25Index(indexDir, 'docs');
+    assert.equal(keywordIndex.size, vectorStore.memoryVectors.length);
+    assert.deepEqual(keywordIndex.search('notes'), []);
+
+    const third = await ingest();
+    assert.deepEqual([third.added, third.changed, third.deleted], [[], [], []]);
+    assert.equal(third.chunksAdded, 0);
+  });
+
+  test('new chunking or embedding settings re-index every file and are remembered', async () => {
+    await ingest({ chunking: { strategy: 'sentence' } });
+
+    const unchanged = await ingest();
+    assert.equal(unchanged.settings.strategy, 'sentence');
+    assert.equal(unchanged.changed.length, 0);
+
+    const rechunked = await ingest({ chunking: { strategy: 'fixed' } });
+    assert.deepEqual(rechunked.changed.sort(), ['intro.md', 'team-a/notes.txt']);
+
+    const reembedded = await ingest({ embedding: { provider: 'fake', model: 'other' } });
+    assert.deepEqual(reembedded.changed.sort(), ['intro.md', 'team-a/notes.txt']);
+    assert.equal(reembedded.settings.strategy, 'fixed');
+    assert.deepEqual((await loadManifest(indexDir, 'docs')).settings.embeddings, { provider: 'fake', model: 'other' });
+  });
+
+  test('an emptied vector store is rebuilt even though the manifest lists the files', async () => {
+    await ingest();
+    vectorStore = new EditableMemoryVectorStore(new FakeEmbeddings());
+
+    const rebuilt = await ingest();
+    assert.deepEqual(rebuilt.added.sort(), ['intro.md', 'team-a/notes.txt']);
+    assert.deepEqual(storedPaths(), ['intro.md', 'team-a/notes.txt']);
+  });
+
+  test('an overlap that is not below the chunk size kept from the last run is rejected', async () => {
+    await ingest({ chunking: { chunkSize: 200, chunkOverlap: 50 } });
+
+    await assert.rejects(ingest({ chunking: { chunkOverlap: 200 } }), /Chunk overlap \(200\) must be smaller than the chunk size \(200\)/);
+    assert.equal((await loadManifest(indexDir, 'docs')).settings.chunkOverlap, 50);
+  });
+
+  test('force re-embeds unchanged files', async () => {
+    await ingest();
+    const forced = await ingest({ force: true });
+
+    assert.deepEqual(forced.changed.sort(), ['intro.md', 'team-a/notes.txt']);
+    assert.equal(forced.chunksAdded, forced.chunksRemoved);
+    assert.equal(vectorStore.memoryVectors.length, forced.chunksAdded);
+  });
+});
+
+test('ingest.js rejects chunk sizes and overlaps that are not whole numbers, or overlaps not below the size', async () => {
+  for (const args of [['--chunk-size', 'abc'], ['--chunk-size', '0'], ['--chunk-overlap', '1.5'], ['--chunk-size', '100', '--chunk-overlap', '100']]) {
+    await assert.rejects(promisify(execFile)(process.execPath, [INGEST, ...args]), error => {
+      assert.equal(error.code, 1);
+      assert.match(error.stderr, /^--chunk-(size|overlap) .*must be .*\n\nUsage: /);
+      return true;
+    }, args.join(' '));
+  }
+});
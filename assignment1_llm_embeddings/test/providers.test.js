@@ -0,0 +1,31 @@
+// providers.test.js - Resolving the provider settings from options and the environment
+//
+// Run: npm test (node --test)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveProviderConfig } from '../utils/providers.js';
+
+test('the provider comes from the options, then the per-kind and the shared variables', () => {
+  const env = { RAG_PROVIDER: 'fake', RAG_CHAT_PROVIDER: 'openai', RAG_CHAT_MODEL: 'gpt-4o' };
+
+  assert.equal(resolveProviderConfig('embeddings', {}, env).provider, 'fake');
+  assert.deepEqual(resolveProviderConfig('chat', { model: 'gpt-3.5-turbo' }, env), {
+    provider: 'openai', model: 'gpt-4o', baseURL: undefined, apiKey: undefined
+  });
+  assert.equal(resolveProviderConfig('chat', { provider: 'fake' }, env).provider, 'fake');
+  assert.equal(resolveProviderConfig('chat', {}, {}).provider, 'openai');
+});
+
+test('RAG_BASE_URL and RAG_API_KEY are only used for openai-compatible', () => {
+  const env = { RAG_BASE_URL: 'http://localhost:11434/v1', RAG_API_KEY: 'local-key' };
+
+  const compatible = resolveProviderConfig('chat', {}, { ...env, RAG_PROVIDER: 'openai-compatible' });
+  assert.equal(compatible.baseURL, env.RAG_BASE_URL);
+  assert.equal(compatible.apiKey, 'local-key');
+
+  // OpenAI falls back to OPENAI_API_KEY instead of getting the local server's key
+  const openai = resolveProviderConfig('embeddings', {}, { ...env, RAG_PROVIDER: 'openai' });
+  assert.equal(openai.baseURL, undefined);
+  assert.equal(openai.apiKey, undefined);
+  assert.equal(resolveProviderConfig('chat', { apiKey: 'explicit' }, env).apiKey, 'explicit');
+});
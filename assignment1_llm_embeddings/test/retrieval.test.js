@@ -0,0 +1,135 @@
+// retrieval.test.js - BM25 keyword index, reciprocal rank fusion and the relevance cut-off
+//
+// Run: npm test (node --test)
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Document } from '@langchain/core/documents';
+import { analyze, BM25Index, loadBM25Index, saveBM25Index } from '../utils/bm25.js';
+import { reciprocalRankFusion, chunkIdOf } from '../utils/hybridSearch.js';
+import { LexicalOverlapReranker, RerankingRetriever } from '../utils/reranking.js';
+import { EditableMemoryVectorStore } from '../utils/ingestion.js';
+import { FakeEmbeddings } from '../utils/fakeModels.js';
+
+const chunk = (id, pageContent, metadata = {}) => new Document({ pageContent, metadata: { chunkId: id, ...metadata } });
+
+const CHUNKS = [
+  chunk('a.md::0', 'The AB-12 pump is rated for 40 litres per minute.', { folder: 'pumps' }),
+  chunk('a.md::1', 'Pumps need servicing every year.', { folder: 'pumps' }),
+  chunk('b.md::0', 'Vector search ranks chunks by embedding similarity.', { folder: 'search' }),
+  chunk('b.md::1', 'Keyword search ranks chunks by term frequency, like BM25 search.', { folder: 'search' })
+];
+
+function buildIndex() {
+  const index = new BM25Index();
+  index.addDocuments(CHUNKS, CHUNKS.map(chunkIdOf));
+  return index;
+}
+
+describe('BM25', () => {
+  test('analyze drops stopwords and keeps compound codes whole and split', () => {
+    assert.deepEqual(analyze('What is the AB-12 pump?'), ['ab-12', 'ab', '12', 'pump']);
+  });
+
+  test('search ranks exact terms first and respects k and the filter', () => {
+    const index = buildIndex();
+
+    assert.equal(index.search('AB-12')[0].id, 'a.md::0');
+    const results = index.search('term frequency search', 4);
+    assert.deepEqual(results.map(result => result.id), ['b.md::1', 'b.md::0']);
+    assert.ok(results[0].score > results[1].score);
+    assert.equal(index.search('search', 1).length, 1);
+    assert.deepEqual(index.search('pumps search', 4, document => document.metadata.folder === 'pumps').map(result => result.id), ['a.md::1']);
+    assert.deepEqual(index.search('nothing matches'), []);
+  });
+
+  test('removing and replacing chunks updates the index; clones are independent', () => {
+    const index = buildIndex();
+    const copy = index.clone();
+
+    index.removeDocument('a.md::0');
+    assert.equal(index.size, 3);
+    assert.deepEqual(index.search('AB-12'), []);
+    assert.equal(copy.search('AB-12')[0].id, 'a.md::0');
+
+    index.addDocument('a.md::1', chunk('a.md::1', 'The AB-12 replaces the AB-11.'));
+    assert.equal(index.size, 3);
+    assert.deepEqual(index.search('servicing'), []);
+    assert.equal(index.search('AB-12')[0].id, 'a.md::1');
+  });
+
+  test('an index survives a save and load', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rag-bm25-'));
+    try {
+      assert.equal((await loadBM25Index(dir, 'docs')).size, 0);
+      await saveBM25Index(dir, 'docs', buildIndex());
+      const loaded = await loadBM25Index(dir, 'docs');
+
+      assert.equal(loaded.size, CHUNKS.length);
+      assert.deepEqual(loaded.search('keyword frequency'), buildIndex().search('keyword frequency'));
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('reciprocalRankFusion', () => {
+  const [a, b, c] = CHUNKS;
+  const rankings = {
+    vector: [{ id: 'a', document: a, score: 0.9 }, { id: 'b', document: b, score: 0.8 }],
+    keyword: [{ id: 'b', document: b, score: 7.5 }, { id: 'c', document: c, score: 3.1 }]
+  };
+
+  test('results found by both retrievers rank first, each rank worth 1 / (rrfK + rank)', () => {
+    const fused = reciprocalRankFusion(rankings);
+
+    assert.deepEqual(fused.map(result => result.id), ['b', 'a', 'c']);
+    assert.equal(fused[0].score, 1 / 62 + 1 / 61);
+    assert.equal(fused[1].score, 1 / 61);
+    assert.deepEqual(fused[0].scores, { vector: 0.8, keyword: 7.5 });
+    assert.deepEqual(fused[0].ranks, { vector: 2, keyword: 1 });
+    assert.equal(fused[0].document, b);
+  });
+
+  test('weights and rrfK change the contributions', () => {
+    const fused = reciprocalRankFusion(rankings, { weights: { vector: 0, keyword: 2 }, rrfK: 10 });
+
+    assert.deepEqual(fused.map(result => result.id), ['b', 'c', 'a']);
+    assert.equal(fused[0].score, 2 / 11);
+    assert.equal(fused[2].score, 0);
+  });
+
+  test('chunkIdOf falls back to path and chunk index', () => {
+    assert.equal(chunkIdOf(new Document({ pageContent: '', metadata: { relativePath: 'x.md', chunkIndex: 3 } })), 'x.md::3');
+    assert.equal(chunkIdOf(CHUNKS[0]), 'a.md::0');
+  });
+});
+
+describe('RerankingRetriever', () => {
+  async function retriever(fields) {
+    const vectorStore = new EditableMemoryVectorStore(new FakeEmbeddings());
+    await vectorStore.addDocuments(CHUNKS.map(document => new Document(document)), { ids: CHUNKS.map(chunkIdOf) });
+    return new RerankingRetriever({ vectorStore, keywordIndex: buildIndex(), k: 2, minScore: 0.2, ...fields });
+  }
+
+  test('minScore cuts off reranker scores', async () => {
+    const { status, results } = await (await retriever({ searchType: 'hybrid', reranker: new LexicalOverlapReranker() })).retrieve('AB-12 pump rating');
+
+    assert.equal(status, 'ok');
+    assert.deepEqual(results.map(result => result.id), ['a.md::0']);
+    assert.ok(results[0].score >= 0.2);
+  });
+
+  for (const searchType of ['hybrid', 'similarity']) {
+    test(`without a reranker, ${searchType} scores are not cut off by minScore`, async () => {
+      const search = await retriever({ searchType });
+      const { status, results } = await search.retrieve('AB-12 pump rating');
+
+      assert.equal(status, 'ok');
+      assert.equal(results.length, 2);
+      assert.equal(search.settings().minScore, null);
+    });
+  }
+});
@@ -0,0 +1,220 @@
+// Local BM25 keyword index (inverted index) for exact-term retrieval
+import fs from 'fs/promises';
+import path from 'path';
+import { Document } from '@langchain/core/documents';
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'which', 'with'
+]);
+
+/**
+ * Turn text into index terms. Compound identifiers such as product codes
+ * ("AB-12", "v2.1") are kept whole as well as split into their parts, so
+ * an exact code matches strongly and its parts still match loosely.
+ * @param {string} text - Text to analyze
+ * @returns {Array<string>} Terms
+ */
+export function analyze(text) {
+  const terms = [];
+  const compounds = String(text).toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu) || [];
+  for (const compound of compounds) {
+    const parts = compound.split(/[-_./]/);
+    if (parts.length > 1) {
+      terms.push(compound);
+    }
+    for (const part of parts) {
+      if (!STOPWORDS.has(part)) {
+        terms.push(part);
+      }
+    }
+  }
+  return terms;
+}
+
+/**
+ * Okapi BM25 over chunk ids. Chunks are added and removed individually so
+ * the index can be updated incrementally alongside the vector store.
+ */
+export class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.documents = new Map(); // id -> { document, length, termFreqs }
+    this.postings = new Map();  // term -> Map(id -> term frequency)
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Add (or replace) a chunk
+   * @param {string} id - Chunk id
+   * @param {Document} document - Chunk document
+   */
+  addDocument(id, document) {
+    this.removeDocument(id);
+
+    const terms = analyze(document.pageContent);
+    const termFreqs = {};
+    for (const term of terms) {
+      termFreqs[term] = (termFreqs[term] ?? 0) + 1;
+    }
+    for (const [term, freq] of Object.entries(termFreqs)) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, freq);
+    }
+
+    this.documents.set(id, { document, length: terms.length, termFreqs });
+    this.totalLength += terms.length;
+  }
+
+  /**
+   * Add several chunks
+   * @param {Array<Document>} documents - Chunk documents
+   * @param {Array<string>} ids - Chunk ids, same order as documents
+   */
+  addDocuments(documents, ids) {
+    documents.forEach((document, i) => this.addDocument(ids[i], document));
+  }
+
+  /**
+   * Remove a chunk if present
+   * @param {string} id - Chunk id
+   */
+  removeDocument(id) {
+    const entry = this.documents.get(id);
+    if (!entry) return;
+
+    for (const term of Object.keys(entry.termFreqs)) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+    this.totalLength -= entry.length;
+    this.documents.delete(id);
+  }
+
+  /**
+   * Copy the index, so changes can be made to the copy while the original
+   * keeps serving queries (entries are never mutated, only replaced)
+   * @returns {BM25Index} Independent copy
+   */
+  clone() {
+    const copy = new BM25Index({ k1: this.k1, b: this.b });
+    copy.documents = new Map(this.documents);
+    copy.postings = new Map([...this.postings].map(([term, posting]) => [term, new Map(posting)]));
+    copy.totalLength = this.totalLength;
+    return copy;
+  }
+
+  /**
+   * Ids of the chunks matching a predicate (e.g. every chunk of one file)
+   * @param {Function} predicate - (document) => boolean
+   * @returns {Array<string>} Chunk ids
+   */
+  findIds(predicate) {
+    return [...this.documents].filter(([, { document }]) => predicate(document)).map(([id]) => id);
+  }
+
+  /**
+   * Rank chunks for a query
+   * @param {string} query - Query text
+   * @param {number} k - Number of results
+   * @param {Function} filter - Optional (document) => boolean predicate
+   * @returns {Array<Object>} Results as { id, document, score }, best first
+   */
+  search(query, k = 4, filter) {
+    const n = this.documents.size;
+    if (n === 0) return [];
+    const averageLength = this.totalLength / n;
+
+    const scores = new Map();
+    for (const term of new Set(analyze(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (n - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, freq] of posting) {
+        const { length } = this.documents.get(id);
+        const norm = freq * (this.k1 + 1) / (freq + this.k1 * (1 - this.b + this.b * length / averageLength));
+        scores.set(id, (scores.get(id) ?? 0) + idf * norm);
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, document: this.documents.get(id).document, score }))
+      .filter(result => !filter || filter(result.document))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+
+  toJSON() {
+    return {
+      k1: this.k1,
+      b: this.b,
+      documents: [...this.documents.entries()].map(([id, { document }]) => ({
+        id,
+        pageContent: document.pageContent,
+        metadata: document.metadata
+      }))
+    };
+  }
+
+  static fromJSON(data) {
+    const index = new BM25Index({ k1: data.k1, b: data.b });
+    for (const { id, pageContent, metadata } of data.documents) {
+      index.addDocument(id, new Document({ pageContent, metadata }));
+    }
+    return index;
+  }
+}
+
+/**
+ * Path of the saved keyword index for a collection
+ * @param {string} indexDir - Directory holding ingestion manifests
+ * @param {string} collectionName - Collection name
+ * @returns {string} File path
+ */
+export function bm25Path(indexDir, collectionName) {
+  return path.join(indexDir, `${collectionName}.bm25.json`);
+}
+
+/**
+ * Load a collection's keyword index, or an empty one if none exists yet
+ * @param {string} indexDir - Directory holding ingestion manifests
+ * @param {string} collectionName - Collection name
+ * @returns {Promise<BM25Index>} Keyword index
+ */
+export async function loadBM25Index(indexDir, collectionName) {
+  try {
+    const raw = await fs.readFile(bm25Path(indexDir, collectionName), 'utf-8');
+    return BM25Index.fromJSON(JSON.parse(raw));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return new BM25Index();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save a collection's keyword index (temp file + rename)
+ * @param {string} indexDir - Directory holding ingestion manifests
+ * @param {string} collectionName - Collection name
+ * @param {BM25Index} index - Keyword index
+ * @returns {Promise<void>}
+ */
+export async function saveBM25Index(indexDir, collectionName, index) {
+  await fs.mkdir(indexDir, { recursive: true });
+  const target = bm25Path(indexDir, collectionName);
+  const temp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(index));
+  await fs.rename(temp, target);
+}
@@ -1,40 +1,56 @@
 // ChromaDB client utilities for the RAG application
 import { Chroma } from '@langchain/community/vectorstores/chroma';
-import { OpenAIEmbeddings } from '@langchain/openai';
+import { createEmbeddings } from './providers.js';
+import { RerankingRetriever } from './reranking.js';
+import { filteredSimilaritySearch } from './filters.js';
+
+export const DEFAULT_COLLECTION = 'rag-demo-collection';
 
 /**
- * Create a ChromaDB client with in-memory persistence
- * @returns {Object} ChromaDB client instance
+ * Create a ChromaDB client configuration
+ * @param {string} collectionName - Collection name (default: 'rag-demo-collection')
+ * @returns {Object} Embeddings, collection name and Chroma server URL
  */
-export async function createChromaClient() {
-  // Initialize OpenAI embeddings
-  const embeddings = new OpenAIEmbeddings();
+export async function createChromaClient(collectionName = DEFAULT_COLLECTION) {
+  // Initialize embeddings from the configured provider
+  const embeddings = createEmbeddings();
   
-  // ChromaDB collection name
-  const collectionName = 'rag-demo-collection';
+  // Chroma server URL (a persistent `chroma run` server by default)
+  const url = process.env.CHROMA_URL || 'http://localhost:8000';
   
-  // Create in-memory ChromaDB client
   return {
     embeddings,
-    collectionName
+    collectionName,
+    url
   };
 }
 
+/**
+ * Open a persistent ChromaDB collection, creating it on first write
+ * @param {string} collectionName - Collection name
+ * @returns {Promise<Object>} Vector store instance
+ */
+export async function getVectorStore(collectionName = DEFAULT_COLLECTION) {
+  const { embeddings, url } = await createChromaClient(collectionName);
+  return new Chroma(embeddings, { collectionName, url });
+}
+
 /**
  * Create a vector store from documents
  * @param {Array} documents - Array of document objects
+ * @param {string} collectionName - Collection name
  * @returns {Promise<Object>} Vector store instance
  */
-export async function createVectorStore(documents) {
+export async function createVectorStore(documents, collectionName = DEFAULT_COLLECTION) {
   // Get client configuration
-  const { embeddings, collectionName } = await createChromaClient();
+  const { embeddings, url } = await createChromaClient(collectionName);
   
   try {
     // Create vector store from documents
     const vectorStore = await Chroma.fromDocuments(
       documents,
       embeddings,
-      { collectionName }
+      { collectionName, url }
     );
     
     return vectorStore;
@@ -48,13 +64,28 @@ export async function createVectorStore(documents) {
  * Create retriever from an existing vector store
  * @param {Object} vectorStore - ChromaDB vector store
  * @param {number} k - Number of documents to retrieve (default: 3)
+ * @param {Object} options - Retrieval pipeline options
+ * @param {string} options.searchType - 'similarity' (default), 'mmr' or 'hybrid'
+ * @param {number} options.fetchK - Candidates to over-fetch before reranking
+ * @param {number} options.lambda - MMR diversity trade-off (0..1)
+ * @param {Object} options.keywordIndex - BM25Index for 'hybrid'
+ * @param {Object} options.reranker - Second-stage reranker (e.g. LexicalOverlapReranker)
+ * @param {number} options.minScore - Drop results the reranker scores below this
+ * @param {Object} options.filter - Metadata filter expression (see filters.js)
  * @returns {Object} Retriever instance
  */
-export function createRetriever(vectorStore, k = 3) {
-  return vectorStore.asRetriever({
-    k,
-    searchType: 'similarity'
-  });
+export function createRetriever(vectorStore, k = 3, options = {}) {
+  const { searchType = 'similarity', reranker, minScore, filter } = options;
+  
+  // Plain similarity search needs nothing beyond the built-in retriever
+  if (searchType === 'similarity' && !reranker && minScore === undefined && !filter) {
+    return vectorStore.asRetriever({
+      k,
+      searchType: 'similarity'
+    });
+  }
+  
+  return new RerankingRetriever({ vectorStore, k, ...options });
 }
 
 /**
@@ -62,12 +93,14 @@ export function createRetriever(vectorStore, k = 3) {
  * @param {Object} vectorStore - ChromaDB vector store
  * @param {string} query - User query
  * @param {number} k - Number of documents to retrieve
+ * @param {Object} filter - Metadata filter expression, e.g. { folder: 'team-a' }
+ *   or { modifiedAt: { $gte: '2026-07-01' } } (see filters.js)
  * @returns {Promise<Array>} Array of retrieved documents
  */
-export async function getSimilarDocuments(vectorStore, query, k = 3) {
+export async function getSimilarDocuments(vectorStore, query, k = 3, filter) {
   try {
-    const results = await vectorStore.similaritySearch(query, k);
-    return results;
+    const results = await filteredSimilaritySearch(vectorStore, query, k, filter);
+    return results.map(([document]) => document);
   } catch (error) {
     console.error('Error retrieving documents from ChromaDB:', error);
     throw error;
@@ -79,11 +112,12 @@ export async function getSimilarDocuments(vectorStore, query, k = 3) {
  * @param {string} collectionName - Name of collection to delete
  * @returns {Promise<void>}
  */
-export async function deleteCollection(collectionName = 'rag-demo-collection') {
+export async function deleteCollection(collectionName = DEFAULT_COLLECTION) {
   try {
-    const { embeddings } = await createChromaClient();
+    const { embeddings, url } = await createChromaClient(collectionName);
     const vectorStore = await Chroma.fromExistingCollection(embeddings, { 
-      collectionName 
+      collectionName,
+      url
     });
     await vectorStore.delete();
     console.log(`Collection ${collectionName} deleted`);
@@ -0,0 +1,271 @@
+// Chunking strategies: fixed-size, sentence, token-count and heading-aware
+import { Document } from '@langchain/core/documents';
+import { RecursiveCharacterTextSplitter } from 'langchain/text_splitter';
+import { getEncoding } from 'js-tiktoken';
+import { parseHeadings } from './documentUtils.js';
+
+export const CHUNKING_STRATEGIES = ['fixed', 'sentence', 'token', 'heading'];
+
+export const DEFAULT_CHUNKING = {
+  strategy: 'heading',
+  chunkSize: 500,
+  chunkOverlap: 100
+};
+
+let encoding;
+
+/**
+ * Count tokens with the cl100k_base encoding used by OpenAI models
+ * @param {string} text - Text to measure
+ * @returns {number} Token count
+ */
+export function countTokens(text) {
+  encoding = encoding ?? getEncoding('cl100k_base');
+  return encoding.encode(text).length;
+}
+
+/**
+ * Cut a span longer than `chunkSize` units into pieces that fit, breaking
+ * after whitespace where the piece has any
+ * @param {string} text - Text the span points into
+ * @param {Object} span - { start, end, size }
+ * @param {number} chunkSize - Maximum units per piece
+ * @param {Function} measure - (start, end) => units
+ * @returns {Array<Object>} Pieces as { start, end, size }
+ */
+function splitSpan(text, span, chunkSize, measure) {
+  const pieces = [];
+  let start = span.start;
+  while (start < span.end) {
+    let end = span.end;
+    let size = measure(start, end);
+    // Shrink in proportion until it fits (at least one character)
+    while (size > chunkSize && end - start > 1) {
+      end = start + Math.max(1, Math.floor((end - start) * chunkSize / size));
+      size = measure(start, end);
+    }
+    const space = end < span.end ? text.slice(start, end).search(/\s\S*$/) : -1;
+    if (space > 0) {
+      end = start + space + 1;
+      size = measure(start, end);
+    }
+    pieces.push({ start, end, size });
+    start = end;
+  }
+  return pieces;
+}
+
+/**
+ * Pack consecutive spans into chunks of at most `chunkSize` units, carrying
+ * up to `chunkOverlap` units of trailing spans into the next chunk. A span
+ * longer than `chunkSize` on its own is split first.
+ * @param {string} text - Text the spans point into
+ * @param {Array<Object>} spans - { start, end, size } in document order
+ * @param {Object} options - { chunkSize, chunkOverlap } in units
+ * @param {Function} measure - (start, end) => units of that part of the text
+ * @returns {Array<Object>} Chunk spans as { start, end }
+ */
+function packSpans(text, spans, { chunkSize, chunkOverlap }, measure) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  const pieces = spans.flatMap(span => span.size > chunkSize ? splitSpan(text, span, chunkSize, measure) : [span]);
+  for (const span of pieces) {
+    if (current.length > 0 && size + span.size > chunkSize) {
+      chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+
+      // Keep trailing spans as overlap, but always make progress
+      const overlap = [];
+      let overlapSize = 0;
+      for (let i = current.length - 1; i > 0; i--) {
+        if (overlapSize + current[i].size > chunkOverlap) break;
+        overlap.unshift(current[i]);
+        overlapSize += current[i].size;
+      }
+      current = overlap;
+      size = overlapSize;
+    }
+    current.push(span);
+    size += span.size;
+  }
+  if (current.length > 0) {
+    chunks.push({ start: current[0].start, end: current[current.length - 1].end });
+  }
+
+  return chunks;
+}
+
+/**
+ * Fixed-size character chunks (RecursiveCharacterTextSplitter)
+ * @param {string} text - Text to split
+ * @param {Object} options - { chunkSize, chunkOverlap } in characters
+ * @returns {Promise<Array<Object>>} Chunk spans as { start, end }
+ */
+async function fixedSpans(text, { chunkSize, chunkOverlap }) {
+  const splitter = new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap });
+  const pieces = await splitter.splitText(text);
+
+  // The splitter returns trimmed substrings; find each one after the start
+  // of the previous piece to recover character offsets
+  const spans = [];
+  let searchFrom = 0;
+  for (const piece of pieces) {
+    let start = text.indexOf(piece, searchFrom);
+    if (start === -1) start = text.indexOf(piece);
+    if (start === -1) continue;
+    spans.push({ start, end: start + piece.length });
+    searchFrom = start + 1;
+  }
+  return spans;
+}
+
+/**
+ * Chunks made of whole sentences, up to `chunkSize` characters
+ * @param {string} text - Text to split
+ * @param {Object} options - { chunkSize, chunkOverlap } in characters
+ * @returns {Array<Object>} Chunk spans as { start, end }
+ */
+function sentenceSpans(text, { chunkSize, chunkOverlap }) {
+  const sentences = [];
+  const sentenceRegex = /[^.!?\n]+(?:[.!?]+|\n|$)/g;
+  let match;
+  while ((match = sentenceRegex.exec(text)) !== null) {
+    if (match[0].trim() === '') continue;
+    const leading = match[0].length - match[0].trimStart().length;
+    const start = match.index + leading;
+    const end = match.index + match[0].trimEnd().length;
+    sentences.push({ start, end, size: end - start + 1 });
+  }
+  return packSpans(text, sentences, { chunkSize, chunkOverlap }, (start, end) => end - start + 1);
+}
+
+/**
+ * Chunks of at most `chunkSize` tokens. Words are only split when one alone
+ * is longer than that, so offsets stay exact even where a token boundary
+ * falls inside a character.
+ * @param {string} text - Text to split
+ * @param {Object} options - { chunkSize, chunkOverlap } in tokens
+ * @returns {Array<Object>} Chunk spans as { start, end }
+ */
+function tokenSpans(text, { chunkSize, chunkOverlap }) {
+  const words = [];
+  const wordRegex = /\S+/g;
+  let match;
+  while ((match = wordRegex.exec(text)) !== null) {
+    words.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      size: countTokens(` ${match[0]}`)
+    });
+  }
+  return packSpans(text, words, { chunkSize, chunkOverlap }, (start, end) => countTokens(` ${text.slice(start, end)}`));
+}
+
+/**
+ * Chunks that follow the `#` heading hierarchy. Each section becomes one
+ * chunk (or several fixed-size chunks when it is longer than `chunkSize`)
+ * and carries its section path, e.g. "Vector DBs > Indexing".
+ * @param {string} text - Text to split
+ * @param {Object} options - { chunkSize, chunkOverlap } in characters
+ * @returns {Promise<Array<Object>>} Chunk spans as { start, end, sectionPath }
+ */
+async function headingSpans(text, options) {
+  const headings = parseHeadings(text);
+  const sections = [];
+
+  // Text before the first heading has no section path
+  const firstHeading = headings[0]?.index ?? text.length;
+  if (text.slice(0, firstHeading).trim()) {
+    sections.push({ start: 0, end: firstHeading, path: [] });
+  }
+
+  const stack = [];
+  headings.forEach((heading, i) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    stack.push(heading);
+
+    const end = headings[i + 1]?.index ?? text.length;
+    const bodyStart = text.indexOf('\n', heading.index);
+    // A heading with no body of its own only contributes to its children's path.
+    // The heading line itself is left out: it is the end of the section path.
+    if (bodyStart !== -1 && bodyStart < end && text.slice(bodyStart, end).trim()) {
+      sections.push({ start: bodyStart, end, path: stack.map(h => h.text) });
+    }
+  });
+
+  const spans = [];
+  for (const section of sections) {
+    const sectionPath = section.path.join(' > ');
+    const sectionText = text.slice(section.start, section.end);
+    const pieces = sectionText.trim().length <= options.chunkSize
+      ? [{ start: sectionText.length - sectionText.trimStart().length, end: sectionText.trimEnd().length }]
+      : await fixedSpans(sectionText, options);
+    for (const piece of pieces) {
+      spans.push({ start: section.start + piece.start, end: section.start + piece.end, sectionPath });
+    }
+  }
+  return spans;
+}
+
+const STRATEGY_SPANS = {
+  fixed: fixedSpans,
+  sentence: sentenceSpans,
+  token: tokenSpans,
+  heading: headingSpans
+};
+
+/**
+ * Split documents into chunks with the chosen strategy. Every chunk records
+ * `startOffset`/`endOffset` into its source document's text; heading-aware
+ * chunks also record `sectionPath`, which is prepended to the chunk text so
+ * the section context is part of what gets embedded.
+ * @param {Array<Document>} documents - Documents to split
+ * @param {Object} options - { strategy, chunkSize, chunkOverlap }
+ * @returns {Promise<Array<Document>>} Chunks
+ */
+export async function splitDocuments(documents, options = {}) {
+  const settings = { ...DEFAULT_CHUNKING, ...options };
+  const computeSpans = STRATEGY_SPANS[settings.strategy];
+  if (!computeSpans) {
+    throw new Error(`Unknown chunking strategy "${settings.strategy}". Use one of: ${CHUNKING_STRATEGIES.join(', ')}`);
+  }
+
+  const chunks = [];
+  for (const document of documents) {
+    const text = String(document.pageContent ?? '');
+    for (const span of await computeSpans(text, settings)) {
+      const body = text.slice(span.start, span.end);
+      chunks.push(new Document({
+        pageContent: span.sectionPath ? `${span.sectionPath}\n\n${body}` : body,
+        metadata: {
+          ...document.metadata,
+          startOffset: span.start,
+          endOffset: span.end,
+          ...(span.sectionPath && { sectionPath: span.sectionPath })
+        }
+      }));
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Number chunks per source file and give each a stable `chunkId`
+ * ("<relativePath>::<index>"), shared by the vector store and keyword index
+ * @param {Array<Document>} chunks - Chunks in document order
+ * @returns {Array<string>} Chunk ids, same order as chunks
+ */
+export function assignChunkIds(chunks) {
+  const counters = new Map();
+  return chunks.map(chunk => {
+    const key = chunk.metadata.relativePath ?? chunk.metadata.source;
+    const index = counters.get(key) ?? 0;
+    counters.set(key, index + 1);
+    chunk.metadata.chunkIndex = index;
+    chunk.metadata.chunkId = `${key}::${index}`;
+    return chunk.metadata.chunkId;
+  });
+}
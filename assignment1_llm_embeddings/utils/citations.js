@@ -0,0 +1,147 @@
+// Structured citations: numbered sources in the prompt, parsed and validated
+// citation markers in the answer
+import path from 'path';
+import { chunkIdOf } from './hybridSearch.js';
+import { analyze } from './bm25.js';
+
+export const CITATION_INSTRUCTIONS =
+  'Cite the sources you use with their number in square brackets, e.g. [1] or [1, 2]. ' +
+  'Only cite the numbered sources above. If they do not contain the answer, say so.';
+
+/**
+ * Citation record for a retrieved chunk
+ * @param {Document} document - Retrieved chunk
+ * @param {number} number - 1-based source number used in the prompt
+ * @returns {Object} { number, chunkId, filename, relativePath, title, chunkIndex,
+ *   startOffset, endOffset, sectionPath, page }
+ */
+export function describeSource(document, number) {
+  const metadata = document.metadata ?? {};
+  const file = metadata.relativePath ?? metadata.source ?? '';
+  return {
+    number,
+    chunkId: chunkIdOf(document),
+    filename: path.basename(file),
+    relativePath: metadata.relativePath ?? file,
+    title: metadata.title,
+    chunkIndex: metadata.chunkIndex,
+    startOffset: metadata.startOffset,
+    endOffset: metadata.endOffset,
+    sectionPath: metadata.sectionPath,
+    page: metadata.page
+  };
+}
+
+/**
+ * Retrieved chunks as shown in a source inspector: the citation record plus
+ * the chunk text, its retrieval scores and where the query's terms occur in it
+ * @param {string} query - Query the chunks were retrieved for
+ * @param {Array<Object>} results - Retriever results as { document, score, scores }
+ * @returns {Array<Object>} describeSource() records plus { text, score, scores,
+ *   matches: [[start, end], ...] } (character ranges in `text`)
+ */
+export function inspectSources(query, results) {
+  const queryTerms = new Set(analyze(query));
+  return results.map(({ document, score, scores }, i) => {
+    const text = document.pageContent;
+    const matches = [...text.matchAll(/[\p{L}\p{N}]+/gu)]
+      .filter(([word]) => queryTerms.has(word.toLowerCase()))
+      .map(match => [match.index, match.index + match[0].length]);
+    return { ...describeSource(document, i + 1), text, score, scores, matches };
+  });
+}
+
+/**
+ * Render retrieved chunks as numbered source blocks for the prompt
+ * @param {Array<Document>} documents - Retrieved chunks, in citation order
+ * @returns {string} Context text
+ */
+export function formatSources(documents) {
+  return documents.map((document, i) => {
+    const { filename, title } = describeSource(document, i + 1);
+    const label = title && title !== path.basename(filename, path.extname(filename))
+      ? `${filename} (${title})`
+      : filename;
+    return `[${i + 1}] ${label}:\n${document.pageContent}`;
+  }).join('\n\n');
+}
+
+/**
+ * Build the answer prompt with numbered sources and citation instructions
+ * @param {string} query - User question
+ * @param {Array<Document>} documents - Retrieved chunks
+ * @returns {string} Prompt
+ */
+export function buildCitationPrompt(query, documents) {
+  return `Answer the question based on the following sources:
+
+${formatSources(documents)}
+
+Question: ${query}
+
+${CITATION_INSTRUCTIONS}`;
+}
+
+/**
+ * Find citation markers such as [1], [1, 3] or [Document 2] in an answer
+ * @param {string} text - Answer text
+ * @returns {Array<Object>} Markers as { numbers, start, end }, in text order
+ */
+export function parseCitationMarkers(text) {
+  const markers = [];
+  const markerRegex = /\[(?:Document\s+)?(\d+(?:\s*,\s*(?:Document\s+)?\d+)*)\]/gi;
+  let match;
+  while ((match = markerRegex.exec(text)) !== null) {
+    markers.push({
+      numbers: match[1].match(/\d+/g).map(Number),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+  return markers;
+}
+
+/**
+ * Validate an answer's citation markers against the chunks actually
+ * retrieved. Numbers outside 1..documents.length are hallucinated.
+ * @param {string} answer - Answer text
+ * @param {Array<Document>} documents - Chunks the answer was generated from
+ * @returns {Object} { answer, citations, invalidCitations, sources, markers }.
+ *   `citations` lists the cited sources in order of first mention;
+ *   `invalidCitations` the numbers that match no source.
+ */
+export function resolveCitations(answer, documents) {
+  const sources = documents.map((document, i) => describeSource(document, i + 1));
+  const markers = parseCitationMarkers(answer).map(marker => ({
+    ...marker,
+    valid: marker.numbers.every(number => number >= 1 && number <= sources.length)
+  }));
+
+  const cited = new Set();
+  const invalid = new Set();
+  for (const { numbers } of markers) {
+    for (const number of numbers) {
+      (number >= 1 && number <= sources.length ? cited : invalid).add(number);
+    }
+  }
+
+  return {
+    answer,
+    citations: [...cited].map(number => sources[number - 1]),
+    invalidCitations: [...invalid],
+    sources,
+    markers
+  };
+}
+
+/**
+ * Ask the model for a cited answer and return it in structured form
+ * @param {Object} llm - Chat model
+ * @param {string} query - User question
+ * @param {Array<Document>} documents - Retrieved chunks
+ * @returns {Promise<Object>} See resolveCitations
+ */
+export async function generateCitedAnswer(llm, query, documents) {
+  const response = await llm.invoke(buildCitationPrompt(query, documents));
+  return resolveCitations(String(response.content), documents);
+}
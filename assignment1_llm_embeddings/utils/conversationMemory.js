@@ -0,0 +1,208 @@
+// Server-side conversation sessions: token-budgeted history, rolling summary
+// of older turns and follow-up question condensing
+import { randomUUID } from 'crypto';
+import { AIMessage, HumanMessage } from '@langchain/core/messages';
+import { countTokens } from './chunking.js';
+
+const CONDENSE_PROMPT = `Given the conversation below, rewrite the follow-up question as a standalone question that can be understood without the conversation. Resolve references such as "it" or "the second one". Keep the user's language and do not answer the question.
+
+{summary}Chat history:
+{history}
+
+Follow-up question: {question}
+Standalone question:`;
+
+const SUMMARY_PROMPT = `Progressively summarize the conversation, adding onto the previous summary. Keep names, facts, decisions and open questions; drop small talk.
+
+Previous summary:
+{summary}
+
+New lines of conversation:
+{lines}
+
+Updated summary:`;
+
+/**
+ * Render turns as "User: ..." / "Assistant: ..." lines
+ * @param {Array<Object>} turns - { role: 'user' | 'assistant', content }
+ * @returns {string} Transcript
+ */
+function formatTranscript(turns) {
+  return turns
+    .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}`)
+    .join('\n');
+}
+
+/**
+ * Thrown when a session is asked for by someone other than its owner
+ */
+export class SessionAccessError extends Error {
+  constructor(sessionId) {
+    super(`Session ${sessionId} belongs to another user`);
+    this.name = 'SessionAccessError';
+    this.code = 'forbidden';
+  }
+}
+
+/**
+ * Conversation sessions keyed by session id. Each session keeps the recent
+ * turns that fit in `maxHistoryTokens`; older turns are folded into a
+ * rolling summary by the model after each exchange.
+ */
+export class ConversationMemory {
+  /**
+   * @param {Object} options - Memory settings
+   * @param {Object} options.llm - Chat model used for summaries and condensing (temperature 0 works best)
+   * @param {number} options.maxHistoryTokens - Token budget for verbatim history (default: 1500)
+   * @param {number} options.maxSessions - Sessions kept before the least recently used is dropped (default: 1000)
+   * @param {number} options.ttlMs - Idle time after which a session expires (default: 30 minutes)
+   */
+  constructor({ llm, maxHistoryTokens = 1500, maxSessions = 1000, ttlMs = 30 * 60 * 1000 }) {
+    this.llm = llm;
+    this.maxHistoryTokens = maxHistoryTokens;
+    this.maxSessions = maxSessions;
+    this.ttlMs = ttlMs;
+    this.sessions = new Map(); // id -> session, least recently used first
+  }
+
+  /**
+   * Get a session, creating it if the id is unknown, missing or expired
+   * @param {string} sessionId - Session id from the client (optional)
+   * @param {string|null} owner - Who is asking, e.g. a username; a new session belongs to them (default: null, anyone)
+   * @returns {Object} Session { id, owner, summary, turns, updatedAt }
+   * @throws {SessionAccessError} If the session belongs to someone else
+   */
+  getSession(sessionId, owner = null) {
+    this.evictExpired();
+
+    let session = sessionId && this.sessions.get(sessionId);
+    if (session) {
+      if (session.owner !== owner) throw new SessionAccessError(session.id);
+      this.sessions.delete(session.id);
+    } else {
+      session = { id: sessionId || randomUUID(), owner, summary: '', turns: [], pending: null, updatedAt: Date.now() };
+    }
+    session.updatedAt = Date.now();
+    this.sessions.set(session.id, session);
+
+    while (this.sessions.size > this.maxSessions) {
+      this.sessions.delete(this.sessions.keys().next().value);
+    }
+    return session;
+  }
+
+  /**
+   * Who a live session belongs to
+   * @param {string} sessionId - Session id
+   * @returns {string|null|undefined} Its owner (null for anyone), or undefined if there is no such session
+   */
+  sessionOwner(sessionId) {
+    return this.sessions.get(sessionId)?.owner;
+  }
+
+  /**
+   * Forget a session
+   * @param {string} sessionId - Session id
+   * @returns {boolean} True if the session existed
+   */
+  deleteSession(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  // Drop sessions idle for longer than the TTL
+  evictExpired() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [id, session] of this.sessions) {
+      if (session.updatedAt >= cutoff) break; // Map order is least recently used first
+      this.sessions.delete(id);
+    }
+  }
+
+  /**
+   * Wait for the session's previous summary update, so a turn never sees a
+   * half-compacted history
+   * @param {Object} session - Session
+   * @returns {Promise<void>}
+   */
+  async settle(session) {
+    await session.pending;
+  }
+
+  /**
+   * The newest turns that fit in the token budget
+   * @param {Object} session - Session
+   * @returns {Array<Object>} Turns, oldest first
+   */
+  historyWindow(session) {
+    let tokens = 0;
+    let start = session.turns.length;
+    while (start > 0) {
+      const turnTokens = countTokens(session.turns[start - 1].content);
+      if (tokens + turnTokens > this.maxHistoryTokens) break;
+      tokens += turnTokens;
+      start--;
+    }
+    return session.turns.slice(start);
+  }
+
+  /**
+   * History as LangChain messages for the chat prompt
+   * @param {Object} session - Session
+   * @returns {Array<BaseMessage>} Human/AI messages, oldest first
+   */
+  historyMessages(session) {
+    return this.historyWindow(session).map(turn =>
+      (turn.role === 'user' ? new HumanMessage(turn.content) : new AIMessage(turn.content)));
+  }
+
+  /**
+   * Rewrite a follow-up question into a standalone query for retrieval.
+   * The first question of a session is returned unchanged.
+   * @param {Object} session - Session
+   * @param {string} question - Latest user question
+   * @returns {Promise<string>} Standalone question
+   */
+  async condenseQuestion(session, question) {
+    const history = this.historyWindow(session);
+    if (history.length === 0 && !session.summary) {
+      return question;
+    }
+
+    const prompt = CONDENSE_PROMPT
+      .replace('{summary}', () => (session.summary ? `Conversation summary:\n${session.summary}\n\n` : ''))
+      .replace('{history}', () => formatTranscript(history))
+      .replace('{question}', () => question);
+    const response = await this.llm.invoke(prompt);
+    const condensed = String(response.content).trim();
+    return condensed || question;
+  }
+
+  /**
+   * Record a completed exchange, then fold turns that no longer fit the
+   * token budget into the rolling summary (in the background; see settle)
+   * @param {Object} session - Session
+   * @param {string} question - User message
+   * @param {string} answer - Assistant reply
+   */
+  addExchange(session, question, answer) {
+    session.turns.push({ role: 'user', content: question }, { role: 'assistant', content: answer });
+    session.updatedAt = Date.now();
+    session.pending = this.compact(session).catch(error => {
+      console.error(`Failed to summarize session ${session.id}:`, error);
+    });
+  }
+
+  async compact(session) {
+    const overflow = session.turns.length - this.historyWindow(session).length;
+    if (overflow === 0) return;
+
+    const older = session.turns.slice(0, overflow);
+    const prompt = SUMMARY_PROMPT
+      .replace('{summary}', () => session.summary || '(none)')
+      .replace('{lines}', () => formatTranscript(older));
+    const response = await this.llm.invoke(prompt);
+
+    session.summary = String(response.content).trim();
+    session.turns = session.turns.slice(overflow);
+  }
+}
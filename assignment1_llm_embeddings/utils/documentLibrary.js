@@ -0,0 +1,355 @@
+// Document library: add, replace and delete the files behind a live knowledge base
+//
+// Every change is built next to the live indexes and swapped in at once:
+// changed files are loaded, chunked and embedded first, then a copy of the
+// keyword index (and, for in-memory stores, of the vector store) is updated
+// and the retriever switched over in one synchronous step. Queries already
+// running finish on the indexes they started with, so none of them sees a
+// half-updated index. A file's chunks are the ones whose
+// metadata.relativePath is the file.
+//
+// For an ingested Chroma collection the manifest and BM25 index on disk are
+// updated as well, so a later ingest.js run agrees with what the server did.
+// (Chroma itself is updated in place: new chunks are upserted before stale
+// ones are deleted, so a file is never missing from it.)
+import fs from 'fs/promises';
+import path from 'path';
+import { createDocumentSummary, listAvailableDocuments } from './documentUtils.js';
+import { isSupported, loadDocument, supportedExtensions } from './loaders.js';
+import { chunkFile, fileMetadata } from './ingestion.js';
+import { hashContent, loadManifest, saveManifest } from './indexManifest.js';
+import { saveBM25Index } from './bm25.js';
+
+// Uploaded file names: no directories, nothing hidden
+const FILENAME = /^[\w][\w .()-]{0,127}$/;
+
+/**
+ * A library operation that could not be done; `code` says why:
+ * document_not_found, document_exists, invalid_document or unsupported_format
+ */
+export class DocumentLibraryError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DocumentLibraryError';
+    this.code = code;
+  }
+}
+
+/**
+ * A file's text for a document viewer, with the span of one of its chunks
+ * @param {string} documentsDir - Directory holding the files
+ * @param {string} relativePath - File, relative to documentsDir ('/' separated)
+ * @param {Object} chunk - The chunk's metadata ({ page, rowStart, startOffset, endOffset }), if any
+ * @returns {Promise<Object>} { path, title, format, parts: [{ page, rowStart, text }],
+ *   highlight: { part, start, end } | null } (offsets into the part's text)
+ * @throws {DocumentLibraryError} document_not_found
+ */
+export async function readDocument(documentsDir, relativePath, chunk) {
+  const root = path.resolve(documentsDir);
+  const filePath = path.resolve(root, String(relativePath ?? ''));
+  const inside = filePath.startsWith(`${root}${path.sep}`);
+  const stats = inside && isSupported(filePath) ? await fs.stat(filePath).catch(() => null) : null;
+  if (!stats?.isFile()) {
+    throw new DocumentLibraryError(`Unknown document "${relativePath}"`, 'document_not_found');
+  }
+
+  const documents = await loadDocument(filePath);
+  const parts = documents.map(({ pageContent, metadata }) => ({ page: metadata.page, rowStart: metadata.rowStart, text: pageContent }));
+  // The part the chunk was cut from: same PDF page or CSV row range
+  const part = chunk ? parts.findIndex(({ page, rowStart }) => page === chunk.page && rowStart === chunk.rowStart) : -1;
+  const { title, format } = documents[0]?.metadata ?? {};
+  return {
+    path: path.relative(root, filePath).split(path.sep).join('/'),
+    title,
+    format,
+    parts,
+    highlight: part === -1 ? null : { part, start: chunk.startOffset, end: chunk.endOffset }
+  };
+}
+
+export class DocumentLibrary {
+  /**
+   * @param {Object} options - Library settings
+   * @param {string} options.documentsDir - Directory holding the files
+   * @param {Object} options.knowledgeBase - { retriever, vectorStore, keywordIndex } from
+   *   loadKnowledgeBase; its indexes are replaced on every change
+   * @param {string} options.collectionName - Ingested collection, if the knowledge base is one
+   * @param {string} options.indexDir - Directory holding the collection's manifest and BM25 index
+   * @param {Object} options.chunking - { strategy, chunkSize, chunkOverlap } for in-memory knowledge bases
+   */
+  constructor({ documentsDir, knowledgeBase, collectionName, indexDir, chunking = {} }) {
+    this.documentsDir = documentsDir;
+    this.knowledgeBase = knowledgeBase;
+    this.collectionName = collectionName;
+    this.indexDir = indexDir;
+    this.chunking = chunking;
+    this.pending = Promise.resolve();
+  }
+
+  // Run index changes one at a time so two updates never interleave
+  exclusive(task) {
+    const run = this.pending.then(task);
+    this.pending = run.catch(() => {});
+    return run;
+  }
+
+  // Ids of the chunks of a file, or of every file below a folder
+  chunkIds(relativePath) {
+    return this.knowledgeBase.keywordIndex.findIds(({ metadata }) =>
+      metadata.relativePath === relativePath || metadata.relativePath?.startsWith(`${relativePath}/`));
+  }
+
+  // Content hash a file was last indexed with (undefined if not indexed)
+  indexedHash(relativePath) {
+    const [id] = this.chunkIds(relativePath);
+    return id && this.knowledgeBase.keywordIndex.documents.get(id).document.metadata.contentHash;
+  }
+
+  /**
+   * The file behind a document id: the file name itself, if the file is on
+   * disk or still has chunks. Found without loading it, so a file that no
+   * longer loads can still be deleted.
+   * @param {string} id - Document id
+   * @returns {Promise<string>} File name
+   * @throws {DocumentLibraryError} document_not_found
+   */
+  async filenameOf(id) {
+    const filename = String(id ?? '');
+    const valid = filename === path.basename(filename) && !filename.startsWith('.') && isSupported(filename);
+    const stats = valid ? await fs.stat(path.join(this.documentsDir, filename)).catch(() => null) : null;
+    if (!stats?.isFile() && !(valid && this.chunkIds(filename).length > 0)) {
+      throw new DocumentLibraryError(`Unknown document "${id}"`, 'document_not_found');
+    }
+    return filename;
+  }
+
+  /**
+   * Documents with their indexing state (files that fail to load are skipped)
+   * @returns {Promise<Array<Object>>} [{ id, filename, format, title, wordCount, readingTime, chunks }]
+   */
+  async list() {
+    const documents = await listAvailableDocuments(this.documentsDir);
+    return documents.map(({ path: filePath, ...document }) => {
+      const filename = path.basename(filePath);
+      // The file name is the id: "notes.md" and "notes.txt" are two documents
+      return { ...document, id: filename, filename, chunks: this.chunkIds(filename).length };
+    });
+  }
+
+  /**
+   * One document with its heading outline
+   * @param {string} id - Document id (its file name, e.g. "handbook.md")
+   * @returns {Promise<Object>} List entry plus { outline, modifiedAt }
+   * @throws {DocumentLibraryError} document_not_found, or invalid_document if it does not load
+   */
+  async get(id) {
+    const filename = await this.filenameOf(id);
+    const filePath = path.join(this.documentsDir, filename);
+    let parts;
+    try {
+      parts = await loadDocument(filePath);
+    } catch (error) {
+      throw new DocumentLibraryError(`Could not read ${filename}: ${error.message}`, 'invalid_document');
+    }
+    const { mtime } = await fs.stat(filePath);
+    const { format, title, wordCount, readingTimeMinutes } = parts[0]?.metadata ?? {};
+    return {
+      id: filename,
+      filename,
+      format,
+      title,
+      wordCount,
+      readingTime: readingTimeMinutes,
+      chunks: this.chunkIds(filename).length,
+      outline: createDocumentSummary(parts.map(part => part.pageContent).join('\n\n')),
+      modifiedAt: mtime.toISOString()
+    };
+  }
+
+  /**
+   * Save a new file and index it
+   * @param {string} filename - File name, e.g. "handbook.md"
+   * @param {Buffer} content - File content
+   * @returns {Promise<Object>} The document (see get)
+   * @throws {DocumentLibraryError} invalid_document, unsupported_format or document_exists
+   */
+  async add(filename, content) {
+    if (!FILENAME.test(filename ?? '')) {
+      throw new DocumentLibraryError('File names use letters, digits, spaces, . ( ) - or _, and no folders', 'invalid_document');
+    }
+    if (!isSupported(filename)) {
+      throw new DocumentLibraryError(
+        `Unsupported format "${path.extname(filename)}". Supported: ${supportedExtensions().join(', ')}`,
+        'unsupported_format'
+      );
+    }
+    await this.exclusive(async () => {
+      const target = path.join(this.documentsDir, filename);
+      if (await fs.stat(target).catch(() => null)) {
+        throw new DocumentLibraryError(`Document "${filename}" already exists; delete it first`, 'document_exists');
+      }
+      // Write to a temporary file and rename, so nothing reads half a file
+      const temp = path.join(this.documentsDir, `.${filename}.${process.pid}.tmp`);
+      await fs.writeFile(temp, content);
+      await fs.rename(temp, target);
+      const { errors } = await this.applyChanges([filename]);
+      if (errors.length > 0) {
+        // A file that can't be loaded is not kept
+        await fs.rm(target, { force: true });
+        throw new DocumentLibraryError(`Could not index ${filename}: ${errors[0].error}`, 'invalid_document');
+      }
+    });
+    return this.get(filename);
+  }
+
+  /**
+   * Delete a file and its chunks
+   * @param {string} id - Document id
+   * @returns {Promise<Object>} { id, filename, chunksRemoved }
+   * @throws {DocumentLibraryError} document_not_found
+   */
+  async remove(id) {
+    const filename = await this.filenameOf(id);
+    return this.exclusive(async () => {
+      await fs.rm(path.join(this.documentsDir, filename), { force: true });
+      const { chunksRemoved } = await this.applyChanges([filename]);
+      return { id, filename, chunksRemoved };
+    });
+  }
+
+  /**
+   * Re-chunk and re-embed a file (e.g. after changing the chunking settings)
+   * @param {string} id - Document id
+   * @returns {Promise<Object>} { id, filename, chunksRemoved, chunksAdded }
+   * @throws {DocumentLibraryError} document_not_found, or invalid_document if it no longer loads
+   */
+  async reindex(id) {
+    const filename = await this.filenameOf(id);
+    return this.exclusive(async () => {
+      const { chunksRemoved, chunksAdded, errors } = await this.applyChanges([filename], { force: true });
+      if (errors.length > 0) {
+        throw new DocumentLibraryError(`Could not index ${filename}: ${errors[0].error}`, 'invalid_document');
+      }
+      return { id, filename, chunksRemoved, chunksAdded };
+    });
+  }
+
+  /**
+   * Bring the index in line with some paths on disk (files or folders, e.g.
+   * from a file watcher). Existing supported files are (re)indexed unless
+   * unchanged; missing paths lose their chunks.
+   * @param {Array<string>} relativePaths - Paths relative to documentsDir, '/' separated
+   * @returns {Promise<Object>} { added, changed, deleted, unchanged, errors: [{ file, error }],
+   *   chunksAdded, chunksRemoved }
+   */
+  sync(relativePaths) {
+    return this.exclusive(() => this.applyChanges(relativePaths));
+  }
+
+  // Sort paths into files to (re)index and paths to drop
+  async plan(relativePaths, force) {
+    const plan = { added: [], changed: [], deleted: [], unchanged: [], hashes: {} };
+    for (const relativePath of new Set(relativePaths)) {
+      const stats = await fs.stat(path.join(this.documentsDir, relativePath)).catch(() => null);
+      if (stats?.isDirectory()) continue; // Its files have events of their own
+      if (!stats || !isSupported(relativePath)) {
+        if (this.chunkIds(relativePath).length > 0) plan.deleted.push(relativePath);
+        continue;
+      }
+      const hash = hashContent(await fs.readFile(path.join(this.documentsDir, relativePath)));
+      if (this.chunkIds(relativePath).length === 0) {
+        plan.added.push(relativePath);
+      } else if (this.indexedHash(relativePath) !== hash || force) {
+        plan.changed.push(relativePath);
+      } else {
+        plan.unchanged.push(relativePath);
+      }
+      plan.hashes[relativePath] = hash;
+    }
+    return plan;
+  }
+
+  async applyChanges(relativePaths, { force = false } = {}) {
+    const { hashes, ...plan } = await this.plan(relativePaths, force);
+    const settings = await this.chunkingSettings();
+
+    // 1. Load and chunk the new versions. A file that fails keeps its old chunks.
+    const errors = [];
+    const documents = [];
+    const ids = [];
+    const indexed = {};
+    for (const relativePath of [...plan.added, ...plan.changed]) {
+      try {
+        const fileInfo = { ...await fileMetadata(this.documentsDir, relativePath), hash: hashes[relativePath] };
+        const loaded = await loadDocument(path.join(this.documentsDir, relativePath));
+        const chunks = await chunkFile(loaded, fileInfo, settings);
+        documents.push(...chunks.documents);
+        ids.push(...chunks.ids);
+        indexed[relativePath] = chunks.ids;
+      } catch (error) {
+        errors.push({ file: relativePath, error: error.message });
+      }
+    }
+    const replaced = Object.keys(indexed);
+    const stale = [...replaced, ...plan.deleted].flatMap(relativePath => this.chunkIds(relativePath));
+
+    if (documents.length > 0 || stale.length > 0) {
+      // 2. Build the updated indexes next to the live ones
+      const { retriever, vectorStore } = this.knowledgeBase;
+      const keywordIndex = this.knowledgeBase.keywordIndex.clone();
+      stale.forEach(id => keywordIndex.removeDocument(id));
+      keywordIndex.addDocuments(documents, ids);
+
+      let nextVectorStore = vectorStore;
+      if (typeof vectorStore.withChanges === 'function') {
+        nextVectorStore = await vectorStore.withChanges({ remove: stale, documents, ids });
+      } else {
+        if (documents.length > 0) await vectorStore.addDocuments(documents, { ids });
+        const kept = new Set(ids);
+        const removed = stale.filter(id => !kept.has(id));
+        if (removed.length > 0) await vectorStore.delete({ ids: removed });
+      }
+
+      // 3. Swap them in at once
+      Object.assign(this.knowledgeBase, { vectorStore: nextVectorStore, keywordIndex });
+      retriever?.useIndexes({ vectorStore: nextVectorStore, keywordIndex });
+      await this.persist(indexed, plan.deleted);
+    }
+
+    return {
+      added: plan.added.filter(relativePath => indexed[relativePath]),
+      changed: plan.changed.filter(relativePath => indexed[relativePath]),
+      deleted: plan.deleted,
+      unchanged: plan.unchanged,
+      errors,
+      chunksAdded: documents.length,
+      chunksRemoved: stale.length
+    };
+  }
+
+  // An ingested collection keeps the chunking it was built with
+  async chunkingSettings() {
+    if (!this.collectionName) return this.chunking;
+    const manifest = await loadManifest(this.indexDir, this.collectionName);
+    return manifest.settings ?? this.chunking;
+  }
+
+  // Record indexed ({ relativePath: chunkIds }) and deleted files in an ingested collection's manifest
+  async persist(indexed, deleted) {
+    if (!this.collectionName) return;
+    const manifest = await loadManifest(this.indexDir, this.collectionName);
+    // Indexed with the manifest's settings (see chunkingSettings())
+    const settingsKey = manifest.settings && hashContent(JSON.stringify(manifest.settings));
+    for (const [relativePath, chunkIds] of Object.entries(indexed)) {
+      const hash = this.indexedHash(relativePath);
+      manifest.files[relativePath] = { hash, chunkIds, settingsKey, indexedAt: new Date().toISOString() };
+    }
+    for (const relativePath of deleted) {
+      for (const file of Object.keys(manifest.files)) {
+        if (file === relativePath || file.startsWith(`${relativePath}/`)) delete manifest.files[file];
+      }
+    }
+    await saveManifest(this.indexDir, manifest);
+    await saveBM25Index(this.indexDir, this.collectionName, this.knowledgeBase.keywordIndex);
+  }
+}
@@ -1,20 +1,23 @@
 // Utility functions for document processing in RAG applications
 import fs from 'fs/promises';
 import path from 'path';
+import { isSupported, loadDocument } from './loaders.js';
 
 /**
  * Extracts metadata from document content
  * @param {string} content - The document content
  * @param {string} filePath - The document file path
+ * @param {object} formatMetadata - Metadata from the format loader (format,
+ *   HTML/PDF title, PDF page numbers, CSV row ranges, ...)
  * @returns {object} Document metadata
  */
-export function extractMetadata(content, filePath) {
+export function extractMetadata(content, filePath, formatMetadata = {}) {
   // Get filename without extension
   const filename = path.basename(filePath, path.extname(filePath));
   
-  // Extract title - first heading if available
+  // Extract title - format title (HTML <title>, PDF info), then first heading
   const titleMatch = content.match(/^#\s+(.*)/m);
-  const title = titleMatch ? titleMatch[1].trim() : filename;
+  const title = formatMetadata.title || (titleMatch ? titleMatch[1].trim() : filename);
   
   // Count sections (headings)
   const sectionCount = (content.match(/^#{1,6}\s+/gm) || []).length;
@@ -24,6 +27,7 @@ export function extractMetadata(content, filePath) {
   const readingTimeMinutes = Math.ceil(wordCount / 200);
   
   return {
+    ...formatMetadata,
     title,
     filename,
     filePath,
@@ -35,22 +39,50 @@ export function extractMetadata(content, filePath) {
 }
 
 /**
- * Creates a document summary
+ * Parses the Markdown heading hierarchy of a document. `#` lines inside
+ * fenced code blocks (``` or ~~~) are code, not headings.
  * @param {string} content - The document content
- * @returns {string} A brief summary of the document
+ * @returns {Array<object>} Headings as { level, text, index } where index is
+ *   the character offset of the heading line
  */
-export function createDocumentSummary(content) {
-  // Extract all headings
+export function parseHeadings(content) {
   const headings = [];
-  const headingRegex = /^(#{1,6})\s+(.*)/gm;
+  const lineRegex = /^.*$/gm;
+  let fence = null;
   let match;
   
-  while ((match = headingRegex.exec(content)) !== null) {
-    const level = match[1].length;
-    const text = match[2].trim();
-    headings.push({ level, text });
+  while ((match = lineRegex.exec(content)) !== null) {
+    const line = match[0];
+    const fenceMatch = line.match(/^ {0,3}(`{3,}|~{3,})/);
+    if (fence) {
+      // A closing fence uses the same character, at least as many times
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && !line.slice(fenceMatch[0].length).trim()) {
+        fence = null;
+      }
+    } else if (fenceMatch) {
+      fence = fenceMatch[1];
+    } else {
+      const headingMatch = line.match(/^(#{1,6})\s+(.*)/);
+      if (headingMatch) {
+        headings.push({ level: headingMatch[1].length, text: headingMatch[2].trim(), index: match.index });
+      }
+    }
+    // An empty match doesn't advance the regex
+    if (line === '') lineRegex.lastIndex++;
   }
   
+  return headings;
+}
+
+/**
+ * Creates a document summary
+ * @param {string} content - The document content
+ * @returns {string} A brief summary of the document
+ */
+export function createDocumentSummary(content) {
+  // Extract all headings
+  const headings = parseHeadings(content);
+  
   // Create outline
   let outline = 'Document outline:\n';
   headings.forEach(heading => {
@@ -68,17 +100,31 @@ export function createDocumentSummary(content) {
 export async function listAvailableDocuments(documentsDir = './documents') {
   try {
     const files = await fs.readdir(documentsDir);
-    const textFiles = files.filter(file => path.extname(file).toLowerCase() === '.txt');
+    const supportedFiles = files.filter(file => isSupported(file));
+    
+    // Report files no loader understands instead of skipping them silently
+    const unsupportedFiles = files.filter(file => !isSupported(file) && !file.startsWith('.'));
+    if (unsupportedFiles.length > 0) {
+      console.warn(`Skipping unsupported documents: ${unsupportedFiles.join(', ')}`);
+    }
     
     const documents = await Promise.all(
-      textFiles.map(async (file) => {
+      supportedFiles.map(async (file) => {
         const filePath = path.join(documentsDir, file);
-        const content = await fs.readFile(filePath, 'utf-8');
-        const metadata = extractMetadata(content, filePath);
+        let parts;
+        try {
+          parts = await loadDocument(filePath);
+        } catch (error) {
+          // One broken file shouldn't hide the others
+          console.warn(`Skipping unreadable document ${file}: ${error.message}`);
+          return null;
+        }
+        const metadata = parts[0]?.metadata ?? extractMetadata('', filePath);
         
         return {
           id: path.basename(file, path.extname(file)),
           path: filePath,
+          format: metadata.format,
           title: metadata.title,
           wordCount: metadata.wordCount,
           readingTime: metadata.readingTimeMinutes
@@ -86,7 +132,7 @@ export async function listAvailableDocuments(documentsDir = './documents') {
       })
     );
     
-    return documents;
+    return documents.filter(Boolean);
   } catch (error) {
     console.error('Error listing documents:', error);
     return [];
@@ -0,0 +1,134 @@
+// Watch mode: keep a knowledge base in sync with its documents directory
+//
+// File events are collected until nothing has changed for `debounceMs`
+// (editors and copies write in several steps), then the affected paths go
+// to DocumentLibrary.sync(), which re-chunks and re-embeds only those files
+// and swaps the result in atomically. Progress and errors are written to a
+// structured log (one JSON object per line) and emitted as events, so chat
+// servers can pass them on to their users.
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+/**
+ * Write one structured log line: { time, level, event, ...details }
+ * @param {string} level - 'info' or 'error'
+ * @param {string} event - What happened, e.g. 'index.sync.completed'
+ * @param {Object} details - Extra fields
+ */
+export function logEvent(level, event, details = {}) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level, event, ...details });
+  if (level === 'error') {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * One-line description of a sync for people, e.g.
+ * "notes.md added, faq.md deleted (6 chunks embedded, 3 removed)"
+ * @param {Object} summary - Result of DocumentLibrary.sync()
+ * @returns {string} Description
+ */
+export function describeUpdate(summary) {
+  const changes = [
+    ...summary.added.map(file => `${file} added`),
+    ...summary.changed.map(file => `${file} updated`),
+    ...summary.deleted.map(file => `${file} deleted`)
+  ];
+  const failures = summary.errors.map(({ file, error }) => `could not index ${file} (${error})`);
+  const counts = changes.length > 0 ? ` (${summary.chunksAdded} chunks embedded, ${summary.chunksRemoved} removed)` : '';
+  return [changes.join(', ') + counts, ...failures].filter(Boolean).join('; ');
+}
+
+/**
+ * Watches a DocumentLibrary's directory. Events:
+ *   'update' (summary) - after a sync that added, changed, deleted or failed to index files
+ *   'failed' (error)   - the sync itself failed; the previous index stays in use
+ */
+export class DocumentWatcher extends EventEmitter {
+  /**
+   * @param {Object} options - Watcher settings
+   * @param {DocumentLibrary} options.library - Library to keep in sync
+   * @param {number} options.debounceMs - Quiet time before syncing (default: 500)
+   * @param {Function} options.log - (level, event, details) structured logger (default: JSON lines)
+   */
+  constructor({ library, debounceMs = 500, log = logEvent }) {
+    super();
+    this.library = library;
+    this.debounceMs = debounceMs;
+    this.log = log;
+    this.changed = new Set(); // relative paths waiting for the next sync
+    this.timer = null;
+    this.watcher = null;
+  }
+
+  /**
+   * Start watching (recursively)
+   * @returns {DocumentWatcher} this
+   */
+  start() {
+    const { documentsDir } = this.library;
+    this.watcher = fs.watch(documentsDir, { recursive: true }, (eventType, filename) => {
+      if (filename) this.queue(filename.toString());
+    });
+    this.watcher.on('error', error => {
+      this.log('error', 'index.watch.failed', { documentsDir, error: error.message });
+      this.emit('failed', error);
+    });
+    this.log('info', 'index.watch.started', { documentsDir, debounceMs: this.debounceMs });
+    return this;
+  }
+
+  // Remember a changed path and (re)start the quiet-time timer
+  queue(filename) {
+    const relativePath = filename.split(path.sep).join('/');
+    // Hidden and temporary files (e.g. uploads being written) are not documents
+    if (relativePath.split('/').some(part => part.startsWith('.'))) return;
+    this.changed.add(relativePath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  /**
+   * Sync everything queued so far
+   * @returns {Promise<Object|null>} The sync summary, or null if it failed
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    const files = [...this.changed];
+    this.changed.clear();
+    if (files.length === 0) return null;
+
+    const startedAt = Date.now();
+    try {
+      const summary = await this.library.sync(files);
+      const { added, changed, deleted, errors } = summary;
+      if (added.length + changed.length + deleted.length + errors.length === 0) {
+        return summary; // Touched but unchanged
+      }
+      errors.forEach(({ file, error }) => this.log('error', 'index.file.failed', { file, error }));
+      this.log('info', 'index.sync.completed', {
+        added,
+        changed,
+        deleted,
+        failed: errors.map(({ file }) => file),
+        chunksAdded: summary.chunksAdded,
+        chunksRemoved: summary.chunksRemoved,
+        durationMs: Date.now() - startedAt
+      });
+      this.emit('update', summary);
+      return summary;
+    } catch (error) {
+      this.log('error', 'index.sync.failed', { files, error: error.message });
+      this.emit('failed', error);
+      return null;
+    }
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    this.watcher?.close();
+  }
+}
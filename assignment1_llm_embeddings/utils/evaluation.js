@@ -0,0 +1,195 @@
+// Evaluation harness: golden question sets, retrieval metrics and answer metrics
+import fs from 'fs/promises';
+import { analyze } from './bm25.js';
+import { generateCitedAnswer } from './citations.js';
+
+/**
+ * Load a JSONL golden set. Each line is
+ * { id?, question, expectedSources?: [relativePath | chunkId], referenceAnswer? }
+ * and needs at least one of expectedSources / referenceAnswer.
+ * @param {string} filePath - JSONL file
+ * @returns {Promise<Array<Object>>} Questions
+ */
+export async function loadEvalSet(filePath) {
+  const raw = await fs.readFile(filePath, 'utf-8');
+  const questions = [];
+  raw.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${filePath}:${i + 1}: invalid JSON (${error.message})`);
+    }
+    if (typeof entry.question !== 'string' || !entry.question.trim()) {
+      throw new Error(`${filePath}:${i + 1}: "question" must be a non-empty string`);
+    }
+    if (!entry.expectedSources?.length && !entry.referenceAnswer) {
+      throw new Error(`${filePath}:${i + 1}: needs "expectedSources" and/or "referenceAnswer"`);
+    }
+    questions.push({ id: entry.id ?? `q${questions.length + 1}`, ...entry });
+  });
+  return questions;
+}
+
+/**
+ * Index of the expected source a retrieved chunk belongs to. A source
+ * matches by chunk id or by relative path (any chunk of the file).
+ * @param {Object} document - Retrieved chunk
+ * @param {Array<string>} expectedSources - Expected relative paths or chunk ids
+ * @returns {number} Index into expectedSources, or -1
+ */
+function matchSource(document, expectedSources) {
+  const { chunkId, relativePath, source } = document.metadata ?? {};
+  return expectedSources.findIndex(expected =>
+    expected === chunkId || expected === relativePath || expected === source);
+}
+
+/**
+ * Rank-based retrieval metrics with binary relevance. Several chunks of the
+ * same expected source only count once, at the rank of the first one.
+ * @param {Array<Object>} documents - Retrieved chunks, best first
+ * @param {Array<string>} expectedSources - Expected relative paths or chunk ids
+ * @param {number} k - Cut-off
+ * @returns {Object} { recall, mrr, ndcg } at k
+ */
+export function retrievalMetrics(documents, expectedSources, k) {
+  const found = new Set();
+  let mrr = 0;
+  let dcg = 0;
+
+  documents.slice(0, k).forEach((document, i) => {
+    const match = matchSource(document, expectedSources);
+    if (match === -1) return;
+    if (mrr === 0) mrr = 1 / (i + 1);
+    if (!found.has(match)) {
+      found.add(match);
+      dcg += 1 / Math.log2(i + 2);
+    }
+  });
+
+  let idealDcg = 0;
+  for (let i = 0; i < Math.min(expectedSources.length, k); i++) {
+    idealDcg += 1 / Math.log2(i + 2);
+  }
+
+  return {
+    recall: found.size / expectedSources.length,
+    mrr,
+    ndcg: idealDcg > 0 ? dcg / idealDcg : 0
+  };
+}
+
+/**
+ * Token-level F1 between an answer and a reference answer
+ * @param {string} answer - Generated answer
+ * @param {string} reference - Reference answer
+ * @returns {number} F1 in [0, 1]
+ */
+export function tokenF1(answer, reference) {
+  const answerTokens = analyze(answer);
+  const referenceCounts = new Map();
+  for (const token of analyze(reference)) {
+    referenceCounts.set(token, (referenceCounts.get(token) ?? 0) + 1);
+  }
+  const referenceLength = [...referenceCounts.values()].reduce((sum, n) => sum + n, 0);
+
+  let common = 0;
+  for (const token of answerTokens) {
+    const remaining = referenceCounts.get(token) ?? 0;
+    if (remaining > 0) {
+      common++;
+      referenceCounts.set(token, remaining - 1);
+    }
+  }
+  if (common === 0) return 0;
+
+  const precision = common / answerTokens.length;
+  const recall = common / referenceLength;
+  return 2 * precision * recall / (precision + recall);
+}
+
+/**
+ * Lexical faithfulness: the share of answer sentences whose terms mostly
+ * (>= `threshold`) occur in the retrieved context. A cheap, offline proxy
+ * for "is every claim grounded in the sources?".
+ * @param {string} answer - Generated answer
+ * @param {Array<Object>} documents - Retrieved chunks the answer was based on
+ * @param {number} threshold - Share of a sentence's terms that must be supported (default: 0.5)
+ * @returns {number|null} Faithfulness in [0, 1], or null if the answer has no sentences
+ */
+export function faithfulness(answer, documents, threshold = 0.5) {
+  const contextTerms = new Set(documents.flatMap(document => analyze(document.pageContent)));
+  const sentences = answer
+    .replace(/\[(?:Document\s+)?\d+(?:\s*,\s*(?:Document\s+)?\d+)*\]/gi, '')
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => analyze(sentence))
+    .filter(terms => terms.length > 0);
+  if (sentences.length === 0) return null;
+
+  const supported = sentences.filter(terms =>
+    terms.filter(term => contextTerms.has(term)).length / terms.length >= threshold);
+  return supported.length / sentences.length;
+}
+
+/**
+ * Mean of the defined values
+ * @param {Array<number|null|undefined>} values - Values
+ * @returns {number|null} Mean, or null if no value is defined
+ */
+function mean(values) {
+  const defined = values.filter(value => typeof value === 'number');
+  return defined.length > 0 ? defined.reduce((sum, value) => sum + value, 0) / defined.length : null;
+}
+
+/**
+ * Run a golden set through a retriever (and optionally a chat model)
+ * @param {Object} options - Evaluation options
+ * @param {Array<Object>} options.questions - Golden set (see loadEvalSet)
+ * @param {Object} options.retriever - RerankingRetriever (or anything with `retrieve(query)`)
+ * @param {Object} options.llm - Chat model; omit to skip answer metrics
+ * @param {number} options.k - Metric cut-off (default: 5)
+ * @param {Function} options.onResult - Called with each question's result
+ * @returns {Promise<Object>} { aggregate, questions } where aggregate holds the
+ *   mean recall, mrr, ndcg, faithfulness, answerF1 and citationValidity
+ */
+export async function evaluate({ questions, retriever, llm, k = 5, onResult }) {
+  const results = [];
+
+  for (const question of questions) {
+    const { results: retrieved } = await retriever.retrieve(question.question);
+    const documents = retrieved.map(result => result.document);
+    const result = {
+      id: question.id,
+      question: question.question,
+      retrieved: retrieved.map(({ id, score }) => ({ id, score }))
+    };
+
+    if (question.expectedSources?.length) {
+      Object.assign(result, retrievalMetrics(documents, question.expectedSources, k));
+    }
+
+    if (llm && documents.length > 0) {
+      const { answer, markers, invalidCitations } = await generateCitedAnswer(llm, question.question, documents);
+      result.answer = answer;
+      result.faithfulness = faithfulness(answer, documents);
+      result.citationValidity = markers.length > 0
+        ? markers.filter(marker => marker.valid).length / markers.length
+        : null;
+      result.invalidCitations = invalidCitations;
+      if (question.referenceAnswer) {
+        result.answerF1 = tokenF1(answer, question.referenceAnswer);
+      }
+    }
+
+    results.push(result);
+    onResult?.(result);
+  }
+
+  const aggregate = { questions: results.length, k };
+  for (const metric of ['recall', 'mrr', 'ndcg', 'faithfulness', 'answerF1', 'citationValidity']) {
+    aggregate[metric] = mean(results.map(result => result[metric]));
+  }
+
+  return { aggregate, questions: results };
+}
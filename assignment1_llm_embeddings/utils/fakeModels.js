@@ -0,0 +1,175 @@
+// Deterministic offline models for tests and air-gapped machines
+import { Embeddings } from '@langchain/core/embeddings';
+import { SimpleChatModel } from '@langchain/core/language_models/chat_models';
+import { AIMessageChunk } from '@langchain/core/messages';
+import { ChatGenerationChunk } from '@langchain/core/outputs';
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - String to hash
+ * @returns {number} Unsigned hash
+ */
+function fnv1a(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Hashing bag-of-words embedder. The same text always maps to the same
+ * vector, and texts sharing words end up close in cosine space, which is
+ * enough to exercise retrieval without a network connection.
+ */
+export class FakeEmbeddings extends Embeddings {
+  constructor(fields = {}) {
+    super(fields);
+    this.dimensions = fields.dimensions ?? 256;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    for (const token of tokenize(text)) {
+      const hash = fnv1a(token);
+      vector[hash % this.dimensions] += (hash & 0x80000000) ? -1 : 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => value / norm);
+  }
+
+  async embedDocuments(documents) {
+    return documents.map(document => this.embedText(document));
+  }
+
+  async embedQuery(document) {
+    return this.embedText(document);
+  }
+}
+
+/**
+ * Extractive chat model. It answers with the context sentences that share
+ * the most words with the question, citing the numbered source block each
+ * sentence came from, so prompts built for a real LLM work unchanged.
+ */
+export class FakeChatModel extends SimpleChatModel {
+  constructor(fields = {}) {
+    super(fields);
+    this.maxSentences = fields.maxSentences ?? 2;
+    // Pause between streamed tokens, to watch streaming (and stop it) offline
+    this.tokenDelayMs = fields.tokenDelayMs ?? 0;
+  }
+
+  _llmType() {
+    return 'fake';
+  }
+
+  async _call(messages) {
+    return this.answer(messages);
+  }
+
+  async *_streamResponseChunks(messages, options, runManager) {
+    const text = this.answer(messages);
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      if (this.tokenDelayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.tokenDelayMs));
+      }
+      if (options?.signal?.aborted) {
+        const error = new Error('Aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+      yield new ChatGenerationChunk({
+        text: piece,
+        message: new AIMessageChunk({ content: piece })
+      });
+      await runManager?.handleLLMNewToken(piece);
+    }
+  }
+
+  answer(messages) {
+    const prompt = messages.map(message => String(message.content)).join('\n');
+    // Query rewriting and summary prompts (see conversationMemory.js) end
+    // with a cue line
+    if (/Standalone question:\s*$/.test(prompt)) {
+      return this.condense(prompt);
+    }
+    if (/Updated summary:\s*$/.test(prompt)) {
+      return this.summarize(prompt);
+    }
+
+    const questionMatch = prompt.match(/Question:\s*(.*)/);
+    // The context is everything before the "Question:" line; without one,
+    // the last message is the question and earlier messages are the context
+    const question = questionMatch
+      ? questionMatch[1]
+      : String(messages[messages.length - 1]?.content ?? '');
+    const context = questionMatch
+      ? prompt.slice(0, questionMatch.index)
+      : messages.slice(0, -1).map(message => String(message.content)).join('\n');
+    const questionTokens = new Set(tokenize(question));
+
+    // Attribute each sentence to the numbered source block it appears in
+    const candidates = [];
+    let source = null;
+    for (const line of context.split('\n')) {
+      const header = line.match(/^\s*(?:\[(\d+)\]|Document (\d+):)/);
+      if (header) {
+        source = Number(header[1] ?? header[2]);
+      }
+      // Skip headings and title-like lines (section paths) that are neither
+      // sentences nor list items
+      const trimmed = line.replace(/^\s*(?:\[\d+\][^:]*:|Document \d+:)/, '').trim();
+      if (/^#/.test(trimmed) || !/[.!?:]$/.test(trimmed) && !/^([-*]|\d+\.)\s/.test(trimmed)) {
+        continue;
+      }
+      for (const sentence of line.split(/(?<=[.!?])\s+/)) {
+        const text = sentence.replace(/^\s*(?:\[\d+\][^:]*:|Document \d+:)\s*/, '').trim();
+        const tokens = tokenize(text);
+        if (tokens.length < 4) continue;
+        const overlap = tokens.filter(token => questionTokens.has(token)).length;
+        if (overlap > 0) {
+          candidates.push({ text, source, score: overlap + overlap / tokens.length });
+        }
+      }
+    }
+
+    if (candidates.length === 0) {
+      return "I don't know based on the provided context.";
+    }
+
+    return candidates
+      .sort((a, b) => b.score - a.score)
+      .slice(0, this.maxSentences)
+      .map(({ text, source }) => (source ? `${text} [${source}]` : text))
+      .join(' ');
+  }
+
+  // Follow-up question, anchored to the user's previous question
+  condense(prompt) {
+    const followUp = prompt.match(/Follow-up question:\s*(.*)/)?.[1] ?? '';
+    const previous = [...prompt.matchAll(/^User: (.*)$/gm)].pop()?.[1];
+    return previous ? `${followUp} (about: ${previous})` : followUp;
+  }
+
+  // Previous summary plus the first sentence of each new line
+  summarize(prompt) {
+    const previous = prompt.match(/Previous summary:\n([\s\S]*?)\n\nNew lines/)?.[1] ?? '';
+    const lines = prompt.match(/New lines of conversation:\n([\s\S]*?)\n\nUpdated summary:/)?.[1] ?? '';
+    const digest = lines
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => line.split(/(?<=[.!?])\s+/)[0]);
+    return [previous === '(none)' ? '' : previous, ...digest].filter(Boolean).join('\n');
+  }
+}
@@ -0,0 +1,152 @@
+// Feedback from users on answers and on the sources they were built from
+//
+// Votes are appended to a JSON Lines file, one record per line:
+//   { type: 'answer' | 'source', vote: 'up' | 'down' | null, user, createdAt, ...what was voted on }
+// Answer records also keep what is needed to replay the question: the
+// question, the retrieval query, the answer, the retrieved chunk ids, the
+// persona and the retrieval config, plus the user's comment and correction.
+// Nothing is rewritten: changing a vote appends a new record, and a null
+// vote takes one back, so the file is also a history of every vote.
+import fs from 'fs/promises';
+import path from 'path';
+
+export const VOTES = ['up', 'down'];
+
+// Longest accepted comment or correction
+export const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Feedback that can't be recorded (code: 'invalid_feedback')
+ */
+export class FeedbackError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FeedbackError';
+    this.code = 'invalid_feedback';
+  }
+}
+
+export class FeedbackStore {
+  /**
+   * @param {string} filePath - JSONL file (created on the first vote)
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    // Appends are chained so records are written in order
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Record a vote
+   * @param {Object} record - { type, vote: 'up' | 'down' | null, user, ...context }
+   * @returns {Promise<Object>} The stored record (with createdAt)
+   * @throws {FeedbackError} If the vote is not up, down or null, or a
+   *   comment or correction is not a string of at most MAX_COMMENT_LENGTH
+   */
+  async add(record) {
+    if (record.vote !== null && !VOTES.includes(record.vote)) {
+      throw new FeedbackError('vote must be "up", "down" or null');
+    }
+    for (const field of ['comment', 'correction']) {
+      const value = record[field];
+      if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > MAX_COMMENT_LENGTH)) {
+        throw new FeedbackError(`${field} must be a string of at most ${MAX_COMMENT_LENGTH} characters`);
+      }
+    }
+    const stored = { ...record, createdAt: new Date().toISOString() };
+    this.writes = this.writes.then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, JSON.stringify(stored) + '\n');
+    });
+    await this.writes;
+    return stored;
+  }
+
+  /**
+   * Every record in the file, oldest first. Lines that aren't valid JSON
+   * (e.g. cut off by a crash) are skipped.
+   * @returns {Promise<Array<Object>>} Records ([] if nothing was recorded yet)
+   */
+  async list() {
+    await this.writes;
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return raw.split('\n').flatMap(line => {
+      if (!line.trim()) return [];
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return [];
+      }
+    });
+  }
+}
+
+// What a record votes on: each user has one current vote per answer or source
+function feedbackKey(record) {
+  const target = record.type === 'answer'
+    ? [record.answerId]
+    : [record.room, record.messageId, record.number];
+  return JSON.stringify([record.type, record.user, ...target]);
+}
+
+/**
+ * Each user's current vote, i.e. the latest record per user and target.
+ * Votes that were taken back (null) are left out.
+ * @param {Array<Object>} records - Records, oldest first
+ * @returns {Array<Object>} Current votes, in the order they were cast
+ */
+export function latestFeedback(records) {
+  const latest = new Map();
+  for (const record of records) {
+    const key = feedbackKey(record);
+    latest.delete(key);
+    latest.set(key, record);
+  }
+  return [...latest.values()].filter(record => record.vote !== null);
+}
+
+/**
+ * Turn thumbs-down answers into golden eval set entries (see loadEvalSet):
+ *   { id: 'feedback-<answerId>', question, referenceAnswer, feedback }
+ * The user's correction becomes the reference answer; `feedback` keeps the
+ * comment, the rejected answer, its chunk ids, persona and config for
+ * whoever reviews the case. Without a correction there is nothing to score
+ * against, so those cases come back as `incomplete` for someone to fill in.
+ * If several users voted down the same answer, the latest vote wins.
+ * @param {Array<Object>} records - Feedback records, oldest first
+ * @returns {Object} { cases, incomplete }
+ */
+export function feedbackToEvalCases(records) {
+  const byAnswer = new Map();
+  for (const record of latestFeedback(records)) {
+    if (record.type !== 'answer' || record.vote !== 'down' || !record.question) continue;
+    byAnswer.delete(record.answerId);
+    byAnswer.set(record.answerId, {
+      id: `feedback-${record.answerId}`,
+      question: record.question,
+      ...(record.correction?.trim() && { referenceAnswer: record.correction.trim() }),
+      feedback: {
+        comment: record.comment ?? null,
+        answer: record.answer,
+        query: record.query,
+        chunkIds: record.chunkIds ?? [],
+        persona: record.persona ?? null,
+        config: record.config ?? null,
+        app: record.app,
+        user: record.user,
+        createdAt: record.createdAt
+      }
+    });
+  }
+  const entries = [...byAnswer.values()];
+  return {
+    cases: entries.filter(entry => entry.referenceAnswer),
+    incomplete: entries.filter(entry => !entry.referenceAnswer)
+  };
+}
@@ -0,0 +1,174 @@
+// Metadata filter expressions for scoping retrieval
+//
+// Filters use the Chroma/MongoDB-style object syntax:
+//   { folder: 'team-a' }                                   equality
+//   { format: { $in: ['markdown', 'html'] } }              membership ($nin for exclusion)
+//   { wordCount: { $gte: 100, $lt: 1000 } }                ranges ($gt, $gte, $lt, $lte, $ne)
+//   { modifiedAt: { $gte: '2026-07-01' } }                 dates (ISO strings or Date objects)
+//   { relativePath: { $prefix: 'team-a/' } }               string prefix
+//   { $and: [ ... ] }, { $or: [ ... ] }                    composition
+//
+// Every filter compiles to a predicate for the in-memory store and the BM25
+// index, plus the strictest `where` clause Chroma can evaluate itself.
+
+const COMPARISON_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$prefix'];
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+// Operators Chroma evaluates natively (on numbers, strings and booleans)
+const CHROMA_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin'];
+
+/**
+ * Normalize a date operand to epoch milliseconds
+ * @param {*} value - Date, ISO date string or anything else
+ * @returns {*} Epoch ms for dates, the value unchanged otherwise
+ */
+function toComparable(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? value : time;
+  }
+  return value;
+}
+
+/**
+ * Check a filter expression and throw a descriptive error if it is malformed
+ * @param {Object} filter - Filter expression
+ */
+export function validateFilter(filter) {
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error('Filter must be an object, e.g. { "folder": "team-a" }');
+  }
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(condition) || condition.length === 0) {
+        throw new Error(`${key} expects a non-empty array of filters`);
+      }
+      condition.forEach(validateFilter);
+    } else if (key.startsWith('$')) {
+      throw new Error(`Unknown logical operator "${key}". Use $and or $or.`);
+    } else if (condition !== null && typeof condition === 'object' && !(condition instanceof Date)) {
+      for (const [operator, operand] of Object.entries(condition)) {
+        if (!COMPARISON_OPERATORS.includes(operator)) {
+          throw new Error(`Unknown operator "${operator}" on "${key}". Use one of: ${COMPARISON_OPERATORS.join(', ')}`);
+        }
+        if ((operator === '$in' || operator === '$nin') && !Array.isArray(operand)) {
+          throw new Error(`${operator} on "${key}" expects an array`);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Evaluate one field condition against a metadata value
+ * @param {*} value - Metadata value
+ * @param {*} condition - Literal (equality) or operator object
+ * @returns {boolean} True if the condition holds
+ */
+function matchCondition(value, condition) {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return toComparable(value) === toComparable(condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    const left = toComparable(value);
+    const right = toComparable(operand);
+    switch (operator) {
+      case '$eq': return left === right;
+      case '$ne': return left !== right;
+      case '$gt': return left !== undefined && left > right;
+      case '$gte': return left !== undefined && left >= right;
+      case '$lt': return left !== undefined && left < right;
+      case '$lte': return left !== undefined && left <= right;
+      case '$in': return operand.map(toComparable).includes(left);
+      case '$nin': return !operand.map(toComparable).includes(left);
+      case '$prefix': return typeof value === 'string' && value.startsWith(operand);
+      default: return false;
+    }
+  });
+}
+
+/**
+ * Test chunk metadata against a filter expression
+ * @param {Object} metadata - Chunk metadata
+ * @param {Object} filter - Filter expression
+ * @returns {boolean} True if the metadata matches
+ */
+export function matchesFilter(metadata, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(sub => matchesFilter(metadata, sub));
+    if (key === '$or') return condition.some(sub => matchesFilter(metadata, sub));
+    return matchCondition(metadata?.[key], condition);
+  });
+}
+
+/**
+ * Build a predicate over LangChain documents
+ * @param {Object} filter - Filter expression
+ * @returns {Function} (document) => boolean
+ */
+export function createFilterPredicate(filter) {
+  validateFilter(filter);
+  return (document) => matchesFilter(document.metadata, filter);
+}
+
+/**
+ * Translate a filter into a Chroma `where` clause. Conditions Chroma cannot
+ * evaluate ($prefix) are left out, so the clause may be looser than the
+ * filter but never stricter; callers post-filter with the predicate.
+ * @param {Object} filter - Filter expression
+ * @returns {Object|undefined} Chroma where clause, or undefined if nothing can be pushed down
+ */
+export function toChromaWhere(filter) {
+  const clauses = [];
+
+  for (const [key, condition] of Object.entries(filter)) {
+    if (key === '$and') {
+      clauses.push(...condition.map(toChromaWhere).filter(Boolean));
+    } else if (key === '$or') {
+      const branches = condition.map(toChromaWhere);
+      // An $or is only as strict as its loosest branch
+      if (branches.every(Boolean)) {
+        clauses.push(branches.length === 1 ? branches[0] : { $or: branches });
+      }
+    } else if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      clauses.push({ [key]: { $eq: toComparable(condition) } });
+    } else {
+      for (const [operator, operand] of Object.entries(condition)) {
+        if (!CHROMA_OPERATORS.includes(operator)) continue;
+        const value = Array.isArray(operand) ? operand.map(toComparable) : toComparable(operand);
+        // Chroma only compares numbers in range operators
+        if (RANGE_OPERATORS.includes(operator) && typeof value !== 'number') continue;
+        clauses.push({ [key]: { [operator]: value } });
+      }
+    }
+  }
+
+  if (clauses.length === 0) return undefined;
+  return clauses.length === 1 ? clauses[0] : { $and: clauses };
+}
+
+/**
+ * Similarity search restricted to chunks matching a filter. The in-memory
+ * store filters before ranking; Chroma gets a `where` clause plus an
+ * over-fetch and post-filter for conditions it cannot evaluate.
+ * @param {Object} vectorStore - Memory or Chroma vector store
+ * @param {string} query - User query
+ * @param {number} k - Number of results
+ * @param {Object} filter - Filter expression (optional)
+ * @returns {Promise<Array<Array>>} [document, score] pairs
+ */
+export async function filteredSimilaritySearch(vectorStore, query, k, filter) {
+  if (!filter) {
+    return vectorStore.similaritySearchWithScore(query, k);
+  }
+
+  const predicate = createFilterPredicate(filter);
+  if (vectorStore._vectorstoreType() === 'chroma') {
+    const results = await vectorStore.similaritySearchWithScore(query, k * 4, toChromaWhere(filter));
+    return results.filter(([document]) => predicate(document)).slice(0, k);
+  }
+  return vectorStore.similaritySearchWithScore(query, k, predicate);
+}
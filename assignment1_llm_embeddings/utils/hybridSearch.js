@@ -0,0 +1,73 @@
+// Hybrid retrieval: BM25 keyword results fused with vector similarity results
+import { createFilterPredicate, filteredSimilaritySearch } from './filters.js';
+
+/**
+ * Stable id of a chunk, as assigned at chunking time
+ * @param {Object} document - Chunk document
+ * @returns {string} Chunk id
+ */
+export function chunkIdOf(document) {
+  const { chunkId, relativePath, source, chunkIndex } = document.metadata ?? {};
+  return chunkId ?? `${relativePath ?? source}::${chunkIndex}`;
+}
+
+/**
+ * Reciprocal rank fusion: each retriever contributes weight / (rrfK + rank)
+ * for every result it returned. Rank-based fusion needs no score
+ * normalization, which matters because BM25 scores and vector
+ * similarities live on unrelated scales.
+ * @param {Object} rankings - { [retrieverName]: Array<{ id, document, score }> }, best first
+ * @param {Object} options - { weights: { [retrieverName]: number }, rrfK: number }
+ * @returns {Array<Object>} Fused results as { id, document, score, scores, ranks }, best first
+ */
+export function reciprocalRankFusion(rankings, { weights = {}, rrfK = 60 } = {}) {
+  const fused = new Map();
+
+  for (const [retriever, results] of Object.entries(rankings)) {
+    const weight = weights[retriever] ?? 1;
+    results.forEach((result, i) => {
+      const entry = fused.get(result.id) ?? { id: result.id, document: result.document, score: 0, scores: {}, ranks: {} };
+      entry.score += weight / (rrfK + i + 1);
+      entry.scores[retriever] = result.score;
+      entry.ranks[retriever] = i + 1;
+      fused.set(result.id, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Search a vector store and a BM25 index and fuse the results
+ * @param {Object} options - Search options
+ * @param {Object} options.vectorStore - Vector store (similaritySearchWithScore)
+ * @param {Object} options.keywordIndex - BM25Index built at ingestion time
+ * @param {string} options.query - User query
+ * @param {number} options.k - Number of fused results (default: 4)
+ * @param {number} options.fetchK - Candidates fetched from each retriever (default: 4 * k)
+ * @param {Object} options.weights - { vector, keyword } fusion weights (default: 1 each)
+ * @param {number} options.rrfK - RRF damping constant (default: 60)
+ * @param {Object} options.filter - Metadata filter expression (see filters.js)
+ * @returns {Promise<Array<Object>>} Results as { id, document, score, scores: { vector, keyword }, ranks }
+ */
+export async function hybridSearch({
+  vectorStore,
+  keywordIndex,
+  query,
+  k = 4,
+  fetchK = k * 4,
+  weights = { vector: 1, keyword: 1 },
+  rrfK = 60,
+  filter
+}) {
+  const vectorResults = (await filteredSimilaritySearch(vectorStore, query, fetchK, filter))
+    .map(([document, score]) => ({ id: chunkIdOf(document), document, score }));
+  const keywordResults = keywordIndex
+    ? keywordIndex.search(query, fetchK, filter && createFilterPredicate(filter))
+    : [];
+
+  return reciprocalRankFusion(
+    { vector: vectorResults, keyword: keywordResults },
+    { weights, rrfK }
+  ).slice(0, k);
+}
@@ -0,0 +1,83 @@
+// Ingestion manifest: records what has been indexed into a collection
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Hash file content so unchanged files can be skipped on re-ingestion
+ * @param {string|Buffer} content - File content
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Path of the manifest file for a collection
+ * @param {string} indexDir - Directory holding manifests
+ * @param {string} collectionName - Collection name
+ * @returns {string} Manifest file path
+ */
+export function manifestPath(indexDir, collectionName) {
+  return path.join(indexDir, `${collectionName}.json`);
+}
+
+/**
+ * Load the manifest for a collection, or an empty one if none exists yet
+ * @param {string} indexDir - Directory holding manifests
+ * @param {string} collectionName - Collection name
+ * @returns {Promise<Object>} Manifest ({ collectionName, files: { [relativePath]: entry } })
+ */
+export async function loadManifest(indexDir, collectionName) {
+  try {
+    const raw = await fs.readFile(manifestPath(indexDir, collectionName), 'utf-8');
+    return JSON.parse(raw);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { collectionName, files: {} };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Write a manifest atomically (temp file + rename) so an interrupted run
+ * never leaves a half-written manifest behind
+ * @param {string} indexDir - Directory holding manifests
+ * @param {Object} manifest - Manifest to save
+ * @returns {Promise<void>}
+ */
+export async function saveManifest(indexDir, manifest) {
+  await fs.mkdir(indexDir, { recursive: true });
+  const target = manifestPath(indexDir, manifest.collectionName);
+  const temp = `${target}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(manifest, null, 2));
+  await fs.rename(temp, target);
+}
+
+/**
+ * Compare the files on disk with the manifest
+ * @param {Object} manifest - Previously saved manifest
+ * @param {Object} currentHashes - { [relativePath]: contentHash } for files on disk
+ * @returns {Object} { added, changed, unchanged, deleted } arrays of relative paths
+ */
+export function diffManifest(manifest, currentHashes) {
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+
+  for (const [relativePath, hash] of Object.entries(currentHashes)) {
+    const entry = manifest.files[relativePath];
+    if (!entry) {
+      added.push(relativePath);
+    } else if (entry.hash !== hash) {
+      changed.push(relativePath);
+    } else {
+      unchanged.push(relativePath);
+    }
+  }
+
+  const deleted = Object.keys(manifest.files).filter(relativePath => !(relativePath in currentHashes));
+
+  return { added, changed, unchanged, deleted };
+}
@@ -0,0 +1,313 @@
+// Incremental ingestion of a documents directory into a vector store
+import fs from 'fs/promises';
+import path from 'path';
+import { MemoryVectorStore } from 'langchain/vectorstores/memory';
+import { hashContent, loadManifest, saveManifest, diffManifest } from './indexManifest.js';
+import { isSupported, loadDocument } from './loaders.js';
+import { splitDocuments, assignChunkIds, DEFAULT_CHUNKING } from './chunking.js';
+import { BM25Index, loadBM25Index, saveBM25Index } from './bm25.js';
+import { resolveProviderConfig } from './providers.js';
+
+/**
+ * The embedding model a collection's vectors come from, as recorded in its
+ * manifest. Vectors of different models (or dimensions) can't be mixed.
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} { provider, model } (model null for the provider's default)
+ */
+export function embeddingIdentity(env = process.env) {
+  const { provider, model } = resolveProviderConfig('embeddings', {}, env);
+  return { provider, model: model ?? null };
+}
+
+/**
+ * How many chunks a vector store holds, if it can tell
+ * @param {Object} vectorStore - Chroma or in-memory vector store
+ * @returns {Promise<number|null>} Chunk count, or null if unknown
+ */
+async function storedChunkCount(vectorStore) {
+  if (typeof vectorStore.ensureCollection === 'function') {
+    const collection = await vectorStore.ensureCollection();
+    return collection.count();
+  }
+  return Array.isArray(vectorStore.memoryVectors) ? vectorStore.memoryVectors.length : null;
+}
+
+/**
+ * Recursively list document files below a directory
+ * @param {string} documentsDir - Root documents directory
+ * @returns {Promise<Object>} { supported, unsupported } paths relative to
+ *   documentsDir, using '/' separators
+ */
+export async function listDocumentFiles(documentsDir) {
+  const entries = await fs.readdir(documentsDir, { withFileTypes: true, recursive: true });
+  const files = entries
+    .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+    .map(entry => path.relative(documentsDir, path.join(entry.parentPath ?? entry.path, entry.name)))
+    .map(relativePath => relativePath.split(path.sep).join('/'))
+    .sort();
+
+  return {
+    supported: files.filter(file => isSupported(file)),
+    unsupported: files.filter(file => !isSupported(file))
+  };
+}
+
+/**
+ * Filesystem metadata used to scope retrieval by folder and recency
+ * @param {string} documentsDir - Root documents directory
+ * @param {string} relativePath - File path relative to documentsDir
+ * @returns {Promise<Object>} { relativePath, folder, modifiedAt (epoch ms) }
+ */
+export async function fileMetadata(documentsDir, relativePath) {
+  const stats = await fs.stat(path.join(documentsDir, relativePath));
+  return {
+    relativePath,
+    folder: path.posix.dirname(relativePath),
+    modifiedAt: stats.mtimeMs
+  };
+}
+
+/**
+ * Load every supported file below a directory
+ * @param {string} documentsDir - Root documents directory
+ * @returns {Promise<Object>} { documents, unsupported }
+ */
+export async function loadDirectory(documentsDir) {
+  const { supported, unsupported } = await listDocumentFiles(documentsDir);
+  const documents = [];
+  for (const relativePath of supported) {
+    const loaded = await loadDocument(path.join(documentsDir, relativePath));
+    const metadata = await fileMetadata(documentsDir, relativePath);
+    for (const document of loaded) {
+      Object.assign(document.metadata, metadata);
+    }
+    documents.push(...loaded);
+  }
+  return { documents, unsupported };
+}
+
+/**
+ * Split a loaded file into chunks with stable ids
+ * @param {Array<Document>} documents - Documents produced by the file's loader
+ * @param {Object} fileInfo - { relativePath, hash, ...fileMetadata }
+ * @param {Object} chunking - { strategy, chunkSize, chunkOverlap }
+ * @returns {Promise<Object>} { documents, ids }
+ */
+export async function chunkFile(documents, { hash, ...metadata }, chunking) {
+  for (const document of documents) {
+    Object.assign(document.metadata, metadata, { contentHash: hash });
+  }
+  const chunks = await splitDocuments(documents, chunking);
+
+  // Chunk ids are derived from the file path so a re-index can delete
+  // exactly the chunks a file produced last time
+  const ids = assignChunkIds(chunks);
+
+  return { documents: chunks, ids };
+}
+
+/**
+ * In-memory vector store with the id-based `addDocuments(docs, { ids })` and
+ * `delete({ ids })` of the Chroma store, so single files can be re-indexed
+ * or removed while the store is in use. Ids are the chunks' `chunkId`s.
+ */
+export class EditableMemoryVectorStore extends MemoryVectorStore {
+  async addDocuments(documents, { ids } = {}) {
+    if (ids) {
+      documents.forEach((document, i) => { document.metadata.chunkId = ids[i]; });
+      await this.delete({ ids });
+    }
+    return super.addDocuments(documents);
+  }
+
+  async delete({ ids }) {
+    const removed = new Set(ids);
+    this.memoryVectors = this.memoryVectors.filter(vector => !removed.has(vector.metadata.chunkId));
+  }
+
+  /**
+   * A new store with some chunks removed and others added. The new chunks
+   * are embedded first; this store is left untouched, so queries running
+   * on it never see a half-applied change.
+   * @param {Object} changes - { remove: chunk ids, documents: chunks to add, ids: their chunk ids }
+   * @returns {Promise<EditableMemoryVectorStore>} Updated copy
+   */
+  async withChanges({ remove = [], documents = [], ids = [] }) {
+    const embeddings = documents.length > 0
+      ? await this.embeddings.embedDocuments(documents.map(document => document.pageContent))
+      : [];
+    documents.forEach((document, i) => { document.metadata.chunkId = ids[i]; });
+    const removed = new Set([...remove, ...ids]);
+
+    const store = new EditableMemoryVectorStore(this.embeddings, { similarity: this.similarity });
+    store.memoryVectors = this.memoryVectors
+      .filter(vector => !removed.has(vector.metadata.chunkId))
+      .concat(documents.map((document, i) => ({
+        content: document.pageContent,
+        embedding: embeddings[i],
+        metadata: document.metadata
+      })));
+    return store;
+  }
+}
+
+/**
+ * Load, chunk and embed a documents directory into an in-memory vector
+ * store and a BM25 keyword index that share chunk ids
+ * @param {Object} embeddings - Embeddings model
+ * @param {string} documentsDir - Directory to load
+ * @param {Object} chunking - { strategy, chunkSize, chunkOverlap }
+ * @returns {Promise<Object>} { vectorStore, keywordIndex, documents, chunks, unsupported }
+ */
+export async function buildMemoryIndexes(embeddings, documentsDir, chunking = {}) {
+  const { documents, unsupported } = await loadDirectory(documentsDir);
+  const chunks = await splitDocuments(documents, chunking);
+  const ids = assignChunkIds(chunks);
+
+  const vectorStore = await EditableMemoryVectorStore.fromDocuments(chunks, embeddings);
+  const keywordIndex = new BM25Index();
+  keywordIndex.addDocuments(chunks, ids);
+
+  return { vectorStore, keywordIndex, documents, chunks, unsupported };
+}
+
+/**
+ * Bring a vector store in line with a documents directory. Only new or
+ * changed files are embedded; chunks of changed and deleted files are removed.
+ *
+ * The vector store must support `addDocuments(docs, { ids })` and
+ * `delete({ ids })` (the Chroma store does). A BM25 keyword index for
+ * hybrid search is kept in step with the vector store next to the manifest.
+ *
+ * @param {Object} options - Ingestion options
+ * @param {Object} options.vectorStore - Target vector store
+ * @param {string} options.documentsDir - Directory to ingest
+ * @param {string} options.collectionName - Collection name (keys the manifest)
+ * @param {string} options.indexDir - Directory holding ingestion manifests
+ * @param {Object} options.chunking - { strategy, chunkSize, chunkOverlap }; unset
+ *   fields keep the collection's previous settings, then DEFAULT_CHUNKING
+ * @param {Object} options.embedding - { provider, model } of the embeddings
+ *   (default: embeddingIdentity()); a different one re-embeds every file
+ * @param {boolean} options.force - Re-embed every file even if unchanged
+ * @param {Object} options.logger - Logger (default: console)
+ * @returns {Promise<Object>} Summary of added, changed, deleted, unchanged and
+ *   unsupported files
+ */
+export async function ingestDirectory({
+  vectorStore,
+  documentsDir,
+  collectionName,
+  indexDir,
+  chunking = {},
+  embedding = embeddingIdentity(),
+  force = false,
+  logger = console
+}) {
+  const manifest = await loadManifest(indexDir, collectionName);
+  let keywordIndex = await loadBM25Index(indexDir, collectionName);
+
+  // The manifest is kept locally: if the collection was dropped (or never
+  // written), forget what it says was indexed and rebuild
+  const indexedChunks = Object.values(manifest.files).reduce((total, entry) => total + entry.chunkIds.length, 0);
+  if (indexedChunks > 0 && await storedChunkCount(vectorStore) === 0) {
+    logger.log(`Collection "${collectionName}" is empty; re-indexing all files.`);
+    manifest.files = {};
+    keywordIndex = new BM25Index();
+  }
+
+  // Chunking is a per-collection choice: remember it in the manifest, along
+  // with the embedding model the vectors come from
+  const definedChunking = Object.fromEntries(Object.entries(chunking).filter(([, value]) => value !== undefined));
+  const { embeddings: previousEmbedding, ...previousChunking } = manifest.settings ?? {};
+  const settings = { ...DEFAULT_CHUNKING, ...previousChunking, ...definedChunking, embeddings: embedding };
+  // e.g. a new overlap that is not smaller than the size kept from the last run
+  if (!(settings.chunkOverlap < settings.chunkSize)) {
+    throw new Error(`Chunk overlap (${settings.chunkOverlap}) must be smaller than the chunk size (${settings.chunkSize}).`);
+  }
+
+  // Each file records the settings it was indexed with; changing them
+  // invalidates every existing chunk. Files from manifests written before
+  // that was recorded were indexed with the manifest's settings.
+  const settingsKey = hashContent(JSON.stringify(settings));
+  const previousKey = manifest.settings && hashContent(JSON.stringify(manifest.settings));
+  for (const entry of Object.values(manifest.files)) {
+    entry.settingsKey ??= previousKey;
+  }
+  if (manifest.settings && previousKey !== settingsKey) {
+    logger.log(JSON.stringify(previousEmbedding) !== JSON.stringify(embedding)
+      ? `Embedding model changed since the last run (${embedding.provider}/${embedding.model ?? 'default'}); re-embedding all files.`
+      : 'Chunking settings changed since the last run; re-indexing all files.');
+  }
+  // Save the new settings before rebuilding, so an interrupted run is
+  // picked up with them (and the files it already re-indexed are kept)
+  manifest.settings = settings;
+  await saveManifest(indexDir, manifest);
+
+  const { supported, unsupported } = await listDocumentFiles(documentsDir);
+  if (unsupported.length > 0) {
+    logger.warn(`Skipping ${unsupported.length} file(s) with no registered loader: ${unsupported.join(', ')}`);
+  }
+
+  const currentHashes = {};
+  for (const relativePath of supported) {
+    currentHashes[relativePath] = hashContent(await fs.readFile(path.join(documentsDir, relativePath)));
+  }
+
+  const diff = diffManifest(manifest, currentHashes);
+  const outdated = force
+    ? diff.unchanged
+    : diff.unchanged.filter(relativePath => manifest.files[relativePath].settingsKey !== settingsKey);
+  diff.changed.push(...outdated);
+  diff.unchanged = diff.unchanged.filter(relativePath => !outdated.includes(relativePath));
+
+  // Remove stale chunks first so a file never has two generations indexed
+  const staleIds = [...diff.changed, ...diff.deleted].flatMap(relativePath => manifest.files[relativePath].chunkIds);
+  if (staleIds.length > 0) {
+    await vectorStore.delete({ ids: staleIds });
+  }
+  staleIds.forEach(id => keywordIndex.removeDocument(id));
+  for (const relativePath of diff.deleted) {
+    delete manifest.files[relativePath];
+  }
+
+  let chunksAdded = 0;
+  try {
+    for (const relativePath of [...diff.added, ...diff.changed]) {
+      const fileInfo = {
+        ...await fileMetadata(documentsDir, relativePath),
+        hash: currentHashes[relativePath]
+      };
+      const loaded = await loadDocument(path.join(documentsDir, relativePath));
+      const { documents, ids } = await chunkFile(loaded, fileInfo, settings);
+      if (documents.length > 0) {
+        await vectorStore.addDocuments(documents, { ids });
+      }
+      keywordIndex.addDocuments(documents, ids);
+      chunksAdded += documents.length;
+
+      manifest.files[relativePath] = {
+        hash: fileInfo.hash,
+        chunkIds: ids,
+        settingsKey,
+        indexedAt: new Date().toISOString()
+      };
+      logger.log(`  indexed ${relativePath} (${documents.length} chunks)`);
+    }
+  } finally {
+    // Record whatever was indexed, even if a file failed, so a re-run
+    // resumes where this one stopped
+    await saveManifest(indexDir, manifest);
+    await saveBM25Index(indexDir, collectionName, keywordIndex);
+  }
+
+  return {
+    added: diff.added,
+    changed: diff.changed,
+    deleted: diff.deleted,
+    unchanged: diff.unchanged,
+    unsupported,
+    settings,
+    chunksAdded,
+    chunksRemoved: staleIds.length
+  };
+}
@@ -0,0 +1,51 @@
+// Knowledge base for chat servers: indexes plus a ready-to-use retriever
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createEmbeddings } from './providers.js';
+import { getVectorStore, createRetriever } from './chromaClient.js';
+import { buildMemoryIndexes } from './ingestion.js';
+import { loadBM25Index } from './bm25.js';
+import { LexicalOverlapReranker } from './reranking.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Open a knowledge base: an ingested Chroma collection (see ingest.js) when
+ * `collectionName` is given, otherwise `documentsDir` indexed in memory
+ * @param {Object} options - Knowledge base options
+ * @param {string} options.documentsDir - Documents to index in memory
+ * @param {string} options.collectionName - Ingested Chroma collection (optional)
+ * @param {string} options.indexDir - Directory holding the collection's BM25 index
+ *   (default: assignment1's .rag-index)
+ * @param {Object} options.chunking - { strategy, chunkSize, chunkOverlap } for in-memory indexing
+ * @param {number} options.k - Chunks per query (default: 4)
+ * @param {Object} options.retrieval - Extra createRetriever options (searchType, minScore, ...)
+ * @param {Object} options.embeddings - Embeddings model (default: from the provider registry)
+ * @returns {Promise<Object>} { retriever, vectorStore, keywordIndex }
+ */
+export async function loadKnowledgeBase({
+  documentsDir,
+  collectionName,
+  indexDir = path.join(__dirname, '..', '.rag-index'),
+  chunking = {},
+  k = 4,
+  retrieval = {},
+  embeddings = createEmbeddings()
+}) {
+  const indexes = collectionName
+    ? {
+      vectorStore: await getVectorStore(collectionName),
+      keywordIndex: await loadBM25Index(indexDir, collectionName)
+    }
+    : await buildMemoryIndexes(embeddings, documentsDir, chunking);
+
+  const retriever = createRetriever(indexes.vectorStore, k, {
+    searchType: 'hybrid',
+    keywordIndex: indexes.keywordIndex,
+    reranker: new LexicalOverlapReranker(),
+    minScore: 0.2,
+    ...retrieval
+  });
+
+  return { retriever, vectorStore: indexes.vectorStore, keywordIndex: indexes.keywordIndex };
+}
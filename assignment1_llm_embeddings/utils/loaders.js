@@ -0,0 +1,267 @@
+// Document loader registry keyed by file extension
+import fs from 'fs/promises';
+import path from 'path';
+import { Document } from '@langchain/core/documents';
+import { extractMetadata } from './documentUtils.js';
+
+const loaders = new Map();
+
+/**
+ * Raised when a file has no registered loader for its extension
+ */
+export class UnsupportedFormatError extends Error {
+  constructor(filePath) {
+    super(`Unsupported document format "${path.extname(filePath) || '(no extension)'}" for ${filePath}. ` +
+      `Supported extensions: ${supportedExtensions().join(', ')}`);
+    this.name = 'UnsupportedFormatError';
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Register a loader for one or more file extensions
+ * @param {string|Array<string>} extensions - Extensions including the dot (e.g. '.md')
+ * @param {Object} loader - Loader implementation
+ * @param {string} loader.format - Format name recorded in metadata (e.g. 'markdown')
+ * @param {Function} loader.load - async (filePath) => Array<{ text, metadata }>
+ */
+export function registerLoader(extensions, loader) {
+  for (const extension of [].concat(extensions)) {
+    loaders.set(extension.toLowerCase(), loader);
+  }
+}
+
+/**
+ * List the extensions that have a registered loader
+ * @returns {Array<string>} Extensions including the dot
+ */
+export function supportedExtensions() {
+  return [...loaders.keys()];
+}
+
+/**
+ * Check whether a file can be loaded
+ * @param {string} filePath - File path
+ * @returns {boolean} True if a loader is registered for the extension
+ */
+export function isSupported(filePath) {
+  return loaders.has(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Load a file into one or more LangChain documents. Multi-part formats
+ * produce one document per part (PDF page, CSV row range).
+ * @param {string} filePath - File path
+ * @returns {Promise<Array<Document>>} Documents with format-aware metadata
+ */
+export async function loadDocument(filePath) {
+  const loader = loaders.get(path.extname(filePath).toLowerCase());
+  if (!loader) {
+    throw new UnsupportedFormatError(filePath);
+  }
+
+  const parts = await loader.load(filePath);
+  const fullText = parts.map(part => part.text).join('\n\n');
+
+  return parts.map(part => new Document({
+    pageContent: part.text,
+    metadata: {
+      source: filePath,
+      ...extractMetadata(fullText, filePath, { format: loader.format, ...part.metadata })
+    }
+  }));
+}
+
+// --- Format helpers ---
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the common named and numeric HTML entities
+ * @param {string} text - Text with entities
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // Out of Unicode's range (String.fromCodePoint would throw): leave it
+      return value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Convert HTML to plain text, keeping headings as Markdown `#` lines so the
+ * heading structure survives for outlines and chunking
+ * @param {string} html - HTML source
+ * @returns {Object} { text, title }
+ */
+export function htmlToText(html) {
+  const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const body = html
+    .replace(/<(script|style|noscript|template|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) =>
+      `\n\n${'#'.repeat(Number(level))} ${inner.replace(/<[^>]+>/g, '').trim()}\n\n`)
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<(br|hr)\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|ul|ol|table|tr|blockquote|pre)>/gi, '\n\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+
+  const text = decodeEntities(body)
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return {
+    text,
+    title: titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : undefined
+  };
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows of fields
+ * @param {string} text - CSV source
+ * @returns {Array<Array<string>>} Rows
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * Flatten JSON into "path: value" lines
+ * @param {*} value - Parsed JSON value
+ * @param {string} prefix - Path of the current value
+ * @returns {Array<string>} Lines
+ */
+function flattenJson(value, prefix = '') {
+  if (Array.isArray(value)) {
+    return value.flatMap((item, i) => flattenJson(item, `${prefix}[${i}]`));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => flattenJson(item, prefix ? `${prefix}.${key}` : key));
+  }
+  return [`${prefix || '(root)'}: ${value}`];
+}
+
+// Rows per CSV document, so each part stays a sensible size for chunking
+const CSV_ROWS_PER_PART = 50;
+
+// --- Built-in loaders ---
+
+registerLoader('.txt', {
+  format: 'text',
+  load: async (filePath) => [{ text: await fs.readFile(filePath, 'utf-8'), metadata: {} }]
+});
+
+registerLoader(['.md', '.markdown'], {
+  format: 'markdown',
+  load: async (filePath) => [{ text: await fs.readFile(filePath, 'utf-8'), metadata: {} }]
+});
+
+registerLoader(['.html', '.htm'], {
+  format: 'html',
+  load: async (filePath) => {
+    const { text, title } = htmlToText(await fs.readFile(filePath, 'utf-8'));
+    return [{ text, metadata: title ? { title } : {} }];
+  }
+});
+
+registerLoader('.pdf', {
+  format: 'pdf',
+  load: async (filePath) => {
+    // Loaded lazily, so `pdf-parse` is only read when a PDF is ingested
+    const { PDFLoader } = await import('langchain/document_loaders/fs/pdf');
+    const pages = await new PDFLoader(filePath, { splitPages: true }).load();
+    return pages.map(page => ({
+      text: page.pageContent,
+      metadata: {
+        page: page.metadata.loc?.pageNumber,
+        totalPages: page.metadata.pdf?.totalPages,
+        ...(page.metadata.pdf?.info?.Title && { title: page.metadata.pdf.info.Title })
+      }
+    }));
+  }
+});
+
+registerLoader('.docx', {
+  format: 'docx',
+  load: async (filePath) => {
+    // Loaded lazily, so `mammoth` is only read when a .docx file is ingested
+    const { DocxLoader } = await import('langchain/document_loaders/fs/docx');
+    const [document] = await new DocxLoader(filePath).load();
+    return [{ text: document?.pageContent ?? '', metadata: {} }];
+  }
+});
+
+registerLoader('.csv', {
+  format: 'csv',
+  load: async (filePath) => {
+    const [header = [], ...rows] = parseCsv(await fs.readFile(filePath, 'utf-8'));
+    const parts = [];
+    for (let start = 0; start < rows.length; start += CSV_ROWS_PER_PART) {
+      const slice = rows.slice(start, start + CSV_ROWS_PER_PART);
+      parts.push({
+        text: slice
+          .map(row => header.map((column, i) => `${column}: ${row[i] ?? ''}`).join('; '))
+          .join('\n'),
+        metadata: {
+          // 1-based data row numbers, not counting the header row
+          rowStart: start + 1,
+          rowEnd: start + slice.length,
+          columns: header.join(', ')
+        }
+      });
+    }
+    return parts;
+  }
+});
+
+registerLoader('.json', {
+  format: 'json',
+  load: async (filePath) => {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    return [{ text: flattenJson(data).join('\n'), metadata: {} }];
+  }
+});
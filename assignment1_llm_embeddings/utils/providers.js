@@ -0,0 +1,160 @@
+// Provider registry for embedding models and LLMs used by the RAG pipeline
+import { OpenAIEmbeddings, ChatOpenAI } from '@langchain/openai';
+import { FakeEmbeddings, FakeChatModel } from './fakeModels.js';
+
+const providers = new Map();
+
+/**
+ * Register a provider that can build embeddings and chat models
+ * @param {string} name - Provider name used in configuration (e.g. 'openai')
+ * @param {Object} provider - Provider implementation
+ * @param {Function} provider.createEmbeddings - (options) => Embeddings instance
+ * @param {Function} provider.createChatModel - (options) => chat model instance
+ */
+export function registerProvider(name, provider) {
+  if (typeof provider?.createEmbeddings !== 'function' || typeof provider?.createChatModel !== 'function') {
+    throw new Error(`Provider "${name}" must implement createEmbeddings and createChatModel`);
+  }
+  providers.set(name, provider);
+}
+
+/**
+ * List the names of all registered providers
+ * @returns {Array<string>} Provider names
+ */
+export function listProviders() {
+  return [...providers.keys()];
+}
+
+/**
+ * Look up a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider implementation
+ */
+export function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown provider "${name}". Available providers: ${listProviders().join(', ')}`);
+  }
+  return provider;
+}
+
+/**
+ * Resolve provider settings from explicit options and environment variables.
+ * Explicit options win for the provider name; environment variables win
+ * for model names so a deployment can swap models without code changes.
+ *
+ * Environment variables:
+ * - RAG_PROVIDER: default provider for both model kinds ('openai')
+ * - RAG_EMBEDDINGS_PROVIDER / RAG_CHAT_PROVIDER: per-kind overrides
+ * - RAG_EMBEDDING_MODEL / RAG_CHAT_MODEL: model names
+ * - RAG_BASE_URL / RAG_API_KEY: endpoint for 'openai-compatible' (ignored for
+ *   other providers, so the key is never sent to OpenAI instead of OPENAI_API_KEY)
+ *
+ * @param {'embeddings'|'chat'} kind - Which model kind is being resolved
+ * @param {Object} options - Caller options
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Object} Resolved options including `provider`
+ */
+export function resolveProviderConfig(kind, options = {}, env = process.env) {
+  const kindProvider = kind === 'embeddings' ? env.RAG_EMBEDDINGS_PROVIDER : env.RAG_CHAT_PROVIDER;
+  const envModel = kind === 'embeddings' ? env.RAG_EMBEDDING_MODEL : env.RAG_CHAT_MODEL;
+  const provider = options.provider ?? kindProvider ?? env.RAG_PROVIDER ?? 'openai';
+  const compatible = provider === 'openai-compatible';
+
+  return {
+    ...options,
+    provider,
+    model: envModel ?? options.model,
+    baseURL: options.baseURL ?? (compatible ? env.RAG_BASE_URL : undefined),
+    apiKey: options.apiKey ?? (compatible ? env.RAG_API_KEY : undefined)
+  };
+}
+
+/**
+ * Create an embeddings model from the configured provider
+ * @param {Object} options - Provider name, model and model-specific settings
+ * @returns {Object} Embeddings instance
+ */
+export function createEmbeddings(options = {}) {
+  const resolved = resolveProviderConfig('embeddings', options);
+  return getProvider(resolved.provider).createEmbeddings(resolved);
+}
+
+/**
+ * Create a chat model from the configured provider
+ * @param {Object} options - Provider name, model, temperature, streaming, ...
+ * @returns {Object} Chat model instance
+ */
+export function createChatModel(options = {}) {
+  const resolved = resolveProviderConfig('chat', options);
+  return getProvider(resolved.provider).createChatModel(resolved);
+}
+
+/**
+ * Fail early with a useful message when the OpenAI key is missing
+ * @param {string} apiKey - Key passed explicitly, if any
+ * @returns {string} API key
+ */
+function requireOpenAIKey(apiKey) {
+  const key = apiKey ?? process.env.OPENAI_API_KEY;
+  if (!key) {
+    throw new Error(
+      'OPENAI_API_KEY is not set. Add it to your .env file, or set RAG_PROVIDER=fake ' +
+      'to run offline (or RAG_PROVIDER=openai-compatible with RAG_BASE_URL for a local server).'
+    );
+  }
+  return key;
+}
+
+// --- Built-in providers ---
+
+registerProvider('openai', {
+  createEmbeddings: ({ model, apiKey, stripNewLines = true }) => new OpenAIEmbeddings({
+    openAIApiKey: requireOpenAIKey(apiKey),
+    modelName: model ?? 'text-embedding-ada-002',
+    stripNewLines
+  }),
+  createChatModel: ({ model, apiKey, temperature, streaming = false }) => new ChatOpenAI({
+    openAIApiKey: requireOpenAIKey(apiKey),
+    modelName: model ?? 'gpt-3.5-turbo',
+    temperature,
+    streaming
+  })
+});
+
+// Any server speaking the OpenAI API (Ollama, LM Studio, vLLM, llama.cpp, ...)
+registerProvider('openai-compatible', {
+  createEmbeddings: ({ model, baseURL, apiKey, stripNewLines = true }) => {
+    if (!baseURL) {
+      throw new Error('RAG_BASE_URL must be set for the openai-compatible provider');
+    }
+    return new OpenAIEmbeddings({
+      // Local servers usually ignore the key, but the client requires one
+      openAIApiKey: apiKey ?? 'not-needed',
+      modelName: model,
+      stripNewLines,
+      configuration: { baseURL }
+    });
+  },
+  createChatModel: ({ model, baseURL, apiKey, temperature, streaming = false }) => {
+    if (!baseURL) {
+      throw new Error('RAG_BASE_URL must be set for the openai-compatible provider');
+    }
+    return new ChatOpenAI({
+      openAIApiKey: apiKey ?? 'not-needed',
+      modelName: model,
+      temperature,
+      streaming,
+      configuration: { baseURL }
+    });
+  }
+});
+
+registerProvider('fake', {
+  createEmbeddings: ({ dimensions }) => new FakeEmbeddings({ dimensions }),
+  createChatModel: ({ maxSentences }) => new FakeChatModel({
+    maxSentences,
+    tokenDelayMs: Number(process.env.RAG_FAKE_TOKEN_DELAY_MS) || 0
+  })
+});
@@ -0,0 +1,207 @@
+// Second-stage retrieval: MMR diversification, reranking and relevance cut-off
+import { BaseRetriever } from '@langchain/core/retrievers';
+import { maximalMarginalRelevance } from '@langchain/core/utils/math';
+import { analyze } from './bm25.js';
+import { chunkIdOf, hybridSearch } from './hybridSearch.js';
+import { filteredSimilaritySearch } from './filters.js';
+
+export const NO_RELEVANT_CONTEXT = 'no_relevant_context';
+
+/**
+ * Reranker that scores a chunk by the share of query terms it contains.
+ * Scores fall in [0, 1], which makes a fixed relevance threshold meaningful.
+ *
+ * A reranker is any object with `name` and
+ * `async rerank(query, documents) => Array<number>` (one score per document).
+ */
+export class LexicalOverlapReranker {
+  constructor() {
+    this.name = 'lexical-overlap';
+  }
+
+  async rerank(query, documents) {
+    const queryTerms = new Set(analyze(query));
+    if (queryTerms.size === 0) {
+      return documents.map(() => 0);
+    }
+    return documents.map(document => {
+      const documentTerms = new Set(analyze(document.pageContent));
+      let matched = 0;
+      for (const term of queryTerms) {
+        if (documentTerms.has(term)) matched++;
+      }
+      return matched / queryTerms.size;
+    });
+  }
+}
+
+/**
+ * Maximal marginal relevance search: fetch `fetchK` candidates by
+ * similarity, then pick `k` that balance relevance against redundancy
+ * @param {Object} vectorStore - Vector store with `embeddings`
+ * @param {string} query - User query
+ * @param {Object} options - { k, fetchK, lambda, filter } (lambda 1 = pure relevance, 0 = pure diversity)
+ * @returns {Promise<Array<Object>>} Results as { id, document, score, scores }
+ */
+export async function maxMarginalRelevanceSearch(vectorStore, query, { k = 4, fetchK = 20, lambda = 0.5, filter } = {}) {
+  const candidates = await filteredSimilaritySearch(vectorStore, query, fetchK, filter);
+  if (candidates.length === 0) return [];
+
+  const [queryEmbedding, candidateEmbeddings] = await Promise.all([
+    vectorStore.embeddings.embedQuery(query),
+    vectorStore.embeddings.embedDocuments(candidates.map(([document]) => document.pageContent))
+  ]);
+
+  return maximalMarginalRelevance(queryEmbedding, candidateEmbeddings, lambda, k)
+    .map(index => {
+      const [document, score] = candidates[index];
+      return { id: chunkIdOf(document), document, score, scores: { vector: score } };
+    });
+}
+
+/**
+ * Rerank candidates and drop those below the relevance threshold.
+ * `minScore` applies to reranker scores only: first-stage scores are on no
+ * common scale (fused RRF scores stay below ~0.033, Chroma returns distances).
+ * @param {string} query - User query
+ * @param {Array<Object>} candidates - Results as { id, document, scores? }
+ * @param {Object} options - { reranker, k, minScore }
+ * @returns {Promise<Object>} { status: 'ok' | 'no_relevant_context', results }
+ */
+export async function rerankCandidates(query, candidates, { reranker, k = 4, minScore = 0 }) {
+  let results = candidates.map(candidate => ({ ...candidate, scores: { ...candidate.scores } }));
+
+  if (reranker) {
+    const scores = await reranker.rerank(query, results.map(result => result.document));
+    results.forEach((result, i) => {
+      result.scores[reranker.name] = scores[i];
+      result.score = scores[i];
+    });
+    // Stable sort keeps the first-stage order among equal scores
+    results = results
+      .map((result, i) => ({ result, i }))
+      .sort((a, b) => b.result.score - a.result.score || a.i - b.i)
+      .map(({ result }) => result)
+      .filter(result => result.score >= minScore);
+  }
+
+  results = results.slice(0, k);
+
+  return {
+    status: results.length > 0 ? 'ok' : NO_RELEVANT_CONTEXT,
+    results
+  };
+}
+
+/**
+ * Retriever running the full pipeline: over-fetch candidates (similarity,
+ * MMR or hybrid), rerank, then cut off below `minScore`. `retrieve()` makes
+ * the "nothing relevant" case explicit; the LangChain retriever interface
+ * simply returns no documents in that case.
+ */
+export class RerankingRetriever extends BaseRetriever {
+  get lc_namespace() {
+    return ['rag_demo', 'retrievers'];
+  }
+
+  /**
+   * @param {Object} fields - Retriever settings
+   * @param {Object} fields.vectorStore - Vector store to search
+   * @param {number} fields.k - Results to return (default: 3)
+   * @param {number} fields.fetchK - Candidates to over-fetch (default: 4 * k)
+   * @param {string} fields.searchType - 'similarity', 'mmr' or 'hybrid'
+   * @param {number} fields.lambda - MMR diversity trade-off (default: 0.5)
+   * @param {Object} fields.keywordIndex - BM25Index, required for 'hybrid'
+   * @param {Object} fields.weights - Hybrid fusion weights
+   * @param {Object} fields.filter - Metadata filter expression (see filters.js)
+   * @param {Object} fields.reranker - Second-stage reranker (optional)
+   * @param {number} fields.minScore - Threshold on the reranker score (default: 0).
+   *   Ignored without a reranker: first-stage scores differ by store (Chroma returns distances).
+   */
+  constructor(fields) {
+    super(fields);
+    this.vectorStore = fields.vectorStore;
+    this.k = fields.k ?? 3;
+    this.fetchK = fields.fetchK ?? this.k * 4;
+    this.searchType = fields.searchType ?? 'similarity';
+    this.lambda = fields.lambda ?? 0.5;
+    this.keywordIndex = fields.keywordIndex;
+    this.weights = fields.weights;
+    this.filter = fields.filter;
+    this.reranker = fields.reranker;
+    this.minScore = fields.minScore ?? 0;
+  }
+
+  /**
+   * The retrieval config as plain JSON, e.g. to record it with feedback
+   * @returns {Object} { searchType, k, fetchK, lambda, weights, reranker, minScore, filter }
+   */
+  settings() {
+    return {
+      searchType: this.searchType,
+      k: this.k,
+      fetchK: this.fetchK,
+      lambda: this.searchType === 'mmr' ? this.lambda : null,
+      weights: this.searchType === 'hybrid' ? this.weights ?? null : null,
+      reranker: this.reranker?.name ?? null,
+      minScore: this.reranker ? this.minScore : null,
+      filter: this.filter ?? null
+    };
+  }
+
+  /**
+   * Switch to updated indexes in one step. Queries already running finish
+   * on the indexes they started with.
+   * @param {Object} indexes - { vectorStore, keywordIndex }
+   */
+  useIndexes({ vectorStore, keywordIndex }) {
+    this.vectorStore = vectorStore;
+    this.keywordIndex = keywordIndex;
+  }
+
+  async fetchCandidates(query, filter) {
+    switch (this.searchType) {
+      case 'mmr':
+        return maxMarginalRelevanceSearch(this.vectorStore, query, {
+          k: this.fetchK,
+          fetchK: this.fetchK * 2,
+          lambda: this.lambda,
+          filter
+        });
+      case 'hybrid':
+        return hybridSearch({
+          vectorStore: this.vectorStore,
+          keywordIndex: this.keywordIndex,
+          query,
+          k: this.fetchK,
+          weights: this.weights,
+          filter
+        });
+      case 'similarity':
+        return (await filteredSimilaritySearch(this.vectorStore, query, this.fetchK, filter))
+          .map(([document, score]) => ({ id: chunkIdOf(document), document, score, scores: { vector: score } }));
+      default:
+        throw new Error(`Unknown search type "${this.searchType}". Use similarity, mmr or hybrid.`);
+    }
+  }
+
+  /**
+   * Run the retrieval pipeline
+   * @param {string} query - User query
+   * @param {Object} options - { filter } to scope this query (defaults to the retriever's filter)
+   * @returns {Promise<Object>} { status: 'ok' | 'no_relevant_context', results }
+   */
+  async retrieve(query, { filter = this.filter } = {}) {
+    const candidates = await this.fetchCandidates(query, filter);
+    return rerankCandidates(query, candidates, {
+      reranker: this.reranker,
+      k: this.k,
+      minScore: this.minScore
+    });
+  }
+
+  async _getRelevantDocuments(query) {
+    const { results } = await this.retrieve(query);
+    return results.map(result => result.document);
+  }
+}
@@ -0,0 +1,402 @@
+// auth.js - Who is connecting: API keys, signed session tokens and usernames
+//
+// One Authenticator covers both Express routes (httpAuth) and Socket.IO
+// handshakes (socketAuth). Clients send a credential as
+// `Authorization: Bearer <credential>` or `X-API-Key: <credential>`, or, for
+// Socket.IO, in the handshake: io({ auth: { token } }).
+//
+// Credentials are checked by pluggable strategies (credential -> user or
+// null). Built in:
+//   - API keys from AUTH_API_KEYS ("key:username" pairs)
+//   - session tokens signed with AUTH_SECRET, issued by POST /auth/token in
+//     exchange for an API key, so browsers don't have to keep the key
+// AUTH_MODE=required rejects anyone without a valid credential. With
+// AUTH_MODE=optional (the default) they get in as guests, whose usernames
+// are self-chosen but still unique and can't take a key holder's name.
+const crypto = require('crypto');
+const { Cluster } = require('./cluster');
+
+const DEFAULT_TOKEN_TTL_MS = 12 * 60 * 60 * 1000; // 12 hours
+
+class AuthError extends Error {
+  /**
+   * @param {string} message - Safe to show to the client
+   * @param {Object} options - { status: HTTP status (default 401), code: machine-readable code }
+   */
+  constructor(message, { status = 401, code = 'unauthorized' } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const base64url = text => Buffer.from(text).toString('base64url');
+const hmac = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Sign claims into a session token: "<base64url JSON>.<HMAC-SHA256>"
+ * @param {Object} claims - { sub: username, exp: expiry in ms since epoch }
+ * @param {string} secret - Signing secret
+ * @returns {string} Token
+ */
+function signToken(claims, secret) {
+  const payload = base64url(JSON.stringify(claims));
+  return `${payload}.${hmac(payload, secret)}`;
+}
+
+/**
+ * Check a session token's signature and expiry
+ * @param {string} token - Token from signToken
+ * @param {string} secret - Signing secret
+ * @returns {Object|null} The claims, or null if the token is forged, malformed or expired
+ */
+function verifyToken(token, secret) {
+  const [payload, signature, extra] = String(token).split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+  const expected = Buffer.from(hmac(payload, secret));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof claims.sub !== 'string' || !(claims.exp > Date.now())) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse AUTH_API_KEYS: "key1:alice,key2:bob" (commas or whitespace between pairs)
+ * @param {string} spec - Key list
+ * @returns {Map<string, string>} key -> username
+ */
+function parseApiKeys(spec = '') {
+  const keys = new Map();
+  for (const entry of spec.split(/[\s,]+/).filter(Boolean)) {
+    const separator = entry.lastIndexOf(':');
+    const key = entry.slice(0, separator);
+    const name = entry.slice(separator + 1);
+    if (separator < 1 || !name) {
+      throw new Error(`Invalid AUTH_API_KEYS entry "${entry}": use key:username`);
+    }
+    keys.set(key, name);
+  }
+  return keys;
+}
+
+/**
+ * Strategy: a fixed set of API keys
+ * @param {Map<string, string>} keys - key -> username
+ * @returns {Function} credential -> { name, via: 'api-key' } or null
+ */
+function apiKeyStrategy(keys) {
+  return credential => (keys.has(credential) ? { name: keys.get(credential), via: 'api-key' } : null);
+}
+
+/**
+ * Strategy: session tokens signed with a secret
+ * @param {string} secret - Signing secret
+ * @returns {Function} credential -> { name, via: 'token' } or null
+ */
+function tokenStrategy(secret) {
+  return credential => {
+    const claims = verifyToken(credential, secret);
+    return claims ? { name: claims.sub, via: 'token' } : null;
+  };
+}
+
+class Authenticator {
+  /**
+   * @param {Object} options - Settings
+   * @param {boolean} options.required - Reject requests without a valid credential (default: false)
+   * @param {string} options.secret - Secret for session tokens (default: random, so tokens end with the process)
+   * @param {number} options.tokenTtlMs - How long issued tokens are valid
+   * @param {Array<Function>} options.strategies - credential -> user or null, tried in order
+   * @param {Iterable<string>} options.reservedNames - Usernames guests may not use
+   */
+  constructor({ required = false, secret, tokenTtlMs = DEFAULT_TOKEN_TTL_MS, strategies = [], reservedNames = [] } = {}) {
+    this.required = required;
+    this.secret = secret || crypto.randomBytes(32).toString('hex');
+    this.tokenTtlMs = tokenTtlMs;
+    this.strategies = [...strategies, tokenStrategy(this.secret)];
+    this.reservedNames = new Set([...reservedNames].map(name => name.toLowerCase()));
+  }
+
+  /**
+   * Add a strategy (e.g. a lookup in your own user database)
+   * @param {Function} strategy - credential -> user ({ name, via }) or null
+   * @returns {Authenticator} this
+   */
+  use(strategy) {
+    this.strategies.unshift(strategy);
+    return this;
+  }
+
+  /**
+   * Identify the sender of a credential
+   * @param {string|undefined} credential - API key or session token
+   * @returns {Object|null} { name, via }, or null for a guest
+   * @throws {AuthError} If the credential is invalid, or missing when auth is required
+   */
+  authenticate(credential) {
+    if (!credential) {
+      if (this.required) throw new AuthError('Authentication required: send an API key or session token.');
+      return null;
+    }
+    for (const strategy of this.strategies) {
+      const user = strategy(credential);
+      if (user) return user;
+    }
+    throw new AuthError('Invalid or expired credentials.');
+  }
+
+  /**
+   * Issue a session token for an authenticated user
+   * @param {Object} user - { name }
+   * @returns {Object} { token, expiresAt }
+   */
+  issueToken(user) {
+    const exp = Date.now() + this.tokenTtlMs;
+    return { token: signToken({ sub: user.name, exp }, this.secret), expiresAt: new Date(exp).toISOString() };
+  }
+}
+
+/**
+ * Build the authenticator from the environment:
+ * AUTH_MODE (optional|required), AUTH_API_KEYS, AUTH_SECRET, AUTH_TOKEN_TTL_MINUTES
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Authenticator} Authenticator
+ */
+function createAuthenticator(env = process.env) {
+  const mode = env.AUTH_MODE || 'optional';
+  if (!['optional', 'required'].includes(mode)) {
+    throw new Error(`Unknown AUTH_MODE "${mode}". Use optional or required.`);
+  }
+  const keys = parseApiKeys(env.AUTH_API_KEYS);
+  if (mode === 'required' && !env.AUTH_SECRET) {
+    console.warn('⚠️ AUTH_SECRET is not set: session tokens stop working when the server restarts, and only work on the instance that issued them.');
+  }
+  return new Authenticator({
+    required: mode === 'required',
+    secret: env.AUTH_SECRET,
+    tokenTtlMs: Number(env.AUTH_TOKEN_TTL_MINUTES) * 60 * 1000 || DEFAULT_TOKEN_TTL_MS,
+    strategies: keys.size > 0 ? [apiKeyStrategy(keys)] : [],
+    reservedNames: keys.values()
+  });
+}
+
+/**
+ * The credential in request (or handshake) headers
+ * @param {Object} headers - Lower-cased headers
+ * @returns {string|undefined} Credential
+ */
+function credentialFromHeaders(headers = {}) {
+  const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization ?? '');
+  return match ? match[1] : headers['x-api-key'];
+}
+
+// Default error response: { error, code }
+const sendJsonError = (res, status, error, code) => res.status(status).json({ error, code });
+
+/**
+ * Express middleware: sets req.user ({ name, via } or null for guests)
+ * @param {Authenticator} auth - Authenticator
+ * @param {Object} options - Settings
+ * @param {Function} options.respond - (res, status, message, code) sends the 401 (default: JSON { error, code })
+ * @param {boolean} options.lenient - Unless auth is required, serve unknown credentials as guests
+ *   (for clients that always send a key, like the OpenAI SDKs)
+ * @returns {Function} Middleware
+ */
+function httpAuth(auth, { respond = sendJsonError, lenient = false } = {}) {
+  return (req, res, next) => {
+    try {
+      req.user = auth.authenticate(credentialFromHeaders(req.headers));
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) return next(error);
+      if (lenient && !auth.required) {
+        req.user = null;
+        return next();
+      }
+      res.set('WWW-Authenticate', 'Bearer');
+      respond(res, error.status, error.message, error.code);
+    }
+  };
+}
+
+/**
+ * Express middleware (after httpAuth) for routes guests may not use. Guests
+ * get 401, so a page can ask for an API key; if `admins` are listed, other
+ * users get 403.
+ * @param {Object} options - { admins: usernames allowed (default: AUTH_ADMINS, comma-separated; none means any signed-in user) }
+ * @returns {Function} Middleware
+ */
+function requireUser({ admins = (process.env.AUTH_ADMINS ?? '').split(',') } = {}) {
+  const allowed = new Set(admins.map(name => name.trim().toLowerCase()).filter(Boolean));
+  return (req, res, next) => {
+    if (!req.user) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendJsonError(res, 401, 'Sign in with an API key to make changes.', 'unauthorized');
+    }
+    if (allowed.size > 0 && !allowed.has(req.user.name.toLowerCase())) {
+      return sendJsonError(res, 403, 'Only administrators can make changes.', 'forbidden');
+    }
+    next();
+  };
+}
+
+/**
+ * Socket.IO middleware (io.use): sets socket.data.user. A rejected client
+ * gets 'connect_error' with err.message and err.data.code.
+ * @param {Authenticator} auth - Authenticator
+ * @returns {Function} Middleware
+ */
+function socketAuth(auth) {
+  return (socket, next) => {
+    const { auth: handshakeAuth = {}, headers } = socket.handshake;
+    try {
+      socket.data.user = auth.authenticate(handshakeAuth.token ?? credentialFromHeaders(headers));
+      next();
+    } catch (error) {
+      if (!(error instanceof AuthError)) return next(error);
+      const rejection = new Error(error.message);
+      rejection.data = { code: error.code };
+      next(rejection);
+    }
+  };
+}
+
+/**
+ * Express handler for POST /auth/token: exchanges the API key (or a still
+ * valid token) in the Authorization header for a new session token.
+ * Mount after httpAuth.
+ * @param {Authenticator} auth - Authenticator
+ * @returns {Function} Route handler responding { token, expiresAt, username }
+ */
+function tokenRoute(auth) {
+  return (req, res) => {
+    if (!req.user) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json({ error: 'Send an API key as "Authorization: Bearer <key>"', code: 'unauthorized' });
+    }
+    res.json({ ...auth.issueToken(req.user), username: req.user.name });
+  };
+}
+
+/**
+ * Usernames in use by connected sockets. A name belongs to one user: an
+ * authenticated user may use theirs from several tabs, a guest's name is
+ * unique to their session (one tab), and guests can't take names reserved
+ * for key holders. Claims are kept in a Cluster (see cluster.js), so names
+ * are unique across instances; two instances can still hand out the same
+ * free name if it is claimed on both within a few milliseconds.
+ */
+class UsernameRegistry {
+  /**
+   * @param {Iterable<string>} reservedNames - Names only their owners may use (e.g. auth.reservedNames)
+   * @param {Object} options - { cluster: share claims with other instances (default: this instance only) }
+   */
+  constructor(reservedNames = [], { cluster = new Cluster() } = {}) {
+    this.reserved = new Set([...reservedNames].map(name => name.toLowerCase()));
+    this.claims = cluster.map('usernames'); // socket.id -> { name: lower-cased name, owner }
+  }
+
+  /**
+   * Take a name for a socket, releasing the socket's previous name
+   * @param {string} name - Username
+   * @param {string} socketId - Socket taking it
+   * @param {Object|null} user - Authenticated user, or null for a guest
+   * @param {string} session - Guest's session, kept across reconnects (default: the socket id)
+   * @returns {boolean} False if someone else has the name
+   */
+  claim(name, socketId, user = null, session = socketId) {
+    const key = name.toLowerCase();
+    const owner = ownerKey(user, session);
+    const taken = this.claims.values().some(claim => claim.name === key && claim.owner !== owner);
+    if (taken || (this.reserved.has(key) && owner !== key)) {
+      return false;
+    }
+    this.claims.set(socketId, { name: key, owner });
+    return true;
+  }
+
+  /**
+   * Free the name a socket holds (on disconnect)
+   * @param {string} socketId - Socket
+   */
+  release(socketId) {
+    this.claims.delete(socketId);
+  }
+}
+
+// Guests may send a random session id with the handshake: io({ auth: { session } })
+const GUEST_SESSION = /^[\w-]{16,64}$/;
+
+/**
+ * Who a connection or request belongs to: the user's lower-cased name, or
+ * "guest:<session>" for a guest
+ * @param {Object|null} user - Authenticated user, or null for a guest
+ * @param {string} session - Guest's session
+ * @returns {string} Owner key
+ */
+function ownerKey(user, session) {
+  return user ? user.name.toLowerCase() : `guest:${session}`;
+}
+
+/**
+ * The owner (see ownerKey) of an HTTP request after httpAuth. A guest sends
+ * their handshake session as X-Chat-Session.
+ * @param {Object} req - Express request
+ * @returns {string|null} Owner key, or null for a guest without a session
+ */
+function requestOwner(req) {
+  if (req.user) return ownerKey(req.user);
+  const session = req.get('x-chat-session');
+  return session && GUEST_SESSION.test(session) ? ownerKey(null, session) : null;
+}
+
+/**
+ * Check and take the name a socket asked for in 'set username'.
+ * Authenticated users must use their own name. A guest who reconnects
+ * (maybe to another instance) with the same handshake `session` gets their
+ * name back even if the old connection hasn't been dropped yet.
+ * Sets socket.data.owner (see ownerKey) once the name is taken.
+ * @param {UsernameRegistry} usernames - Names in use
+ * @param {Socket} socket - Socket asking (socket.data.user from socketAuth)
+ * @param {string} name - Requested username
+ * @returns {Object|null} Null if the socket got the name, else { code, message } to send as 'chat error'
+ */
+function claimUsername(usernames, socket, name) {
+  const { user } = socket.data;
+  if (user && name.toLowerCase() !== user.name.toLowerCase()) {
+    return { code: 'username_mismatch', message: `You are signed in as ${user.name}.` };
+  }
+  const { session } = socket.handshake.auth ?? {};
+  const guestSession = typeof session === 'string' && GUEST_SESSION.test(session) ? session : socket.id;
+  if (!usernames.claim(name, socket.id, user, guestSession)) {
+    return { code: 'username_taken', message: `The username "${name}" is already in use.` };
+  }
+  socket.data.owner = ownerKey(user, guestSession);
+  return null;
+}
+
+module.exports = {
+  AuthError,
+  Authenticator,
+  UsernameRegistry,
+  signToken,
+  verifyToken,
+  parseApiKeys,
+  apiKeyStrategy,
+  tokenStrategy,
+  createAuthenticator,
+  credentialFromHeaders,
+  httpAuth,
+  requireUser,
+  socketAuth,
+  tokenRoute,
+  claimUsername,
+  ownerKey,
+  requestOwner
+};
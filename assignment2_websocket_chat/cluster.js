@@ -0,0 +1,242 @@
+// cluster.js - Presence state shared by every instance of a chat server
+//
+// Who is in which room, usernames, typing and read receipts used to live in
+// one process. With several instances behind a load balancer, each instance
+// keeps a replica of that state in SharedMaps, so reads stay synchronous:
+// a change is applied locally and published on the pub/sub adapter (see
+// pubsub.js), and the other instances apply it in the order it was made.
+//
+//   - An entry of an owned map (the default) belongs to the instance that
+//     wrote it, e.g. a socket's room membership. When the instance shuts down
+//     ('bye') or stops sending heartbeats (crashed), its entries are dropped
+//     everywhere and 'peer down' (instance, removed) is emitted.
+//   - A map with { owned: false } keeps entries whoever wrote them; its
+//     `merge(current, incoming)` settles concurrent writes (e.g. the highest
+//     read receipt wins).
+//
+// A new (or reconnected) instance says 'hello' and everyone answers with a
+// snapshot of their entries.
+//
+// Messages on the channel: { type, from, ... } with type 'hello',
+// 'snapshot' { maps }, 'set' { map, key, value }, 'delete' { map, key },
+// 'heartbeat' or 'bye'.
+const { EventEmitter } = require('events');
+const { randomBytes } = require('crypto');
+const { MemoryPubSub } = require('./pubsub');
+
+const DEFAULT_HEARTBEAT_MS = 2000;
+// Missing this many heartbeats in a row means the instance is gone
+const MISSED_HEARTBEATS = 3;
+
+class SharedMap {
+  /**
+   * Use cluster.map(name) rather than the constructor
+   * @param {Cluster} cluster - Cluster that replicates the map
+   * @param {string} name - Map name, the same on every instance
+   * @param {Object} options - { owned (default: true), merge(current, incoming) }
+   */
+  constructor(cluster, name, { owned = true, merge } = {}) {
+    this.cluster = cluster;
+    this.name = name;
+    this.owned = owned;
+    this.merge = merge;
+    this.items = new Map(); // key -> { value, owner }
+  }
+
+  get(key) {
+    return this.items.get(key)?.value;
+  }
+
+  has(key) {
+    return this.items.has(key);
+  }
+
+  /**
+   * Set an entry here and on every other instance
+   * @param {string} key - Key
+   * @param {*} value - JSON value
+   * @returns {*} The stored value (merged with the current one)
+   */
+  set(key, value) {
+    const stored = this.apply(key, value, this.cluster.id);
+    this.cluster.send({ type: 'set', map: this.name, key, value: stored });
+    return stored;
+  }
+
+  /**
+   * Remove an entry here and on every other instance
+   * @param {string} key - Key
+   */
+  delete(key) {
+    if (!this.items.delete(key)) return;
+    this.cluster.send({ type: 'delete', map: this.name, key });
+  }
+
+  /**
+   * @returns {Array<*>} Every value, from every instance
+   */
+  values() {
+    return [...this.items.values()].map(item => item.value);
+  }
+
+  /**
+   * @returns {Array<Array>} Every [key, value], from every instance
+   */
+  entries() {
+    return [...this.items].map(([key, item]) => [key, item.value]);
+  }
+
+  // Store a change (local or from another instance)
+  apply(key, value, owner) {
+    const current = this.items.get(key);
+    const stored = current && this.merge ? this.merge(current.value, value) : value;
+    this.items.set(key, { value: stored, owner: this.owned ? owner : null });
+    return stored;
+  }
+
+  // What this instance sends in a snapshot: its own entries, or all of them
+  snapshot(owner) {
+    return [...this.items]
+      .filter(([, item]) => !this.owned || item.owner === owner)
+      .map(([key, item]) => [key, item.value]);
+  }
+
+  // Drop an instance's entries and return their values
+  dropOwner(owner) {
+    const removed = [];
+    for (const [key, item] of this.items) {
+      if (item.owner === owner) {
+        removed.push(item.value);
+        this.items.delete(key);
+      }
+    }
+    return removed;
+  }
+}
+
+class Cluster extends EventEmitter {
+  /**
+   * @param {Object} pubsub - Connected pub/sub adapter (default: one only this cluster uses)
+   * @param {Object} options - { channel (default: 'chat:state'), heartbeatMs (default: 2000) }
+   */
+  constructor(pubsub = new MemoryPubSub(new EventEmitter()), { channel = 'chat:state', heartbeatMs = DEFAULT_HEARTBEAT_MS } = {}) {
+    super();
+    this.id = randomBytes(4).toString('hex');
+    this.pubsub = pubsub;
+    this.channel = channel;
+    this.heartbeatMs = Number(heartbeatMs) || DEFAULT_HEARTBEAT_MS;
+    this.maps = new Map(); // name -> SharedMap
+    this.peers = new Map(); // instance id -> time last heard from
+    this.departed = new Set(); // instances dropped for missing heartbeats
+    this.timer = null;
+  }
+
+  /**
+   * The shared map with this name (created on first use)
+   * @param {string} name - Map name
+   * @param {Object} options - { owned, merge } (see SharedMap)
+   * @returns {SharedMap} Map
+   */
+  map(name, options) {
+    if (!this.maps.has(name)) {
+      this.maps.set(name, new SharedMap(this, name, options));
+    }
+    return this.maps.get(name);
+  }
+
+  /**
+   * Join the other instances: subscribe, ask for their state, send ours and
+   * start the heartbeat. Without start() the maps are only local.
+   */
+  async start() {
+    this.unsubscribe = await this.pubsub.subscribe(this.channel, message => this.receive(message));
+    this.pubsub.on('reconnect', () => this.announce());
+    this.announce();
+    this.timer = setInterval(() => this.heartbeat(), this.heartbeatMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Leave the cluster: the other instances drop our entries right away
+   */
+  async close() {
+    clearInterval(this.timer);
+    if (!this.unsubscribe) return;
+    await this.publish({ type: 'bye' });
+    await this.unsubscribe();
+  }
+
+  announce() {
+    this.send({ type: 'hello' });
+    this.send({ type: 'snapshot', maps: this.snapshot() });
+  }
+
+  snapshot() {
+    return Object.fromEntries([...this.maps].map(([name, map]) => [name, map.snapshot(this.id)]));
+  }
+
+  publish(message) {
+    return this.pubsub.publish(this.channel, { ...message, from: this.id });
+  }
+
+  send(message) {
+    this.publish(message).catch(error => console.error('Could not update the other instances:', error.message));
+  }
+
+  receive(message) {
+    const { type, from } = message;
+    if (from === this.id) return;
+    if (type === 'bye') {
+      this.drop(from);
+      return;
+    }
+    this.peers.set(from, Date.now());
+    // Heard from an instance we gave up on: it still has its entries, we don't
+    if (this.departed.delete(from) && type !== 'hello') {
+      this.send({ type: 'hello' });
+    }
+
+    switch (type) {
+      case 'hello':
+        this.send({ type: 'snapshot', maps: this.snapshot() });
+        break;
+      case 'snapshot':
+        // The sender's entries as they are now, replacing what we had of theirs
+        for (const [name, entries] of Object.entries(message.maps)) {
+          const map = this.maps.get(name);
+          if (!map) continue;
+          if (map.owned) map.dropOwner(from);
+          entries.forEach(([key, value]) => map.apply(key, value, from));
+        }
+        break;
+      case 'set':
+        this.maps.get(message.map)?.apply(message.key, message.value, from);
+        break;
+      case 'delete':
+        this.maps.get(message.map)?.items.delete(message.key);
+        break;
+    }
+  }
+
+  heartbeat() {
+    this.send({ type: 'heartbeat' });
+    const cutoff = Date.now() - this.heartbeatMs * MISSED_HEARTBEATS;
+    for (const [peer, lastSeen] of this.peers) {
+      if (lastSeen < cutoff) {
+        this.departed.add(peer);
+        this.drop(peer);
+      }
+    }
+  }
+
+  drop(peer) {
+    this.peers.delete(peer);
+    const removed = {};
+    for (const [name, map] of this.maps) {
+      if (map.owned) removed[name] = map.dropOwner(peer);
+    }
+    this.emit('peer down', peer, removed);
+  }
+}
+
+module.exports = { Cluster, SharedMap };
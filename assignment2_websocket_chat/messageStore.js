@@ -0,0 +1,259 @@
+// messageStore.js - Persistent chat history
+//
+// Every store implements the same (async) interface:
+//   append(message)                  -> stored message with `id` and `createdAt`
+//   recent(room, limit)              -> the last `limit` messages of a room, oldest first
+//   page(room, { before, limit })    -> { messages, hasMore }: messages older than id `before`
+//   close()
+//
+// A message is { id, room, user, type: 'chat' | 'ai', text, citations?, retrieval?, createdAt }.
+// AI answers may keep the sources they were built from as
+// retrieval: { query, sources, ... } (see inspectSources in assignment1's citations.js);
+// apps add what they need to rate the answer later (question, persona, config).
+// Ids increase over time, so they double as the pagination cursor.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Keep page sizes sane whatever the client asks for
+function clampLimit(limit) {
+  const value = Number(limit) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(Math.floor(value), 1), MAX_PAGE_SIZE);
+}
+
+/**
+ * Messages kept in process memory (lost on restart). Also the in-memory
+ * index behind FileMessageStore.
+ */
+class MemoryMessageStore {
+  /**
+   * @param {Object} options - { maxPerRoom: oldest messages beyond this are dropped (default: 1000) }
+   */
+  constructor({ maxPerRoom = 1000 } = {}) {
+    this.maxPerRoom = maxPerRoom;
+    this.rooms = new Map(); // room -> messages, oldest first
+    this.nextId = 1;
+  }
+
+  // Store a message that already has an id (used when loading a file)
+  insert(message) {
+    const messages = this.rooms.get(message.room) ?? [];
+    messages.push(message);
+    if (messages.length > this.maxPerRoom) {
+      messages.splice(0, messages.length - this.maxPerRoom);
+    }
+    this.rooms.set(message.room, messages);
+    this.nextId = Math.max(this.nextId, message.id + 1);
+    return message;
+  }
+
+  async append(message) {
+    return this.insert({
+      id: this.nextId,
+      ...message,
+      createdAt: message.createdAt ?? new Date().toISOString()
+    });
+  }
+
+  async recent(room, limit = DEFAULT_PAGE_SIZE) {
+    return (await this.page(room, { limit })).messages;
+  }
+
+  async page(room, { before, limit } = {}) {
+    const size = clampLimit(limit);
+    const messages = this.rooms.get(room) ?? [];
+    // Messages are in id order: find the first one at or after the cursor
+    let end = messages.length;
+    if (before !== undefined && before !== null) {
+      end = messages.findIndex(message => message.id >= Number(before));
+      if (end === -1) end = messages.length;
+    }
+    const start = Math.max(0, end - size);
+    return { messages: messages.slice(start, end), hasMore: start > 0 };
+  }
+
+  async close() {}
+}
+
+/**
+ * Messages appended to a JSON Lines file and indexed in memory. The file is
+ * read once at startup; each new message is one appended line.
+ */
+class FileMessageStore extends MemoryMessageStore {
+  /**
+   * @param {string} filePath - JSONL file (created if missing)
+   */
+  constructor(filePath) {
+    super({ maxPerRoom: Infinity });
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      lines.forEach((line, i) => {
+        if (!line.trim()) return;
+        try {
+          this.insert(JSON.parse(line));
+        } catch (error) {
+          // A crash mid-write can leave a truncated last line; skip it
+          console.warn(`Skipping unreadable line ${i + 1} of ${filePath}`);
+        }
+      });
+    }
+    // Appends are chained so lines are written in id order
+    this.writes = Promise.resolve();
+  }
+
+  async append(message) {
+    const stored = await super.append(message);
+    this.writes = this.writes.then(() => fs.promises.appendFile(this.filePath, JSON.stringify(stored) + '\n'));
+    await this.writes;
+    return stored;
+  }
+
+  async close() {
+    await this.writes;
+  }
+}
+
+/**
+ * Messages in a SQLite database (needs the optional better-sqlite3 package)
+ */
+class SqliteMessageStore {
+  /**
+   * @param {string} filePath - Database file (created if missing)
+   */
+  constructor(filePath) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('The SQLite message store needs better-sqlite3: npm install better-sqlite3');
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room TEXT NOT NULL,
+        user TEXT NOT NULL,
+        type TEXT NOT NULL,
+        text TEXT NOT NULL,
+        citations TEXT,
+        retrieval TEXT,
+        created_at TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS messages_room_id ON messages (room, id);
+    `);
+    // Databases created before answers kept their retrieval
+    const columns = this.db.prepare('PRAGMA table_info(messages)').all().map(column => column.name);
+    if (!columns.includes('retrieval')) {
+      this.db.exec('ALTER TABLE messages ADD COLUMN retrieval TEXT');
+    }
+    this.insertStatement = this.db.prepare(
+      'INSERT INTO messages (room, user, type, text, citations, retrieval, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    );
+    this.pageStatement = this.db.prepare(
+      'SELECT * FROM messages WHERE room = ? AND id < ? ORDER BY id DESC LIMIT ?'
+    );
+  }
+
+  async append(message) {
+    const createdAt = message.createdAt ?? new Date().toISOString();
+    const { lastInsertRowid } = this.insertStatement.run(
+      message.room,
+      message.user,
+      message.type,
+      message.text,
+      message.citations ? JSON.stringify(message.citations) : null,
+      message.retrieval ? JSON.stringify(message.retrieval) : null,
+      createdAt
+    );
+    return { ...message, id: Number(lastInsertRowid), createdAt };
+  }
+
+  async recent(room, limit = DEFAULT_PAGE_SIZE) {
+    return (await this.page(room, { limit })).messages;
+  }
+
+  async page(room, { before, limit } = {}) {
+    const size = clampLimit(limit);
+    const cursor = before !== undefined && before !== null ? Number(before) : Number.MAX_SAFE_INTEGER;
+    // Fetch one extra row to know whether there is an older page
+    const rows = this.pageStatement.all(room, cursor, size + 1);
+    const messages = rows.slice(0, size).reverse().map(row => ({
+      id: row.id,
+      room: row.room,
+      user: row.user,
+      type: row.type,
+      text: row.text,
+      ...(row.citations && { citations: JSON.parse(row.citations) }),
+      ...(row.retrieval && { retrieval: JSON.parse(row.retrieval) }),
+      createdAt: row.created_at
+    }));
+    return { messages, hasMore: rows.length > size };
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Create the store selected by MESSAGE_STORE (memory, file or sqlite)
+ * @param {Object} options - { type, dataDir: where file/sqlite stores live }
+ * @returns {Object} Message store
+ */
+function createMessageStore({ type = process.env.MESSAGE_STORE || 'memory', dataDir }) {
+  switch (type) {
+    case 'memory':
+      return new MemoryMessageStore();
+    case 'file':
+      return new FileMessageStore(process.env.MESSAGE_STORE_PATH || path.join(dataDir, 'messages.jsonl'));
+    case 'sqlite':
+      return new SqliteMessageStore(process.env.MESSAGE_STORE_PATH || path.join(dataDir, 'messages.db'));
+    default:
+      throw new Error(`Unknown MESSAGE_STORE "${type}". Use memory, file or sqlite.`);
+  }
+}
+
+/**
+ * Express handler for GET /history?room=&before=&limit=
+ * @param {Object} store - Message store
+ * @param {Function} canRead - (req, room) => boolean (or a promise of one): may this request read the room?
+ * @returns {Function} Route handler responding { room, messages, nextBefore }, or 403
+ */
+function historyRoute(store, canRead) {
+  return async (req, res) => {
+    const { room, before, limit } = req.query;
+    if (typeof room !== 'string' || !room) {
+      return res.status(400).json({ error: 'room is required' });
+    }
+    if (before !== undefined && !/^\d+$/.test(before)) {
+      return res.status(400).json({ error: 'before must be a message id' });
+    }
+    try {
+      if (!await canRead(req, room)) {
+        return res.status(403).json({ error: 'You may not read this history' });
+      }
+      const { messages, hasMore } = await store.page(room, { before, limit });
+      // Pass nextBefore back as `before` to get the previous page
+      res.json({ room, messages, nextBefore: hasMore ? messages[0].id : null });
+    } catch (error) {
+      console.error('Error reading history:', error);
+      res.status(500).json({ error: 'Failed to read history' });
+    }
+  };
+}
+
+module.exports = {
+  MemoryMessageStore,
+  FileMessageStore,
+  SqliteMessageStore,
+  createMessageStore,
+  historyRoute
+};
@@ -0,0 +1,241 @@
+// presence.js - Typing indicators, read receipts and bot presence
+//
+// Client -> server:
+//   'typing start'       while the user types (repeat it every few seconds)
+//   'typing stop'        when they stop (sending a message also stops it)
+//   'message delivered' / 'message read' { messageId }
+// Server -> room:
+//   'typing'   { room, users }     who is typing right now (sorted names)
+//   'receipts' { room, receipts }  { [user]: { delivered, read } } (changed users only)
+//
+// Typing is throttled: a start within `throttleMs` of the last one is
+// dropped, and a user who has not sent one for `timeoutMs` stops typing.
+// Receipts are watermarks: acknowledging a message acknowledges every
+// earlier one in the room too, so a message has been read by everyone whose
+// `read` is at least its id. Reading a message implies it was delivered.
+//
+// Bots (e.g. the RAG chat's AI) are listed with the room's members in
+// 'room users' (see RoomManager.addBot), with the state of their work.
+//
+// Who is typing, the receipts and the bots' work are kept in a Cluster (see
+// cluster.js) so every instance of the server shows the same. The typing
+// timers run on the instance the typist is connected to.
+const { Cluster } = require('./cluster');
+
+const DEFAULT_TYPING_TIMEOUT_MS = 5000;
+const DEFAULT_TYPING_THROTTLE_MS = 1000;
+const RECEIPT_KINDS = ['delivered', 'read'];
+
+class PresenceTracker {
+  /**
+   * @param {Server} io - Socket.IO server
+   * @param {Object} options - { typingTimeoutMs (default: 5000), typingThrottleMs (default: 1000),
+   *   cluster: share state with other instances (default: this instance only) }
+   */
+  constructor(io, { typingTimeoutMs, typingThrottleMs, cluster = new Cluster() } = {}) {
+    this.io = io;
+    this.typingTimeoutMs = Number(typingTimeoutMs) || DEFAULT_TYPING_TIMEOUT_MS;
+    this.typingThrottleMs = Number(typingThrottleMs) || DEFAULT_TYPING_THROTTLE_MS;
+    this.typists = cluster.map('typing'); // socket.id -> { room, name }
+    this.typingTimers = new Map(); // socket.id -> { room, refreshedAt, timer } (this instance's sockets)
+    // Watermarks only move forward, whichever instance records them
+    this.latest = cluster.map('latest messages', { owned: false, merge: Math.max }); // room -> newest message id
+    this.watermarks = cluster.map('receipts', { owned: false, merge: furthest }); // [room, user] -> { delivered, read }
+
+    // Typists connected to an instance that went away stopped typing
+    cluster.on('peer down', (instance, removed) => {
+      new Set(removed.typing.map(typist => typist.room)).forEach(room => this.broadcastTyping(room, io.local));
+    });
+  }
+
+  /**
+   * Handle a socket's typing and receipt events
+   * @param {Socket} socket - Connected socket
+   */
+  listen(socket) {
+    socket.on('typing start', () => this.startTyping(socket));
+    socket.on('typing stop', () => this.stopTyping(socket));
+    // Receipts come from clients, so the payload may be anything (even null)
+    const receipt = kind => payload => {
+      const messageId = payload?.messageId;
+      if (Number.isInteger(messageId)) this.acknowledge(socket, kind, messageId);
+    };
+    socket.on('message delivered', receipt('delivered'));
+    socket.on('message read', receipt('read'));
+  }
+
+  /**
+   * Send who is typing and the receipts of the socket's (new) room to it
+   * @param {Socket} socket - Socket that just joined a room
+   */
+  joined(socket) {
+    const room = socket.data.room;
+    socket.emit('typing', { room, users: this.typing(room) });
+    socket.emit('receipts', { room, receipts: this.receipts(room) });
+  }
+
+  /**
+   * Call before a socket leaves its room or disconnects
+   * @param {Socket} socket - Socket
+   */
+  left(socket) {
+    this.stopTyping(socket);
+  }
+
+  // --- Typing ---
+
+  /**
+   * The user is typing in their room
+   * @param {Socket} socket - Socket with `data.username` and `data.room` set
+   */
+  startTyping(socket) {
+    const { username, room } = socket.data;
+    if (!username || !room) return;
+
+    const current = this.typingTimers.get(socket.id);
+    const now = Date.now();
+    if (current && now - current.refreshedAt < this.typingThrottleMs) return;
+
+    clearTimeout(current?.timer);
+    this.typingTimers.set(socket.id, {
+      room,
+      refreshedAt: now,
+      timer: setTimeout(() => this.stopTyping(socket, room), this.typingTimeoutMs)
+    });
+    if (!current) {
+      this.typists.set(socket.id, { room, name: username });
+      this.broadcastTyping(room);
+    }
+  }
+
+  /**
+   * The user stopped typing (or timed out, sent their message, left)
+   * @param {Socket} socket - Socket
+   * @param {string} room - Room they were typing in (default: their current room)
+   */
+  stopTyping(socket, room = socket.data.room) {
+    const current = this.typingTimers.get(socket.id);
+    if (!current || current.room !== room) return;
+    clearTimeout(current.timer);
+    this.typingTimers.delete(socket.id);
+    this.typists.delete(socket.id);
+    this.broadcastTyping(room);
+  }
+
+  /**
+   * Who is typing in a room
+   * @param {string} room - Room name
+   * @returns {Array<string>} Usernames, sorted
+   */
+  typing(room) {
+    return this.typists.values()
+      .filter(typist => typist.room === room)
+      .map(typist => typist.name)
+      .sort();
+  }
+
+  broadcastTyping(room, target = this.io) {
+    target.to(room).emit('typing', { room, users: this.typing(room) });
+  }
+
+  // --- Receipts ---
+
+  /**
+   * A message was posted to (or replayed from) a room. Receipts can't go
+   * past the newest message the server has seen.
+   * @param {string} room - Room name
+   * @param {number} messageId - Message id
+   */
+  posted(room, messageId) {
+    if ((this.latest.get(room) ?? 0) < messageId) this.latest.set(room, messageId);
+  }
+
+  /**
+   * Move a user's delivered or read watermark forward and tell the room
+   * @param {Socket} socket - Socket with `data.username` and `data.room` set
+   * @param {string} kind - 'delivered' or 'read'
+   * @param {number} messageId - Newest message received / seen
+   * @returns {Object|null} The user's { delivered, read }, or null if nothing changed
+   */
+  acknowledge(socket, kind, messageId) {
+    const { username, room } = socket.data;
+    if (!username || !room || !RECEIPT_KINDS.includes(kind)) return null;
+    if (!Number.isInteger(messageId) || messageId < 1 || messageId > (this.latest.get(room) ?? 0)) return null;
+
+    const key = JSON.stringify([room, username]);
+    const current = this.watermarks.get(key) ?? { delivered: 0, read: 0 };
+    if (current[kind] >= messageId) return null;
+    const updated = this.watermarks.set(key, kind === 'read'
+      ? { delivered: Math.max(current.delivered, messageId), read: messageId }
+      : { ...current, delivered: messageId });
+    this.io.to(room).emit('receipts', { room, receipts: { [username]: updated } });
+    return updated;
+  }
+
+  /**
+   * Every user's watermarks in a room
+   * @param {string} room - Room name
+   * @returns {Object} { [username]: { delivered, read } }
+   */
+  receipts(room) {
+    return Object.fromEntries(this.watermarks.entries().flatMap(([key, watermarks]) => {
+      const [receiptRoom, username] = JSON.parse(key);
+      return receiptRoom === room ? [[username, watermarks]] : [];
+    }));
+  }
+}
+
+// Merge two users' watermarks written on different instances
+function furthest(current, incoming) {
+  return {
+    delivered: Math.max(current.delivered, incoming.delivered),
+    read: Math.max(current.read, incoming.read)
+  };
+}
+
+/**
+ * A bot's presence: 'idle', or what it is doing in a room. Work is tracked
+ * per task (e.g. per answer), so two questions at once don't clear each
+ * other's state; the room shows the furthest along.
+ */
+class BotPresence {
+  static STATES = ['idle', 'retrieving', 'generating'];
+
+  /**
+   * @param {string} name - Name shown in the member list
+   * @param {Object} options - { cluster: share the bot's state with other instances (default: this instance only) }
+   */
+  constructor(name, { cluster = new Cluster() } = {}) {
+    this.name = name;
+    this.tasks = cluster.map(`bot:${name}`); // taskId -> { room, state }
+  }
+
+  /**
+   * Set a task's state; 'idle' (or null) ends the task
+   * @param {string} room - Room the task runs in
+   * @param {string} taskId - Task, e.g. an answer id (unique across instances)
+   * @param {string|null} state - 'retrieving', 'generating' or 'idle'
+   * @returns {boolean} Whether the room's state changed
+   */
+  set(room, taskId, state) {
+    const before = this.state(room);
+    if (!state || state === 'idle') {
+      this.tasks.delete(taskId);
+    } else {
+      this.tasks.set(taskId, { room, state });
+    }
+    return this.state(room) !== before;
+  }
+
+  /**
+   * The bot's state in a room
+   * @param {string} room - Room name
+   * @returns {string} 'idle', 'retrieving' or 'generating'
+   */
+  state(room) {
+    const states = this.tasks.values().filter(task => task.room === room).map(task => task.state);
+    return BotPresence.STATES.slice().reverse().find(state => states.includes(state)) ?? 'idle';
+  }
+}
+
+module.exports = { PresenceTracker, BotPresence };
@@ -0,0 +1,191 @@
+// pubsub.js - Publish/subscribe between chat server instances
+//
+// Every pub/sub adapter implements the same (async) interface:
+//   connect()
+//   publish(channel, message)      -> message (JSON) goes to every subscriber, on every instance
+//   subscribe(channel, handler)    -> unsubscribe(); handler(message) also gets this instance's own messages
+//   close()
+// and emits 'reconnect' after a dropped connection comes back: messages
+// published in between were missed, so state should be sent again.
+//
+// MemoryPubSub connects the servers in one process (one instance, or
+// several in a test); RedisPubSub goes through a Redis server, so instances
+// can run anywhere. Messages from one publisher arrive in the order sent.
+//
+// createAdapter() plugs an adapter into Socket.IO: io.to(room).emit() then
+// reaches the room's sockets on every instance, not just this one's.
+const { EventEmitter } = require('events');
+const { randomUUID } = require('crypto');
+const { RespClient } = require('./resp');
+
+// Default hub: every MemoryPubSub in the process that isn't given its own
+const sharedHub = new EventEmitter().setMaxListeners(0);
+
+class MemoryPubSub extends EventEmitter {
+  /**
+   * @param {EventEmitter} hub - Instances on the same hub hear each other (default: one per process)
+   */
+  constructor(hub = sharedHub) {
+    super();
+    this.hub = hub;
+    this.subscriptions = new Set(); // [channel, listener]
+  }
+
+  async connect() {}
+
+  async publish(channel, message) {
+    const data = JSON.stringify(message);
+    // Delivered later, like over a network, but in order
+    setImmediate(() => this.hub.emit(channel, data));
+  }
+
+  async subscribe(channel, handler) {
+    const subscription = [channel, data => handler(JSON.parse(data))];
+    this.hub.on(...subscription);
+    this.subscriptions.add(subscription);
+    return async () => {
+      this.hub.off(...subscription);
+      this.subscriptions.delete(subscription);
+    };
+  }
+
+  async close() {
+    this.subscriptions.forEach(subscription => this.hub.off(...subscription));
+    this.subscriptions.clear();
+  }
+}
+
+/**
+ * Pub/sub through a Redis server (or anything speaking its protocol). Uses
+ * two connections: a subscribed connection can't send other commands.
+ */
+class RedisPubSub extends EventEmitter {
+  /**
+   * @param {string} url - redis://[[user]:password@]host[:port][/db]
+   */
+  constructor(url) {
+    super();
+    this.url = url;
+    this.publisher = new RespClient(url);
+    this.subscriber = new RespClient(url, { subscriber: true });
+    this.handlers = new Map(); // channel -> Set(handler)
+
+    this.subscriber.on('message', (channel, data) => this.deliver(channel, data));
+    this.subscriber.on('reconnect', () => {
+      this.resubscribe().then(
+        () => this.emit('reconnect'),
+        error => console.error('Redis resubscribe failed:', error.message)
+      );
+    });
+    this.publisher.on('reconnect', () => this.emit('reconnect'));
+  }
+
+  async connect() {
+    await Promise.all([this.publisher.connect(), this.subscriber.connect()]);
+  }
+
+  async publish(channel, message) {
+    await this.publisher.command('PUBLISH', channel, JSON.stringify(message));
+  }
+
+  async subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+      await this.subscriber.command('SUBSCRIBE', channel);
+    }
+    this.handlers.get(channel).add(handler);
+
+    return async () => {
+      const handlers = this.handlers.get(channel);
+      if (!handlers?.delete(handler) || handlers.size > 0) return;
+      this.handlers.delete(channel);
+      await this.subscriber.command('UNSUBSCRIBE', channel);
+    };
+  }
+
+  deliver(channel, data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      return; // Not one of ours
+    }
+    this.handlers.get(channel)?.forEach(handler => handler(message));
+  }
+
+  // Subscriptions don't survive a reconnect
+  async resubscribe() {
+    for (const channel of this.handlers.keys()) {
+      await this.subscriber.command('SUBSCRIBE', channel);
+    }
+  }
+
+  async close() {
+    await Promise.all([this.publisher.close(), this.subscriber.close()]);
+  }
+}
+
+/**
+ * Create the pub/sub adapter chosen by the PUBSUB environment variable
+ * @param {Object} options - { type: 'memory' | 'redis' (default: PUBSUB or memory), url (default: REDIS_URL) }
+ * @returns {MemoryPubSub|RedisPubSub} Adapter (call connect() before use)
+ */
+function createPubSub({ type = process.env.PUBSUB || 'memory', url = process.env.REDIS_URL || 'redis://localhost:6379' } = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryPubSub();
+    case 'redis':
+      return new RedisPubSub(url);
+    default:
+      throw new Error(`Unknown PUBSUB "${type}". Use memory or redis.`);
+  }
+}
+
+/**
+ * A Socket.IO adapter class that forwards broadcasts through pub/sub:
+ * new Server(server, { adapter: createAdapter(pubsub) }). Each instance
+ * delivers a broadcast to its own sockets in the target rooms;
+ * io.local.emit() stays on this instance. Packets travel as JSON, so
+ * binary payloads and broadcasts with acknowledgements are local only.
+ * @param {Object} pubsub - Pub/sub adapter
+ * @param {Object} options - { channel: channel prefix (default: 'socket.io') }
+ * @returns {Function} Adapter class
+ */
+function createAdapter(pubsub, { channel = 'socket.io' } = {}) {
+  // Loaded here so the rest of this module works without Socket.IO
+  const { Adapter } = require('socket.io-adapter');
+
+  return class PubSubAdapter extends Adapter {
+    constructor(nsp) {
+      super(nsp);
+      this.uid = randomUUID();
+      this.channel = `${channel}#${nsp.name}`;
+      this.unsubscribe = pubsub.subscribe(this.channel, message => this.receive(message));
+      this.unsubscribe.catch(error => console.error(`Could not subscribe to ${this.channel}:`, error.message));
+    }
+
+    broadcast(packet, opts) {
+      super.broadcast(packet, opts);
+      if (opts.flags?.local) return;
+      pubsub.publish(this.channel, {
+        uid: this.uid,
+        packet,
+        rooms: [...opts.rooms],
+        except: [...(opts.except ?? [])],
+        flags: opts.flags ?? {}
+      }).catch(error => console.error('Broadcast to other instances failed:', error.message));
+    }
+
+    // A broadcast from another instance: deliver it to the sockets here
+    receive({ uid, packet, rooms, except, flags }) {
+      if (uid === this.uid) return;
+      super.broadcast(packet, { rooms: new Set(rooms), except: new Set(except), flags: { ...flags, local: true } });
+    }
+
+    close() {
+      return this.unsubscribe.then(unsubscribe => unsubscribe(), () => {});
+    }
+  };
+}
+
+module.exports = { MemoryPubSub, RedisPubSub, createPubSub, createAdapter };
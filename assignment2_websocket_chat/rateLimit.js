@@ -0,0 +1,146 @@
+// rateLimit.js - Per-user / per-IP token-bucket rate limits
+//
+// Each key (a signed-in user, or the IP address of a guest) gets a bucket of
+// `capacity` tokens that refills continuously at capacity / windowSeconds per
+// second. Every message (or LLM call) takes a token; an empty bucket means
+// "try again in retryAfterMs". Limits are configured as "<count>/<seconds>",
+// e.g. RATE_LIMIT_MESSAGES=20/60 allows bursts of 20 and 20 a minute overall.
+const IDLE_SWEEP_MS = 60 * 1000;
+
+class RateLimiter {
+  /**
+   * @param {Object} options - { name: shown in errors, capacity: burst size, windowSeconds: time to refill completely }
+   */
+  constructor({ name, capacity, windowSeconds }) {
+    this.name = name;
+    this.capacity = capacity;
+    this.refillPerMs = capacity / (windowSeconds * 1000);
+    this.buckets = new Map(); // key -> { tokens, updatedAt }
+    // Forget full buckets now and then so idle users don't pile up
+    this.sweeper = setInterval(() => this.sweep(), IDLE_SWEEP_MS);
+    this.sweeper.unref();
+  }
+
+  // A bucket with the tokens refilled since it was last used
+  bucket(key, now) {
+    const bucket = this.buckets.get(key) ?? { tokens: this.capacity, updatedAt: now };
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  /**
+   * Take tokens from a key's bucket
+   * @param {string} key - Who is acting (see rateLimitKey)
+   * @param {number} cost - Tokens to take (default: 1)
+   * @returns {Object} { allowed, remaining, retryAfterMs }
+   */
+  take(key, cost = 1) {
+    const bucket = this.bucket(key, Date.now());
+    if (bucket.tokens < cost) {
+      return { allowed: false, remaining: 0, retryAfterMs: Math.ceil((cost - bucket.tokens) / this.refillPerMs) };
+    }
+    bucket.tokens -= cost;
+    return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * this.refillPerMs >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  close() {
+    clearInterval(this.sweeper);
+  }
+}
+
+/**
+ * Create a limiter from a "<count>/<seconds>" setting
+ * @param {string} name - Limit name (e.g. 'messages')
+ * @param {string} spec - Setting, e.g. "20/60"; "off" or "0" disables the limit
+ * @param {string} fallback - Used when spec is empty
+ * @returns {RateLimiter|null} Limiter, or null when disabled
+ */
+function createRateLimiter(name, spec, fallback) {
+  const value = String(spec || fallback).trim();
+  if (value === 'off' || value === '0') return null;
+  const match = /^(\d+)\s*\/\s*(\d+)$/.exec(value);
+  if (!match || Number(match[1]) === 0 || Number(match[2]) === 0) {
+    throw new Error(`Invalid rate limit "${value}" for ${name}: use <count>/<seconds>, e.g. 20/60, or off`);
+  }
+  return new RateLimiter({ name, capacity: Number(match[1]), windowSeconds: Number(match[2]) });
+}
+
+/**
+ * The bucket key: the user for signed-in clients, otherwise the IP address
+ * @param {Object|null} user - Authenticated user ({ name }) or null
+ * @param {string} ip - Client address
+ * @returns {string} Key
+ */
+function rateLimitKey(user, ip) {
+  return user ? `user:${user.name.toLowerCase()}` : `ip:${ip}`;
+}
+
+/**
+ * Take a token for a request or socket event
+ * @param {RateLimiter|null} limiter - Limiter (null: no limit)
+ * @param {string} key - Bucket key
+ * @returns {Object|null} Null if allowed, else { code: 'rate_limited', message, limit, retryAfterMs }
+ */
+function checkRateLimit(limiter, key) {
+  if (!limiter) return null;
+  const { allowed, retryAfterMs } = limiter.take(key);
+  if (allowed) return null;
+  return {
+    code: 'rate_limited',
+    message: `Too many ${limiter.name}. Try again in ${Math.ceil(retryAfterMs / 1000)}s.`,
+    limit: limiter.name,
+    retryAfterMs
+  };
+}
+
+// Default 429 response: { error, code, limit, retryAfterMs }
+const sendJsonError = (res, status, { message, ...details }) => res.status(status).json({ error: message, ...details });
+
+/**
+ * Express middleware answering 429 (with Retry-After) once a client's bucket
+ * is empty. Mount after httpAuth so signed-in users are limited by name.
+ * @param {RateLimiter|null} limiter - Limiter (null: no limit)
+ * @param {Object} options - { respond(res, status, limited): send the 429 (default: JSON) }
+ * @returns {Function} Middleware
+ */
+function httpRateLimit(limiter, { respond = sendJsonError } = {}) {
+  return (req, res, next) => {
+    const limited = checkRateLimit(limiter, rateLimitKey(req.user, req.ip));
+    if (!limited) return next();
+    res.set('Retry-After', String(Math.ceil(limited.retryAfterMs / 1000)));
+    respond(res, 429, limited);
+  };
+}
+
+/**
+ * Take a token for a socket event; when the bucket is empty the socket gets a
+ * 'chat error' { code: 'rate_limited', message, limit, retryAfterMs } event
+ * @param {RateLimiter|null} limiter - Limiter (null: no limit)
+ * @param {Socket} socket - Socket (socket.data.user from socketAuth)
+ * @returns {boolean} True if the event may go ahead
+ */
+function allowSocketEvent(limiter, socket) {
+  const limited = checkRateLimit(limiter, rateLimitKey(socket.data.user, socket.handshake.address));
+  if (limited) socket.emit('chat error', limited);
+  return !limited;
+}
+
+module.exports = {
+  RateLimiter,
+  createRateLimiter,
+  rateLimitKey,
+  checkRateLimit,
+  httpRateLimit,
+  allowSocketEvent
+};
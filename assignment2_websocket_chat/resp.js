@@ -0,0 +1,256 @@
+// resp.js - A small client for the Redis protocol (RESP2)
+//
+// Just enough of Redis for pubsub.js: commands and their replies, pub/sub
+// messages, and reconnecting when the connection drops. It speaks the wire
+// protocol itself, so any server that talks RESP works: Redis, Valkey, or
+// the stand-in the tests run (test/respServer.js).
+const net = require('net');
+const { EventEmitter } = require('events');
+
+const MAX_RECONNECT_DELAY_MS = 5000;
+
+/**
+ * An error reply from the server, e.g. "ERR unknown command"
+ */
+class ReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReplyError';
+  }
+}
+
+/**
+ * Encode a value: strings become bulk strings, numbers integers, arrays
+ * arrays, null a null bulk string and errors error replies. A command is an
+ * array of strings.
+ * @param {*} value - Value to encode
+ * @returns {Buffer} RESP bytes
+ */
+function encode(value) {
+  if (Array.isArray(value)) {
+    return Buffer.concat([Buffer.from(`*${value.length}\r\n`), ...value.map(encode)]);
+  }
+  if (value === null || value === undefined) return Buffer.from('$-1\r\n');
+  if (value instanceof Error) return Buffer.from(`-${value.message.replace(/\r?\n/g, ' ')}\r\n`);
+  if (typeof value === 'number') return Buffer.from(`:${Math.trunc(value)}\r\n`);
+  const bytes = Buffer.from(String(value));
+  return Buffer.concat([Buffer.from(`$${bytes.length}\r\n`), bytes, Buffer.from('\r\n')]);
+}
+
+/**
+ * Incremental parser: push whatever arrived on the socket, get back the
+ * replies that are complete. Error replies come back as ReplyError values.
+ */
+class RespParser {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * @param {Buffer} chunk - Bytes received
+   * @returns {Array<*>} Complete replies, in order
+   * @throws {ReplyError} If the bytes are not RESP
+   */
+  push(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const replies = [];
+    let parsed;
+    while ((parsed = this.parse(0))) {
+      replies.push(parsed.value);
+      this.buffer = this.buffer.subarray(parsed.end);
+    }
+    return replies;
+  }
+
+  // One reply starting at `offset` as { value, end }, or null if it is incomplete
+  parse(offset) {
+    const lineEnd = this.buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(this.buffer[offset]);
+    const line = this.buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, end: next };
+      case '-':
+        return { value: new ReplyError(line), end: next };
+      case ':':
+        return { value: Number(line), end: next };
+      case '$': {
+        const length = Number(line);
+        if (length < 0) return { value: null, end: next };
+        if (this.buffer.length < next + length + 2) return null;
+        return { value: this.buffer.toString('utf8', next, next + length), end: next + length + 2 };
+      }
+      case '*': {
+        const count = Number(line);
+        if (count < 0) return { value: null, end: next };
+        const items = [];
+        let end = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parse(end);
+          if (!item) return null;
+          items.push(item.value);
+          end = item.end;
+        }
+        return { value: items, end };
+      }
+      default:
+        throw new ReplyError(`Unexpected RESP type "${type}"`);
+    }
+  }
+}
+
+/**
+ * One connection to a RESP server. Replies are matched to commands in the
+ * order they were sent. Commands sent while (re)connecting wait in a queue.
+ * A dropped connection is retried with backoff; 'reconnect' is emitted
+ * once it is back (anything published in between was missed).
+ * A subscriber connection emits 'message' (channel, data) for pub/sub messages.
+ */
+class RespClient extends EventEmitter {
+  /**
+   * @param {string} url - redis://[[user]:password@]host[:port][/db]
+   * @param {Object} options - { subscriber: the connection is used for SUBSCRIBE (default: false) }
+   */
+  constructor(url, { subscriber = false } = {}) {
+    super();
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'redis:') {
+      throw new Error(`Unsupported Redis URL "${url}": use redis://host:port`);
+    }
+    this.host = parsed.hostname || 'localhost';
+    this.port = Number(parsed.port) || 6379;
+    this.username = decodeURIComponent(parsed.username) || null;
+    this.password = decodeURIComponent(parsed.password) || null;
+    this.db = Number(parsed.pathname.slice(1)) || 0;
+    this.subscriber = subscriber;
+
+    this.socket = null;
+    this.ready = false;
+    this.closing = false;
+    this.pending = []; // { resolve, reject } per command sent, oldest first
+    this.queue = []; // { args, resolve, reject } waiting for the connection
+    this.reconnectTimer = null;
+  }
+
+  /**
+   * Open the connection (and authenticate / select the database)
+   * @returns {Promise<void>} Rejects if the server can't be reached
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const parser = new RespParser();
+      let failure = null;
+      this.socket = socket;
+      socket.setNoDelay(true);
+
+      socket.on('connect', () => {
+        this.handshake().then(() => {
+          this.ready = true;
+          this.queue.splice(0).forEach(({ args, resolve, reject }) => this.send(args).then(resolve, reject));
+          resolve();
+        }, error => socket.destroy(error));
+      });
+      socket.on('data', chunk => {
+        let replies;
+        try {
+          replies = parser.push(chunk);
+        } catch (error) {
+          socket.destroy(error);
+          return;
+        }
+        replies.forEach(reply => this.receive(reply));
+      });
+      socket.on('error', error => {
+        failure = error;
+      });
+      socket.on('close', () => {
+        const wasReady = this.ready;
+        this.ready = false;
+        const error = new Error(`Connection to ${this.host}:${this.port} lost${failure ? `: ${failure.message}` : ''}`);
+        this.pending.splice(0).forEach(command => command.reject(error));
+        if (!wasReady) {
+          reject(failure ?? error);
+        } else if (!this.closing) {
+          this.reconnect();
+        }
+      });
+    });
+  }
+
+  async handshake() {
+    if (this.password) {
+      await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+    }
+    if (this.db && !this.subscriber) {
+      await this.send(['SELECT', this.db]);
+    }
+  }
+
+  // Retry until the server is back, waiting longer each time
+  reconnect(attempt = 1) {
+    const delay = Math.min(100 * 2 ** attempt, MAX_RECONNECT_DELAY_MS);
+    this.reconnectTimer = setTimeout(() => {
+      this.connect().then(
+        () => this.emit('reconnect'),
+        () => !this.closing && this.reconnect(attempt + 1)
+      );
+    }, delay);
+  }
+
+  receive(reply) {
+    if (this.subscriber && Array.isArray(reply) && reply[0] === 'message') {
+      this.emit('message', reply[1], reply[2]);
+      return;
+    }
+    const command = this.pending.shift();
+    if (!command) return;
+    if (reply instanceof ReplyError) {
+      command.reject(reply);
+    } else {
+      command.resolve(reply);
+    }
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      this.socket.write(encode(args.map(String)));
+    });
+  }
+
+  /**
+   * Send a command
+   * @param {...string} args - Command and arguments, e.g. ('PUBLISH', channel, message)
+   * @returns {Promise<*>} The reply
+   * @throws {ReplyError} If the server answers with an error
+   */
+  command(...args) {
+    if (this.closing) return Promise.reject(new Error('The connection is closed'));
+    if (!this.ready) {
+      return new Promise((resolve, reject) => this.queue.push({ args, resolve, reject }));
+    }
+    return this.send(args);
+  }
+
+  /**
+   * Close the connection (no reconnecting). Queued commands fail.
+   */
+  async close() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    this.queue.splice(0).forEach(command => command.reject(new Error('The connection is closed')));
+    const socket = this.socket;
+    if (socket && !socket.destroyed) {
+      await new Promise(resolve => {
+        socket.once('close', resolve);
+        socket.end();
+      });
+    }
+  }
+}
+
+module.exports = { RespClient, RespParser, ReplyError, encode };
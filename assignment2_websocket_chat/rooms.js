@@ -0,0 +1,251 @@
+// rooms.js - Chat rooms (channels) and their members
+//
+// Each room has a config: a name, a description and the vector collection
+// its AI assistant answers from (used by the RAG chat in assignment 4).
+// A room's history can be read by its members, or by anyone if it is public.
+// A socket is in one room at a time; its room and username live on
+// `socket.data`, so any handler can find them without a global users map.
+// Rooms and their members are kept in a Cluster (see cluster.js), so every
+// instance of the server sees the members connected to the others.
+const fs = require('fs');
+const { Cluster } = require('./cluster');
+
+const DEFAULT_ROOM = 'general';
+const ROOM_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+/**
+ * Read room configs from a JSON file: [{ name, description?, collection?, documentsDir?, public? }]
+ * @param {string} filePath - Path to rooms.json
+ * @returns {Array<Object>} Room configs (a single "general" room if the file does not exist)
+ */
+function loadRoomConfigs(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [{ name: DEFAULT_ROOM }];
+  }
+  const configs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!Array.isArray(configs) || configs.length === 0) {
+    throw new Error(`${filePath} must contain a non-empty array of rooms`);
+  }
+  return configs;
+}
+
+class RoomManager {
+  /**
+   * @param {Array<Object>} configs - Room configs; the first one is the default room
+   * @param {Object} options - { allowCreate: let users create rooms by joining them (default: true),
+   *   cluster: share rooms and members with other instances (default: this instance only) }
+   */
+  constructor(configs = [{ name: DEFAULT_ROOM }], { allowCreate = true, cluster = new Cluster() } = {}) {
+    // Rooms created on any instance; the first config of a name wins
+    this.rooms = cluster.map('rooms', { owned: false, merge: current => current }); // name -> config
+    this.memberships = cluster.map('members'); // socket.id -> { room, name, owner }
+    this.bots = []; // BotPresence instances, present in every room
+    this.allowCreate = allowCreate;
+    configs.forEach(config => this.create(config));
+    this.defaultRoom = configs[0].name;
+  }
+
+  /**
+   * Add a room
+   * @param {Object} config - { name, description, collection, documentsDir }
+   * @returns {Object} The room's config
+   */
+  create(config) {
+    const name = String(config.name ?? '').toLowerCase();
+    if (!ROOM_NAME.test(name)) {
+      throw new Error(`Invalid room name "${config.name}": use 1-32 lowercase letters, digits, - or _`);
+    }
+    if (!this.rooms.has(name)) {
+      this.rooms.set(name, { description: '', collection: null, ...config, name });
+    }
+    return this.rooms.get(name);
+  }
+
+  /**
+   * Room config by name
+   * @param {string} name - Room name
+   * @returns {Object|undefined} Config
+   */
+  get(name) {
+    return this.rooms.get(name);
+  }
+
+  /**
+   * Rooms with their member counts, for the room picker
+   * @returns {Array<Object>} [{ name, description, collection, members }]
+   */
+  list() {
+    const counts = new Map();
+    for (const { room } of this.memberships.values()) {
+      counts.set(room, (counts.get(room) ?? 0) + 1);
+    }
+    return this.rooms.values().map(config => ({
+      name: config.name,
+      description: config.description,
+      collection: config.collection,
+      members: counts.get(config.name) ?? 0
+    }));
+  }
+
+  /**
+   * Usernames currently in a room
+   * @param {string} name - Room name
+   * @returns {Array<string>} Usernames, sorted
+   */
+  members(name) {
+    return this.memberships.values()
+      .filter(member => member.room === name)
+      .map(member => member.name)
+      .sort();
+  }
+
+  /**
+   * Whether someone may read a room's history: the room is public, or they
+   * have a socket in it
+   * @param {string} name - Room name
+   * @param {string|null} owner - Reader (see ownerKey in auth.js), null for an anonymous guest
+   * @returns {boolean} True if they may
+   */
+  canRead(name, owner) {
+    if (this.get(name)?.public === true) return true;
+    return owner !== null && this.memberships.values().some(member => member.room === name && member.owner === owner);
+  }
+
+  /**
+   * Add a bot to every room's presence list (see presence.js)
+   * @param {Object} bot - { name, state(room) }, e.g. a BotPresence
+   */
+  addBot(bot) {
+    this.bots.push(bot);
+  }
+
+  /**
+   * Who is in a room and what they are doing: members are 'online', bots
+   * report their own state ('idle', 'retrieving', 'generating')
+   * @param {string} name - Room name
+   * @returns {Array<Object>} [{ name, state, bot }], members sorted, then bots
+   */
+  presence(name) {
+    return [
+      ...this.members(name).map(member => ({ name: member, state: 'online', bot: false })),
+      ...this.bots.map(bot => ({ name: bot.name, state: bot.state(name), bot: true }))
+    ];
+  }
+
+  /**
+   * Move a socket into a room, leaving its current room first
+   * @param {Socket} socket - Socket with `data.username` set
+   * @param {string} name - Room to join
+   * @returns {Object} { room: config, previous: name of the room left (or null) }
+   */
+  join(socket, name) {
+    const roomName = String(name ?? '').trim().toLowerCase();
+    if (!this.rooms.has(roomName)) {
+      if (!this.allowCreate) {
+        throw new Error(`Unknown room "${name}"`);
+      }
+      this.create({ name: roomName });
+    }
+    const previous = socket.data.room === roomName ? null : this.leave(socket);
+
+    this.memberships.set(socket.id, { room: roomName, name: socket.data.username, owner: socket.data.owner ?? null });
+    socket.join(roomName);
+    socket.data.room = roomName;
+    return { room: this.get(roomName), previous };
+  }
+
+  /**
+   * Take a socket out of its room
+   * @param {Socket} socket - Socket
+   * @returns {string|null} The room it left
+   */
+  leave(socket) {
+    const name = socket.data.room;
+    if (!name) return null;
+
+    this.memberships.delete(socket.id);
+    socket.leave(name);
+    socket.data.room = null;
+    return name;
+  }
+
+  /**
+   * Update a member's display name in their room
+   * @param {Socket} socket - Socket
+   */
+  rename(socket) {
+    const { room, username } = socket.data;
+    if (room) this.memberships.set(socket.id, { room, name: username, owner: socket.data.owner ?? null });
+  }
+}
+
+/**
+ * Send the current member list of a room to everyone in it (presence):
+ * 'room users' { room, users: usernames, presence: [{ name, state, bot }] }
+ * @param {Server} io - Socket.IO server (or io.local: this instance's sockets only)
+ * @param {RoomManager} rooms - Rooms
+ * @param {string} roomName - Room
+ */
+function broadcastPresence(io, rooms, roomName) {
+  io.to(roomName).emit('room users', { room: roomName, users: rooms.members(roomName), presence: rooms.presence(roomName) });
+}
+
+/**
+ * Move a socket into a room and tell both the old and the new room about it.
+ * Emits 'joined room' { room, users } to the socket, a system message and
+ * 'room users' to both rooms, and the updated 'room list' to everyone.
+ * @param {Server} io - Socket.IO server
+ * @param {RoomManager} rooms - Rooms
+ * @param {Socket} socket - Socket with `data.username` set
+ * @param {string} roomName - Room to join
+ * @returns {Object} The joined room's config
+ */
+function switchRoom(io, rooms, socket, roomName) {
+  const { room, previous } = rooms.join(socket, roomName);
+  const username = socket.data.username;
+
+  if (previous) {
+    socket.to(previous).emit('system message', `${username} left #${previous}.`);
+    broadcastPresence(io, rooms, previous);
+  }
+  socket.emit('joined room', { room, users: rooms.members(room.name) });
+  socket.to(room.name).emit('system message', `${username} has joined #${room.name}!`);
+  broadcastPresence(io, rooms, room.name);
+  io.emit('room list', rooms.list()); // Member counts changed
+  return room;
+}
+
+/**
+ * Take a socket out of its room and tell the room
+ * @param {Server} io - Socket.IO server
+ * @param {RoomManager} rooms - Rooms
+ * @param {Socket} socket - Socket
+ * @param {string} message - System message for the room (default: "<user> left #<room>.")
+ * @returns {string|null} The room it left
+ */
+function leaveRoom(io, rooms, socket, message) {
+  const left = rooms.leave(socket);
+  if (left) {
+    io.to(left).emit('system message', message ?? `${socket.data.username} left #${left}.`);
+    broadcastPresence(io, rooms, left);
+    io.emit('room list', rooms.list());
+  }
+  return left;
+}
+
+/**
+ * Another instance of the server went away (the cluster's 'peer down'): its
+ * sockets left their rooms without a 'disconnect' here. Send the rooms they
+ * were in (and the bots worked in) the new member lists, and the new counts.
+ * Only this instance's sockets are told; every instance does the same.
+ * @param {Server} io - Socket.IO server
+ * @param {RoomManager} rooms - Rooms
+ * @param {Object} removed - The instance's entries by map ({ members: [{ room, name }], ... })
+ */
+function refreshRooms(io, rooms, removed) {
+  const affected = new Set(Object.values(removed).flat().map(entry => entry?.room).filter(Boolean));
+  affected.forEach(roomName => broadcastPresence(io.local, rooms, roomName));
+  io.local.emit('room list', rooms.list());
+}
+
+module.exports = { RoomManager, loadRoomConfigs, broadcastPresence, switchRoom, leaveRoom, refreshRooms, DEFAULT_ROOM };
@@ -1,16 +1,68 @@
 // server.js
 const express = require('express');
 const http = require('http');
+const path = require('path');
 const { Server } = require("socket.io"); // Import the Server class from socket.io
+const { RoomManager, loadRoomConfigs, broadcastPresence, switchRoom, leaveRoom, refreshRooms } = require('./rooms'); // Chat rooms and their members
+const { createMessageStore, historyRoute } = require('./messageStore'); // Chat history
+const { createAuthenticator, UsernameRegistry, httpAuth, socketAuth, tokenRoute, claimUsername, requestOwner } = require('./auth'); // API keys & session tokens
+const { createRateLimiter, allowSocketEvent } = require('./rateLimit'); // Per-user message limits
+const { PresenceTracker } = require('./presence'); // Typing indicators & read receipts
+const { createPubSub, createAdapter } = require('./pubsub'); // Messages between server instances
+const { Cluster } = require('./cluster'); // State shared by server instances
+
+// Running several instances: with PUBSUB=redis (REDIS_URL) broadcasts reach
+// the sockets of every instance, and all of them share who is online, their
+// usernames, typing and receipts. PUBSUB=memory (default) runs on its own.
+const pubsub = createPubSub();
+const cluster = new Cluster(pubsub, { heartbeatMs: process.env.CLUSTER_HEARTBEAT_MS });
 
 const app = express();
 const server = http.createServer(app); // Create an HTTP server using Express
-const io = new Server(server); // Initialize Socket.IO, passing it the HTTP server
+const io = new Server(server, { adapter: createAdapter(pubsub) }); // Initialize Socket.IO, passing it the HTTP server
 
 const PORT = process.env.PORT || 3001; // Changed port to 3001
 
-// Keep track of connected users (socket.id -> username)
-const users = {};
+// Chat rooms, configured in rooms.json. Each socket's username and current
+// room are stored on the socket itself (socket.data.username / socket.data.room),
+// and every message is only broadcast to the sender's room.
+const rooms = new RoomManager(loadRoomConfigs(path.join(__dirname, 'rooms.json')), { cluster });
+
+// When another instance stops, its users leave their rooms
+cluster.on('peer down', (instance, removed) => refreshRooms(io, rooms, removed));
+
+// Chat history: MESSAGE_STORE=memory (default), file (JSON Lines) or sqlite,
+// stored under data/. Users see the last HISTORY_REPLAY messages of a room
+// when they enter it, and can page further back through GET /history.
+const store = createMessageStore({ dataDir: path.join(__dirname, 'data') });
+const HISTORY_REPLAY = Number(process.env.HISTORY_REPLAY) || 50;
+
+// Authentication (AUTH_MODE, AUTH_API_KEYS, AUTH_SECRET): the same credentials
+// work for HTTP routes and the Socket.IO handshake. Signed-in users chat under
+// their own name; everyone's username is unique while they are connected.
+const auth = createAuthenticator();
+const usernames = new UsernameRegistry(auth.reservedNames, { cluster });
+// Each user (or guest IP) may send RATE_LIMIT_MESSAGES messages (default 20 per 60s)
+const messageLimit = createRateLimiter('messages', process.env.RATE_LIMIT_MESSAGES, '20/60');
+
+// Who is typing (TYPING_TIMEOUT_MS after the last keystroke event they stop
+// typing) and how far each user has received and read each room
+const presence = new PresenceTracker(io, {
+  typingTimeoutMs: process.env.TYPING_TIMEOUT_MS,
+  typingThrottleMs: process.env.TYPING_THROTTLE_MS,
+  cluster
+});
+
+// Send a room's recent messages to one socket
+async function replayHistory(socket, roomName) {
+  try {
+    const { messages, hasMore } = await store.page(roomName, { limit: HISTORY_REPLAY });
+    if (messages.length > 0) presence.posted(roomName, messages[messages.length - 1].id);
+    socket.emit('history', { room: roomName, messages, hasMore });
+  } catch (error) {
+    console.error("Error replaying history:", error);
+  }
+}
 
 // --- ASYNC/PROMISE Demonstration ---
 /**
@@ -41,8 +93,19 @@ app.get('/', (req, res) => {
   res.sendFile(__dirname + '/index.html');
 });
 
+// Older messages, one page at a time: GET /history?room=general&before=<message id>
+// Members of a room (and anyone, for a public room) can page through its history
+app.get('/history', httpAuth(auth), historyRoute(store, (req, room) => rooms.canRead(room, requestOwner(req))));
+
+// Exchange an API key (Authorization: Bearer <key>) for a session token
+app.post('/auth/token', httpAuth(auth), tokenRoute(auth));
+
 // --- Socket.IO Logic ---
 
+// Check the credential sent with the handshake before 'connection' fires.
+// Rejected clients get a 'connect_error' event.
+io.use(socketAuth(auth));
+
 // Register an event listener for new connections.
 // The function passed here `async (socket) => { ... }` is:
 // 1. ANONYMOUS: It has no name.
@@ -51,15 +114,40 @@ app.get('/', (req, res) => {
 io.on('connection', async (socket) => {
   console.log('✅ A user connected:', socket.id); // Log when a new client connects
 
+  // 'typing start' / 'typing stop' and 'message delivered' / 'message read'
+  presence.listen(socket);
+
   // Listen for the client setting their username
   // Another ANONYMOUS FUNCTION CALLBACK
   socket.on('set username', async (username) => { // Mark inner callback as async too for await
-    users[socket.id] = username;
+    username = String(username ?? '').trim();
+    if (!username) {
+      socket.emit('system message', "Please choose a username.");
+      return;
+    }
+    // Names are unique, and signed-in users can only use their own
+    const rejected = claimUsername(usernames, socket, username);
+    if (rejected) {
+      socket.emit('chat error', rejected);
+      return;
+    }
+    const isNewUser = !socket.data.username;
+    socket.data.username = username;
     console.log(`👤 User ${socket.id} set username to: ${username}`);
 
-    // Broadcast to *other* users that this user has joined
-    // `.broadcast` sends to everyone *except* the current socket
-    socket.broadcast.emit('system message', `${username} has joined the chat!`);
+    if (!isNewUser) {
+      presence.left(socket); // Typing under the old name
+      rooms.rename(socket);
+      if (socket.data.room) broadcastPresence(io, rooms, socket.data.room);
+      return;
+    }
+
+    // Put new users in the default room. Other members of that room are told
+    // that this user has joined (`socket.to(room)` excludes the sender)
+    socket.emit('room list', rooms.list());
+    switchRoom(io, rooms, socket, rooms.defaultRoom);
+    await replayHistory(socket, socket.data.room);
+    presence.joined(socket);
 
     // --- ASYNC/AWAIT Demonstration ---
     try {
@@ -78,15 +166,53 @@ io.on('connection', async (socket) => {
   });
 
 
+  // --- Rooms ---
+  // List the available rooms (with an optional acknowledgement callback)
+  socket.on('list rooms', (ack) => {
+    if (typeof ack === 'function') {
+      ack(rooms.list());
+    } else {
+      socket.emit('room list', rooms.list());
+    }
+  });
+
+  // Switch to another room (unknown rooms are created)
+  socket.on('join room', async (roomName) => {
+    if (!socket.data.username) {
+      socket.emit('system message', "Please set a username before joining a room.");
+      return;
+    }
+    try {
+      presence.left(socket);
+      switchRoom(io, rooms, socket, roomName);
+      console.log(`🚪 ${socket.data.username} joined #${socket.data.room}`);
+    } catch (error) {
+      socket.emit('system message', error.message);
+      return;
+    }
+    await replayHistory(socket, socket.data.room);
+    presence.joined(socket);
+  });
+
+  // Leave the current room without joining another one
+  socket.on('leave room', () => {
+    presence.left(socket);
+    const left = leaveRoom(io, rooms, socket);
+    if (left) {
+      socket.emit('left room', { room: left });
+    }
+  });
+
   // Listen for 'disconnect' events
   // ANONYMOUS FUNCTION CALLBACK
   socket.on('disconnect', () => {
-    const username = users[socket.id]; // Get username before deleting
+    usernames.release(socket.id);
+    presence.left(socket);
+    const username = socket.data.username;
     if (username) {
       console.log(`❌ User ${username} (${socket.id}) disconnected`);
-      // Broadcast to other users that this user has left
-      socket.broadcast.emit('system message', `${username} has left the chat.`);
-      delete users[socket.id]; // Remove user from our tracking object
+      // Tell the user's room that they have left
+      leaveRoom(io, rooms, socket, `${username} has left the chat.`);
     } else {
         console.log(`❌ User ${socket.id} (no username set) disconnected`);
     }
@@ -94,13 +220,28 @@ io.on('connection', async (socket) => {
 
   // Listen for 'chat message' events from a client
   // ANONYMOUS FUNCTION CALLBACK
-  socket.on('chat message', (msg) => {
-    const username = users[socket.id];
-    if (username) {
-      console.log(`💬 Message from ${username} (${socket.id}): ${msg}`);
-      // Broadcast the message object to ALL connected clients (including the sender)
-      // Now includes the username!
-      io.emit('chat message', { user: username, msg: msg });
+  socket.on('chat message', async (msg) => {
+    const { username, room } = socket.data;
+    if (username && !room) {
+      socket.emit('system message', "Join a room before sending messages.");
+    } else if (username) {
+      // Too many messages: the sender gets a 'chat error' with retryAfterMs
+      if (!allowSocketEvent(messageLimit, socket)) return;
+      presence.stopTyping(socket); // Sending ends typing
+      console.log(`💬 Message from ${username} (${socket.id}) in #${room}: ${msg}`);
+      // Save the message first so it gets its id and timestamp
+      let stored;
+      try {
+        stored = await store.append({ room: room, user: username, type: 'chat', text: String(msg) });
+      } catch (error) {
+        console.error("Error saving message:", error);
+        socket.emit('system message', "Sorry, your message could not be saved.");
+        return;
+      }
+      presence.posted(room, stored.id);
+      // Broadcast the message object to everyone in the sender's room
+      // (including the sender). Includes the username and the room!
+      io.to(room).emit('chat message', { id: stored.id, user: username, msg: stored.text, room: room, createdAt: stored.createdAt });
     } else {
       // Handle case where message received before username is set (optional)
       console.log(`💬 Message from anonymous user (${socket.id}): ${msg}`);
@@ -111,8 +252,26 @@ io.on('connection', async (socket) => {
 // --- End Socket.IO Logic ---
 
 
-// Start the server
+// Start the server once it has joined the other instances
 // ANONYMOUS FUNCTION CALLBACK for when the server is ready
-server.listen(PORT, () => {
-  console.log(`🚀 Server listening on port ${PORT}`);
+pubsub.connect()
+  .then(() => cluster.start())
+  .then(() => {
+    server.listen(PORT, () => {
+      console.log(`🚀 Server listening on port ${PORT} (instance ${cluster.id})`);
+    });
+  })
+  .catch((error) => {
+    console.error("❌ Could not connect to the pub/sub server:", error.message);
+    process.exit(1);
+  });
+
+// On shutdown, tell the other instances so they drop our users right away
+// (clients reconnect to another instance)
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.once(signal, async () => {
+    await cluster.close().catch(() => {});
+    await pubsub.close();
+    process.exit(0);
+  });
 });
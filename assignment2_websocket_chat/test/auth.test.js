@@ -0,0 +1,96 @@
+// auth.test.js - Session tokens, API keys and the authenticator
+//
+// Run: npm test (node --experimental-websocket --test)
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  AuthError,
+  Authenticator,
+  signToken,
+  verifyToken,
+  parseApiKeys,
+  createAuthenticator,
+  credentialFromHeaders,
+  ownerKey
+} = require('../auth');
+
+const SECRET = 'test-secret';
+const inOneHour = () => Date.now() + 60 * 60 * 1000;
+
+describe('session tokens', () => {
+  test('a signed token verifies and returns its claims', () => {
+    const claims = { sub: 'alice', exp: inOneHour() };
+    assert.deepEqual(verifyToken(signToken(claims, SECRET), SECRET), claims);
+  });
+
+  test('forged, tampered, malformed and expired tokens are rejected', () => {
+    const token = signToken({ sub: 'alice', exp: inOneHour() }, SECRET);
+    const [, signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ sub: 'mallory', exp: inOneHour() })).toString('base64url');
+
+    assert.equal(verifyToken(token, 'another-secret'), null);
+    assert.equal(verifyToken(`${forgedPayload}.${signature}`, SECRET), null);
+    assert.equal(verifyToken(`${token}.extra`, SECRET), null);
+    assert.equal(verifyToken('not-a-token', SECRET), null);
+    assert.equal(verifyToken(undefined, SECRET), null);
+    assert.equal(verifyToken(signToken({ sub: 'alice', exp: Date.now() - 1 }, SECRET), SECRET), null);
+    assert.equal(verifyToken(signToken({ sub: 'alice' }, SECRET), SECRET), null);
+    assert.equal(verifyToken(signToken({ exp: inOneHour() }, SECRET), SECRET), null);
+  });
+});
+
+describe('API keys', () => {
+  test('parseApiKeys reads key:username pairs separated by commas or whitespace', () => {
+    const keys = parseApiKeys('key1:alice, key2:bob\nwith:colon:carol');
+    assert.deepEqual([...keys], [['key1', 'alice'], ['key2', 'bob'], ['with:colon', 'carol']]);
+    assert.equal(parseApiKeys().size, 0);
+  });
+
+  test('entries without a key or a name are rejected', () => {
+    assert.throws(() => parseApiKeys('justakey'), /Invalid AUTH_API_KEYS entry "justakey"/);
+    assert.throws(() => parseApiKeys(':alice'), /use key:username/);
+    assert.throws(() => parseApiKeys('key1:'), /use key:username/);
+  });
+});
+
+describe('Authenticator', () => {
+  test('accepts API keys and the tokens it issues', () => {
+    const auth = createAuthenticator({ AUTH_API_KEYS: 'key1:alice', AUTH_SECRET: SECRET });
+
+    assert.deepEqual(auth.authenticate('key1'), { name: 'alice', via: 'api-key' });
+    const { token, expiresAt } = auth.issueToken({ name: 'alice' });
+    assert.deepEqual(auth.authenticate(token), { name: 'alice', via: 'token' });
+    assert.ok(Date.parse(expiresAt) > Date.now());
+    assert.ok(auth.reservedNames.has('alice'));
+  });
+
+  test('guests get in unless auth is required; bad credentials never do', () => {
+    const optional = createAuthenticator({});
+    const required = createAuthenticator({ AUTH_MODE: 'required', AUTH_SECRET: SECRET });
+
+    assert.equal(optional.authenticate(undefined), null);
+    assert.throws(() => required.authenticate(undefined), AuthError);
+    assert.throws(() => optional.authenticate('wrong'), /Invalid or expired credentials/);
+    assert.throws(() => createAuthenticator({ AUTH_MODE: 'sometimes' }), /Unknown AUTH_MODE "sometimes"/);
+  });
+
+  test('tokens from another secret are rejected and custom strategies come first', () => {
+    const other = new Authenticator({ secret: 'another-secret' });
+    const auth = new Authenticator({ secret: SECRET }).use(credential => (credential === 'sso' ? { name: 'dana', via: 'sso' } : null));
+
+    assert.throws(() => auth.authenticate(other.issueToken({ name: 'alice' }).token), AuthError);
+    assert.deepEqual(auth.authenticate('sso'), { name: 'dana', via: 'sso' });
+  });
+
+  test('credentials come from Authorization: Bearer or X-API-Key', () => {
+    assert.equal(credentialFromHeaders({ authorization: 'Bearer abc' }), 'abc');
+    assert.equal(credentialFromHeaders({ 'x-api-key': 'key1' }), 'key1');
+    assert.equal(credentialFromHeaders({ authorization: 'Basic abc' }), undefined);
+    assert.equal(credentialFromHeaders(), undefined);
+  });
+
+  test('owners are lower-cased user names or guest sessions', () => {
+    assert.equal(ownerKey({ name: 'Alice' }), 'alice');
+    assert.equal(ownerKey(null, 'session-0123456789'), 'guest:session-0123456789');
+  });
+});
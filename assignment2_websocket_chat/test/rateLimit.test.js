@@ -0,0 +1,77 @@
+// rateLimit.test.js - Token-bucket rate limits
+//
+// Run: npm test (node --experimental-websocket --test)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter, createRateLimiter, rateLimitKey, checkRateLimit, httpRateLimit } = require('../rateLimit');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a bucket allows a burst of `capacity`, then asks the caller to wait', () => {
+  const limiter = new RateLimiter({ name: 'messages', capacity: 3, windowSeconds: 60 });
+
+  assert.deepEqual(limiter.take('ip:1'), { allowed: true, remaining: 2, retryAfterMs: 0 });
+  limiter.take('ip:1');
+  limiter.take('ip:1');
+  const denied = limiter.take('ip:1');
+  assert.equal(denied.allowed, false);
+  assert.equal(denied.remaining, 0);
+  // One token refills every 20 seconds
+  assert.ok(denied.retryAfterMs > 19000 && denied.retryAfterMs <= 20000, `${denied.retryAfterMs} ms`);
+  // Other keys have their own bucket
+  assert.equal(limiter.take('ip:2').allowed, true);
+  limiter.close();
+});
+
+test('buckets refill over the window', async () => {
+  const limiter = new RateLimiter({ name: 'messages', capacity: 2, windowSeconds: 0.1 });
+  limiter.take('ip:1', 2);
+  assert.equal(limiter.take('ip:1').allowed, false);
+
+  await delay(120);
+  assert.equal(limiter.take('ip:1', 2).allowed, true);
+  limiter.close();
+});
+
+test('createRateLimiter reads "<count>/<seconds>" settings', () => {
+  const limiter = createRateLimiter('messages', '', '20/60');
+  assert.equal(limiter.capacity, 20);
+  assert.equal(limiter.name, 'messages');
+  limiter.close();
+
+  assert.equal(createRateLimiter('messages', 'off', '20/60'), null);
+  assert.equal(createRateLimiter('messages', '0', '20/60'), null);
+  assert.throws(() => createRateLimiter('messages', '20 per minute'), /Invalid rate limit "20 per minute" for messages/);
+  assert.throws(() => createRateLimiter('messages', '0/60'), /Invalid rate limit/);
+  assert.throws(() => createRateLimiter('messages', '20/0'), /Invalid rate limit/);
+});
+
+test('signed-in users are limited by name, guests by address', () => {
+  assert.equal(rateLimitKey({ name: 'Alice' }, '10.0.0.1'), 'user:alice');
+  assert.equal(rateLimitKey(null, '10.0.0.1'), 'ip:10.0.0.1');
+});
+
+test('checkRateLimit and the middleware report the limit and when to retry', () => {
+  assert.equal(checkRateLimit(null, 'ip:1'), null);
+
+  const limiter = createRateLimiter('LLM calls', '1/60');
+  const middleware = httpRateLimit(limiter);
+  const req = { user: null, ip: '10.0.0.1' };
+  const sent = {};
+  const res = {
+    set: (name, value) => { sent[name] = value; },
+    status: status => { sent.status = status; return res; },
+    json: body => { sent.body = body; }
+  };
+  let passed = 0;
+
+  middleware(req, res, () => passed++);
+  middleware(req, res, () => passed++);
+  assert.equal(passed, 1);
+  assert.equal(sent.status, 429);
+  assert.equal(sent['Retry-After'], '60');
+  assert.equal(sent.body.code, 'rate_limited');
+  assert.equal(sent.body.limit, 'LLM calls');
+  assert.match(sent.body.error, /Too many LLM calls\. Try again in 60s\./);
+  limiter.close();
+});
@@ -0,0 +1,76 @@
+// respServer.js - A stand-in for Redis in tests: pub/sub over RESP, nothing else
+//
+// Supports PING, AUTH, SELECT, PUBLISH, SUBSCRIBE, UNSUBSCRIBE and QUIT,
+// which is all RedisPubSub uses. Everything is kept in memory.
+const net = require('net');
+const { RespParser, encode } = require('../resp');
+
+const OK = Buffer.from('+OK\r\n');
+
+/**
+ * Create the stand-in (call listen() on it)
+ * @returns {net.Server} Server; destroyConnections() drops every client
+ */
+function createRespServer() {
+  const subscribers = new Map(); // channel -> Set(socket)
+  const connections = new Set();
+
+  const server = net.createServer(socket => {
+    const parser = new RespParser();
+    const channels = new Set();
+    connections.add(socket);
+
+    const unsubscribe = channel => {
+      channels.delete(channel);
+      subscribers.get(channel)?.delete(socket);
+      socket.write(encode(['unsubscribe', channel, channels.size]));
+    };
+
+    const handle = ([command = '', ...args]) => {
+      switch (command.toUpperCase()) {
+        case 'PING':
+          return socket.write('+PONG\r\n');
+        case 'AUTH':
+        case 'SELECT':
+          return socket.write(OK);
+        case 'PUBLISH': {
+          const [channel, message] = args;
+          const receivers = [...(subscribers.get(channel) ?? [])];
+          receivers.forEach(receiver => receiver.write(encode(['message', channel, message])));
+          return socket.write(encode(receivers.length));
+        }
+        case 'SUBSCRIBE':
+          return args.forEach(channel => {
+            channels.add(channel);
+            if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+            subscribers.get(channel).add(socket);
+            socket.write(encode(['subscribe', channel, channels.size]));
+          });
+        case 'UNSUBSCRIBE':
+          return (args.length > 0 ? args : [...channels]).forEach(unsubscribe);
+        case 'QUIT':
+          return socket.end(OK);
+        default:
+          return socket.write(encode(new Error(`ERR unknown command '${command}'`)));
+      }
+    };
+
+    socket.on('data', chunk => {
+      try {
+        parser.push(chunk).forEach(handle);
+      } catch {
+        socket.destroy();
+      }
+    });
+    socket.on('close', () => {
+      connections.delete(socket);
+      channels.forEach(channel => subscribers.get(channel)?.delete(socket));
+    });
+    socket.on('error', () => {});
+  });
+
+  server.destroyConnections = () => connections.forEach(socket => socket.destroy());
+  return server;
+}
+
+module.exports = { createRespServer };
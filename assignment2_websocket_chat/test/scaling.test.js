@@ -0,0 +1,231 @@
+// scaling.test.js - Several chat server instances sharing one pub/sub
+//
+// Run: npm test (node --experimental-websocket --test)
+// The Redis-protocol tests start the stand-in from respServer.js and real
+// server.js processes pointing at it, with a shared SQLite history.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const { EventEmitter, once } = require('events');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { Server } = require('socket.io');
+const { MemoryPubSub, RedisPubSub, createAdapter } = require('../pubsub');
+const { Cluster } = require('../cluster');
+const { createRespServer } = require('./respServer');
+const { TestClient } = require('./socketClient');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const HEARTBEAT_MS = 200;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const hasUser = name => ({ users }) => users.includes(name);
+const lacksUser = name => ({ users }) => !users.includes(name);
+
+// Start server.js and wait until it listens
+async function startInstance(port, env) {
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ...env, PORT: String(port) },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let output = '';
+  child.stderr.on('data', chunk => { output += chunk; });
+  await new Promise((resolve, reject) => {
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server listening')) resolve();
+    });
+    child.once('exit', code => reject(new Error(`server.js exited (${code}):\n${output}`)));
+  });
+  return child;
+}
+
+async function stopInstance(child) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  const exited = once(child, 'exit');
+  child.kill('SIGTERM');
+  await exited;
+}
+
+// Connect as a guest and take a username; resolves once in the default room
+async function join(port, username, session = `session-${username}-0123456789`) {
+  const client = new TestClient(port, { session });
+  await client.connect();
+  client.emit('set username', username);
+  await client.waitFor('joined room');
+  return client;
+}
+
+describe('in-process pub/sub', () => {
+  test('clusters on the same hub replicate their maps and drop a closed one', async () => {
+    const hub = new EventEmitter();
+    const first = new Cluster(new MemoryPubSub(hub), { heartbeatMs: HEARTBEAT_MS });
+    const second = new Cluster(new MemoryPubSub(hub), { heartbeatMs: HEARTBEAT_MS });
+    const [firstMembers, secondMembers] = [first.map('members'), second.map('members')];
+    firstMembers.set('socket-1', { room: 'general', name: 'alice' });
+    await first.start();
+    await second.start();
+    secondMembers.set('socket-2', { room: 'general', name: 'bob' });
+    await delay(20);
+
+    assert.deepEqual(secondMembers.get('socket-1'), { room: 'general', name: 'alice' });
+    assert.deepEqual(firstMembers.get('socket-2'), { room: 'general', name: 'bob' });
+
+    const down = once(second, 'peer down');
+    await first.close();
+    const [instance, removed] = await down;
+    assert.equal(instance, first.id);
+    assert.deepEqual(removed.members, [{ room: 'general', name: 'alice' }]);
+    assert.equal(secondMembers.has('socket-1'), false);
+    await second.close();
+  });
+
+  test('the Socket.IO adapter delivers broadcasts to sockets of both servers', async () => {
+    const hub = new EventEmitter();
+    const servers = [];
+    for (let i = 0; i < 2; i++) {
+      const httpServer = http.createServer();
+      const io = new Server(httpServer, { adapter: createAdapter(new MemoryPubSub(hub)) });
+      io.on('connection', socket => {
+        socket.join('lobby');
+        socket.on('shout', text => io.to('lobby').emit('shout', text));
+      });
+      await new Promise(resolve => httpServer.listen(0, resolve));
+      servers.push({ io, port: httpServer.address().port });
+    }
+    const [first, second] = await Promise.all(servers.map(async ({ port }) => {
+      const client = new TestClient(port);
+      await client.connect();
+      return client;
+    }));
+    await delay(20);
+
+    first.emit('shout', 'hello');
+    assert.equal(await second.waitFor('shout'), 'hello');
+    assert.equal(await first.waitFor('shout'), 'hello');
+
+    servers[1].io.local.emit('shout', 'only here');
+    assert.equal(await second.waitFor('shout'), 'only here');
+    await assert.rejects(first.waitFor('shout', () => true, 300));
+
+    first.close();
+    second.close();
+    await Promise.all(servers.map(({ io }) => io.close()));
+  });
+});
+
+describe('Redis-protocol pub/sub', () => {
+  const ports = { redis: 0, first: 3911, second: 3912, third: 3913 };
+  let respServer;
+  let dataDir;
+  let env;
+  const instances = [];
+  const clients = [];
+
+  before(async () => {
+    respServer = createRespServer();
+    await new Promise(resolve => respServer.listen(0, '127.0.0.1', resolve));
+    ports.redis = respServer.address().port;
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-scaling-'));
+    env = {
+      PUBSUB: 'redis',
+      REDIS_URL: `redis://127.0.0.1:${ports.redis}`,
+      CLUSTER_HEARTBEAT_MS: String(HEARTBEAT_MS),
+      MESSAGE_STORE: 'sqlite',
+      MESSAGE_STORE_PATH: path.join(dataDir, 'messages.db'),
+      AUTH_MODE: 'optional',
+      AUTH_SECRET: 'test-secret'
+    };
+    instances.push(await startInstance(ports.first, env), await startInstance(ports.second, env));
+  });
+
+  after(async () => {
+    clients.forEach(client => client.close());
+    await Promise.all(instances.map(stopInstance));
+    respServer.destroyConnections();
+    await new Promise(resolve => respServer.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('RedisPubSub resubscribes after the connection drops', async () => {
+    const pubsub = new RedisPubSub(`redis://127.0.0.1:${ports.redis}`);
+    await pubsub.connect();
+    const received = [];
+    await pubsub.subscribe('test', message => received.push(message));
+    await pubsub.publish('test', { n: 1 });
+
+    const reconnected = once(pubsub, 'reconnect');
+    pubsub.subscriber.socket.destroy();
+    await reconnected;
+    await pubsub.publish('test', { n: 2 });
+    await delay(50);
+
+    assert.deepEqual(received, [{ n: 1 }, { n: 2 }]);
+    await pubsub.close();
+  });
+
+  test('users on two instances see each other and exchange messages', async () => {
+    const alice = await join(ports.first, 'alice');
+    const bob = await join(ports.second, 'bob');
+    clients.push(alice, bob);
+
+    await alice.waitFor('room users', hasUser('bob'));
+    const users = await bob.waitFor('room users', hasUser('alice'));
+    assert.deepEqual(users.users, ['alice', 'bob']);
+
+    alice.emit('chat message', 'hi from the first instance');
+    const message = await bob.waitFor('chat message');
+    assert.equal(message.user, 'alice');
+    assert.equal(message.msg, 'hi from the first instance');
+
+    bob.emit('typing start');
+    const typing = await alice.waitFor('typing', ({ users }) => users.length > 0);
+    assert.deepEqual(typing.users, ['bob']);
+
+    bob.emit('message read', { messageId: message.id });
+    const receipts = await alice.waitFor('receipts', ({ receipts }) => receipts.bob);
+    assert.equal(receipts.receipts.bob.read, message.id);
+  });
+
+  test('usernames are unique across instances', async () => {
+    const mallory = new TestClient(ports.second, { session: 'session-mallory-0123456789' });
+    clients.push(mallory);
+    await mallory.connect();
+    await delay(100);
+    mallory.emit('set username', 'Alice');
+    const error = await mallory.waitFor('chat error');
+    assert.equal(error.code, 'username_taken');
+  });
+
+  test('a guest reconnecting to the other instance keeps their name and history', async () => {
+    const carol = await join(ports.first, 'carol', 'session-carol-0123456789');
+    clients.push(carol);
+    carol.emit('chat message', 'before the reconnect');
+    await carol.waitFor('chat message', ({ msg }) => msg === 'before the reconnect');
+
+    // The old connection may still hold the name when the new one arrives
+    const again = new TestClient(ports.second, { session: 'session-carol-0123456789' });
+    clients.push(again);
+    await again.connect();
+    carol.close();
+    again.emit('set username', 'carol');
+    const history = await again.waitFor('history');
+    assert.ok(history.messages.some(({ text }) => text === 'before the reconnect'));
+  });
+
+  test('when an instance crashes, its users leave the other instances\' rooms', async () => {
+    const third = await startInstance(ports.third, env);
+    instances.push(third);
+    const dave = await join(ports.third, 'dave');
+    clients.push(dave);
+    const alice = clients[0];
+    await alice.waitFor('room users', hasUser('dave'));
+
+    alice.clear();
+    third.kill('SIGKILL');
+    const users = await alice.waitFor('room users', lacksUser('dave'), HEARTBEAT_MS * 10);
+    assert.ok(users.users.includes('bob'));
+  });
+});
@@ -0,0 +1,95 @@
+// socketClient.js - A minimal Socket.IO client for tests
+//
+// Speaks Engine.IO v4 / Socket.IO v5 over a plain WebSocket (the websocket
+// transport, as the browser clients use), so the tests don't need
+// socket.io-client. Uses the global WebSocket: Node 22+, or Node 20 with
+// --experimental-websocket.
+const DEFAULT_TIMEOUT_MS = 5000;
+
+class TestClient {
+  /**
+   * @param {number} port - Server port on localhost
+   * @param {Object} auth - Handshake auth, e.g. { session }
+   */
+  constructor(port, auth = {}) {
+    this.url = `ws://localhost:${port}/socket.io/?EIO=4&transport=websocket`;
+    this.auth = auth;
+    this.received = []; // [event, payload] not yet taken by waitFor()
+    this.waiters = new Set();
+  }
+
+  /**
+   * Connect and join the main namespace
+   * @returns {Promise<string>} The socket id
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.ws = new WebSocket(this.url);
+      this.ws.onerror = () => reject(new Error(`Could not connect to ${this.url}`));
+      this.ws.onmessage = ({ data }) => {
+        if (data === '2') {
+          this.ws.send('3'); // Pong
+        } else if (data.startsWith('0')) {
+          this.ws.send('40' + JSON.stringify(this.auth));
+        } else if (data.startsWith('40')) {
+          this.id = JSON.parse(data.slice(2)).sid;
+          resolve(this.id);
+        } else if (data.startsWith('44')) {
+          reject(new Error(JSON.parse(data.slice(2)).message));
+        } else if (data.startsWith('42')) {
+          const [event, payload] = JSON.parse(data.slice(2));
+          this.receive(event, payload);
+        }
+      };
+    });
+  }
+
+  emit(event, ...args) {
+    this.ws.send('42' + JSON.stringify([event, ...args]));
+  }
+
+  receive(event, payload) {
+    for (const waiter of this.waiters) {
+      if (waiter.event === event && waiter.matches(payload)) {
+        this.waiters.delete(waiter);
+        clearTimeout(waiter.timer);
+        waiter.resolve(payload);
+        return;
+      }
+    }
+    this.received.push([event, payload]);
+  }
+
+  /**
+   * The first event (already received or still to come) that matches
+   * @param {string} event - Event name
+   * @param {Function} matches - payload => boolean (default: any)
+   * @param {number} timeoutMs - Give up after (default: 5000)
+   * @returns {Promise<*>} The event's payload
+   */
+  waitFor(event, matches = () => true, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    const index = this.received.findIndex(([name, payload]) => name === event && matches(payload));
+    if (index !== -1) {
+      return Promise.resolve(this.received.splice(index, 1)[0][1]);
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { event, matches, resolve };
+      waiter.timer = setTimeout(() => {
+        this.waiters.delete(waiter);
+        reject(new Error(`Timed out waiting for '${event}'`));
+      }, timeoutMs);
+      this.waiters.add(waiter);
+    });
+  }
+
+  // Forget the events received so far
+  clear() {
+    this.received = [];
+  }
+
+  close() {
+    this.ws?.close();
+  }
+}
+
+module.exports = { TestClient };
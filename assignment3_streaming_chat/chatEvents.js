@@ -0,0 +1,86 @@
+// chatEvents.js - The /chat SSE event protocol (see docs/SSE_Protocol.md)
+//
+// Every frame is a named event with a JSON payload:
+//   id: 3
+//   event: token
+//   data: {"text":"Hello"}
+//
+// Bump PROTOCOL_VERSION when a payload changes incompatibly; it is sent in
+// the X-Chat-Protocol response header.
+import { countTokens } from '../assignment1_llm_embeddings/utils/chunking.js';
+
+export const PROTOCOL_VERSION = 1;
+
+// Event names, in the order they are sent
+export const EVENTS = {
+    RETRIEVAL: 'retrieval', // { sessionId, streamId, persona, query, sources }
+    TOKEN: 'token',         // { text }
+    CITATION: 'citation',   // { citation }
+    USAGE: 'usage',         // { promptTokens, completionTokens, totalTokens, estimated }
+    DONE: 'done',           // { finishReason: 'stop' | 'cancelled' | 'disconnected', messageId? }
+    ERROR: 'error',         // { code, message, retryable }
+};
+
+// Machine-readable error codes for `error` events and 4xx responses
+export const ERROR_CODES = {
+    INVALID_REQUEST: 'invalid_request',
+    STREAM_NOT_FOUND: 'stream_not_found',
+    MESSAGE_NOT_FOUND: 'message_not_found',
+    PERSONA_NOT_FOUND: 'persona_not_found',
+    INVALID_PERSONA: 'invalid_persona',
+    DOCUMENT_NOT_FOUND: 'document_not_found',
+    DOCUMENT_EXISTS: 'document_exists',
+    INVALID_DOCUMENT: 'invalid_document',
+    UNSUPPORTED_FORMAT: 'unsupported_format',
+    UNAUTHORIZED: 'unauthorized',       // Set by auth.js (401)
+    FORBIDDEN: 'forbidden',             // Someone else's conversation, or not an admin (403)
+    TOO_MANY_REQUESTS: 'rate_limited',  // Set by rateLimit.js (429)
+    AUTHENTICATION: 'model_authentication_failed',
+    RATE_LIMITED: 'model_rate_limited',
+    CONTEXT_LENGTH: 'context_length_exceeded',
+    TIMEOUT: 'model_timeout',
+    MODEL_UNAVAILABLE: 'model_unavailable',
+    INTERNAL: 'internal_error',
+};
+
+/**
+ * Turn an exception from retrieval or the model into an `error` payload.
+ * The message is safe to show users; details stay in the server log.
+ * @param {Error} error - Caught error
+ * @returns {Object} { code, message, retryable }
+ */
+export function toErrorPayload(error) {
+    const status = error?.status ?? error?.response?.status;
+    const text = String(error?.message ?? '');
+
+    if (status === 401 || status === 403 || /api key/i.test(text)) {
+        return { code: ERROR_CODES.AUTHENTICATION, message: 'The model provider rejected the API key.', retryable: false };
+    }
+    if (status === 429) {
+        return { code: ERROR_CODES.RATE_LIMITED, message: 'The model is busy. Please try again in a moment.', retryable: true };
+    }
+    if (error?.code === 'context_length_exceeded' || /maximum context length/i.test(text)) {
+        return { code: ERROR_CODES.CONTEXT_LENGTH, message: 'The conversation is too long for the model.', retryable: false };
+    }
+    if (error?.name === 'TimeoutError' || /timed? ?out/i.test(text)) {
+        return { code: ERROR_CODES.TIMEOUT, message: 'The model took too long to answer.', retryable: true };
+    }
+    if (status >= 500 || ['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET'].includes(error?.code ?? error?.cause?.code)) {
+        return { code: ERROR_CODES.MODEL_UNAVAILABLE, message: 'The model provider could not be reached.', retryable: true };
+    }
+    return { code: ERROR_CODES.INTERNAL, message: 'Something went wrong while answering.', retryable: true };
+}
+
+/**
+ * Token usage for an answer. Streaming responses do not report usage, so it
+ * is counted locally with the cl100k tokenizer (close to, not exactly, what
+ * the provider bills).
+ * @param {Array<BaseMessage>} messages - Prompt messages
+ * @param {string} answer - Generated text
+ * @returns {Object} { promptTokens, completionTokens, totalTokens, estimated }
+ */
+export function estimateUsage(messages, answer) {
+    const promptTokens = messages.reduce((sum, message) => sum + countTokens(String(message.content)), 0);
+    const completionTokens = countTokens(answer);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+}
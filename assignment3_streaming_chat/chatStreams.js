@@ -0,0 +1,166 @@
+// chatStreams.js - Resumable, cancellable Server-Sent Event streams
+//
+// An answer is generated into a ChatStream, not straight into the HTTP
+// response. Every event gets an increasing id and is kept in a buffer, so a
+// client whose connection dropped can reconnect with `Last-Event-ID` and get
+// the events it missed, then keep following the live answer. When no client
+// has been attached for a while (or the answer is cancelled), the stream's
+// AbortSignal fires and generation stops.
+import { randomUUID } from 'crypto';
+import { PROTOCOL_VERSION } from './chatEvents.js';
+
+/**
+ * Format one SSE frame
+ * @param {Object} event - { id, name, data }
+ * @returns {string} "id: ...\nevent: ...\ndata: ...\n\n"
+ */
+export function formatEvent(event) {
+    return `id: ${event.id}\nevent: ${event.name}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+export class ChatStream {
+    /**
+     * @param {string} id - Stream id
+     * @param {Object} options - { resumeGraceMs: how long generation continues with no client attached,
+     *   owner: who may resume or cancel it (null: anyone with the id) }
+     */
+    constructor(id, { resumeGraceMs, owner = null }) {
+        this.id = id;
+        this.resumeGraceMs = resumeGraceMs;
+        this.owner = owner;
+        this.events = [];          // Every event sent so far: { id, name, data }
+        this.clients = new Set();  // Attached HTTP responses
+        this.controller = new AbortController();
+        this.done = false;
+        this.graceTimer = null;
+        this.onEnd = null;
+    }
+
+    // Aborted on cancel, or when the client is gone for good
+    get signal() {
+        return this.controller.signal;
+    }
+
+    get cancelled() {
+        return this.signal.aborted;
+    }
+
+    /**
+     * Buffer an event and write it to every attached client
+     * @param {string} name - Event name (see EVENTS in chatEvents.js)
+     * @param {Object} data - JSON payload
+     */
+    send(name, data) {
+        if (this.done) return;
+        const event = { id: this.events.length + 1, name, data };
+        this.events.push(event);
+        const frame = formatEvent(event);
+        this.clients.forEach(res => res.write(frame));
+    }
+
+    /**
+     * Attach a response: replay the events after `lastEventId`, then follow
+     * the live stream (or end the response if the stream has finished)
+     * @param {Response} res - Express response with SSE headers sent
+     * @param {number} lastEventId - Last event id the client has (0 for all)
+     */
+    attach(res, lastEventId = 0) {
+        this.events
+            .filter(event => event.id > lastEventId)
+            .forEach(event => res.write(formatEvent(event)));
+
+        if (this.done) {
+            res.end();
+            return;
+        }
+        clearTimeout(this.graceTimer);
+        this.clients.add(res);
+        res.on('close', () => this.detach(res));
+    }
+
+    // A client went away; stop generating unless someone resumes in time
+    detach(res) {
+        this.clients.delete(res);
+        if (this.clients.size === 0 && !this.done) {
+            clearTimeout(this.graceTimer);
+            this.graceTimer = setTimeout(() => this.cancel('disconnected'), this.resumeGraceMs);
+        }
+    }
+
+    /**
+     * Stop generation. The generator sees `signal.aborted` and ends the stream.
+     * @param {string} reason - 'cancelled' or 'disconnected'
+     * @returns {boolean} False if the stream had already finished
+     */
+    cancel(reason = 'cancelled') {
+        if (this.done) return false;
+        if (!this.cancelled) {
+            this.controller.abort(reason);
+        }
+        return true;
+    }
+
+    // The answer is complete: close every client and release the timer
+    end() {
+        if (this.done) return;
+        this.done = true;
+        clearTimeout(this.graceTimer);
+        this.clients.forEach(res => res.end());
+        this.clients.clear();
+        this.onEnd?.();
+    }
+}
+
+/**
+ * Streams by id. Finished streams stay resumable for `ttlMs` so a client
+ * that reconnects just after the end still gets the final events.
+ */
+export class ChatStreamRegistry {
+    /**
+     * @param {Object} options - Registry settings
+     * @param {number} options.ttlMs - How long finished streams are kept (default: 60 seconds)
+     * @param {number} options.resumeGraceMs - How long an answer keeps generating with no client (default: 15 seconds)
+     */
+    constructor({ ttlMs = 60 * 1000, resumeGraceMs = 15 * 1000 } = {}) {
+        this.ttlMs = ttlMs;
+        this.resumeGraceMs = resumeGraceMs;
+        this.streams = new Map();
+    }
+
+    /**
+     * Start a stream
+     * @param {string|null} owner - Who may resume or cancel it, e.g. a username (default: null, anyone with the id)
+     * @returns {ChatStream} New stream with a random id
+     */
+    create(owner = null) {
+        const stream = new ChatStream(randomUUID(), { resumeGraceMs: this.resumeGraceMs, owner });
+        stream.onEnd = () => {
+            setTimeout(() => this.streams.delete(stream.id), this.ttlMs).unref();
+        };
+        this.streams.set(stream.id, stream);
+        return stream;
+    }
+
+    /**
+     * @param {string} id - Stream id
+     * @param {string|null} owner - Who is asking (default: null, a guest)
+     * @returns {ChatStream|undefined} The stream, if it is still buffered and theirs
+     */
+    get(id, owner = null) {
+        const stream = this.streams.get(id);
+        return stream?.owner === owner ? stream : undefined;
+    }
+}
+
+/**
+ * Set the response headers for an SSE stream (including the protocol
+ * version) and send them
+ * @param {Response} res - Express response
+ */
+export function startEventStream(res) {
+    res.setHeader('X-Chat-Protocol', String(PROTOCOL_VERSION));
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+}
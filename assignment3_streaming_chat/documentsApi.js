@@ -0,0 +1,77 @@
+// documentsApi.js - Document management REST API (/documents)
+//
+// Lists, uploads, deletes and re-indexes the files /chat answers from.
+// Every change goes through the shared DocumentLibrary, which updates the
+// live vector store and keyword index, so the next question already sees it.
+import express from 'express';
+import multer from 'multer';
+import { DocumentLibraryError } from '../assignment1_llm_embeddings/utils/documentLibrary.js';
+import { ERROR_CODES } from './chatEvents.js';
+
+// HTTP status for each DocumentLibraryError code
+const STATUS = {
+    [ERROR_CODES.DOCUMENT_NOT_FOUND]: 404,
+    [ERROR_CODES.DOCUMENT_EXISTS]: 409,
+    [ERROR_CODES.INVALID_DOCUMENT]: 400,
+    [ERROR_CODES.UNSUPPORTED_FORMAT]: 415,
+};
+
+/**
+ * Routes for the document library (mount at /documents)
+ * @param {Object} options - Dependencies from server.js
+ * @param {Promise<DocumentLibrary|null>} options.library - Library (null if the knowledge base failed to load)
+ * @param {number} options.maxUploadBytes - Largest accepted upload
+ * @param {Function} options.requireWriter - Middleware run before uploads, deletes and re-indexing (default: none)
+ * @returns {Router} Express router
+ */
+export function createDocumentsRouter({ library, maxUploadBytes, requireWriter = (req, res, next) => next() }) {
+    const router = express.Router();
+    // Uploads are kept in memory until the library writes them to disk
+    const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: maxUploadBytes, files: 1 } });
+
+    // Run a library call and send its result, or the error as { error, code }
+    const handle = (status, action) => async (req, res) => {
+        const documents = await library;
+        if (!documents) {
+            return res.status(503).json({ error: 'The knowledge base is not available', code: ERROR_CODES.INTERNAL });
+        }
+        try {
+            res.status(status).json(await action(documents, req));
+        } catch (error) {
+            if (error instanceof DocumentLibraryError) {
+                return res.status(STATUS[error.code] ?? 400).json({ error: error.message, code: error.code });
+            }
+            console.error('Error in document library:', error);
+            res.status(500).json({ error: 'Document operation failed', code: ERROR_CODES.INTERNAL });
+        }
+    };
+
+    // Every document with its title, size and number of indexed chunks
+    router.get('/', handle(200, async documents => ({ documents: await documents.list() })));
+
+    // Upload one file as multipart/form-data (field "file")
+    router.post('/', requireWriter, (req, res, next) => {
+        upload.single('file')(req, res, error => {
+            if (error instanceof multer.MulterError) {
+                const message = error.code === 'LIMIT_FILE_SIZE' ? `Files are limited to ${maxUploadBytes} bytes` : error.message;
+                return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: message, code: ERROR_CODES.INVALID_DOCUMENT });
+            }
+            if (error) return next(error);
+            if (!req.file) {
+                return res.status(400).json({ error: 'Send the file as multipart/form-data in the "file" field', code: ERROR_CODES.INVALID_DOCUMENT });
+            }
+            next();
+        });
+    }, handle(201, (documents, req) => documents.add(req.file.originalname, req.file.buffer)));
+
+    // One document with its heading outline
+    router.get('/:id', handle(200, (documents, req) => documents.get(req.params.id)));
+
+    // Delete the file and its chunks
+    router.delete('/:id', requireWriter, handle(200, (documents, req) => documents.remove(req.params.id)));
+
+    // Re-chunk and re-embed the file, e.g. after editing it on disk
+    router.post('/:id/reindex', requireWriter, handle(200, (documents, req) => documents.reindex(req.params.id)));
+
+    return router;
+}
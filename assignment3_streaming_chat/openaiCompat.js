@@ -0,0 +1,224 @@
+// openaiCompat.js - OpenAI-compatible API (/v1/chat/completions, /v1/models)
+//
+// Lets tools built on the OpenAI SDKs talk to this server unchanged: point
+// their base URL at http://localhost:3000/v1 and use a persona id as the
+// model name. Requests run through the same persona + retrieval pipeline as
+// /chat. The API is stateless (the client sends the whole conversation), and
+// retrieval details are returned in the `x_rag` extension field.
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { describeSource, resolveCitations } from '../assignment1_llm_embeddings/utils/citations.js';
+import { estimateUsage } from './chatEvents.js';
+import { httpAuth } from '../assignment2_websocket_chat/auth.js';
+import { httpRateLimit } from '../assignment2_websocket_chat/rateLimit.js';
+
+const ROLES = ['system', 'developer', 'user', 'assistant'];
+
+/**
+ * Send an error in the OpenAI format: { error: { message, type, param, code } }
+ * @param {Response} res - Express response
+ * @param {number} status - HTTP status
+ * @param {string} message - Human-readable message
+ * @param {Object} details - { type, param, code }
+ */
+function sendError(res, status, message, { type = 'invalid_request_error', param = null, code = null } = {}) {
+    res.status(status).json({ error: { message, type, param, code } });
+}
+
+// 401 and 429 responses from the auth and rate-limit middleware, in the OpenAI format
+const sendAuthError = (res, status, message) => sendError(res, status, message, { code: 'invalid_api_key' });
+const sendRateLimitError = (res, status, { message }) => sendError(res, status, message, { type: 'requests', code: 'rate_limit_exceeded' });
+
+/**
+ * Message content as plain text: a string, or an array of content parts of
+ * which only the text parts are used
+ * @param {string|Array<Object>} content - OpenAI message content
+ * @returns {string|null} Text, or null if the content is not valid
+ */
+function contentText(content) {
+    if (typeof content === 'string') return content;
+    if (Array.isArray(content)) {
+        return content.filter(part => part?.type === 'text').map(part => String(part.text ?? '')).join('\n');
+    }
+    return null;
+}
+
+/**
+ * Check a request's `messages` and split them for the pipeline
+ * @param {Array<Object>} messages - OpenAI messages
+ * @returns {Object} { instructions, turns, question } or { error }
+ */
+function parseMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return { error: '`messages` must be a non-empty array' };
+    }
+    const instructions = [];
+    const turns = [];
+    for (const [i, message] of messages.entries()) {
+        const text = contentText(message?.content);
+        if (!ROLES.includes(message?.role) || text === null) {
+            return { error: `messages[${i}] must have a role (${ROLES.join(', ')}) and text content` };
+        }
+        if (message.role === 'system' || message.role === 'developer') {
+            instructions.push(text);
+        } else {
+            turns.push({ role: message.role, content: text });
+        }
+    }
+    const last = turns.pop();
+    if (last?.role !== 'user') {
+        return { error: 'The last non-system message must come from the user' };
+    }
+    return { instructions, turns, question: last.content };
+}
+
+/**
+ * Usage in the OpenAI shape
+ * @param {Array<BaseMessage>} messages - Prompt messages
+ * @param {string} answer - Generated text
+ * @returns {Object} { prompt_tokens, completion_tokens, total_tokens }
+ */
+function openAIUsage(messages, answer) {
+    const usage = estimateUsage(messages, answer);
+    return {
+        prompt_tokens: usage.promptTokens,
+        completion_tokens: usage.completionTokens,
+        total_tokens: usage.totalTokens,
+    };
+}
+
+/**
+ * Routes for the OpenAI-compatible API (mount at /v1)
+ * @param {Object} options - Dependencies from server.js
+ * @param {Object} options.chat - Streaming chat model
+ * @param {PersonaStore} options.personas - Personas; their ids are the model names
+ * @param {Function} options.prepareAnswer - The shared answer pipeline
+ * @param {Authenticator} options.auth - Checks the API key / session token in the Authorization header
+ * @param {Array<RateLimiter>} options.limits - Rate limits every completion request counts against
+ * @returns {Router} Express router
+ */
+export function createOpenAIRouter({ chat, personas, prepareAnswer, auth, limits = [] }) {
+    const router = express.Router();
+    // The OpenAI SDKs send their apiKey as "Authorization: Bearer <key>",
+    // and always send one, so a placeholder key is fine unless auth is required
+    router.use(httpAuth(auth, { respond: sendAuthError, lenient: true }));
+
+    // Personas, listed as models
+    const toModel = persona => ({
+        id: persona.id,
+        object: 'model',
+        created: Math.floor(Date.parse(persona.updatedAt) / 1000),
+        owned_by: 'rag-chat',
+        description: persona.data.name,
+    });
+
+    router.get('/models', (req, res) => {
+        res.json({ object: 'list', data: personas.list().map(({ id }) => toModel(personas.get(id))) });
+    });
+
+    router.get('/models/:model', (req, res) => {
+        const persona = personas.get(req.params.model);
+        if (!persona) {
+            return sendError(res, 404, `The model '${req.params.model}' does not exist`, { param: 'model', code: 'model_not_found' });
+        }
+        res.json(toModel(persona));
+    });
+
+    const rateLimits = limits.map(limiter => httpRateLimit(limiter, { respond: sendRateLimitError }));
+
+    router.post('/chat/completions', ...rateLimits, async (req, res) => {
+        const { model, messages, stream = false, stream_options: streamOptions } = req.body ?? {};
+        const persona = personas.get(model);
+        if (!persona) {
+            return sendError(res, 404, `The model '${model}' does not exist. Use a persona id from GET /v1/models.`, { param: 'model', code: 'model_not_found' });
+        }
+        const parsed = parseMessages(messages);
+        if (parsed.error) {
+            return sendError(res, 400, parsed.error, { param: 'messages' });
+        }
+
+        // Stop generating when the client goes away
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        const id = `chatcmpl-${randomUUID()}`;
+        const created = Math.floor(Date.now() / 1000);
+        // The API is stateless: the conversation is the request's messages
+        const session = { id, summary: '', turns: parsed.turns };
+
+        let prepared;
+        try {
+            prepared = await prepareAnswer({
+                session,
+                persona,
+                question: parsed.question,
+                instructions: parsed.instructions,
+            });
+        } catch (error) {
+            console.error('Error preparing completion:', error);
+            return sendError(res, 500, 'Failed to retrieve context for the answer', { type: 'server_error' });
+        }
+        const { query, documents } = prepared;
+        const sources = documents.map((doc, i) => describeSource(doc, i + 1));
+
+        if (!stream) {
+            try {
+                const response = await chat.invoke(prepared.messages, { signal: controller.signal });
+                const answer = String(response.content);
+                const { citations } = resolveCitations(answer, documents);
+                res.json({
+                    id,
+                    object: 'chat.completion',
+                    created,
+                    model: persona.id,
+                    choices: [{ index: 0, message: { role: 'assistant', content: answer }, finish_reason: 'stop' }],
+                    usage: openAIUsage(prepared.messages, answer),
+                    x_rag: { query, sources, citations },
+                });
+            } catch (error) {
+                if (controller.signal.aborted) return;
+                console.error('Error generating completion:', error);
+                sendError(res, 500, 'Failed to get response from AI', { type: 'server_error' });
+            }
+            return;
+        }
+
+        // Streaming: "data: {chunk}" lines, ending with "data: [DONE]"
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+        const sendChunk = (choices, extra = {}) => {
+            res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model: persona.id, choices, ...extra })}\n\n`);
+        };
+
+        let answer = '';
+        try {
+            // The first chunk carries the role and what was retrieved
+            sendChunk([{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }], { x_rag: { query, sources } });
+            for await (const chunk of await chat.stream(prepared.messages, { signal: controller.signal })) {
+                if (chunk.content) {
+                    answer += chunk.content;
+                    sendChunk([{ index: 0, delta: { content: chunk.content }, finish_reason: null }]);
+                }
+            }
+            const { citations } = resolveCitations(answer, documents);
+            sendChunk([{ index: 0, delta: {}, finish_reason: 'stop' }], { x_rag: { citations } });
+            if (streamOptions?.include_usage) {
+                sendChunk([], { usage: openAIUsage(prepared.messages, answer) });
+            }
+            res.write('data: [DONE]\n\n');
+        } catch (error) {
+            if (!controller.signal.aborted) {
+                console.error('Error streaming completion:', error);
+                res.write(`data: ${JSON.stringify({ error: { message: 'Failed to get response from AI', type: 'server_error', param: null, code: null } })}\n\n`);
+            }
+        } finally {
+            res.end();
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,177 @@
+// personas.js - Persona files: loading, JSON Schema validation and hot reload
+//
+// Each persona is personas/<id>.json, validated against persona.schema.json.
+// Invalid files are reported with the failing field and skipped (an edit that
+// breaks a file keeps the last valid version). The directory is watched, so
+// new or edited files take effect without a restart.
+import fs from 'fs';
+import path from 'path';
+import Ajv from 'ajv';
+import { buildSystemPrompt } from './promptBuilder.js';
+
+// Ids double as file names
+const PERSONA_ID = /^[a-z0-9][a-z0-9-]{0,63}$/;
+
+export class PersonaValidationError extends Error {
+    /**
+     * @param {string} source - File or request the persona came from
+     * @param {Array<string>} details - One message per problem
+     */
+    constructor(source, details) {
+        super(`Invalid persona ${source}:\n  - ${details.join('\n  - ')}`);
+        this.name = 'PersonaValidationError';
+        this.details = details;
+    }
+}
+
+/**
+ * Check a persona id (used as the file name)
+ * @param {string} id - Persona id
+ * @returns {boolean} True if the id is safe to use
+ */
+export function isValidPersonaId(id) {
+    return typeof id === 'string' && PERSONA_ID.test(id);
+}
+
+export class PersonaStore {
+    /**
+     * @param {Object} options - Store settings
+     * @param {string} options.dir - Directory of <id>.json files
+     * @param {string} options.schemaPath - JSON Schema every persona must match
+     */
+    constructor({ dir, schemaPath }) {
+        this.dir = dir;
+        const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+        this.validateSchema = ajv.compile(JSON.parse(fs.readFileSync(schemaPath, 'utf8')));
+        this.personas = new Map(); // id -> { id, data, systemPrompt, updatedAt }
+        this.watcher = null;
+        this.reloadTimers = new Map();
+    }
+
+    /**
+     * Validate persona data against the schema
+     * @param {Object} data - Persona
+     * @param {string} source - Where it came from, for the error message
+     * @throws {PersonaValidationError} Listing every failing field
+     */
+    validate(data, source) {
+        if (this.validateSchema(data)) return;
+        const details = this.validateSchema.errors.map(error => {
+            const field = error.instancePath || '(root)';
+            return error.keyword === 'required'
+                ? `${field}: missing required field "${error.params.missingProperty}"`
+                : `${field}: ${error.message}`;
+        });
+        throw new PersonaValidationError(source, details);
+    }
+
+    // Read, parse and validate one file into the store
+    loadFile(id) {
+        const filePath = path.join(this.dir, `${id}.json`);
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new PersonaValidationError(filePath, [error.message]);
+        }
+        this.validate(data, filePath);
+        this.personas.set(id, { id, data, systemPrompt: buildSystemPrompt(data), updatedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Load every persona file. Invalid files are logged and skipped.
+     * @returns {PersonaStore} this
+     */
+    load() {
+        fs.mkdirSync(this.dir, { recursive: true });
+        for (const file of fs.readdirSync(this.dir).sort()) {
+            const id = path.basename(file, '.json');
+            if (!file.endsWith('.json') || !isValidPersonaId(id)) continue;
+            try {
+                this.loadFile(id);
+            } catch (error) {
+                console.error(error.message);
+            }
+        }
+        console.log(`🎭 Loaded ${this.personas.size} persona(s): ${[...this.personas.keys()].join(', ') || 'none'}`);
+        return this;
+    }
+
+    /**
+     * Reload files as they change (debounced per file, since editors write
+     * in several steps)
+     * @returns {PersonaStore} this
+     */
+    watch() {
+        this.watcher = fs.watch(this.dir, (eventType, file) => {
+            const id = file && path.basename(file, '.json');
+            if (!file?.endsWith('.json') || !isValidPersonaId(id)) return;
+            clearTimeout(this.reloadTimers.get(id));
+            this.reloadTimers.set(id, setTimeout(() => this.reload(id), 100));
+        });
+        return this;
+    }
+
+    // Pick up a changed, new or deleted file
+    reload(id) {
+        this.reloadTimers.delete(id);
+        if (!fs.existsSync(path.join(this.dir, `${id}.json`))) {
+            if (this.personas.delete(id)) console.log(`🎭 Persona removed: ${id}`);
+            return;
+        }
+        try {
+            this.loadFile(id);
+            console.log(`🎭 Persona reloaded: ${id}`);
+        } catch (error) {
+            console.error(`${error.message}\n  (keeping the previous version, if any)`);
+        }
+    }
+
+    close() {
+        this.watcher?.close();
+        this.reloadTimers.forEach(timer => clearTimeout(timer));
+    }
+
+    /**
+     * @param {string} id - Persona id
+     * @returns {Object|undefined} { id, data, systemPrompt, updatedAt }
+     */
+    get(id) {
+        return this.personas.get(id);
+    }
+
+    has(id) {
+        return this.personas.has(id);
+    }
+
+    /**
+     * Personas for a picker
+     * @returns {Array<Object>} [{ id, name, description, occupation }]
+     */
+    list() {
+        return [...this.personas.values()].map(({ id, data }) => ({
+            id,
+            name: data.name,
+            description: data.description ?? '',
+            occupation: data.professional_profile.primary_occupation,
+        }));
+    }
+
+    /**
+     * Validate and write a persona file, then load it
+     * @param {string} id - Persona id
+     * @param {Object} data - Persona
+     * @returns {Object} The stored persona
+     * @throws {PersonaValidationError} If the data does not match the schema
+     */
+    save(id, data) {
+        this.validate(data, `"${id}"`);
+        // Write to a temporary file and rename, so the watcher never reads half a file
+        const filePath = path.join(this.dir, `${id}.json`);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n');
+        fs.renameSync(tempPath, filePath);
+        this.loadFile(id);
+        return this.get(id);
+    }
+}
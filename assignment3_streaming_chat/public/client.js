@@ -3,23 +3,73 @@ const chatForm = document.getElementById('chat-form');       // The form contain
 const messageInput = document.getElementById('message-input'); // The text input field
 const chatbox = document.getElementById('chatbox');           // The container where messages are displayed
 const sendButton = document.getElementById('send-button');     // The send button
+const stopButton = document.getElementById('stop-button');     // Stops the answer being streamed
+const personaSelect = document.getElementById('persona-select'); // Which character answers
+const personaDescription = document.getElementById('persona-description');
+
+// Conversation id: the server keeps the history for this id, so follow-up
+// questions work. Stored per tab, so a new tab starts a new conversation.
+let sessionId = sessionStorage.getItem('chatSessionId') || crypto.randomUUID();
+sessionStorage.setItem('chatSessionId', sessionId);
+
+/**
+ * Exchanges an API key for a session token (kept per tab), for servers
+ * running with AUTH_MODE=required.
+ * @param {string} reason - Why the server asked to sign in.
+ * @returns {Promise<boolean>} Whether the user is now signed in.
+ */
+async function signIn(reason) {
+    const apiKey = prompt(`${reason}\nEnter your API key:`);
+    if (!apiKey) return false;
+    const response = await fetch('/auth/token', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${apiKey.trim()}` },
+    });
+    if (!response.ok) return false;
+    const { token } = await response.json();
+    sessionStorage.setItem('chatToken', token);
+    return true;
+}
+
+/**
+ * fetch() with the session token. On 401 the user is asked to sign in and
+ * the request is sent once more.
+ * @param {string} url - Request URL.
+ * @param {Object} options - fetch options.
+ * @returns {Promise<Response>} The response.
+ */
+async function apiFetch(url, options = {}) {
+    const send = () => {
+        const token = sessionStorage.getItem('chatToken');
+        const headers = { ...options.headers, ...(token && { 'Authorization': `Bearer ${token}` }) };
+        return fetch(url, { ...options, headers });
+    };
+    const response = await send();
+    if (response.status !== 401) return response;
+    sessionStorage.removeItem('chatToken');
+    const { error } = await response.json().catch(() => ({}));
+    return await signIn(error ?? 'Please sign in.') ? send() : response;
+}
 
 /**
  * Adds a message (either from the user or the AI) to the chatbox UI.
  * @param {string} sender - 'user' or 'ai' to indicate the message origin.
  * @param {string} text - The content of the message.
+ * @param {Object} markdownOptions - For AI messages: MarkdownView options (e.g. onCitation).
  * @returns {HTMLElement} The newly created message div element.
  */
-function addMessage(sender, text) {
+function addMessage(sender, text, markdownOptions) {
     // Create a new div element for the message
     const messageDiv = document.createElement('div');
     // Add CSS classes for styling: common 'message' class and specific sender class
     messageDiv.classList.add('message', sender === 'user' ? 'user-message' : 'ai-message');
-    // Set the text content of the message div
-    // Use innerHTML instead of textContent to allow basic HTML rendering (like code blocks)
-    // **Security Note:** Ensure server-side sanitization if AI can generate arbitrary HTML.
-    // For this example, we assume AI output is safe or contains only simple formatting.
-    messageDiv.innerHTML = text; // Changed from textContent
+    // User messages are plain text; AI answers are Markdown, rendered through
+    // the allowlist in markdown.js (never innerHTML)
+    if (sender === 'user') {
+        messageDiv.textContent = text;
+    } else {
+        new MarkdownView(messageDiv, markdownOptions).update(text);
+    }
     // Append the new message div to the chatbox
     chatbox.appendChild(messageDiv);
     // Automatically scroll the chatbox to the bottom to show the latest message
@@ -28,6 +78,386 @@ function addMessage(sender, text) {
     return messageDiv;
 }
 
+/**
+ * Shows the conversation so far (kept by the server), so reloading the page
+ * does not lose it.
+ */
+async function loadHistory() {
+    try {
+        const response = await apiFetch(`/history?room=${encodeURIComponent(sessionId)}`);
+        if (!response.ok) return;
+        const { messages } = await response.json();
+        messages.forEach(message => {
+            if (message.type !== 'ai') {
+                addMessage('user', message.text);
+                return;
+            }
+            // Saved answers keep the sources they cited
+            let answerDetails;
+            const aiMessageDiv = addMessage('ai', message.text, { onCitation: number => answerDetails.openSource(number) });
+            answerDetails = addAnswerDetails(aiMessageDiv);
+            answerDetails.showSources(null, message.citations ?? []);
+            message.citations?.forEach(citation => answerDetails.markCited(citation));
+            // Answers saved with their retrieval can still be rated
+            if (message.retrieval) addAnswerFeedback(answerDetails.element, message.id);
+        });
+    } catch (error) {
+        console.error('Error loading chat history:', error);
+    }
+}
+
+/**
+ * Shows a notice from the server (e.g. the knowledge base was updated) in
+ * the chat.
+ * @param {string} text - Notice text.
+ */
+function addNotice(text) {
+    const noticeDiv = document.createElement('div');
+    noticeDiv.classList.add('message', 'system-message');
+    noticeDiv.textContent = text;
+    chatbox.appendChild(noticeDiv);
+    chatbox.scrollTop = chatbox.scrollHeight;
+}
+
+/**
+ * Follows GET /documents/events and shows its notices, reconnecting after a
+ * dropped connection. Gives up if the server refuses (e.g. not signed in).
+ */
+async function followNotices() {
+    while (true) {
+        try {
+            const response = await apiFetch('/documents/events');
+            if (!response.ok || !response.body) return;
+            await readEventStream(response, (id, name, data) => {
+                if (name === 'notice') addNotice(data.text);
+            });
+        } catch (error) {
+            console.warn('Knowledge base notices interrupted:', error);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5000));
+    }
+}
+
+// After the history, so a sign-in prompt (AUTH_MODE=required) comes only once
+loadHistory().then(followNotices);
+
+/**
+ * Fills the persona picker from the server. The choice is kept per tab and
+ * sent with every message.
+ */
+async function loadPersonas() {
+    try {
+        const response = await apiFetch('/personas');
+        if (!response.ok) return;
+        const { default: defaultId, personas } = await response.json();
+        personaSelect.replaceChildren(...personas.map(persona => {
+            const option = document.createElement('option');
+            option.value = persona.id;
+            option.textContent = persona.name;
+            option.dataset.description = persona.description || persona.occupation;
+            return option;
+        }));
+        const saved = sessionStorage.getItem('chatPersona');
+        personaSelect.value = personas.some(persona => persona.id === saved) ? saved : defaultId;
+        showPersonaDescription();
+    } catch (error) {
+        console.error('Error loading personas:', error);
+    }
+}
+
+function showPersonaDescription() {
+    personaDescription.textContent = personaSelect.selectedOptions[0]?.dataset.description ?? '';
+}
+
+personaSelect.addEventListener('change', () => {
+    sessionStorage.setItem('chatPersona', personaSelect.value);
+    showPersonaDescription();
+});
+loadPersonas();
+
+// How often to try reconnecting to an answer after the connection drops
+const MAX_RESUME_ATTEMPTS = 5;
+
+/**
+ * The answer currently being streamed:
+ * { id: stream id from the X-Stream-Id header, lastEventId, finished, stopped, expired, controller }
+ */
+let activeStream = null;
+
+/**
+ * Reads Server-Sent Events from a fetch response until the stream closes.
+ * Frames look like "id: 3\nevent: token\ndata: {json}\n\n" (see
+ * docs/SSE_Protocol.md); each parsed event is passed to onEvent.
+ * @param {Response} response - The fetch response with an SSE body.
+ * @param {Function} onEvent - Called with (id, name, data) for every event.
+ */
+async function readEventStream(response, onEvent) {
+    // Get a ReadableStream reader from the response body
+    const reader = response.body.getReader();
+    // Create a TextDecoder to convert stream bytes (Uint8Array) to text
+    const decoder = new TextDecoder();
+    let buffer = ''; // Buffer to store incoming chunks
+
+    // Start reading the stream
+    while (true) {
+        // Read a chunk from the stream; throws if the connection drops
+        const { value, done } = await reader.read();
+        // If the stream is finished, stop reading
+        if (done) break;
+
+        // Decode the chunk (Uint8Array) to text and append to the buffer
+        buffer += decoder.decode(value, { stream: true });
+
+        // Process Server-Sent Events (SSE) messages in the buffer
+        // SSE messages are separated by double newlines (\n\n)
+        let boundary = buffer.indexOf('\n\n');
+        while (boundary !== -1) {
+            // Extract a single SSE message and remove it from the buffer
+            const frame = buffer.substring(0, boundary);
+            buffer = buffer.substring(boundary + 2); // +2 for \n\n
+
+            // Each line of the frame is a field: "id: ...", "event: ..." or "data: ..."
+            let id = null;
+            let name = 'message'; // The SSE default when a frame has no event name
+            let data = '';
+            frame.split('\n').forEach(line => {
+                if (line.startsWith('id: ')) id = Number(line.substring(4));
+                else if (line.startsWith('event: ')) name = line.substring(7);
+                else if (line.startsWith('data: ')) data += line.substring(6);
+            });
+            if (data) {
+                try {
+                    onEvent(id, name, JSON.parse(data));
+                } catch (e) {
+                    // Handle errors during JSON parsing (e.g., malformed JSON)
+                    console.error('Error parsing JSON chunk:', data, e);
+                }
+            }
+
+            // Look for the next SSE message boundary in the updated buffer
+            boundary = buffer.indexOf('\n\n');
+        }
+    }
+}
+
+/**
+ * Reconnects to an answer after a dropped connection, asking for the events
+ * after the last one received.
+ * @param {Object} stream - The answer being streamed (see activeStream).
+ * @returns {Promise<Response|null>} The resumed event stream, or null if the server no longer has the answer.
+ */
+async function resumeEventStream(stream) {
+    const response = await apiFetch(`/chat/${stream.id}/events`, {
+        headers: { 'Last-Event-ID': String(stream.lastEventId) },
+        signal: stream.controller.signal,
+    });
+    if (response.status === 404) {
+        stream.expired = true;
+        return null;
+    }
+    if (!response.ok || !response.body) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    return response;
+}
+
+/**
+ * Shows an error inside an AI message bubble.
+ * @param {HTMLElement} aiMessageDiv - The AI message element.
+ * @param {string} text - Error text.
+ */
+function showError(aiMessageDiv, text) {
+    aiMessageDiv.textContent = text;
+    aiMessageDiv.style.color = 'red'; // Style error messages
+    // Apply specific error class for better styling
+    aiMessageDiv.classList.add('error-message');
+}
+
+/**
+ * Adds the panel under an AI message that lists the retrieved sources
+ * (cited ones highlighted) and the token usage. Clicking a citation chip in
+ * the answer opens the source's chunk here.
+ * @param {HTMLElement} aiMessageDiv - The AI message element.
+ * @returns {Object} { element, showSources(query, sources), markCited(citation), openSource(number), showUsage(usage) }
+ */
+function addAnswerDetails(aiMessageDiv) {
+    const details = document.createElement('div');
+    details.classList.add('answer-details');
+    details.hidden = true; // Shown once there is something to show
+    aiMessageDiv.after(details);
+
+    const sourceList = document.createElement('ol');
+    sourceList.classList.add('source-list');
+    const preview = document.createElement('div');
+    preview.classList.add('source-preview');
+    preview.hidden = true;
+    const usageLine = document.createElement('div');
+    usageLine.classList.add('usage');
+    details.append(sourceList, preview, usageLine);
+
+    const sources = new Map(); // number -> source
+    const sourceLabel = source => source.title ? `${source.filename} (${source.title})` : source.filename;
+
+    return {
+        element: details,
+        // The `retrieval` event: shown while the answer is still being written
+        showSources(query, found) {
+            found.forEach(source => {
+                sources.set(source.number, source);
+                const item = document.createElement('li');
+                item.value = source.number;
+                item.dataset.number = source.number;
+                item.textContent = sourceLabel(source);
+                sourceList.appendChild(item);
+            });
+            if (query) details.title = `Searched for: ${query}`;
+            details.hidden = found.length === 0;
+        },
+        markCited(citation) {
+            sourceList.querySelector(`[data-number="${citation.number}"]`)?.classList.add('cited');
+        },
+        // A citation chip was clicked: show that source's chunk (click again to close)
+        openSource(number) {
+            const source = sources.get(number);
+            const open = !preview.hidden && preview.dataset.number === String(number);
+            sourceList.querySelectorAll('.open').forEach(item => item.classList.remove('open'));
+            preview.hidden = open;
+            if (open) return;
+            preview.dataset.number = number;
+            const heading = document.createElement('div');
+            heading.classList.add('source-preview-heading');
+            const excerpt = document.createElement('blockquote');
+            if (source) {
+                const section = source.sectionPath ? ` › ${source.sectionPath}` : '';
+                heading.textContent = `[${number}] ${sourceLabel(source)}${section}`;
+                excerpt.textContent = source.text ?? '(The text of this source was not kept with the saved answer.)';
+                sourceList.querySelector(`[data-number="${number}"]`)?.classList.add('open');
+            } else {
+                heading.textContent = `[${number}]`;
+                excerpt.textContent = 'This number matches none of the retrieved sources.';
+            }
+            preview.replaceChildren(heading, excerpt);
+            details.hidden = false;
+            preview.scrollIntoView({ block: 'nearest' });
+        },
+        showUsage(usage) {
+            const prefix = usage.estimated ? '≈ ' : '';
+            usageLine.textContent = `${prefix}${usage.promptTokens} prompt + ${usage.completionTokens} answer tokens`;
+            details.hidden = false;
+        },
+    };
+}
+
+/**
+ * Adds 👍/👎 buttons under an answer. A thumbs-down asks for a comment and,
+ * optionally, what the answer should have said; clicking the chosen thumb
+ * again takes the rating back. Ratings go to POST /feedback.
+ * @param {HTMLElement} after - Element to insert the buttons after.
+ * @param {number} messageId - Id of the saved answer (from the `done` event or history).
+ */
+function addAnswerFeedback(after, messageId) {
+    const bar = document.createElement('div');
+    bar.classList.add('answer-feedback');
+    after.after(bar);
+
+    const thumb = (vote, label, title) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.classList.add('vote-button');
+        button.textContent = label;
+        button.title = title;
+        button.setAttribute('aria-pressed', 'false');
+        button.dataset.vote = vote;
+        return button;
+    };
+    const upButton = thumb('up', '👍', 'Good answer');
+    const downButton = thumb('down', '👎', 'Bad answer');
+    const status = document.createElement('span');
+    status.classList.add('feedback-status');
+
+    // Comment form for a thumbs-down
+    const form = document.createElement('form');
+    form.classList.add('feedback-form');
+    form.hidden = true;
+    const comment = document.createElement('textarea');
+    comment.placeholder = 'What was wrong with this answer?';
+    comment.rows = 2;
+    const correction = document.createElement('textarea');
+    correction.placeholder = 'What should it have said? (optional)';
+    correction.rows = 2;
+    const submit = document.createElement('button');
+    submit.type = 'submit';
+    submit.textContent = 'Send feedback';
+    form.append(comment, correction, submit);
+    bar.append(upButton, downButton, status, form);
+
+    let currentVote = null;
+
+    async function send(vote, extra = {}) {
+        status.textContent = 'Saving…';
+        try {
+            const response = await apiFetch('/feedback', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sessionId, messageId, vote, ...extra }),
+            });
+            if (!response.ok) {
+                const { error } = await response.json().catch(() => ({}));
+                status.textContent = error ?? 'Your feedback could not be saved.';
+                return;
+            }
+            currentVote = vote;
+            [upButton, downButton].forEach(button => button.setAttribute('aria-pressed', String(button.dataset.vote === vote)));
+            status.textContent = vote ? 'Thanks for the feedback!' : '';
+            form.hidden = true;
+        } catch (error) {
+            console.error('Error sending feedback:', error);
+            status.textContent = 'Your feedback could not be saved.';
+        }
+    }
+
+    upButton.addEventListener('click', () => send(currentVote === 'up' ? null : 'up'));
+    downButton.addEventListener('click', () => {
+        if (currentVote === 'down') {
+            send(null);
+            return;
+        }
+        form.hidden = !form.hidden;
+        if (!form.hidden) comment.focus();
+    });
+    form.addEventListener('submit', event => {
+        event.preventDefault();
+        send('down', { comment: comment.value.trim(), correction: correction.value.trim() });
+    });
+}
+
+// Switch between the send and stop buttons while an answer streams
+function setStreaming(streaming) {
+    messageInput.disabled = streaming;
+    sendButton.disabled = streaming;
+    sendButton.hidden = streaming;
+    stopButton.hidden = !streaming;
+}
+
+// Stop button: ask the server to stop generating. The stream then ends with
+// a 'cancelled' event, and the partial answer stays on screen.
+stopButton.addEventListener('click', async () => {
+    const stream = activeStream;
+    if (!stream || stream.finished) return;
+    stream.stopped = true;
+    if (!stream.id) {
+        // No stream id yet: dropping the connection stops the server too
+        stream.controller.abort();
+        return;
+    }
+    try {
+        await apiFetch(`/chat/${stream.id}/cancel`, { method: 'POST' });
+    } catch (error) {
+        console.error('Error cancelling the answer:', error);
+        stream.controller.abort();
+    }
+});
+
 // Add an event listener to the chat form for the 'submit' event
 chatForm.addEventListener('submit', async (event) => {
     // Prevent the default form submission behavior (which causes a page reload)
@@ -38,9 +468,8 @@ chatForm.addEventListener('submit', async (event) => {
     // If the message is empty, do nothing
     if (!userMessage) return; 
 
-    // Disable the input field and send button to prevent multiple submissions while processing
-    messageInput.disabled = true;
-    sendButton.disabled = true;
+    // Disable the input and swap the send button for the stop button while processing
+    setStreaming(true);
 
     // Display the user's message immediately in the chatbox
     addMessage('user', userMessage);
@@ -50,117 +479,137 @@ chatForm.addEventListener('submit', async (event) => {
     // Create a placeholder div for the AI's response and add a loading indicator
     const aiMessageDiv = addMessage('ai', ''); // Start with empty text
     aiMessageDiv.classList.add('loading'); // Add class for loading animation
+    const answerDetails = addAnswerDetails(aiMessageDiv); // Sources and token usage
+    // Renders the answer's Markdown as it streams; citation chips open their source
+    const answerView = new MarkdownView(aiMessageDiv, { onCitation: number => answerDetails.openSource(number) });
+
+    const stream = { id: null, lastEventId: 0, finished: false, stopped: false, expired: false, controller: new AbortController() };
+    activeStream = stream;
+    let currentAiText = ''; // Accumulator for the AI response text
+
+    // Handles one event of the answer; ids let us resume after the last one seen
+    function handleEvent(id, name, data) {
+        if (id !== null) stream.lastEventId = id;
+
+        switch (name) {
+            // Which conversation this is and which sources were found,
+            // sent before the answer starts
+            case 'retrieval':
+                sessionId = data.sessionId;
+                sessionStorage.setItem('chatSessionId', sessionId);
+                answerDetails.showSources(data.query, data.sources);
+                break;
+            // A piece of the answer: append it
+            case 'token':
+                currentAiText += data.text;
+                // Re-render the part of the answer that changed
+                answerView.update(currentAiText);
+                // Scroll chatbox down as new content arrives
+                chatbox.scrollTop = chatbox.scrollHeight;
+                break;
+            // A source the answer cited
+            case 'citation':
+                answerDetails.markCited(data.citation);
+                break;
+            case 'usage':
+                answerDetails.showUsage(data);
+                break;
+            // The answer is complete, or was stopped (the partial text stays)
+            case 'done':
+                stream.finished = true;
+                if (data.finishReason !== 'stop') {
+                    if (!currentAiText) aiMessageDiv.textContent = '(stopped)';
+                    aiMessageDiv.classList.add('stopped');
+                }
+                // The saved answer can now be rated
+                if (data.messageId) addAnswerFeedback(answerDetails.element, data.messageId);
+                break;
+            // The server could not answer; `code` says why
+            case 'error':
+                stream.finished = true;
+                console.error(`Server error (${data.code}):`, data.message);
+                showError(aiMessageDiv, `Error: ${data.message}`);
+                break;
+            default:
+                // Events from a newer protocol version: ignore them
+                break;
+        }
+    }
 
     try {
         // Send the user's message to the server's /chat endpoint using fetch
-        const response = await fetch('/chat', {
+        const response = await apiFetch('/chat', {
             method: 'POST', // Use POST method
             headers: {
                 'Content-Type': 'application/json', // Indicate JSON content type
             },
-            body: JSON.stringify({ message: userMessage }), // Send message as JSON
+            // Send message, conversation id and persona as JSON
+            body: JSON.stringify({ message: userMessage, sessionId, persona: personaSelect.value || undefined }),
+            signal: stream.controller.signal,
         });
 
+        // Refused before the answer started (e.g. 429 when sending too fast):
+        // show the server's message
+        if (response.status >= 400 && response.status < 500) {
+            const { error, code } = await response.json().catch(() => ({}));
+            stream.finished = true;
+            // The conversation was started by someone else (e.g. before signing
+            // in): continue in a new one
+            if (code === 'forbidden') {
+                sessionId = crypto.randomUUID();
+                sessionStorage.setItem('chatSessionId', sessionId);
+                showError(aiMessageDiv, `Error: ${error} Started a new conversation; please send your message again.`);
+                return;
+            }
+            showError(aiMessageDiv, `Error: ${error ?? response.statusText}`);
+            return;
+        }
         // Check if the response status is not OK or if the response body is missing
         if (!response.ok || !response.body) {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
+        stream.id = response.headers.get('X-Stream-Id');
 
-        // Get a ReadableStream reader from the response body
-        const reader = response.body.getReader();
-        // Create a TextDecoder to convert stream bytes (Uint8Array) to text
-        const decoder = new TextDecoder();
-        let buffer = ''; // Buffer to store incoming chunks
-        let currentAiText = ''; // Accumulator for the AI response text
-
-        // Start reading the stream
-        while (true) {
-            // Read a chunk from the stream
-            const { value, done } = await reader.read();
-            // If the stream is finished, break the loop
-            if (done) {
-                // console.log("Stream finished."); // Debugging
-                break;
+        // Read the answer. If the connection drops before the last event,
+        // reconnect with Last-Event-ID and continue where we left off.
+        let source = response;
+        let attempts = 0;
+        while (source) {
+            try {
+                await readEventStream(source, handleEvent);
+            } catch (error) {
+                if (!stream.stopped) console.warn('Answer stream interrupted:', error);
             }
-
-            // Decode the chunk (Uint8Array) to text and append to the buffer
-            buffer += decoder.decode(value, { stream: true });
-            // console.log("Received raw buffer:", buffer); // Debugging
-
-            // Process Server-Sent Events (SSE) messages in the buffer
-            // SSE messages are separated by double newlines (\n\n)
-            let boundary = buffer.indexOf('\n\n');
-            while (boundary !== -1) {
-                // Extract a single SSE message chunk
-                const messageChunk = buffer.substring(0, boundary);
-                // Remove the processed chunk from the buffer
-                buffer = buffer.substring(boundary + 2); // +2 for \n\n
-
-                // Check if the chunk is a data event (starts with "data: ")
-                if (messageChunk.startsWith('data: ')) {
-                    // Extract the JSON string part (remove "data: ")
-                    const jsonString = messageChunk.substring(6);
-                    // console.log("Processing JSON:", jsonString); // Debugging
-                    try {
-                        // Parse the JSON data
-                        const data = JSON.parse(jsonString);
-                        
-                        // If the data contains message content, append it
-                        if (data.content) {
-                            currentAiText += data.content;
-                            // Update the AI message div's text content in real-time
-                            aiMessageDiv.innerHTML = currentAiText; 
-                            // Scroll chatbox down as new content arrives
-                            chatbox.scrollTop = chatbox.scrollHeight; 
-                        } 
-                        // If the data signals the end of the stream
-                        else if (data.event === 'end') {
-                            // console.log("Received end event from server."); // Debugging
-                            // Stream finished cleanly
-                        } 
-                        // If the data contains an error message from the server
-                        else if (data.error) {
-                            console.error("Server error message:", data.error);
-                            aiMessageDiv.innerHTML = `Error: ${data.error}`;
-                            aiMessageDiv.style.color = 'red'; // Style error messages
-                            // Apply specific error class for better styling
-                            aiMessageDiv.classList.add('error-message');
-                        }
-                    } catch (e) {
-                        // Handle errors during JSON parsing (e.g., malformed JSON)
-                        console.error('Error parsing JSON chunk:', jsonString, e);
-                    }
-                } else {
-                    // Ignore lines that don't start with "data: " (e.g., comments or empty lines in SSE)
-                     // console.log("Skipping non-data line:", messageChunk); // Debugging
-                }
-                
-                // Look for the next SSE message boundary in the updated buffer
-                boundary = buffer.indexOf('\n\n');
+            source = null;
+            while (!source && stream.id && !stream.finished && !stream.stopped && !stream.expired && attempts < MAX_RESUME_ATTEMPTS) {
+                attempts++;
+                await new Promise(resolve => setTimeout(resolve, 500 * attempts)); // Back off a little more each time
+                source = await resumeEventStream(stream).catch(() => null); // Still offline: try again
             }
         }
-        
-        // Note: Handling for partial messages remaining in the buffer after the loop is omitted
-        // because SSE standard typically ensures messages end with \n\n.
-        // A robust implementation might handle edge cases here.
 
+        if (!stream.finished && !stream.stopped) {
+            showError(aiMessageDiv, 'The connection was lost before the answer finished.');
+        }
     } catch (error) {
-        // Handle errors during the fetch operation or stream reading
-        console.error('Fetch/Stream error:', error);
-        // Display an error message in the AI message placeholder
-        aiMessageDiv.innerHTML = 'Error connecting to the server or processing the stream.';
-        aiMessageDiv.style.color = 'red';
-        // Apply specific error class for better styling
-        aiMessageDiv.classList.add('error-message');
+        if (stream.stopped) {
+            // Stopped before the answer started
+            aiMessageDiv.textContent = '(stopped)';
+        } else {
+            // Handle errors during the fetch operation or stream reading
+            console.error('Fetch/Stream error:', error);
+            // Display an error message in the AI message placeholder
+            showError(aiMessageDiv, 'Error connecting to the server or processing the stream.');
+        }
     } finally {
         // This block always executes, whether the try block succeeded or failed
+        activeStream = null;
         
         // Remove the loading indicator class from the AI message div
         aiMessageDiv.classList.remove('loading'); 
         
         // Re-enable the input field and send button
-        messageInput.disabled = false;
-        sendButton.disabled = false;
+        setStreaming(false);
         
         // Set focus back to the message input field for user convenience
         messageInput.focus(); 
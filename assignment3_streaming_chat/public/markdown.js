@@ -0,0 +1,362 @@
+// markdown.js - Safe, incremental Markdown rendering for AI answers
+//
+// Answers are Markdown written by a model, so they never go to innerHTML.
+// The text is split into blocks (paragraphs, headings, lists, tables, code
+// blocks, quotes, rules), each block into inline spans, and the result is
+// built with createElement and text nodes. element() only creates the tags
+// and attributes in ALLOWED_TAGS and only links to http(s)/mailto URLs, so
+// HTML in an answer is shown as text and cannot run script.
+//
+// While an answer streams, MarkdownView.update() gets the whole text so far.
+// Finished blocks stay on screen; only the last block (the one still being
+// written) is rendered again. Unfinished inline syntax, like "**bold"
+// without its closing stars, shows as it is until the rest arrives; a code
+// block without its closing fence yet runs to the end of the text.
+
+// Tag -> attributes it may have. Nothing else is ever created.
+const ALLOWED_TAGS = {
+    p: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    strong: [], em: [], del: [], br: [], hr: [], blockquote: [],
+    ul: [], ol: ['start'], li: [],
+    a: ['href', 'title', 'target', 'rel'],
+    code: ['class'], pre: [],
+    table: [], thead: [], tbody: [], tr: [], th: ['class'], td: ['class'],
+    div: ['class'], span: ['class'],
+    button: ['type', 'class', 'title', 'aria-label', 'data-number'],
+};
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+// Block syntax, matched against one line
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>\s?(.*)$/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Inline syntax, tried in this order at each position (sticky regexes)
+const ESCAPE = /\\([\\`*_{}[\]()#+\-.!|~>])/y;
+const CODE_SPAN = /(`+)([\s\S]*?[^`])\1(?!`)/y;
+// Same markers as parseCitationMarkers() in assignment1's citations.js: [1], [1, 3], [Document 2]
+const CITATION = /\[(?:Document\s+)?(\d+(?:\s*,\s*(?:Document\s+)?\d+)*)\](?!\()/iy;
+const LINK = /\[([^\]\n]+)\]\(\s*<?([^\s)>]+)>?(?:\s+"([^"\n]*)")?\s*\)/y;
+const BARE_URL = /https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"]/y;
+const STRONG = /(\*\*|__)(?=\S)([\s\S]*?\S)\1/y;
+const STRIKE = /~~(?=\S)([\s\S]*?\S)~~/y;
+const EMPHASIS = /([*_])(?=\S)([\s\S]*?\S)\1(?!\1)/y;
+
+/**
+ * Creates an allowed element. Attributes that are not allowed (and unsafe
+ * link targets) are dropped; children are nodes or strings (text nodes).
+ * @param {string} tag - Tag name from ALLOWED_TAGS.
+ * @param {Object} attributes - Attribute names and values.
+ * @param {Array<Node|string>} children - Content.
+ * @returns {HTMLElement} The element.
+ */
+function element(tag, attributes = {}, children = []) {
+    const allowed = ALLOWED_TAGS[tag];
+    if (!allowed) throw new Error(`<${tag}> is not allowed in rendered Markdown`);
+    const node = document.createElement(tag);
+    for (const [name, value] of Object.entries(attributes)) {
+        if (!allowed.includes(name) || value === undefined) continue;
+        if (name === 'href' && !SAFE_URL.test(value)) continue;
+        node.setAttribute(name, String(value));
+    }
+    node.append(...children);
+    return node;
+}
+
+// --- Blocks ---
+
+function isFenceEnd(line, fence) {
+    const marker = line.trim();
+    return /^(`{3,}|~{3,})$/.test(marker) && marker[0] === fence[0] && marker.length >= fence.length;
+}
+
+function isTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length
+        && lines[i + 1].includes('|') && TABLE_DIVIDER.test(lines[i + 1]);
+}
+
+// Whether line i starts a block that ends the paragraph before it
+function startsBlock(lines, i) {
+    const line = lines[i];
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line)
+        || QUOTE.test(line) || LIST_ITEM.test(line) || isTableStart(lines, i);
+}
+
+// "| a | b |" -> ['a', 'b'] ("\|" is a literal pipe)
+function splitRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+// Reads a list starting at line i; returns { block, next }
+function parseList(lines, i) {
+    const first = LIST_ITEM.exec(lines[i]);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let contentIndent = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+        const item = LIST_ITEM.exec(line);
+        if (item && item[1].length <= indent + 1 && /\d/.test(item[2]) === ordered) {
+            items.push([item[3]]);
+            contentIndent = item[1].length + item[2].length + 1;
+        } else if (!line.trim()) {
+            // A blank line continues the list only if more of it follows
+            const next = lines[i + 1];
+            const nextItem = next !== undefined && LIST_ITEM.exec(next);
+            const continues = next !== undefined && next.trim()
+                && (/^ +/.exec(next)?.[0].length > indent || (nextItem && nextItem[1].length <= indent + 1));
+            if (!continues) break;
+            loose = true;
+            items[items.length - 1].push('');
+        } else if (/^ +/.exec(line)?.[0].length > indent) {
+            // Indented: belongs to the current item (e.g. a nested list)
+            items[items.length - 1].push(line.replace(new RegExp(`^ {1,${contentIndent}}`), ''));
+        } else if (lines[i - 1].trim() && !startsBlock(lines, i)) {
+            // Lazy continuation of the item's paragraph
+            items[items.length - 1].push(line);
+        } else {
+            break;
+        }
+        i++;
+    }
+    const start = ordered ? parseInt(first[2], 10) : undefined;
+    return { block: { type: 'list', ordered, start, loose, items: items.map(item => item.join('\n')) }, next: i };
+}
+
+/**
+ * Splits Markdown into blocks. Each block keeps its `source` text so a
+ * re-render can tell which blocks changed.
+ * @param {string} text - Markdown.
+ * @returns {Array<Object>} Blocks: { type, source, ... }.
+ */
+function parseBlocks(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+        const start = i;
+        let block;
+        let match;
+        if ((match = FENCE.exec(line))) {
+            const body = [];
+            for (i++; i < lines.length && !isFenceEnd(lines[i], match[1]); i++) body.push(lines[i]);
+            if (i < lines.length) i++; // The closing fence
+            block = { type: 'code', language: match[2], text: body.join('\n') };
+        } else if ((match = HEADING.exec(line))) {
+            block = { type: 'heading', level: match[1].length, text: match[2] };
+            i++;
+        } else if (RULE.test(line)) {
+            block = { type: 'rule' };
+            i++;
+        } else if (QUOTE.test(line)) {
+            const body = [];
+            for (; i < lines.length && (match = QUOTE.exec(lines[i])); i++) body.push(match[1]);
+            block = { type: 'quote', text: body.join('\n') };
+        } else if (LIST_ITEM.test(line)) {
+            ({ block, next: i } = parseList(lines, i));
+        } else if (isTableStart(lines, i)) {
+            const header = splitRow(lines[i]);
+            const align = splitRow(lines[i + 1]).map(cell =>
+                cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : (cell.startsWith(':') ? 'left' : undefined));
+            const rows = [];
+            for (i += 2; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) {
+                rows.push(splitRow(lines[i]));
+            }
+            block = { type: 'table', header, align, rows };
+        } else {
+            const body = [line];
+            for (i++; i < lines.length && lines[i].trim() && !startsBlock(lines, i); i++) body.push(lines[i]);
+            block = { type: 'paragraph', text: body.join('\n') };
+        }
+        block.source = lines.slice(start, i).join('\n');
+        blocks.push(block);
+    }
+    return blocks;
+}
+
+// A code block with a copy button
+function renderCodeBlock(block) {
+    const code = element('code', { class: block.language ? `language-${block.language}` : undefined }, [block.text]);
+    const copy = element('button', { type: 'button', class: 'copy-code', 'aria-label': 'Copy code' }, ['Copy']);
+    copy.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(block.text);
+            copy.textContent = 'Copied';
+        } catch (error) {
+            copy.textContent = 'Copy failed';
+        }
+        setTimeout(() => { copy.textContent = 'Copy'; }, 1500);
+    });
+    return element('div', { class: 'code-block' }, [copy, element('pre', {}, [code])]);
+}
+
+function renderTable(block, options) {
+    const cell = (tag, text, column) =>
+        element(tag, { class: block.align[column] && `align-${block.align[column]}` }, renderInline(text, options));
+    const head = element('thead', {}, [element('tr', {}, block.header.map((text, column) => cell('th', text, column)))]);
+    const body = element('tbody', {}, block.rows.map(row =>
+        element('tr', {}, block.header.map((_, column) => cell('td', row[column] ?? '', column)))));
+    return element('div', { class: 'table-wrapper' }, [element('table', {}, [head, body])]);
+}
+
+function renderList(block, options) {
+    const items = block.items.map(text => {
+        const blocks = parseBlocks(text);
+        // Tight lists hold their text directly, without paragraphs
+        const content = !block.loose && blocks.length > 0 && blocks[0].type === 'paragraph'
+            ? [...renderInline(blocks[0].text, options), ...blocks.slice(1).map(inner => renderBlock(inner, options))]
+            : blocks.map(inner => renderBlock(inner, options));
+        return element('li', {}, content);
+    });
+    return block.ordered
+        ? element('ol', { start: block.start !== 1 ? block.start : undefined }, items)
+        : element('ul', {}, items);
+}
+
+/**
+ * Renders one block.
+ * @param {Object} block - Block from parseBlocks().
+ * @param {Object} options - See MarkdownView.
+ * @returns {HTMLElement} The block's element.
+ */
+function renderBlock(block, options) {
+    switch (block.type) {
+        case 'code':
+            return renderCodeBlock(block);
+        case 'heading':
+            return element(`h${block.level}`, {}, renderInline(block.text, options));
+        case 'rule':
+            return element('hr');
+        case 'quote':
+            return element('blockquote', {}, parseBlocks(block.text).map(inner => renderBlock(inner, options)));
+        case 'list':
+            return renderList(block, options);
+        case 'table':
+            return renderTable(block, options);
+        default:
+            return element('p', {}, renderInline(block.text, options));
+    }
+}
+
+// --- Inline spans ---
+
+// Tries a sticky regex at position i
+function matchAt(regex, text, i) {
+    regex.lastIndex = i;
+    return regex.exec(text);
+}
+
+// One chip per cited number
+function citationChips(numbers, options) {
+    return numbers.map(number => {
+        const chip = element('button', {
+            type: 'button',
+            class: 'citation-chip',
+            title: `Show source ${number}`,
+            'data-number': number,
+        }, [String(number)]);
+        chip.addEventListener('click', () => options.onCitation?.(number, chip));
+        return chip;
+    });
+}
+
+/**
+ * Renders inline Markdown: code spans, links, bold, italics, strikethrough,
+ * line breaks and citation markers.
+ * @param {string} text - Inline text.
+ * @param {Object} options - See MarkdownView.
+ * @returns {Array<Node|string>} Nodes and strings to append.
+ */
+function renderInline(text, options) {
+    const nodes = [];
+    let plain = '';
+    const push = (...items) => {
+        if (plain) nodes.push(plain);
+        plain = '';
+        nodes.push(...items);
+    };
+
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        const wordBefore = i > 0 && /\w/.test(text[i - 1]);
+        let match;
+        if (char === '\\' && (match = matchAt(ESCAPE, text, i))) {
+            plain += match[1];
+        } else if (char === '`' && (match = matchAt(CODE_SPAN, text, i))) {
+            push(element('code', {}, [match[2].replace(/^ (.*) $/, '$1')]));
+        } else if (char === '[' && (match = matchAt(CITATION, text, i))) {
+            push(...citationChips(match[1].match(/\d+/g).map(Number), options));
+        } else if (char === '[' && (match = matchAt(LINK, text, i))) {
+            if (SAFE_URL.test(match[2])) {
+                push(element('a', { href: match[2], title: match[3], target: '_blank', rel: 'noopener noreferrer' },
+                    renderInline(match[1], { ...options, noLinks: true })));
+            } else {
+                plain += match[1]; // Unsafe target (e.g. javascript:): keep just the label
+            }
+        } else if (char === 'h' && !wordBefore && !options.noLinks && (match = matchAt(BARE_URL, text, i))) {
+            push(element('a', { href: match[0], target: '_blank', rel: 'noopener noreferrer' }, [match[0]]));
+        } else if ((char === '*' || (char === '_' && !wordBefore)) && (match = matchAt(STRONG, text, i))) {
+            push(element('strong', {}, renderInline(match[2], options)));
+        } else if (char === '~' && (match = matchAt(STRIKE, text, i))) {
+            push(element('del', {}, renderInline(match[1], options)));
+        } else if ((char === '*' || (char === '_' && !wordBefore)) && (match = matchAt(EMPHASIS, text, i))) {
+            push(element('em', {}, renderInline(match[2], options)));
+        } else if (char === '\n') {
+            push(element('br'));
+        } else {
+            plain += char;
+        }
+        i += match ? match[0].length : 1;
+    }
+    push();
+    return nodes;
+}
+
+// --- Views ---
+
+/**
+ * Shows Markdown in an element and keeps it up to date as more text arrives.
+ */
+class MarkdownView {
+    /**
+     * @param {HTMLElement} container - Element to render into.
+     * @param {Object} options - { onCitation(number, chip): called when a citation chip is clicked }
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = options;
+        this.rendered = []; // [{ source, node }], one per block on screen
+    }
+
+    /**
+     * Shows `text`, which extends (or replaces) the text shown before.
+     * @param {string} text - The whole Markdown text so far.
+     */
+    update(text) {
+        const blocks = parseBlocks(text);
+        // Keep unchanged blocks; the last one shown may have grown, so it is always redone
+        let kept = 0;
+        while (kept < this.rendered.length - 1 && kept < blocks.length && blocks[kept].source === this.rendered[kept].source) {
+            kept++;
+        }
+        this.rendered.splice(kept).forEach(({ node }) => node.remove());
+        const added = blocks.slice(kept).map(block => ({ source: block.source, node: renderBlock(block, this.options) }));
+        this.rendered.push(...added);
+        this.container.append(...added.map(({ node }) => node));
+    }
+}
@@ -1,11 +1,25 @@
 // Import necessary modules
 import express from 'express';           // Web framework for Node.js
 import dotenv from 'dotenv';             // Loads environment variables from a .env file
-import { ChatOpenAI } from "@langchain/openai"; // OpenAI integration for LangChain
 import { HumanMessage, SystemMessage } from "@langchain/core/messages"; // Message types for LangChain
 import path from 'path';                 // Node.js path module for handling file paths
 import { fileURLToPath } from 'url';     // Utility to convert file URL to path (for ES Modules __dirname)
-import fs from 'fs';                     // Node.js file system module for reading files
+import { createChatModel, resolveProviderConfig } from '../assignment1_llm_embeddings/utils/providers.js'; // Shared model registry
+import { ConversationMemory, SessionAccessError } from '../assignment1_llm_embeddings/utils/conversationMemory.js'; // Per-session history
+import { loadKnowledgeBase } from '../assignment1_llm_embeddings/utils/knowledgeBase.js'; // Document retrieval
+import { DocumentLibrary } from '../assignment1_llm_embeddings/utils/documentLibrary.js'; // Upload/delete/re-index documents
+import { DocumentWatcher, describeUpdate } from '../assignment1_llm_embeddings/utils/documentWatcher.js'; // Re-index on file changes
+import { formatSources, resolveCitations, describeSource, CITATION_INSTRUCTIONS } from '../assignment1_llm_embeddings/utils/citations.js';
+import { FeedbackStore, FeedbackError } from '../assignment1_llm_embeddings/utils/feedback.js'; // Answer ratings
+import { createMessageStore, historyRoute } from '../assignment2_websocket_chat/messageStore.js'; // Chat history
+import { ChatStreamRegistry, startEventStream, formatEvent } from './chatStreams.js'; // Resumable SSE answers
+import { EVENTS, ERROR_CODES, toErrorPayload, estimateUsage } from './chatEvents.js'; // SSE event protocol
+import { PersonaStore, PersonaValidationError, isValidPersonaId } from './personas.js'; // Characters to play
+import { withConversationSummary } from './promptBuilder.js';
+import { createOpenAIRouter } from './openaiCompat.js'; // /v1/chat/completions for OpenAI SDKs
+import { createDocumentsRouter } from './documentsApi.js'; // /documents REST API
+import { createAuthenticator, httpAuth, requireUser, tokenRoute } from '../assignment2_websocket_chat/auth.js'; // API keys & session tokens
+import { createRateLimiter, httpRateLimit } from '../assignment2_websocket_chat/rateLimit.js'; // Per-user limits
 
 // Recreate __dirname functionality for ES Modules
 const __filename = fileURLToPath(import.meta.url);
@@ -15,80 +29,22 @@ const __dirname = path.dirname(__filename);
 // This allows sensitive information like API keys to be kept out of the code
 dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
-// --- Character Data Loading ---
+// --- Personas ---
 /**
- * Load character data from a JSON file and construct a system prompt.
- * The system prompt is used to instruct the AI model on how to behave based on the character profile.
+ * Characters the assistant can play, one JSON file each in personas/,
+ * validated against persona.schema.json and reloaded when a file changes.
+ * The system prompt for each persona is built by promptBuilder.js.
+ * CHAT_PERSONA picks the default; a message can ask for another with `persona`.
  */
-let characterData = {};
-let characterSystemPrompt = 'You are a helpful assistant.'; // Default prompt
-try {
-    // Construct the absolute path to character.json relative to this file's directory
-    const characterPath = path.join(__dirname, 'character.json');
-    // Read the file content synchronously
-    const characterJson = fs.readFileSync(characterPath, 'utf8');
-    // Parse the JSON content
-    characterData = JSON.parse(characterJson);
-
-    // --- Construct the Detailed System Prompt --- 
-    // Use optional chaining (?.) and nullish coalescing (?? '') to prevent errors
-    // if parts of the character data are missing.
-    characterSystemPrompt = `
-        You are ${characterData.professional_profile?.primary_occupation ?? 'a character'}. 
-        Your persona is defined by the following details:
-
-        **Core Identity & Background:**
-        - Demographics: Age ${characterData.demographics?.age ?? 'N/A'}, ${characterData.demographics?.gender ?? 'N/A'}, ${characterData.demographics?.nationality ?? 'N/A'}. Education: ${characterData.demographics?.education_level ?? 'N/A'}. Origin: ${characterData.demographics?.region_of_origin ?? 'N/A'}.
-        - Backstory Summary: ${characterData.backstory?.background_summary ?? 'Not specified.'}
-        - Languages: ${characterData.demographics?.languages?.join(', ') ?? 'Not specified'}.
-
-        **Physical & Presentation:**
-        - Description: ${characterData.physical_description?.height ?? 'N/A'} height, ${characterData.physical_description?.build ?? 'N/A'} build. Wears ${characterData.physical_description?.clothing_style ?? 'appropriate clothing'}.
-        - Voice: ${characterData.physical_description?.voice_quality ?? 'Clear voice'}.
-
-        **Psychological Profile:**
-        - Summary: ${characterData.psychological_profile?.personality_summary ?? 'A complex individual.'}
-        - Strengths: ${characterData.psychological_profile?.psychological_strengths ?? 'Various strengths.'}
-        - Vulnerabilities: ${characterData.psychological_profile?.psychological_vulnerabilities ?? 'Some vulnerabilities.'}
-        - Desires: ${characterData.psychological_profile?.core_desires ?? 'Standard desires.'}
-        - Fears: ${characterData.psychological_profile?.core_fears ?? 'Standard fears.'}
-        - Stress Response: ${characterData.psychological_profile?.stress_response ?? 'Manages stress well.'}
-
-        **Cognitive & Emotional:**
-        - Cognitive Strengths: ${characterData.cognitive_profile?.cognitive_strengths?.join(', ') ?? 'Intelligent'}. 
-        - Problem Solving: ${characterData.cognitive_profile?.problem_solving_approach ?? 'Logical approach'}.
-        - Dominant Emotions: ${characterData.emotional_profile?.dominant_emotions?.join(', ') ?? 'Generally positive'}.
-        - Empathy: ${characterData.emotional_profile?.empathy_level ?? 'Empathetic'}.
-        
-        **Social & Professional:**
-        - Social Style: ${characterData.social_profile?.social_orientation ?? 'Sociable'}. Communication: ${characterData.social_profile?.communication_style ?? 'Clear communicator'}.
-        - Occupation: ${characterData.professional_profile?.primary_occupation ?? 'Professional'}. 
-        - Career Path: ${characterData.professional_profile?.career_path ?? 'Experienced.'}
-        - Work Ethic: ${characterData.professional_profile?.work_ethic ?? 'Hardworking.'}
-
-        **Key Traits & Skills (Examples):**
-        ${characterData.traits?.slice(0, 3).map(t => `- ${t.trait?.name ?? 'Trait'}: ${t.trait?.description ?? 'N/A'} (Intensity: ${t.intensity ?? 'N/A'})`).join('\n') ?? '- Adaptable'}
-        ${characterData.skills?.slice(0, 3).map(s => `- ${s.skill?.name ?? 'Skill'}: ${s.skill?.description ?? 'N/A'} (Level: ${s.level ?? 'N/A'})`).join('\n') ?? '- Competent'}
-
-        **Situational Responses (Examples):**
-        ${characterData.situational_responses ? Object.entries(characterData.situational_responses).map(([key, value]) => `- When ${key.replace(/_/g, ' ')}: "${value.substring(0, 100)}..."`).join('\n') : '- Responds appropriately to situations.'}
-
-        **Interaction Guidelines:**
-        - Maintain this persona consistently throughout the conversation.
-        - Base your responses on the provided details.
-        - Speak naturally as this character.
-        - Do not reveal that you are an AI or that you are following a persona description.
-        - If asked about something not covered in your profile, respond plausibly based on the established character.
-    `;
-
-    // console.log("Character System Prompt Loaded:", characterSystemPrompt); // Debugging
-
-} catch (err) {
-    // Log an error if the file cannot be read or parsed
-    console.error('Error loading or parsing character.json:', err);
-    // The default prompt will be used in case of an error
+const personas = new PersonaStore({
+    dir: path.join(__dirname, 'personas'),
+    schemaPath: path.join(__dirname, 'persona.schema.json'),
+}).load().watch();
+const defaultPersonaId = process.env.CHAT_PERSONA || 'ai-brand-director';
+if (!personas.has(defaultPersonaId)) {
+    console.warn(`⚠️ Default persona "${defaultPersonaId}" is missing or invalid; /chat needs an explicit persona until it is fixed.`);
 }
-// --- End Character Data Loading ---
+// --- End Personas ---
 
 
 // --- Express Server Setup ---
@@ -105,78 +61,510 @@ app.use(express.json());
 // It looks for these files in the 'public' directory relative to this script
 app.use(express.static(path.join(__dirname, 'public'))); 
 
-// Initialize OpenAI client with the API key from environment variables
-const chat = new ChatOpenAI({
-    openAIApiKey: process.env.OPENAI_API_KEY, // Ensure OPENAI_API_KEY is in your .env file
-    modelName: "gpt-4o", // Or your preferred model
+// Initialize the chat model through the shared provider registry.
+// RAG_PROVIDER in .env picks OpenAI (needs OPENAI_API_KEY), any OpenAI-compatible
+// local server (RAG_BASE_URL) or the offline 'fake' model.
+const chat = createChatModel({
+    model: "gpt-4o", // Or your preferred model (RAG_CHAT_MODEL overrides this)
     temperature: 0.7, // Controls randomness (creativity) of the response
     streaming: true, // IMPORTANT: Enable streaming for SSE
 });
 // --- End Express Server Setup ---
 
 
+// --- Authentication & Rate Limits ---
+/**
+ * API routes accept an API key (AUTH_API_KEYS) or a session token from
+ * POST /auth/token as "Authorization: Bearer <credential>". With
+ * AUTH_MODE=required, requests without one get 401; otherwise they are
+ * served as guests. Each user (or guest IP) has token buckets for messages
+ * (RATE_LIMIT_MESSAGES) and LLM calls (RATE_LIMIT_LLM); an empty bucket
+ * means 429 with a Retry-After header. Changing personas and documents
+ * takes a signed-in user (one of AUTH_ADMINS, if set).
+ */
+const auth = createAuthenticator();
+const requireAuth = httpAuth(auth);
+const requireWriter = requireUser();
+const messageLimit = createRateLimiter('messages', process.env.RATE_LIMIT_MESSAGES, '20/60');
+const llmLimit = createRateLimiter('LLM requests', process.env.RATE_LIMIT_LLM, '10/60');
+
+// Exchange an API key for a session token (so browsers don't keep the key)
+app.post('/auth/token', requireAuth, tokenRoute(auth));
+app.use(['/chat', '/history', '/personas', '/documents', '/feedback'], requireAuth);
+// --- End Authentication & Rate Limits ---
+
+
+// --- Conversation Memory & Knowledge Base ---
+/**
+ * Conversations are kept server-side, keyed by a session id the client sends
+ * with every message. Recent turns are replayed verbatim up to a token budget;
+ * older turns are folded into a rolling summary. Follow-up questions are
+ * rewritten into standalone queries before retrieval.
+ */
+const helperModel = createChatModel({ model: "gpt-4o", temperature: 0 }); // Summaries & query rewriting
+const memory = new ConversationMemory({
+    llm: helperModel,
+    maxHistoryTokens: Number(process.env.CHAT_HISTORY_TOKENS) || 1500,
+});
+
+// Documents to answer from: an ingested Chroma collection (CHAT_COLLECTION) or,
+// by default, assignment1's documents/ indexed in memory at startup
+const documentsDir = process.env.CHAT_DOCUMENTS_DIR || path.join(__dirname, '..', 'assignment1_llm_embeddings', 'documents');
+const knowledgeBase = loadKnowledgeBase({
+    documentsDir,
+    collectionName: process.env.CHAT_COLLECTION,
+}).catch(err => {
+    // Chat still works without retrieval, just without document context
+    console.error('Error loading knowledge base; answering without documents:', err);
+    return null;
+});
+
+// Files added, deleted or re-indexed through /documents update the knowledge
+// base in place (and, for a collection, its manifest), without a restart
+const documentLibrary = knowledgeBase.then(kb => kb && new DocumentLibrary({
+    documentsDir,
+    knowledgeBase: kb,
+    collectionName: process.env.CHAT_COLLECTION,
+    indexDir: path.join(__dirname, '..', 'assignment1_llm_embeddings', '.rag-index'),
+}));
+
+// Pages following GET /documents/events, told about knowledge base changes
+// with a `notice` event { text } (the system messages assignment 4's rooms get)
+const noticeClients = new Set();
+let noticeId = 0;
+function broadcastNotice(text) {
+    const frame = formatEvent({ id: ++noticeId, name: 'notice', data: { text } });
+    noticeClients.forEach(res => res.write(frame));
+}
+
+// WATCH_DOCUMENTS=true also re-indexes files edited, copied or deleted on disk
+// (only the affected files, swapped in atomically). Progress and errors go to
+// the log as JSON lines, and to the open pages as notices.
+if (process.env.WATCH_DOCUMENTS === 'true') {
+    documentLibrary.then(library => {
+        if (!library) return;
+        const watcher = new DocumentWatcher({
+            library,
+            debounceMs: Number(process.env.WATCH_DEBOUNCE_MS) || 500,
+        }).start();
+        watcher.on('update', summary => broadcastNotice(`📚 Knowledge base updated: ${describeUpdate(summary)}`));
+        watcher.on('failed', error => broadcastNotice(`📚 Knowledge base update failed (${error.message}); still answering from the previous version.`));
+    });
+}
+
+// Session ids come from the client; keep them to something safe to log and key by
+const isValidSessionId = id => typeof id === 'string' && /^[\w-]{1,64}$/.test(id);
+
+// Transcript of every conversation (MESSAGE_STORE=memory|file|sqlite), so a
+// reloaded page can show it again. The session id is the history "room".
+const messageStore = createMessageStore({ dataDir: path.join(__dirname, 'data') });
+
+/**
+ * Conversations and answer streams belong to the signed-in user who started
+ * them; a guest's belong to anyone who has the id (a random UUID). The
+ * transcript records who asked (guests as GUEST_SENDER), so a conversation
+ * stays theirs after its session expires or the server restarts.
+ */
+const GUEST_SENDER = 'user';
+const ownerOf = req => req.user?.name ?? null;
+
+/**
+ * Who a conversation belongs to
+ * @param {string} sessionId - Session id
+ * @returns {Promise<string|null|undefined>} Username, null for a guest's, undefined for a new conversation
+ */
+async function sessionOwner(sessionId) {
+    const live = memory.sessionOwner(sessionId);
+    if (live !== undefined) return live;
+    const { messages } = await messageStore.page(sessionId, { limit: 2 });
+    const asked = messages.find(message => message.type !== 'ai');
+    if (!asked) return undefined;
+    return asked.user === GUEST_SENDER ? null : asked.user;
+}
+
+// May this request read or continue the conversation?
+async function canUseSession(req, sessionId) {
+    const owner = await sessionOwner(sessionId);
+    return owner === undefined || owner === ownerOf(req);
+}
+
+const sendForbidden = res => res.status(403).json({ error: 'This conversation belongs to another user', code: ERROR_CODES.FORBIDDEN });
+
+// Thumbs up/down and comments on answers (FEEDBACK_PATH, default data/feedback.jsonl).
+// `npm run export-feedback` turns the thumbs-down ones into eval cases.
+const feedback = new FeedbackStore(process.env.FEEDBACK_PATH || path.join(__dirname, 'data', 'feedback.jsonl'));
+
+/**
+ * The settings answers are produced with, saved with each answer so its
+ * feedback can be traced back to them
+ * @returns {Promise<Object>} { provider, model, collection, retrieval }
+ */
+async function answerConfig() {
+    const { provider, model } = resolveProviderConfig('chat', { model: "gpt-4o" });
+    const kb = await knowledgeBase;
+    return {
+        provider,
+        model,
+        collection: process.env.CHAT_COLLECTION ?? null,
+        retrieval: kb ? kb.retriever.settings() : null, // null: answering without documents
+    };
+}
+// --- End Conversation Memory & Knowledge Base ---
+
+
+// --- Answer Streams ---
+/**
+ * Each answer is generated into a buffered stream with numbered events, so a
+ * client that loses its connection can resume with Last-Event-ID. If nobody
+ * resumes within CHAT_RESUME_GRACE_MS, or the client cancels, generation is
+ * aborted so no more tokens are produced (and billed).
+ */
+const chatStreams = new ChatStreamRegistry({
+    resumeGraceMs: Number(process.env.CHAT_RESUME_GRACE_MS) || 15 * 1000,
+});
+// --- End Answer Streams ---
+
+
+// --- Answer Pipeline ---
+/**
+ * The steps every answer shares, whichever API asked: rewrite the question
+ * into a standalone query using the conversation, retrieve sources for it and
+ * assemble the prompt (persona + summary of older turns, extra instructions,
+ * sources, recent turns, current message).
+ * @param {Object} options - Pipeline input
+ * @param {Object} options.session - Conversation { summary, turns } (see ConversationMemory)
+ * @param {Object} options.persona - Persona from the store
+ * @param {string} options.question - Latest user message
+ * @param {Array<string>} options.instructions - Extra system instructions (default: none)
+ * @returns {Promise<Object>} { query, documents, messages }
+ */
+async function prepareAnswer({ session, persona, question, instructions = [] }) {
+    // Rewrite follow-ups ("what about the second one?") into a standalone
+    // question, then retrieve document context for it
+    const query = await memory.condenseQuestion(session, question);
+    const kb = await knowledgeBase;
+    const { results = [] } = kb ? await kb.retriever.retrieve(query) : {};
+    const documents = results.map(result => result.document);
+
+    // Create the message history for the LangChain model
+    const messages = [
+        new SystemMessage(withConversationSummary(persona.systemPrompt, session.summary)),
+        ...instructions.map(text => new SystemMessage(text)),
+        ...(documents.length > 0
+            ? [new SystemMessage(`Sources you may use:\n\n${formatSources(documents)}\n\n${CITATION_INSTRUCTIONS}`)]
+            : []),
+        ...memory.historyMessages(session),
+        new HumanMessage(question),
+    ];
+    return { query, documents, messages };
+}
+// --- End Answer Pipeline ---
+
+
 // --- Chat Endpoint (/chat) using Server-Sent Events (SSE) ---
 /**
  * This endpoint handles incoming chat messages from the client.
  * It uses Server-Sent Events (SSE) to stream the AI's response back to the client.
  */
-app.post('/chat', async (req, res) => {
-    // Extract the user's message from the request body
-    const userMessage = req.body.message;
+app.post('/chat', httpRateLimit(messageLimit), httpRateLimit(llmLimit), async (req, res) => {
+    // Extract the user's message, session id and persona from the request body
+    const { message: userMessage, sessionId, persona: personaId = defaultPersonaId } = req.body;
 
     // Validate if the message exists
     if (!userMessage) {
-        return res.status(400).json({ error: 'Message is required' });
+        return res.status(400).json({ error: 'Message is required', code: ERROR_CODES.INVALID_REQUEST });
+    }
+    if (sessionId !== undefined && !isValidSessionId(sessionId)) {
+        return res.status(400).json({ error: 'Invalid session id', code: ERROR_CODES.INVALID_REQUEST });
+    }
+    // The character to play for this message (looked up now, so edits apply to the next message)
+    const persona = personas.get(personaId);
+    if (!persona) {
+        return res.status(400).json({ error: `Unknown persona "${personaId}"`, code: ERROR_CODES.PERSONA_NOT_FOUND });
     }
+    if (sessionId !== undefined && !await canUseSession(req, sessionId)) {
+        return sendForbidden(res);
+    }
+
+    // The answer's stream: its id comes back in a header right away, so the
+    // client can cancel or resume even before the first event
+    const owner = ownerOf(req);
+    const sender = owner ?? GUEST_SENDER;
+    const answerStream = chatStreams.create(owner);
+    res.setHeader('X-Stream-Id', answerStream.id);
 
     // Set headers for Server-Sent Events (SSE)
     // This allows the server to stream data to the client over a single connection
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders(); // Send headers immediately
+    startEventStream(res);
+    answerStream.attach(res);
 
-    let fullResponse = ""; // Variable to accumulate the full response if needed later
+    let fullResponse = ""; // Accumulates the full response for the conversation history
+    let session;
     try {
-        // Create the message history for the LangChain model
-        // It includes the system prompt (character) and the user's current message
-        const messages = [
-            new SystemMessage(characterSystemPrompt),
-            new HumanMessage(userMessage),
-        ];
+        // Look up (or start) the conversation and wait for its summary to catch up
+        session = memory.getSession(sessionId, owner);
+        await memory.settle(session);
+
+        // Condense the question, retrieve sources and build the prompt
+        const { query: standaloneQuestion, documents, messages } = await prepareAnswer({
+            session,
+            persona,
+            question: userMessage,
+        });
+        answerStream.signal.throwIfAborted(); // Cancelled while retrieving
 
-        // Use LangChain's stream method to get the response as a stream
-        const stream = await chat.stream(messages);
+        // Tell the client which session and stream this is, what was searched
+        // for and which sources were found, before the answer starts
+        answerStream.send(EVENTS.RETRIEVAL, {
+            sessionId: session.id,
+            streamId: answerStream.id,
+            persona: persona.id,
+            query: standaloneQuestion,
+            // With the chunk text, so citation chips in the client can show it
+            sources: documents.map((doc, i) => ({ ...describeSource(doc, i + 1), text: doc.pageContent })),
+        });
+
+        // Use LangChain's stream method to get the response as a stream.
+        // The signal aborts the model request when the answer is cancelled.
+        const stream = await chat.stream(messages, { signal: answerStream.signal });
 
         // Process the stream chunk by chunk
         for await (const chunk of stream) {
+            if (answerStream.cancelled) break; // In case the provider ignores the signal
             // Each chunk contains a piece of the AI's response content
             if (chunk.content) {
                 const content = chunk.content;
                 fullResponse += content; // Accumulate the response (optional)
-                
-                // Format the chunk as an SSE message (data: {json}\n\n)
-                const sseMessage = `data: ${JSON.stringify({ content: content })}\n\n`;
-                // Write the formatted message to the response stream
-                res.write(sseMessage);
+
+                // Buffer the chunk and send it as a `token` event
+                answerStream.send(EVENTS.TOKEN, { text: content });
             }
         }
-        
-        // Send a final SSE message to indicate the end of the stream
-        res.write(`data: ${JSON.stringify({ event: 'end' })}\n\n`);
+        answerStream.signal.throwIfAborted();
+
+        // Remember the exchange; older turns get summarized in the background
+        memory.addExchange(session, userMessage, fullResponse);
+
+        // Save both messages to the transcript, the answer with its citations
+        // and what it was built from (for feedback on it)
+        const { citations } = resolveCitations(fullResponse, documents);
+        await messageStore.append({ room: session.id, user: sender, type: 'chat', text: userMessage });
+        const stored = await messageStore.append({
+            room: session.id,
+            user: 'assistant',
+            type: 'ai',
+            text: fullResponse,
+            citations,
+            retrieval: {
+                question: userMessage,
+                query: standaloneQuestion,
+                persona: persona.id,
+                sources: documents.map((doc, i) => describeSource(doc, i + 1)),
+                config: await answerConfig(),
+            },
+        });
+
+        // Finish with the sources the answer cited, the token usage and `done`
+        // (with the saved answer's id, for POST /feedback)
+        citations.forEach(citation => answerStream.send(EVENTS.CITATION, { citation }));
+        answerStream.send(EVENTS.USAGE, estimateUsage(messages, fullResponse));
+        answerStream.send(EVENTS.DONE, { finishReason: 'stop', messageId: stored.id });
 
     } catch (error) {
-        // Log any errors during streaming
-        console.error("Error during chat streaming:", error);
-        // Send an error message to the client via SSE
-        res.write(`data: ${JSON.stringify({ error: 'Failed to get response from AI' })}\n\n`);
+        if (answerStream.cancelled) {
+            // Stopped by the user or abandoned: keep what was already shown
+            const reason = answerStream.signal.reason;
+            console.log(`Answer ${answerStream.id} stopped (${reason})`);
+            if (fullResponse) {
+                memory.addExchange(session, userMessage, fullResponse);
+                await messageStore.append({ room: session.id, user: sender, type: 'chat', text: userMessage });
+                await messageStore.append({ room: session.id, user: 'assistant', type: 'ai', text: fullResponse });
+            }
+            answerStream.send(EVENTS.DONE, { finishReason: reason });
+        } else if (error instanceof SessionAccessError) {
+            // Claimed by someone else since the check above
+            answerStream.send(EVENTS.ERROR, { code: ERROR_CODES.FORBIDDEN, message: error.message, retryable: false });
+        } else {
+            // Log any errors during streaming
+            console.error("Error during chat streaming:", error);
+            // Send an `error` event with a machine-readable code
+            answerStream.send(EVENTS.ERROR, toErrorPayload(error));
+        }
     } finally {
-        // End the response stream once processing is complete or an error occurred
-        res.end();
+        // End the stream (and every attached response) once processing is complete or an error occurred
+        answerStream.end();
+    }
+});
+
+/**
+ * Resume an answer after a dropped connection. Replays the events after the
+ * Last-Event-ID header (or ?lastEventId=), then follows the live answer.
+ * Someone else's stream is reported as unknown.
+ */
+app.get('/chat/:streamId/events', (req, res) => {
+    const answerStream = chatStreams.get(req.params.streamId, ownerOf(req));
+    if (!answerStream) {
+        return res.status(404).json({ error: 'Unknown or expired stream', code: ERROR_CODES.STREAM_NOT_FOUND });
     }
+    const lastEventId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId) || 0;
+    startEventStream(res);
+    answerStream.attach(res, lastEventId);
+});
+
+// Stop generating an answer; its stream ends with `done` { finishReason: 'cancelled' }
+app.post('/chat/:streamId/cancel', (req, res) => {
+    const answerStream = chatStreams.get(req.params.streamId, ownerOf(req));
+    if (!answerStream) {
+        return res.status(404).json({ error: 'Unknown or expired stream', code: ERROR_CODES.STREAM_NOT_FOUND });
+    }
+    const cancelled = answerStream.cancel('cancelled');
+    res.status(202).json({ streamId: answerStream.id, cancelled });
 });
 // --- End Chat Endpoint ---
 
+// --- Persona API ---
+// Personas for the picker, plus which one is used when a message names none
+app.get('/personas', (req, res) => {
+    res.json({ default: defaultPersonaId, personas: personas.list() });
+});
+
+// One persona's full profile
+app.get('/personas/:id', (req, res) => {
+    const persona = personas.get(req.params.id);
+    if (!persona) {
+        return res.status(404).json({ error: `Unknown persona "${req.params.id}"`, code: ERROR_CODES.PERSONA_NOT_FOUND });
+    }
+    res.json({ id: persona.id, updatedAt: persona.updatedAt, ...persona.data });
+});
+
+/**
+ * Write a persona file after validating it against persona.schema.json.
+ * Responds 400 with one `details` entry per invalid or missing field.
+ */
+function savePersona(res, id, data, status) {
+    if (!isValidPersonaId(id)) {
+        return res.status(400).json({ error: 'Persona ids use 1-64 lowercase letters, digits or -', code: ERROR_CODES.INVALID_REQUEST });
+    }
+    try {
+        const persona = personas.save(id, data);
+        res.status(status).json({ id: persona.id, updatedAt: persona.updatedAt, ...persona.data });
+    } catch (error) {
+        if (error instanceof PersonaValidationError) {
+            return res.status(400).json({ error: 'Invalid persona', code: ERROR_CODES.INVALID_PERSONA, details: error.details });
+        }
+        console.error('Error saving persona:', error);
+        res.status(500).json({ error: 'Failed to save persona', code: ERROR_CODES.INTERNAL });
+    }
+}
+
+// Create a persona: { id, name, ...profile }
+app.post('/personas', requireWriter, (req, res) => {
+    const { id, ...data } = req.body ?? {};
+    if (personas.has(id)) {
+        return res.status(409).json({ error: `Persona "${id}" already exists; use PUT to replace it`, code: ERROR_CODES.INVALID_REQUEST });
+    }
+    savePersona(res, id, data, 201);
+});
+
+// Create or replace a persona
+app.put('/personas/:id', requireWriter, (req, res) => {
+    const { id, updatedAt, ...data } = req.body ?? {};
+    savePersona(res, req.params.id, data, personas.has(req.params.id) ? 200 : 201);
+});
+// --- End Persona API ---
+
+// --- OpenAI-Compatible API ---
+// /v1/chat/completions (streaming or not) and /v1/models, for tools that use
+// the OpenAI SDKs. Persona ids are the model names.
+app.use('/v1', createOpenAIRouter({ chat, personas, prepareAnswer, auth, limits: [messageLimit, llmLimit] }));
+// --- End OpenAI-Compatible API ---
+
+// --- Document Management API ---
+// Knowledge base notices as SSE, until the page closes. A comment line every
+// 30 seconds keeps proxies from dropping the idle connection.
+app.get('/documents/events', (req, res) => {
+    startEventStream(res);
+    noticeClients.add(res);
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 30 * 1000);
+    req.on('close', () => {
+        clearInterval(keepAlive);
+        noticeClients.delete(res);
+    });
+});
+
+// GET/POST /documents, GET/DELETE /documents/:id, POST /documents/:id/reindex
+app.use('/documents', createDocumentsRouter({
+    library: documentLibrary,
+    maxUploadBytes: Number(process.env.DOCUMENT_UPLOAD_MAX_BYTES) || 10 * 1024 * 1024,
+    requireWriter,
+}));
+// --- End Document Management API ---
+
+// Earlier messages of a conversation: GET /history?room=<sessionId>&before=<id>&limit=<n>
+app.get('/history', historyRoute(messageStore, canUseSession));
+
+// --- Answer Feedback ---
+/**
+ * Rate an answer: { sessionId, messageId, vote: 'up' | 'down' | null, comment?, correction? }.
+ * messageId comes with the answer's `done` event. `correction` is what the
+ * answer should have said; it becomes the reference answer when the vote is
+ * exported as an eval case. A null vote takes the rating back.
+ */
+app.post('/feedback', async (req, res) => {
+    const { sessionId, messageId, vote, comment, correction } = req.body ?? {};
+    if (!isValidSessionId(sessionId) || !Number.isInteger(messageId)) {
+        return res.status(400).json({ error: 'sessionId and messageId are required', code: ERROR_CODES.INVALID_REQUEST });
+    }
+    try {
+        if (!await canUseSession(req, sessionId)) {
+            return sendForbidden(res);
+        }
+        // The answer is looked up in the transcript, so feedback always matches what was shown
+        const { messages: [answer] } = await messageStore.page(sessionId, { before: messageId + 1, limit: 1 });
+        if (!answer || answer.id !== messageId || answer.type !== 'ai' || !answer.retrieval) {
+            return res.status(404).json({ error: 'No rateable answer with that id', code: ERROR_CODES.MESSAGE_NOT_FOUND });
+        }
+        const { question, query, persona, sources, config } = answer.retrieval;
+        const record = await feedback.add({
+            type: 'answer',
+            vote: vote ?? null,
+            user: req.user?.name ?? null,
+            app: 'streaming-chat',
+            answerId: `${sessionId}-${answer.id}`,
+            question,
+            query,
+            answer: answer.text,
+            chunkIds: sources.map(source => source.chunkId),
+            persona,
+            config,
+            comment: comment || null,
+            correction: correction || null,
+        });
+        res.status(201).json(record);
+    } catch (error) {
+        if (error instanceof FeedbackError) {
+            return res.status(400).json({ error: error.message, code: ERROR_CODES.INVALID_REQUEST });
+        }
+        console.error('Error saving feedback:', error);
+        res.status(500).json({ error: 'Failed to save feedback', code: ERROR_CODES.INTERNAL });
+    }
+});
+// --- End Answer Feedback ---
+
+// Forget a conversation ("new chat")
+app.delete('/chat/:sessionId', async (req, res) => {
+    try {
+        if (!await canUseSession(req, req.params.sessionId)) {
+            return sendForbidden(res);
+        }
+        memory.deleteSession(req.params.sessionId);
+        res.status(204).end();
+    } catch (error) {
+        console.error('Error deleting conversation:', error);
+        res.status(500).json({ error: 'Failed to delete the conversation', code: ERROR_CODES.INTERNAL });
+    }
+});
+
 // Start the server and listen on the specified port
 app.listen(port, () => {
     console.log(`Server listening at http://localhost:${port}`);
@@ -0,0 +1,160 @@
+// markdown.test.js - Sanitized, incremental Markdown rendering of answers
+//
+// Run: npm test (node --test)
+// public/markdown.js is a browser script, so it is run in a vm context with
+// just enough of a DOM (createElement, text nodes, append, remove).
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import vm from 'vm';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'public', 'markdown.js'), 'utf-8');
+
+class FakeText {
+    constructor(text) {
+        this.textContent = text;
+    }
+}
+
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.attributes = {};
+        this.childNodes = [];
+        this.listeners = {};
+        this.parent = null;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = value;
+    }
+
+    getAttribute(name) {
+        return this.attributes[name] ?? null;
+    }
+
+    append(...children) {
+        for (const child of children) {
+            const node = typeof child === 'string' ? new FakeText(child) : child;
+            node.parent = this;
+            this.childNodes.push(node);
+        }
+    }
+
+    remove() {
+        this.parent.childNodes = this.parent.childNodes.filter(node => node !== this);
+        this.parent = null;
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] ??= []).push(listener);
+    }
+
+    click() {
+        this.listeners.click?.forEach(listener => listener());
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join('');
+    }
+
+    set textContent(text) {
+        this.childNodes = [];
+        this.append(text);
+    }
+
+    // Descendant elements with this tag, in document order
+    findAll(tagName) {
+        return this.childNodes.filter(node => node instanceof FakeElement).flatMap(node =>
+            [...(node.tagName === tagName.toUpperCase() ? [node] : []), ...node.findAll(tagName)]);
+    }
+
+    // Tag names of the whole tree below this element
+    tags() {
+        return this.childNodes.filter(node => node instanceof FakeElement)
+            .flatMap(node => [node.tagName.toLowerCase(), ...node.tags()]);
+    }
+}
+
+const { MarkdownView } = vm.runInNewContext(`${SOURCE}\n({ MarkdownView })`, {
+    document: { createElement: tagName => new FakeElement(tagName) },
+});
+
+/**
+ * Render Markdown into a fresh container
+ * @param {string} text - Markdown
+ * @param {Object} options - MarkdownView options
+ * @returns {FakeElement} The container
+ */
+function render(text, options) {
+    const container = new FakeElement('div');
+    new MarkdownView(container, options).update(text);
+    return container;
+}
+
+describe('sanitizing', () => {
+    test('raw HTML in an answer is shown as text', () => {
+        const html = '<img src=x onerror="alert(1)"> and <script>alert(2)</script>';
+        const container = render(html);
+
+        assert.deepEqual(container.tags(), ['p']);
+        assert.equal(container.textContent, html);
+    });
+
+    test('javascript: links keep only their label; http(s) links open safely', () => {
+        const container = render('[click me](javascript:stealCookies) or [docs](https://example.com "Docs")');
+        const [link] = container.findAll('a');
+
+        assert.equal(container.findAll('a').length, 1);
+        assert.equal(container.textContent, 'click me or docs');
+        assert.deepEqual(link.attributes, { href: 'https://example.com', title: 'Docs', target: '_blank', rel: 'noopener noreferrer' });
+    });
+});
+
+test('citation markers become chips that report their number when clicked', () => {
+    const clicked = [];
+    const container = render('RAG grounds answers [1, 2] in sources [Document 3].', {
+        onCitation: (number, chip) => clicked.push([number, chip.textContent]),
+    });
+    const chips = container.findAll('button');
+
+    assert.deepEqual(chips.map(chip => chip.getAttribute('data-number')), ['1', '2', '3']);
+    assert.ok(chips.every(chip => chip.getAttribute('class') === 'citation-chip'));
+    chips[2].click();
+    assert.deepEqual(clicked, [[3, '3']]);
+});
+
+describe('streaming', () => {
+    test('an unclosed ** shows as typed until it is closed', () => {
+        const container = new FakeElement('div');
+        const view = new MarkdownView(container);
+
+        view.update('Some **bold');
+        assert.deepEqual(container.tags(), ['p']);
+        assert.equal(container.textContent, 'Some **bold');
+
+        view.update('Some **bold** text');
+        assert.deepEqual(container.tags(), ['p', 'strong']);
+        assert.equal(container.textContent, 'Some bold text');
+    });
+
+    test('an unclosed code fence is already a code block; finished blocks are kept', () => {
+        const container = new FakeElement('div');
+        const view = new MarkdownView(container);
+
+        view.update('Intro.\n\n```js\nconst a = 1;');
+        const [intro] = container.childNodes;
+        assert.deepEqual(container.tags(), ['p', 'div', 'button', 'pre', 'code']);
+        assert.equal(container.findAll('code')[0].textContent, 'const a = 1;');
+        assert.equal(container.findAll('code')[0].getAttribute('class'), 'language-js');
+
+        view.update('Intro.\n\n```js\nconst a = 1;\n**not bold**\n```\n\nAfter **the** code');
+        assert.equal(container.childNodes[0], intro);
+        assert.equal(container.findAll('code')[0].textContent, 'const a = 1;\n**not bold**');
+        assert.equal(container.childNodes.length, 3);
+        assert.deepEqual(container.childNodes[2].tags(), ['strong']);
+    });
+});
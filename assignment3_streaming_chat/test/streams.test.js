@@ -0,0 +1,275 @@
+// streams.test.js - Resuming and cancelling answer streams
+//
+// Run: npm test (node --test)
+// The ChatStream tests use stand-in responses; the HTTP tests start
+// server.js with RAG_PROVIDER=fake, whose answers are streamed slowly
+// (RAG_FAKE_TOKEN_DELAY_MS) so there is time to drop, resume and cancel.
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { EventEmitter, once } from 'events';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ChatStream, ChatStreamRegistry, formatEvent } from '../chatStreams.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER = path.join(__dirname, '..', 'server.js');
+const PORT = 3921;
+const BASE_URL = `http://localhost:${PORT}`;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Just enough of an HTTP response for ChatStream: write, end and 'close'
+class FakeResponse extends EventEmitter {
+    constructor() {
+        super();
+        this.frames = [];
+        this.ended = false;
+    }
+
+    write(frame) {
+        this.frames.push(frame);
+    }
+
+    end() {
+        this.ended = true;
+    }
+
+    // The client goes away
+    drop() {
+        this.emit('close');
+    }
+}
+
+describe('ChatStream', () => {
+    test('a client attaching late gets the events after its Last-Event-ID, then the live ones', () => {
+        const stream = new ChatStream('s1', { resumeGraceMs: 1000 });
+        stream.send('retrieval', { sources: [] });
+        stream.send('token', { text: 'Hello' });
+
+        const res = new FakeResponse();
+        stream.attach(res, 1);
+        stream.send('token', { text: ' world' });
+        stream.send('done', { finishReason: 'stop' });
+        stream.end();
+
+        assert.deepEqual(res.frames, [
+            'id: 2\nevent: token\ndata: {"text":"Hello"}\n\n',
+            'id: 3\nevent: token\ndata: {"text":" world"}\n\n',
+            formatEvent({ id: 4, name: 'done', data: { finishReason: 'stop' } }),
+        ]);
+        assert.equal(res.ended, true);
+    });
+
+    test('a finished stream replays what was missed and ends the response', () => {
+        const stream = new ChatStream('s1', { resumeGraceMs: 1000 });
+        ['a', 'b', 'c'].forEach(text => stream.send('token', { text }));
+        stream.end();
+        stream.send('token', { text: 'ignored' });
+
+        const res = new FakeResponse();
+        stream.attach(res, 2);
+        assert.deepEqual(res.frames, [formatEvent({ id: 3, name: 'token', data: { text: 'c' } })]);
+        assert.equal(res.ended, true);
+        assert.equal(stream.cancel(), false);
+    });
+
+    test('generation stops when nobody resumes within the grace period', async () => {
+        const stream = new ChatStream('s1', { resumeGraceMs: 100 });
+        const first = new FakeResponse();
+        stream.attach(first);
+        first.drop();
+
+        // Resuming in time keeps it going
+        await delay(20);
+        const second = new FakeResponse();
+        stream.attach(second);
+        await delay(200);
+        assert.equal(stream.cancelled, false);
+
+        second.drop();
+        await delay(200);
+        assert.equal(stream.cancelled, true);
+        assert.equal(stream.signal.reason, 'disconnected');
+        stream.end();
+    });
+
+    test('cancel aborts the signal with its reason', () => {
+        const stream = new ChatStream('s1', { resumeGraceMs: 1000 });
+        stream.attach(new FakeResponse());
+
+        assert.equal(stream.cancel('cancelled'), true);
+        assert.equal(stream.signal.aborted, true);
+        assert.equal(stream.signal.reason, 'cancelled');
+        // Cancelling again before the generator notices is harmless
+        assert.equal(stream.cancel('disconnected'), true);
+        assert.equal(stream.signal.reason, 'cancelled');
+        stream.end();
+    });
+});
+
+describe('ChatStreamRegistry', () => {
+    test('streams are only found by their owner', () => {
+        const streams = new ChatStreamRegistry();
+        const guests = streams.create();
+        const alices = streams.create('alice');
+
+        assert.equal(streams.get(guests.id), guests);
+        assert.equal(streams.get(alices.id, 'alice'), alices);
+        assert.equal(streams.get(alices.id), undefined);
+        assert.equal(streams.get(guests.id, 'alice'), undefined);
+        assert.equal(streams.get('unknown'), undefined);
+        guests.end();
+        alices.end();
+    });
+
+    test('finished streams are kept for ttlMs', async () => {
+        const streams = new ChatStreamRegistry({ ttlMs: 30 });
+        const stream = streams.create();
+        stream.end();
+
+        assert.equal(streams.get(stream.id), stream);
+        await delay(60);
+        assert.equal(streams.get(stream.id), undefined);
+    });
+});
+
+/**
+ * Read SSE events from a fetch response, a few at a time
+ * @param {Response} response - Response with an event-stream body
+ * @returns {Object} { read(until): events up to the one `until(event, events)`
+ *   accepts (default: to the end of the stream), cancel(): drop the connection }
+ */
+function eventReader(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+
+    async function read(until = () => false) {
+        const events = [];
+        for (;;) {
+            let end;
+            while ((end = buffered.indexOf('\n\n')) !== -1) {
+                const fields = Object.fromEntries(buffered.slice(0, end).split('\n').map(line => {
+                    const colon = line.indexOf(': ');
+                    return [line.slice(0, colon), line.slice(colon + 2)];
+                }));
+                buffered = buffered.slice(end + 2);
+                const event = { id: Number(fields.id), name: fields.event, data: JSON.parse(fields.data) };
+                events.push(event);
+                if (until(event, events)) return events;
+            }
+            const { done, value } = await reader.read();
+            if (done) return events;
+            buffered += decoder.decode(value, { stream: true });
+        }
+    }
+
+    return { read, cancel: () => reader.cancel() };
+}
+
+describe('answer streams over HTTP', () => {
+    let server;
+
+    const ask = (message, headers = {}) => fetch(`${BASE_URL}/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify({ message }),
+    });
+
+    before(async () => {
+        server = spawn(process.execPath, [SERVER], {
+            env: {
+                ...process.env,
+                PORT: String(PORT),
+                RAG_PROVIDER: 'fake',
+                RAG_FAKE_TOKEN_DELAY_MS: '50',
+                MESSAGE_STORE: 'memory',
+                AUTH_MODE: 'optional',
+                AUTH_API_KEYS: 'alice-key:alice',
+                CHAT_RESUME_GRACE_MS: '5000',
+            },
+            stdio: ['ignore', 'pipe', 'pipe'],
+        });
+        let output = '';
+        server.stderr.on('data', chunk => { output += chunk; });
+        await new Promise((resolve, reject) => {
+            server.stdout.on('data', chunk => {
+                output += chunk;
+                if (output.includes('Server listening')) resolve();
+            });
+            server.once('exit', code => reject(new Error(`server.js exited (${code}):\n${output}`)));
+        });
+    });
+
+    after(async () => {
+        if (server.exitCode !== null) return;
+        const exited = once(server, 'exit');
+        server.kill('SIGTERM');
+        await exited;
+    });
+
+    test('a dropped answer resumes from Last-Event-ID and can then be cancelled', async () => {
+        const response = await ask('What is Retrieval-Augmented Generation?');
+        const streamId = response.headers.get('X-Stream-Id');
+        assert.equal(response.status, 200);
+        assert.ok(streamId);
+
+        // Read up to the second token, then lose the connection
+        const first = eventReader(response);
+        const received = await first.read((event, events) => events.filter(({ name }) => name === 'token').length === 2);
+        await first.cancel();
+        assert.equal(received[0].name, 'retrieval');
+        assert.equal(received[0].data.streamId, streamId);
+        const lastEventId = received[received.length - 1].id;
+
+        const resumed = await fetch(`${BASE_URL}/chat/${streamId}/events`, { headers: { 'Last-Event-ID': String(lastEventId) } });
+        assert.equal(resumed.status, 200);
+        const second = eventReader(resumed);
+        const replayed = await second.read(event => event.name === 'token');
+        assert.equal(replayed[0].id, lastEventId + 1);
+
+        const cancel = await fetch(`${BASE_URL}/chat/${streamId}/cancel`, { method: 'POST' });
+        assert.equal(cancel.status, 202);
+        assert.deepEqual(await cancel.json(), { streamId, cancelled: true });
+
+        const rest = await second.read();
+        const done = rest[rest.length - 1];
+        assert.equal(done.name, 'done');
+        assert.equal(done.data.finishReason, 'cancelled');
+
+        // Every event arrived once, in order
+        const ids = [...received, ...replayed, ...rest].map(event => event.id);
+        assert.deepEqual(ids, ids.map((_, i) => i + 1));
+    });
+
+    test('a finished answer replays in full; cancelling it is a no-op', async () => {
+        const response = await ask('How does RAG reduce hallucinations?');
+        const streamId = response.headers.get('X-Stream-Id');
+        const events = await eventReader(response).read();
+        assert.equal(events[events.length - 1].name, 'done');
+        assert.equal(events[events.length - 1].data.finishReason, 'stop');
+
+        const replay = await eventReader(await fetch(`${BASE_URL}/chat/${streamId}/events?lastEventId=0`)).read();
+        assert.deepEqual(replay, events);
+
+        const cancel = await fetch(`${BASE_URL}/chat/${streamId}/cancel`, { method: 'POST' });
+        assert.deepEqual(await cancel.json(), { streamId, cancelled: false });
+    });
+
+    test('unknown streams and other users\' streams are not found', async () => {
+        const unknown = await fetch(`${BASE_URL}/chat/no-such-stream/events`);
+        assert.equal(unknown.status, 404);
+        assert.equal((await unknown.json()).code, 'stream_not_found');
+
+        const response = await ask('What is RAG?', { 'X-API-Key': 'alice-key' });
+        const streamId = response.headers.get('X-Stream-Id');
+        const asGuest = await fetch(`${BASE_URL}/chat/${streamId}/cancel`, { method: 'POST' });
+        assert.equal(asGuest.status, 404);
+
+        const asAlice = await fetch(`${BASE_URL}/chat/${streamId}/cancel`, { method: 'POST', headers: { 'X-API-Key': 'alice-key' } });
+        assert.equal(asAlice.status, 202);
+        const events = await eventReader(response).read();
+        assert.equal(events[events.length - 1].data.finishReason, 'cancelled');
+    });
+});
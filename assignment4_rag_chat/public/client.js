@@ -0,0 +1,522 @@
+// client.js - RAG chat client
+// Connects to the Socket.IO server, sends chat messages and renders the
+// AI's streamed answers (mention @ai in a message to ask the knowledge base).
+// The session token (if signed in) is sent with every (re)connect.
+// WebSocket only, so a reconnect can land on any server instance; the guest
+// session lets us keep our username when it does.
+if (!sessionStorage.getItem('chatSession')) {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  sessionStorage.setItem('chatSession', Array.from(bytes, b => b.toString(16).padStart(2, '0')).join(''));
+}
+const socket = io({
+  transports: ['websocket'],
+  auth: (cb) => cb({ token: sessionStorage.getItem('chatToken'), session: sessionStorage.getItem('chatSession') })
+});
+let username = '';
+
+const messages = document.getElementById('messages');
+const typingIndicator = document.getElementById('typing-indicator');
+const usernameInput = document.getElementById('username-input');
+const messageInput = document.getElementById('message-input');
+const sendButton = document.getElementById('send-button');
+const roomSelect = document.getElementById('room-select');
+const roomUsers = document.getElementById('room-users');
+let currentRoom = null;
+
+// AI answers being streamed (answer id -> message element)
+const pendingAnswers = new Map();
+
+// --- Rendering ---
+// Message text is always set through textContent, never innerHTML, so chat
+// messages and model output cannot inject markup.
+function displayMessage(user, msg, className = 'user-message', messageId = null) {
+  const item = createMessageItem(user, msg, className, messageId);
+  messages.appendChild(item);
+  messages.scrollTop = messages.scrollHeight;
+  return item;
+}
+
+function createMessageItem(user, msg, className, messageId = null) {
+  const item = document.createElement('div');
+  item.classList.add('message', className);
+  if (messageId) item.dataset.messageId = messageId;
+  if (user) {
+    const author = document.createElement('strong');
+    author.textContent = `${user}: `;
+    item.appendChild(author);
+  }
+  const body = document.createElement('span');
+  body.classList.add('message-body');
+  body.textContent = msg;
+  item.appendChild(body);
+  // Our own messages show who has received and read them
+  if (messageId && user === username) {
+    const receipt = createLabel('receipt', '');
+    receipt.dataset.messageId = messageId;
+    updateReceipt(receipt);
+    item.appendChild(receipt);
+  }
+  return item;
+}
+
+function displaySources(item, citations) {
+  if (!citations || citations.length === 0) return;
+  const list = document.createElement('ol');
+  list.classList.add('sources');
+  citations.forEach(citation => {
+    const entry = document.createElement('li');
+    entry.value = citation.number;
+    entry.textContent = citation.sectionPath
+      ? `${citation.filename} — ${citation.sectionPath}`
+      : citation.filename;
+    list.appendChild(entry);
+  });
+  item.appendChild(list);
+}
+
+// --- Source Inspector ---
+// Under each answer: the chunks it was built from, with their scores, the
+// question's terms highlighted, a link to the whole document and thumbs
+// up/down for each source (saved by the server)
+function displayInspector(item, { query, sources }) {
+  if (sources.length === 0) return;
+  const panel = document.createElement('details');
+  panel.classList.add('source-inspector');
+  const summary = document.createElement('summary');
+  summary.textContent = `${sources.length} source${sources.length === 1 ? '' : 's'} retrieved for "${query}"`;
+  const list = document.createElement('ol');
+  sources.forEach(source => list.appendChild(createSourceEntry(source, Boolean(item.dataset.messageId))));
+  panel.append(summary, list);
+  item.appendChild(panel);
+}
+
+function createSourceEntry(source, canVote) {
+  const entry = document.createElement('li');
+  entry.value = source.number;
+  entry.dataset.number = source.number;
+
+  const heading = document.createElement('div');
+  heading.classList.add('source-heading');
+  const link = document.createElement('a');
+  link.href = `/document.html?${new URLSearchParams({ room: currentRoom, path: source.relativePath, chunk: source.chunkId })}`;
+  link.target = '_blank';
+  link.rel = 'opener'; // The new tab gets a copy of sessionStorage (the session token)
+  link.textContent = source.title && source.title !== withoutExtension(source.filename)
+    ? `${source.title} (${source.filename})`
+    : source.filename;
+  heading.appendChild(link);
+  if (source.sectionPath) {
+    heading.appendChild(createLabel('source-section', source.sectionPath));
+  }
+  heading.appendChild(createLabel('source-scores', describeScores(source)));
+  ['up', 'down'].forEach(vote => {
+    const button = document.createElement('button');
+    button.classList.add('vote');
+    button.dataset.vote = vote;
+    button.textContent = vote === 'up' ? '👍' : '👎';
+    button.title = vote === 'up' ? 'Useful source' : 'Not useful';
+    button.disabled = !canVote;
+    button.addEventListener('click', () => voteOnSource(entry, button));
+    heading.appendChild(button);
+  });
+
+  const excerpt = document.createElement('div');
+  excerpt.classList.add('source-text');
+  appendHighlighted(excerpt, source.text ?? '', source.matches ?? []);
+  entry.append(heading, excerpt);
+  return entry;
+}
+
+// File name without its extension (titles default to it)
+function withoutExtension(filename) {
+  return filename.replace(/\.[^.]+$/, '');
+}
+
+function createLabel(className, text) {
+  const label = document.createElement('span');
+  label.classList.add(className);
+  label.textContent = text;
+  return label;
+}
+
+// "relevance 0.67 · similarity 0.81 · keyword 0.40"
+function describeScores({ score, scores = {} }) {
+  const parts = [`relevance ${score.toFixed(2)}`];
+  if (scores.vector !== undefined) parts.push(`similarity ${scores.vector.toFixed(2)}`);
+  if (scores.keyword !== undefined) parts.push(`keyword ${scores.keyword.toFixed(2)}`);
+  return parts.join(' · ');
+}
+
+// Text with the matched ranges ([start, end]) wrapped in <mark>
+function appendHighlighted(container, text, matches) {
+  let last = 0;
+  matches.forEach(([start, end]) => {
+    container.append(text.slice(last, start));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(start, end);
+    container.appendChild(mark);
+    last = end;
+  });
+  container.append(text.slice(last));
+}
+
+// Clicking the selected thumb again takes the vote back
+function voteOnSource(entry, button) {
+  const messageId = Number(entry.closest('.message').dataset.messageId);
+  const vote = button.classList.contains('selected') ? null : button.dataset.vote;
+  socket.emit('source feedback', { messageId, number: Number(entry.dataset.number), vote });
+}
+
+// The sources of a saved answer: the inspector if its retrieval was kept
+function displayAnswerSources(item, { id, retrieval, citations }) {
+  item.dataset.messageId = id;
+  if (retrieval) {
+    displayInspector(item, retrieval);
+    markCited(item, citations);
+  } else {
+    displaySources(item, citations);
+  }
+}
+
+function markCited(item, citations = []) {
+  citations.forEach(citation => {
+    item.querySelector(`.source-inspector [data-number="${citation.number}"]`)?.classList.add('cited');
+  });
+}
+
+// --- Typing & Presence ---
+// Under the messages: who else is typing, and what the AI is doing
+// (its state in the room's presence list)
+let typingUsers = [];
+let aiState = 'idle';
+const AI_ACTIVITY = {
+  retrieving: 'AI is searching the documents...',
+  generating: 'AI is writing an answer...'
+};
+
+function updateTypingIndicator() {
+  const others = typingUsers.filter(user => user !== username);
+  const lines = [];
+  if (others.length > 0) lines.push(`${others.join(', ')} ${others.length === 1 ? 'is' : 'are'} typing...`);
+  if (AI_ACTIVITY[aiState]) lines.push(AI_ACTIVITY[aiState]);
+  typingIndicator.replaceChildren(...lines.map(text => {
+    const line = document.createElement('i');
+    line.textContent = text;
+    return line;
+  }));
+  typingIndicator.style.display = lines.length > 0 ? 'block' : 'none';
+}
+
+// Tell the room we are typing, at most every TYPING_REPEAT_MS; the server
+// stops showing it if we go quiet, so keep repeating it
+const TYPING_REPEAT_MS = 2000;
+let lastTypingSent = 0;
+
+function startTyping() {
+  if (!messageInput.value.trim()) {
+    stopTyping();
+  } else if (username && Date.now() - lastTypingSent > TYPING_REPEAT_MS) {
+    lastTypingSent = Date.now();
+    socket.emit('typing start');
+  }
+}
+
+function stopTyping() {
+  if (lastTypingSent) {
+    lastTypingSent = 0;
+    socket.emit('typing stop');
+  }
+}
+
+// --- Read Receipts ---
+// We acknowledge the newest message we have received and, while the page is
+// visible and focused, the newest we have seen. receipts holds everyone's
+// watermarks: { user: { delivered, read } } (message ids)
+let receipts = {};
+let newestMessageId = 0;
+let lastReadSent = 0;
+
+function acknowledge(messageId) {
+  if (!messageId || messageId <= newestMessageId) return;
+  newestMessageId = messageId;
+  socket.emit('message delivered', { messageId });
+  markRead();
+}
+
+function markRead() {
+  if (document.visibilityState !== 'visible' || !document.hasFocus()) return;
+  if (newestMessageId > lastReadSent) {
+    lastReadSent = newestMessageId;
+    socket.emit('message read', { messageId: newestMessageId });
+  }
+}
+
+// "Sent", "Delivered" or "Read by ..." under one of our messages
+function updateReceipt(receipt) {
+  const messageId = Number(receipt.dataset.messageId);
+  const others = Object.entries(receipts).filter(([user]) => user !== username);
+  const readers = others.filter(([, marks]) => marks.read >= messageId).map(([user]) => user);
+  const delivered = others.some(([, marks]) => marks.delivered >= messageId);
+  receipt.textContent = readers.length > 0 ? `✓✓ Read by ${readers.join(', ')}` : delivered ? '✓✓ Delivered' : '✓ Sent';
+}
+
+// --- History ---
+// Entering a room replays its latest messages; older pages come from
+// GET /history?room=...&before=<oldest message id>
+let oldestMessageId = null;
+
+function prependHistory(history, hasMore) {
+  const loadOlder = document.getElementById('load-older');
+  const first = loadOlder?.nextSibling ?? messages.firstChild;
+  loadOlder?.remove();
+  history.forEach(message => {
+    const item = createMessageItem(message.user, message.text, message.type === 'ai' ? 'ai-message' : 'user-message', message.id);
+    if (message.type === 'ai') displayAnswerSources(item, message);
+    messages.insertBefore(item, first);
+  });
+  if (history.length > 0) {
+    oldestMessageId = history[0].id;
+    acknowledge(history[history.length - 1].id);
+  }
+  if (hasMore) {
+    const button = document.createElement('button');
+    button.id = 'load-older';
+    button.textContent = 'Load older messages';
+    button.addEventListener('click', loadOlderMessages);
+    messages.insertBefore(button, messages.firstChild);
+  }
+}
+
+async function loadOlderMessages() {
+  const room = currentRoom;
+  const response = await fetch(`/history?room=${encodeURIComponent(room)}&before=${oldestMessageId}`, { headers: authHeaders() });
+  const page = await response.json();
+  if (response.ok && room === currentRoom) {
+    prependHistory(page.messages, page.nextBefore !== null);
+  }
+}
+
+// --- Rooms ---
+function renderRoomList(rooms) {
+  roomSelect.replaceChildren();
+  rooms.forEach(room => {
+    const option = document.createElement('option');
+    option.value = room.name;
+    option.textContent = `#${room.name} (${room.members})`;
+    option.title = room.description ?? '';
+    roomSelect.appendChild(option);
+  });
+  const newRoom = document.createElement('option');
+  newRoom.value = '';
+  newRoom.textContent = '+ New room...';
+  roomSelect.appendChild(newRoom);
+  roomSelect.value = currentRoom ?? '';
+}
+
+roomSelect.addEventListener('change', () => {
+  const roomName = roomSelect.value || prompt('Name of the new room:');
+  if (roomName) {
+    socket.emit('join room', roomName);
+  } else {
+    roomSelect.value = currentRoom ?? '';
+  }
+});
+
+// --- Signing In ---
+// With AUTH_MODE=required the handshake is rejected until the user exchanges
+// an API key for a session token; signed-in users chat under the key's name
+function authHeaders() {
+  // Guests are known by their session (e.g. to read a room's history)
+  const headers = { 'X-Chat-Session': sessionStorage.getItem('chatSession') };
+  const token = sessionStorage.getItem('chatToken');
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+function useSignedInName() {
+  const name = sessionStorage.getItem('chatUsername');
+  if (name) {
+    usernameInput.value = name;
+    usernameInput.disabled = true;
+  }
+}
+
+socket.on('connect_error', async (error) => {
+  if (error.data?.code !== 'unauthorized') return;
+  sessionStorage.removeItem('chatToken');
+  const apiKey = prompt(`${error.message}\nEnter your API key:`);
+  if (!apiKey) {
+    displayMessage(null, 'Not signed in. Reload the page to try again.', 'system-message');
+    return;
+  }
+  const response = await fetch('/auth/token', { method: 'POST', headers: { Authorization: `Bearer ${apiKey.trim()}` } });
+  const session = await response.json();
+  if (response.ok) {
+    sessionStorage.setItem('chatToken', session.token);
+    sessionStorage.setItem('chatUsername', session.username);
+    useSignedInName();
+  } else {
+    displayMessage(null, session.error, 'error-message');
+  }
+  socket.connect();
+});
+
+useSignedInName();
+
+// --- Sending ---
+function setUsername() {
+  const name = usernameInput.value.trim();
+  if (name && name !== username) {
+    username = name;
+    socket.emit('set username', username);
+  }
+}
+
+function sendMessage() {
+  setUsername();
+  const text = messageInput.value.trim();
+  if (!text) return;
+  if (!username) {
+    displayMessage(null, 'Enter a username first.', 'system-message');
+    usernameInput.focus();
+    return;
+  }
+  socket.emit('chat message', text);
+  messageInput.value = '';
+  lastTypingSent = 0; // The server stops our typing when the message arrives
+}
+
+usernameInput.addEventListener('change', setUsername);
+sendButton.addEventListener('click', sendMessage);
+messageInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') sendMessage();
+});
+messageInput.addEventListener('input', startTyping);
+messageInput.addEventListener('blur', stopTyping);
+document.addEventListener('visibilitychange', markRead);
+window.addEventListener('focus', markRead);
+
+// --- Receiving ---
+socket.on('chat message', (data) => {
+  displayMessage(data.user, data.msg, 'user-message', data.id);
+  acknowledge(data.id);
+});
+socket.on('system message', (msg) => displayMessage(null, msg, 'system-message'));
+
+// Refused requests: { code, message }, e.g. 'username_taken' or 'rate_limited'
+socket.on('chat error', ({ code, message }) => {
+  displayMessage(null, message, 'error-message');
+  if (code === 'username_taken' || code === 'username_mismatch') {
+    username = '';
+    usernameInput.focus();
+  }
+});
+
+// A source vote was saved: show it as selected
+socket.on('source feedback saved', ({ messageId, number, vote }) => {
+  const entry = messages.querySelector(`[data-message-id="${messageId}"] .source-inspector [data-number="${number}"]`);
+  entry?.querySelectorAll('.vote').forEach(button => {
+    button.classList.toggle('selected', button.dataset.vote === vote);
+  });
+});
+
+socket.on('room list', renderRoomList);
+
+socket.on('joined room', ({ room }) => {
+  currentRoom = room.name;
+  roomSelect.value = currentRoom;
+  // Each room has its own conversation
+  messages.replaceChildren();
+  oldestMessageId = null;
+  newestMessageId = 0;
+  lastReadSent = 0;
+  receipts = {};
+  pendingAnswers.clear();
+  typingUsers = [];
+  aiState = 'idle';
+  updateTypingIndicator();
+  const description = room.description ? ` — ${room.description}` : '';
+  displayMessage(null, `You joined #${room.name}${description}`, 'system-message');
+});
+
+socket.on('history', ({ room, messages: history, hasMore }) => {
+  if (room === currentRoom) {
+    prependHistory(history, hasMore);
+  }
+});
+
+// Presence: members are online; the AI also says what it is doing
+socket.on('room users', ({ room, presence }) => {
+  if (room !== currentRoom) return;
+  roomUsers.textContent = `Online: ${presence
+    .map(entry => (entry.bot && entry.state !== 'idle' ? `${entry.name} (${entry.state}...)` : entry.name))
+    .join(', ')}`;
+  aiState = presence.find(entry => entry.bot)?.state ?? 'idle';
+  updateTypingIndicator();
+});
+
+socket.on('typing', ({ room, users }) => {
+  if (room !== currentRoom) return;
+  typingUsers = users;
+  updateTypingIndicator();
+});
+
+socket.on('receipts', ({ room, receipts: changed }) => {
+  if (room !== currentRoom) return;
+  Object.assign(receipts, changed);
+  messages.querySelectorAll('.receipt').forEach(updateReceipt);
+});
+
+socket.on('ai start', ({ id }) => {
+  const item = displayMessage('AI', '', 'ai-message');
+  pendingAnswers.set(id, item);
+});
+
+socket.on('ai sources', ({ id, query, sources }) => {
+  const item = pendingAnswers.get(id);
+  if (item) displayInspector(item, { query, sources });
+});
+
+socket.on('ai token', ({ id, token }) => {
+  const item = pendingAnswers.get(id);
+  if (!item) return;
+  item.querySelector('.message-body').textContent += token;
+  messages.scrollTop = messages.scrollHeight;
+});
+
+socket.on('ai end', ({ id, messageId, answer, citations }) => {
+  // Answers that started before this client connected arrive complete
+  const item = pendingAnswers.get(id) ?? displayMessage('AI', '', 'ai-message');
+  item.querySelector('.message-body').textContent = answer;
+  if (item.querySelector('.source-inspector')) {
+    markCited(item, citations);
+    // Sources can be rated once the answer is saved
+    if (messageId !== undefined) {
+      item.dataset.messageId = messageId;
+      item.querySelectorAll('.vote').forEach(button => { button.disabled = false; });
+    }
+  } else {
+    displaySources(item, citations);
+  }
+  acknowledge(messageId);
+  pendingAnswers.delete(id);
+});
+
+socket.on('ai error', ({ id, error }) => {
+  const item = pendingAnswers.get(id) ?? displayMessage('AI', '', 'ai-message');
+  item.querySelector('.message-body').textContent = error;
+  item.classList.add('error-message');
+  pendingAnswers.delete(id);
+});
+
+socket.on('connect', () => {
+  console.log('✅ Connected to server:', socket.id);
+  // Re-register after a reconnect and go back to the same room
+  if (username) {
+    socket.emit('set username', username);
+    if (currentRoom) socket.emit('join room', currentRoom);
+  }
+});
+
+socket.on('disconnect', () => {
+  displayMessage(null, 'You have been disconnected.', 'system-message');
+});
@@ -0,0 +1,68 @@
+// document.js - Document viewer
+// Shows a file from a room's knowledge base (GET /document) with the chunk an
+// answer was built from highlighted, e.g.
+// /document.html?room=general&path=faq.md&chunk=faq.md::2
+const params = new URLSearchParams(location.search);
+const titleHeading = document.getElementById('document-title');
+const meta = document.getElementById('document-meta');
+const content = document.getElementById('document-content');
+
+// Tabs opened from the chat share its session token, or its guest session
+function authHeaders() {
+  const headers = { 'X-Chat-Session': sessionStorage.getItem('chatSession') };
+  const token = sessionStorage.getItem('chatToken');
+  return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+}
+
+// "Page 3" for PDFs, "Rows 51-100" for CSV parts
+function partLabel(part, index) {
+  if (part.page !== undefined) return `Page ${part.page}`;
+  if (part.rowStart !== undefined) return `Rows from ${part.rowStart}`;
+  return `Part ${index + 1}`;
+}
+
+// Text is always set through textContent; the chunk is wrapped in <mark>
+function renderPart(part, index, highlight, showLabel) {
+  const section = document.createElement('section');
+  section.classList.add('document-part');
+  if (showLabel) {
+    const label = document.createElement('h2');
+    label.textContent = partLabel(part, index);
+    section.appendChild(label);
+  }
+  const text = document.createElement('div');
+  text.classList.add('document-text');
+  if (highlight?.part === index) {
+    const mark = document.createElement('mark');
+    mark.id = 'highlight';
+    mark.textContent = part.text.slice(highlight.start, highlight.end);
+    text.append(part.text.slice(0, highlight.start), mark, part.text.slice(highlight.end));
+  } else {
+    text.textContent = part.text;
+  }
+  section.appendChild(text);
+  return section;
+}
+
+async function showDocument() {
+  try {
+    const response = await fetch(`/document?${params}`, { headers: authHeaders() });
+    const result = await response.json();
+    if (!response.ok) {
+      titleHeading.textContent = 'Document not available';
+      meta.textContent = response.status === 401 ? 'Sign in to the chat first.' : result.error;
+      return;
+    }
+    titleHeading.textContent = result.title || result.path;
+    document.title = `${result.title || result.path} - RAG Chat`;
+    meta.textContent = `#${result.room} · ${result.path} · ${result.format}`;
+    content.replaceChildren(...result.parts.map((part, index) =>
+      renderPart(part, index, result.highlight, result.parts.length > 1)));
+    document.getElementById('highlight')?.scrollIntoView({ block: 'center' });
+  } catch (error) {
+    console.error('Error loading document:', error);
+    titleHeading.textContent = 'Document not available';
+  }
+}
+
+showDocument();
@@ -0,0 +1,467 @@
+// server.js - RAG-powered group chat over Socket.IO
+//
+// Combines the chat server from assignment 2 (usernames, rooms, 'chat message'
+// and 'system message' events) with the retrieval pipeline from assignment 1.
+// Messages that mention @ai are answered from the room's knowledge base, and
+// the answer is streamed to everyone in the room token by token.
+import express from 'express';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { Server } from 'socket.io';
+import { HumanMessage, SystemMessage } from '@langchain/core/messages';
+import { createChatModel } from '../assignment1_llm_embeddings/utils/providers.js';
+import { loadKnowledgeBase } from '../assignment1_llm_embeddings/utils/knowledgeBase.js';
+import { DocumentLibrary, DocumentLibraryError, readDocument } from '../assignment1_llm_embeddings/utils/documentLibrary.js';
+import { DocumentWatcher, describeUpdate } from '../assignment1_llm_embeddings/utils/documentWatcher.js';
+import { FeedbackStore, FeedbackError } from '../assignment1_llm_embeddings/utils/feedback.js';
+import { ConversationMemory } from '../assignment1_llm_embeddings/utils/conversationMemory.js';
+import { formatSources, resolveCitations, inspectSources, CITATION_INSTRUCTIONS } from '../assignment1_llm_embeddings/utils/citations.js';
+import { RoomManager, loadRoomConfigs, broadcastPresence, switchRoom, leaveRoom, refreshRooms } from '../assignment2_websocket_chat/rooms.js';
+import { createMessageStore, historyRoute } from '../assignment2_websocket_chat/messageStore.js';
+import { createAuthenticator, UsernameRegistry, httpAuth, socketAuth, tokenRoute, claimUsername, requestOwner } from '../assignment2_websocket_chat/auth.js';
+import { createRateLimiter, allowSocketEvent } from '../assignment2_websocket_chat/rateLimit.js';
+import { PresenceTracker, BotPresence } from '../assignment2_websocket_chat/presence.js';
+import { createPubSub, createAdapter } from '../assignment2_websocket_chat/pubsub.js';
+import { Cluster } from '../assignment2_websocket_chat/cluster.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables from the .env file in the parent directory
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Several instances (PUBSUB=redis, REDIS_URL) share broadcasts, members,
+// usernames, typing, receipts and the AI's state; see assignment 2's README
+const pubsub = createPubSub();
+await pubsub.connect();
+const cluster = new Cluster(pubsub, { heartbeatMs: process.env.CLUSTER_HEARTBEAT_MS });
+
+const app = express();
+const server = http.createServer(app);
+const io = new Server(server, { adapter: createAdapter(pubsub) });
+
+const PORT = process.env.PORT || 3002;
+const AI_NAME = 'AI';
+// "@ai what is RAG?" or "what is RAG, @AI?"
+const AI_MENTION = /(^|\s)@ai\b[,:]?/gi;
+
+// Rooms from rooms.json. Each room names the knowledge base its assistant
+// answers from: an ingested Chroma `collection`, or a `documentsDir`
+// (relative to this folder) indexed in memory. Rooms created by users get
+// the default documents/.
+const rooms = new RoomManager(loadRoomConfigs(path.join(__dirname, 'rooms.json')), { cluster });
+cluster.on('peer down', (instance, removed) => refreshRooms(io, rooms, removed));
+
+// Chat history (MESSAGE_STORE=memory|file|sqlite, stored under data/): chat
+// messages and the bot's answers with their citations. Users get the last
+// HISTORY_REPLAY messages when they enter a room; GET /history pages back.
+const store = createMessageStore({ dataDir: path.join(__dirname, 'data') });
+const HISTORY_REPLAY = Number(process.env.HISTORY_REPLAY) || 50;
+
+// Thumbs up/down on the sources of an answer (FEEDBACK_PATH, default data/feedback.jsonl)
+const feedback = new FeedbackStore(process.env.FEEDBACK_PATH || path.join(__dirname, 'data', 'feedback.jsonl'));
+
+// Authentication (AUTH_MODE, AUTH_API_KEYS, AUTH_SECRET) for HTTP routes and
+// the Socket.IO handshake; usernames are unique, and signed-in users chat
+// under their own name. Messages and @ai questions are rate limited per user
+// (or per IP for guests): RATE_LIMIT_MESSAGES and RATE_LIMIT_LLM.
+const auth = createAuthenticator();
+// Nobody may chat as the AI: it is listed with the room's members
+const usernames = new UsernameRegistry([...auth.reservedNames, AI_NAME], { cluster });
+const messageLimit = createRateLimiter('messages', process.env.RATE_LIMIT_MESSAGES, '20/60');
+const llmLimit = createRateLimiter('questions to the AI', process.env.RATE_LIMIT_LLM, '5/60');
+
+// Typing indicators (TYPING_TIMEOUT_MS, TYPING_THROTTLE_MS) and read receipts.
+// The AI is in every room's presence list, with what it is doing there:
+// 'retrieving' sources, 'generating' an answer, or 'idle'.
+const presence = new PresenceTracker(io, {
+  typingTimeoutMs: process.env.TYPING_TIMEOUT_MS,
+  typingThrottleMs: process.env.TYPING_THROTTLE_MS,
+  cluster
+});
+const aiPresence = new BotPresence(AI_NAME, { cluster });
+rooms.addBot(aiPresence);
+
+/**
+ * Send a room's recent messages to one socket as 'history' { room, messages, hasMore }
+ * @param {Socket} socket - Socket that entered the room
+ * @param {string} roomName - Room
+ */
+async function replayHistory(socket, roomName) {
+  try {
+    const { messages, hasMore } = await store.page(roomName, { limit: HISTORY_REPLAY });
+    if (messages.length > 0) presence.posted(roomName, messages[messages.length - 1].id);
+    socket.emit('history', { room: roomName, messages, hasMore });
+  } catch (error) {
+    console.error('Error replaying history:', error);
+  }
+}
+
+// --- RAG Setup ---
+const chat = createChatModel({ model: 'gpt-4o', temperature: 0.3, streaming: true });
+// The room's conversation: lets follow-ups like "and the second one?" work
+const memory = new ConversationMemory({
+  llm: createChatModel({ model: 'gpt-4o', temperature: 0 }),
+  maxHistoryTokens: Number(process.env.CHAT_HISTORY_TOKENS) || 1500
+});
+
+// Knowledge bases are opened on first use and shared by rooms with the same
+// source (key -> Promise of { retriever, ... })
+const knowledgeBases = new Map();
+
+// WATCH_DOCUMENTS=true re-indexes a documentsDir knowledge base whenever its
+// files change, and tells the rooms using it in a system message
+const WATCH_DOCUMENTS = process.env.WATCH_DOCUMENTS === 'true';
+const WATCH_DEBOUNCE_MS = Number(process.env.WATCH_DEBOUNCE_MS) || 500;
+
+/**
+ * Where a room's knowledge base comes from
+ * @param {Object} room - Room config { collection, documentsDir }
+ * @returns {Object} { key, collectionName, documentsDir }
+ */
+function knowledgeBaseSource(room) {
+  const collectionName = room.collection ?? undefined;
+  const documentsDir = path.resolve(__dirname, room.documentsDir ?? process.env.RAG_CHAT_DOCUMENTS_DIR ?? 'documents');
+  const key = collectionName ? `collection:${collectionName}` : `dir:${documentsDir}`;
+  return { key, collectionName, documentsDir };
+}
+
+/**
+ * The knowledge base a room's assistant answers from
+ * @param {Object} room - Room config { collection, documentsDir }
+ * @returns {Promise<Object>} Knowledge base (see loadKnowledgeBase)
+ */
+function knowledgeBaseFor(room) {
+  const { key, collectionName, documentsDir } = knowledgeBaseSource(room);
+
+  if (!knowledgeBases.has(key)) {
+    const loading = loadKnowledgeBase({ documentsDir, collectionName });
+    knowledgeBases.set(key, loading);
+    loading
+      .then(knowledgeBase => {
+        console.log(`📚 Knowledge base ready: ${key}`);
+        if (WATCH_DOCUMENTS && !collectionName) watchKnowledgeBase(key, documentsDir, knowledgeBase);
+      })
+      .catch(() => knowledgeBases.delete(key)); // Retry on the next question
+  }
+  return knowledgeBases.get(key);
+}
+
+/**
+ * Keep an in-memory knowledge base in sync with its documents directory.
+ * Questions keep using the old index until the new one is swapped in.
+ * @param {string} key - Knowledge base key
+ * @param {string} documentsDir - Directory to watch
+ * @param {Object} knowledgeBase - { retriever, vectorStore, keywordIndex }
+ */
+function watchKnowledgeBase(key, documentsDir, knowledgeBase) {
+  const library = new DocumentLibrary({ documentsDir, knowledgeBase });
+  const watcher = new DocumentWatcher({ library, debounceMs: WATCH_DEBOUNCE_MS }).start();
+  // Rooms answering from this knowledge base
+  const notify = message => rooms.list()
+    .filter(room => knowledgeBaseSource(rooms.get(room.name)).key === key)
+    .forEach(room => io.to(room.name).emit('system message', message));
+  watcher.on('update', summary => notify(`📚 Knowledge base updated: ${describeUpdate(summary)}`));
+  watcher.on('failed', error => notify(`📚 Knowledge base update failed (${error.message}); still answering from the previous version.`));
+}
+
+// Index the default room's documents at startup so the first question is fast
+knowledgeBaseFor(rooms.get(rooms.defaultRoom))
+  .catch(error => console.error('Error loading knowledge base:', error));
+
+const SYSTEM_PROMPT = `You are ${AI_NAME}, an assistant taking part in a group chat.
+Answer the question from the numbered sources. Keep answers short and conversational.
+If the sources do not contain the answer, say that you don't know.`;
+
+let nextAnswerId = 1;
+
+// Show the AI's progress on an answer in the room's presence list
+function setAIState(roomName, answerId, state) {
+  if (aiPresence.set(roomName, answerId, state)) {
+    broadcastPresence(io, rooms, roomName);
+  }
+}
+
+/**
+ * Answer a question addressed to the bot and stream the answer to the room.
+ * Events: 'ai start' { id, room, user, question },
+ * 'ai sources' { id, query, sources } (see inspectSources), 'ai token' { id, token },
+ * 'ai end' { id, messageId, answer, citations }, 'ai error' { id, error }.
+ * @param {string} roomName - Room the question was asked in
+ * @param {string} user - Who asked
+ * @param {string} question - Message with the @ai mention removed
+ */
+async function answerQuestion(roomName, user, question) {
+  const id = `ai-${cluster.id}-${nextAnswerId++}`; // Unique across instances
+  const room = io.to(roomName);
+  room.emit('ai start', { id, room: roomName, user, question });
+  setAIState(roomName, id, 'retrieving');
+
+  try {
+    // Each room is its own conversation
+    const session = memory.getSession(`room-${roomName}`);
+    await memory.settle(session);
+
+    const standaloneQuestion = await memory.condenseQuestion(session, question);
+    const { retriever } = await knowledgeBaseFor(rooms.get(roomName));
+    const { results } = await retriever.retrieve(standaloneQuestion);
+    const documents = results.map(result => result.document);
+    // What the answer is built on, for the client's source inspector
+    const retrieval = { query: standaloneQuestion, sources: inspectSources(standaloneQuestion, results) };
+    room.emit('ai sources', { id, ...retrieval });
+
+    const messages = [
+      new SystemMessage(documents.length > 0
+        ? `${SYSTEM_PROMPT}\n\nSources:\n\n${formatSources(documents)}\n\n${CITATION_INSTRUCTIONS}`
+        : `${SYSTEM_PROMPT}\n\nNo sources matched this question.`),
+      ...memory.historyMessages(session),
+      new HumanMessage(`${user}: ${question}`)
+    ];
+
+    setAIState(roomName, id, 'generating');
+    let answer = '';
+    for await (const chunk of await chat.stream(messages)) {
+      if (chunk.content) {
+        answer += chunk.content;
+        room.emit('ai token', { id, token: chunk.content });
+      }
+    }
+
+    memory.addExchange(session, `${user}: ${question}`, answer);
+    const { citations } = resolveCitations(answer, documents);
+    const stored = await store.append({ room: roomName, user: AI_NAME, type: 'ai', text: answer, citations, retrieval })
+      .catch(error => console.error('Error saving answer:', error)); // Still deliver it
+    if (stored) presence.posted(roomName, stored.id);
+    // messageId identifies the answer for source feedback (absent if it wasn't saved)
+    room.emit('ai end', { id, messageId: stored?.id, answer, citations });
+    console.log(`🤖 Answered ${user} in #${roomName} (${citations.length} source(s) cited)`);
+  } catch (error) {
+    console.error('Error answering question:', error);
+    room.emit('ai error', { id, error: 'Sorry, I could not answer that.' });
+  } finally {
+    setAIState(roomName, id, 'idle');
+  }
+}
+// --- End RAG Setup ---
+
+// Serve index.html from this directory and client.js/style.css from public/
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Older messages, one page at a time: GET /history?room=general&before=<message id>
+// Members of a room (and anyone, for a public room) can page through its history
+app.get('/history', httpAuth(auth), historyRoute(store, (req, room) => rooms.canRead(room, requestOwner(req))));
+
+// Exchange an API key (Authorization: Bearer <key>) for a session token
+app.post('/auth/token', httpAuth(auth), tokenRoute(auth));
+
+// A file of a room's knowledge base, for the document viewer (public/document.html):
+// GET /document?room=general&path=faq.md&chunk=faq.md::2 highlights that chunk.
+// Like /history, only for the room's members, or anyone if the room is public
+app.get('/document', httpAuth(auth), async (req, res) => {
+  const room = rooms.get(String(req.query.room ?? ''));
+  if (!room) {
+    return res.status(404).json({ error: 'Unknown room', code: 'room_not_found' });
+  }
+  if (!rooms.canRead(room.name, requestOwner(req))) {
+    return res.status(403).json({ error: 'You may not read this room\'s documents', code: 'forbidden' });
+  }
+  try {
+    const { documentsDir } = knowledgeBaseSource(room);
+    const { keywordIndex } = await knowledgeBaseFor(room);
+    const chunk = keywordIndex?.documents.get(String(req.query.chunk ?? ''))?.document.metadata;
+    const document = await readDocument(documentsDir, req.query.path, chunk?.relativePath === req.query.path ? chunk : null);
+    res.json({ room: room.name, ...document });
+  } catch (error) {
+    if (error instanceof DocumentLibraryError) {
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+    console.error('Error reading document:', error);
+    res.status(500).json({ error: 'Failed to read the document' });
+  }
+});
+
+// --- Socket.IO Logic ---
+// Rejected handshakes reach the client as 'connect_error' { message, data: { code } }
+io.use(socketAuth(auth));
+
+io.on('connection', (socket) => {
+  console.log('✅ A user connected:', socket.id);
+
+  // 'typing start' / 'typing stop' and 'message delivered' / 'message read'
+  presence.listen(socket);
+
+  socket.on('set username', async (username) => {
+    const name = String(username ?? '').trim();
+    if (!name) {
+      socket.emit('system message', 'Please choose a username.');
+      return;
+    }
+    const rejected = claimUsername(usernames, socket, name);
+    if (rejected) {
+      socket.emit('chat error', rejected);
+      return;
+    }
+    const previous = socket.data.username;
+    socket.data.username = name;
+    console.log(`👤 User ${socket.id} set username to: ${name}`);
+
+    if (previous) {
+      presence.left(socket); // Typing under the old name
+      rooms.rename(socket);
+      if (socket.data.room) {
+        socket.to(socket.data.room).emit('system message', `${previous} is now known as ${name}.`);
+        broadcastPresence(io, rooms, socket.data.room);
+      }
+    } else {
+      socket.emit('room list', rooms.list());
+      switchRoom(io, rooms, socket, rooms.defaultRoom);
+      await replayHistory(socket, socket.data.room);
+      presence.joined(socket);
+      socket.emit('system message', `Welcome to the RAG chat, ${name}! Mention @ai to ask this room's knowledge base.`);
+    }
+  });
+
+  socket.on('list rooms', (ack) => {
+    if (typeof ack === 'function') {
+      ack(rooms.list());
+    } else {
+      socket.emit('room list', rooms.list());
+    }
+  });
+
+  socket.on('join room', async (roomName) => {
+    if (!socket.data.username) {
+      socket.emit('system message', 'Please set a username before joining a room.');
+      return;
+    }
+    try {
+      presence.left(socket);
+      switchRoom(io, rooms, socket, roomName);
+    } catch (error) {
+      socket.emit('system message', error.message);
+      return;
+    }
+    await replayHistory(socket, socket.data.room);
+    presence.joined(socket);
+  });
+
+  socket.on('leave room', () => {
+    presence.left(socket);
+    const left = leaveRoom(io, rooms, socket);
+    if (left) {
+      socket.emit('left room', { room: left });
+    }
+  });
+
+  socket.on('disconnect', () => {
+    usernames.release(socket.id);
+    presence.left(socket);
+    const username = socket.data.username;
+    if (username) {
+      console.log(`❌ User ${username} (${socket.id}) disconnected`);
+      leaveRoom(io, rooms, socket, `${username} has left the chat.`);
+    }
+  });
+
+  socket.on('chat message', async (msg) => {
+    const { username, room } = socket.data;
+    if (!username) {
+      socket.emit('system message', 'Please set a username before sending messages.');
+      return;
+    }
+    if (!room) {
+      socket.emit('system message', 'Join a room before sending messages.');
+      return;
+    }
+    const text = String(msg ?? '').trim();
+    if (!text) return;
+    if (!allowSocketEvent(messageLimit, socket)) return;
+    presence.stopTyping(socket); // Sending ends typing
+
+    let stored;
+    try {
+      stored = await store.append({ room, user: username, type: 'chat', text });
+    } catch (error) {
+      console.error('Error saving message:', error);
+      socket.emit('system message', 'Sorry, your message could not be saved.');
+      return;
+    }
+    presence.posted(room, stored.id);
+    io.to(room).emit('chat message', { id: stored.id, user: username, msg: text, room, createdAt: stored.createdAt });
+
+    // Messages addressed to the bot trigger retrieval + a streamed answer
+    if (text.match(AI_MENTION)) {
+      const question = text.replace(AI_MENTION, ' ').trim();
+      if (question) {
+        // Each question costs an LLM call; over the limit the message is still posted
+        if (allowSocketEvent(llmLimit, socket)) answerQuestion(room, username, question);
+      } else {
+        socket.emit('system message', 'Ask a question after @ai, e.g. "@ai what is RAG?"');
+      }
+    }
+  });
+
+  // Thumbs up/down on one source of an answer in the current room:
+  // { messageId, number, vote: 'up' | 'down' | null (take the vote back) }
+  socket.on('source feedback', async (payload) => {
+    const { username, room } = socket.data;
+    if (!username || !room) return;
+    // Sent by the client, so it may be anything (even null)
+    const { messageId, number, vote } = payload ?? {};
+    try {
+      if (!Number.isInteger(messageId)) {
+        throw new FeedbackError('messageId must be the id of an answer');
+      }
+      if (!Number.isInteger(number)) {
+        throw new FeedbackError('number must be the number of a source');
+      }
+      // The answer is looked up in the store, so feedback always matches what was shown
+      const { messages } = await store.page(room, { before: messageId + 1, limit: 1 });
+      const answer = messages.find(message => message.id === messageId && message.type === 'ai');
+      const source = answer?.retrieval?.sources.find(candidate => candidate.number === number);
+      if (!source) {
+        throw new FeedbackError('That source is not part of an answer in this room');
+      }
+      await feedback.add({
+        type: 'source',
+        vote: vote ?? null,
+        user: username,
+        room,
+        messageId: answer.id,
+        query: answer.retrieval.query,
+        number,
+        chunkId: source.chunkId,
+        relativePath: source.relativePath,
+        score: source.score
+      });
+      socket.emit('source feedback saved', { messageId: answer.id, number, vote: vote ?? null });
+    } catch (error) {
+      if (error instanceof FeedbackError) {
+        socket.emit('chat error', { code: error.code, message: error.message });
+        return;
+      }
+      console.error('Error saving feedback:', error);
+      socket.emit('chat error', { code: 'internal', message: 'Sorry, your feedback could not be saved.' });
+    }
+  });
+});
+// --- End Socket.IO Logic ---
+
+await cluster.start();
+server.listen(PORT, () => {
+  console.log(`🚀 RAG chat listening on http://localhost:${PORT}`);
+});
+
+// Leaving the cluster on shutdown lets the other instances drop our users at once
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, async () => {
+    await cluster.close().catch(() => {});
+    await pubsub.close();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,203 @@
+// chat.test.js - The RAG chat server end to end
+//
+// Run: npm test (node --experimental-websocket --test)
+// Starts server.js with RAG_PROVIDER=fake (hashing embeddings and an
+// extractive chat model) and a memory message store, and talks to it with
+// the Socket.IO test client from assignment 2.
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { once } from 'events';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TestClient } from '../../assignment2_websocket_chat/test/socketClient.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER = path.join(__dirname, '..', 'server.js');
+const PORT = 3922;
+const BASE_URL = `http://localhost:${PORT}`;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+const sessionOf = username => `session-${username}-0123456789`;
+
+// Connect as a guest and take a username; resolves once in the default room
+async function join(username) {
+  const client = new TestClient(PORT, { session: sessionOf(username) });
+  await client.connect();
+  client.emit('set username', username);
+  await client.waitFor('joined room');
+  return client;
+}
+
+// Ask the room's assistant; resolves with the answer's sources and end events
+async function ask(client, question) {
+  client.emit('chat message', `@ai ${question}`);
+  const { id } = await client.waitFor('ai start', start => start.question === question);
+  const sources = await client.waitFor('ai sources', event => event.id === id);
+  const end = await client.waitFor('ai end', event => event.id === id);
+  return { sources, end };
+}
+
+describe('RAG chat server', () => {
+  let server;
+  let dataDir;
+  const clients = [];
+
+  const connect = async username => {
+    const client = await join(username);
+    clients.push(client);
+    return client;
+  };
+
+  before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rag-chat-'));
+    server = spawn(process.execPath, [SERVER], {
+      env: {
+        ...process.env,
+        PORT: String(PORT),
+        RAG_PROVIDER: 'fake',
+        MESSAGE_STORE: 'memory',
+        FEEDBACK_PATH: path.join(dataDir, 'feedback.jsonl'),
+        AUTH_MODE: 'optional',
+        RATE_LIMIT_MESSAGES: 'off',
+        RATE_LIMIT_LLM: 'off'
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    server.stderr.on('data', chunk => { output += chunk; });
+    await new Promise((resolve, reject) => {
+      server.stdout.on('data', chunk => {
+        output += chunk;
+        if (output.includes('RAG chat listening')) resolve();
+      });
+      server.once('exit', code => reject(new Error(`server.js exited (${code}):\n${output}`)));
+    });
+  });
+
+  after(async () => {
+    clients.forEach(client => client.close());
+    if (server.exitCode === null) {
+      const exited = once(server, 'exit');
+      server.kill('SIGTERM');
+      await exited;
+    }
+    await fs.rm(dataDir, { recursive: true, force: true });
+  });
+
+  test('each room answers from its own knowledge base', async () => {
+    const alice = await connect('alice');
+    const inGeneral = await ask(alice, 'What is Socket.IO used for?');
+    assert.ok(inGeneral.sources.sources.length > 0);
+    assert.ok(inGeneral.sources.sources.every(source => source.relativePath === 'knowledge.txt'));
+    assert.match(inGeneral.end.answer, /\[\d+\]/);
+
+    alice.emit('join room', 'rag-course');
+    assert.equal((await alice.waitFor('joined room')).room.name, 'rag-course');
+    const inCourse = await ask(alice, 'What are the key components of RAG?');
+    assert.ok(inCourse.sources.sources.length > 0);
+    assert.ok(inCourse.sources.sources.every(source => /^sample\d\.txt$/.test(source.relativePath)));
+
+    // The AI is listed with the room's members
+    const { presence } = await alice.waitFor('room users', event => event.room === 'rag-course');
+    assert.ok(presence.some(member => member.name === 'AI' && member.bot));
+  });
+
+  test('people entering a room get its history, and only members may page through a private one', async () => {
+    const bob = await connect('bob');
+    bob.emit('join room', 'rag-course');
+    await bob.waitFor('joined room');
+    bob.emit('chat message', 'Hello course');
+    await bob.waitFor('chat message', message => message.msg === 'Hello course');
+    const { sources, end } = await ask(bob, 'How do vector databases store embeddings?');
+
+    const carol = await connect('carol');
+    carol.emit('join room', 'rag-course');
+    const { messages } = await carol.waitFor('history', event => event.room === 'rag-course');
+    assert.deepEqual(messages.slice(-3).map(message => [message.user, message.type]), [['bob', 'chat'], ['bob', 'chat'], ['AI', 'ai']]);
+    const answer = messages[messages.length - 1];
+    assert.equal(answer.id, end.messageId);
+    assert.equal(answer.text, end.answer);
+    assert.deepEqual(answer.citations, end.citations);
+    assert.deepEqual(answer.retrieval.sources.map(source => source.chunkId), sources.sources.map(source => source.chunkId));
+
+    const page = await fetch(`${BASE_URL}/history?room=rag-course&before=${messages[messages.length - 1].id}`, {
+      headers: { 'X-Chat-Session': sessionOf('carol') }
+    });
+    assert.equal(page.status, 200);
+    assert.deepEqual((await page.json()).messages.map(message => message.user), messages.slice(0, -1).map(message => message.user));
+
+    const asStranger = await fetch(`${BASE_URL}/history?room=rag-course`, { headers: { 'X-Chat-Session': sessionOf('mallory') } });
+    assert.equal(asStranger.status, 403);
+    assert.equal((await fetch(`${BASE_URL}/history?room=general`)).status, 200);
+  });
+
+  test('the document viewer serves a room\'s files to those who may read the room', async () => {
+    const grace = await connect('grace');
+    const { sources } = await ask(grace, 'What is the goal of the chatbot?');
+    const [{ chunkId }] = sources.sources;
+
+    const response = await fetch(`${BASE_URL}/document?${new URLSearchParams({ room: 'general', path: 'knowledge.txt', chunk: chunkId })}`);
+    assert.equal(response.status, 200);
+    const document = await response.json();
+    assert.equal(document.room, 'general');
+    assert.equal(document.path, 'knowledge.txt');
+    assert.ok(document.highlight);
+
+    const course = new URLSearchParams({ room: 'rag-course', path: 'sample1.txt' });
+    const asStranger = await fetch(`${BASE_URL}/document?${course}`, { headers: { 'X-Chat-Session': sessionOf('mallory') } });
+    assert.equal(asStranger.status, 403);
+    assert.equal((await asStranger.json()).code, 'forbidden');
+    assert.equal((await fetch(`${BASE_URL}/document?${course}`)).status, 403);
+
+    grace.emit('join room', 'rag-course');
+    await grace.waitFor('joined room');
+    const asMember = await fetch(`${BASE_URL}/document?${course}`, { headers: { 'X-Chat-Session': sessionOf('grace') } });
+    assert.equal(asMember.status, 200);
+    assert.equal((await fetch(`${BASE_URL}/document?room=nowhere&path=sample1.txt`)).status, 404);
+  });
+
+  test('source feedback is saved for sources of an answer, and bad payloads get a chat error', async () => {
+    const dave = await connect('dave');
+    const { sources, end } = await ask(dave, 'Which framework orchestrates the RAG process?');
+    assert.ok(Number.isInteger(end.messageId));
+
+    dave.emit('source feedback', { messageId: end.messageId, number: 1, vote: 'down' });
+    assert.deepEqual(await dave.waitFor('source feedback saved'), { messageId: end.messageId, number: 1, vote: 'down' });
+    const [record] = (await fs.readFile(path.join(dataDir, 'feedback.jsonl'), 'utf-8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(record.chunkId, sources.sources[0].chunkId);
+    assert.equal(record.user, 'dave');
+
+    for (const payload of [null, { messageId: 'x', number: 1 }, { messageId: end.messageId, number: 99 }, { messageId: end.messageId, number: 1, vote: 'meh' }]) {
+      dave.emit('source feedback', payload);
+      assert.equal((await dave.waitFor('chat error')).code, 'invalid_feedback');
+    }
+  });
+
+  test('typing indicators and read receipts reach the room', async () => {
+    const erin = await connect('erin');
+    const frank = await connect('frank');
+
+    frank.emit('typing start');
+    assert.deepEqual(await erin.waitFor('typing', ({ users }) => users.length > 0), { room: 'general', users: ['frank'] });
+    frank.emit('chat message', 'Typed it');
+    const message = await erin.waitFor('chat message', ({ msg }) => msg === 'Typed it');
+    assert.deepEqual(await erin.waitFor('typing', ({ users }) => users.length === 0), { room: 'general', users: [] });
+
+    // Malformed receipts are ignored
+    erin.emit('message read', null);
+    erin.emit('message read', { messageId: 'latest' });
+    erin.emit('message read', { messageId: message.id });
+    const { receipts } = await frank.waitFor('receipts', event => event.receipts.erin);
+    assert.deepEqual(receipts.erin, { delivered: message.id, read: message.id });
+
+    // Receipts past the newest message, or that move nothing, are not broadcast
+    frank.clear();
+    erin.emit('message read', { messageId: message.id + 100 });
+    erin.emit('message delivered', { messageId: message.id });
+    await delay(100);
+    assert.equal(frank.received.filter(([event]) => event === 'receipts').length, 0);
+  });
+});